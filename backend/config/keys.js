@@ -8,10 +8,61 @@ const DEFAULT_PASSWORD_SALT = 'b'.repeat(32); // 16바이트를 hex로 표현
 module.exports = {
   mongoURI: process.env.MONGO_URI,
   jwtSecret: process.env.JWT_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 14 * 24 * 60 * 60,
+  refreshTokenCookie: process.env.REFRESH_TOKEN_COOKIE === 'true', // 리프레시 토큰을 httpOnly 쿠키로만 전달
   encryptionKey: process.env.ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY,
   passwordSalt: process.env.PASSWORD_SALT || DEFAULT_PASSWORD_SALT,
   redisHost: process.env.REDIS_HOST,
   redisPort: process.env.REDIS_PORT,
   openaiApiKey: process.env.OPENAI_API_KEY,
-  vectorDbEndpoint: process.env.VECTOR_DB_ENDPOINT,
+  s3Bucket: process.env.AWS_BUCKET_NAME || 'bw-files', // 업로드 파일을 저장하는 S3 버킷
+  aiProvider: process.env.AI_PROVIDER || 'openai', // 기본 AI 제공자 (aiProviders의 키)
+  aiPersonaProviders: process.env.AI_PERSONA_PROVIDERS || '', // 페르소나별 제공자 (예: consultingAI=anthropic,wayneAI=ollama)
+  aiContextTokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET, 10) || 3000, // AI에 전달할 최근 대화의 토큰 예산 (초과분은 요약)
+  aiContextMessageLimit: parseInt(process.env.AI_CONTEXT_MESSAGE_LIMIT, 10) || 50,
+  aiEmbeddingProvider: process.env.AI_EMBEDDING_PROVIDER || process.env.AI_PROVIDER || 'openai', // 문서 검색(RAG)용 임베딩 제공자 (embed()를 지원하는 제공자)
+  aiRagTopK: parseInt(process.env.AI_RAG_TOP_K, 10) || 4, // AI 답변에 참고할 문서 구절 수
+  aiRagMinScore: parseFloat(process.env.AI_RAG_MIN_SCORE) || 0.3, // 참고할 구절의 최소 코사인 유사도
+  aiProviders: {
+    openai: {
+      type: 'openai',
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4',
+      embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+    },
+    anthropic: {
+      type: 'anthropic',
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+      maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS, 10) || 2048
+    },
+    ollama: {
+      type: 'ollama',
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1',
+      embeddingModel: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'
+    },
+    // llama.cpp server는 OpenAI 호환 API 제공
+    llamacpp: {
+      type: 'openai',
+      baseURL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+      apiKey: process.env.LLAMACPP_API_KEY,
+      model: process.env.LLAMACPP_MODEL || 'default',
+      embeddingModel: process.env.LLAMACPP_EMBEDDING_MODEL || 'default'
+    },
+    fake: {
+      type: 'fake',
+      chunkDelay: parseInt(process.env.AI_FAKE_CHUNK_DELAY_MS, 10) || 0
+    }
+  },
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  mailTransport: process.env.MAIL_TRANSPORT || 'console', // console | file
+  mailFrom: process.env.MAIL_FROM || 'ChatApp <no-reply@localhost>',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'ChatApp', // 인증 앱에 표시되는 서비스 이름
+  emailVerificationPolicy: process.env.EMAIL_VERIFICATION_POLICY || 'none', // none | read_only
+  messageEditWindow: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS, 10) || 15 * 60 * 1000,
 };
\ No newline at end of file
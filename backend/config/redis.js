@@ -183,6 +183,29 @@ class RedisManager {
     }
   }
 
+  // 패턴에 일치하는 키 조회 (KEYS 대신 SCAN 사용)
+  async getKeys(pattern) {
+    try {
+      const keys = [];
+      let cursor = "0";
+      do {
+        const [nextCursor, batch] = await this.pubClient.scan(
+          cursor,
+          "MATCH",
+          pattern,
+          "COUNT",
+          100
+        );
+        cursor = nextCursor;
+        keys.push(...batch);
+      } while (cursor !== "0");
+      return keys;
+    } catch (error) {
+      console.error(`Redis getKeys 실패: ${pattern}`, error);
+      return [];
+    }
+  }
+
   async checkRedisConnection() {
     try {
       await this.pubClient.ping();
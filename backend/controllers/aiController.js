@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const AIProfile = require('../models/AIProfile');
+const Room = require('../models/Room');
+const AIPersonaService = require('../services/aiPersonaService');
+
+const EDITABLE_FIELDS = ['name', 'handle', 'systemPrompt', 'model', 'temperature', 'avatar'];
+
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// 채팅방 페르소나는 채팅방의 moderator 이상만 관리
+const canManageRoomPersonas = async (roomId, userId) => {
+  const room = await Room.findById(roomId).select('creator participants roles');
+  if (!room) return false;
+  const role = room.getRole(userId);
+  return Boolean(role) && Room.ROLE_LEVELS[role] >= Room.ROLE_LEVELS.moderator;
+};
+
+const canManageProfile = async (profile, userId) =>
+  profile.scope === 'user'
+    ? profile.user.toString() === userId
+    : canManageRoomPersonas(profile.room, userId);
+
+const sendSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0]?.message || '입력값이 올바르지 않습니다.'
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: '이미 사용 중인 멘션 핸들입니다.',
+      code: 'HANDLE_TAKEN'
+    });
+  }
+
+  console.error('AI persona save error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'AI 페르소나 저장 중 오류가 발생했습니다.'
+  });
+};
+
+// 채팅방에서 호출할 수 있는 페르소나 목록 (roomId가 없으면 기본 제공 + 개인 페르소나)
+exports.getPersonas = async (req, res) => {
+  try {
+    const { roomId } = req.query;
+    if (roomId && !mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: '채팅방 정보가 올바르지 않습니다.'
+      });
+    }
+    if (roomId && !(await Room.exists({ _id: roomId, participants: req.user.id }))) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const personas = await AIPersonaService.getAvailablePersonas(roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: personas.map(({ systemPrompt, ...persona }) => ({
+        ...persona,
+        // 다른 사용자가 만든 페르소나의 프롬프트는 노출하지 않음
+        ...(persona.createdBy === req.user.id && { systemPrompt })
+      }))
+    });
+  } catch (error) {
+    console.error('Get AI personas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'AI 페르소나 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+exports.createPersona = async (req, res) => {
+  try {
+    const { scope = 'user', roomId } = req.body;
+    const fields = pickEditableFields(req.body);
+
+    if (!['user', 'room'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: '페르소나 범위가 올바르지 않습니다.'
+      });
+    }
+
+    if (scope === 'room') {
+      if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+        return res.status(400).json({
+          success: false,
+          message: '채팅방 정보가 없습니다.'
+        });
+      }
+      if (!(await canManageRoomPersonas(roomId, req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: '채팅방 페르소나를 관리할 권한이 없습니다.'
+        });
+      }
+    }
+
+    if (fields.handle && AIPersonaService.isBuiltInHandle(fields.handle)) {
+      return res.status(409).json({
+        success: false,
+        message: '기본 제공 AI와 같은 멘션 핸들은 사용할 수 없습니다.',
+        code: 'HANDLE_TAKEN'
+      });
+    }
+
+    const profile = await AIProfile.create({
+      ...fields,
+      scope,
+      user: req.user.id,
+      ...(scope === 'room' && { room: roomId })
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'AI 페르소나가 생성되었습니다.',
+      data: AIPersonaService.toPersona(profile)
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+exports.updatePersona = async (req, res) => {
+  try {
+    const { personaId } = req.params;
+    const profile = mongoose.Types.ObjectId.isValid(personaId)
+      ? await AIProfile.findById(personaId)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI 페르소나를 찾을 수 없습니다.'
+      });
+    }
+
+    if (!(await canManageProfile(profile, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI 페르소나를 수정할 권한이 없습니다.'
+      });
+    }
+
+    const fields = pickEditableFields(req.body);
+    if (fields.handle && AIPersonaService.isBuiltInHandle(fields.handle)) {
+      return res.status(409).json({
+        success: false,
+        message: '기본 제공 AI와 같은 멘션 핸들은 사용할 수 없습니다.',
+        code: 'HANDLE_TAKEN'
+      });
+    }
+
+    profile.set(fields);
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'AI 페르소나가 수정되었습니다.',
+      data: AIPersonaService.toPersona(profile)
+    });
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+};
+
+exports.deletePersona = async (req, res) => {
+  try {
+    const { personaId } = req.params;
+    const profile = mongoose.Types.ObjectId.isValid(personaId)
+      ? await AIProfile.findById(personaId)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI 페르소나를 찾을 수 없습니다.'
+      });
+    }
+
+    if (!(await canManageProfile(profile, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'AI 페르소나를 삭제할 권한이 없습니다.'
+      });
+    }
+
+    await profile.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'AI 페르소나가 삭제되었습니다.'
+    });
+  } catch (error) {
+    console.error('Delete AI persona error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'AI 페르소나 삭제 중 오류가 발생했습니다.'
+    });
+  }
+};
@@ -1,7 +1,154 @@
 const User = require('../models/User');
 const jwt = require('jsonwebtoken');
-const { jwtSecret } = require('../config/keys');
+const { jwtSecret, jwtExpiresIn, refreshTokenTtl, refreshTokenCookie, frontendUrl } = require('../config/keys');
 const SessionService = require('../services/sessionService');
+const SocketSessionService = require('../services/socketSessionService');
+const RefreshTokenService = require('../services/refreshTokenService');
+const PasswordResetService = require('../services/passwordResetService');
+const MailService = require('../services/mailService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const TwoFactorService = require('../services/twoFactorService');
+
+const SESSION_REVOKED_MESSAGE = '다른 기기에서 이 세션을 종료했습니다.';
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+const isProduction = process.env.NODE_ENV === 'production';
+// 프론트엔드와 API 도메인이 다른 운영 환경에서는 SameSite=None(+Secure)이어야 쿠키가 전송됨
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: isProduction,
+  sameSite: isProduction ? 'none' : 'lax',
+  path: '/api/auth'
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  {
+    user: { id: userId },
+    sessionId,
+    iat: Math.floor(Date.now() / 1000)
+  },
+  jwtSecret,
+  {
+    expiresIn: jwtExpiresIn,
+    algorithm: 'HS256'
+  }
+);
+
+// 쿠키 모드에서는 리프레시 토큰을 응답 본문에 포함하지 않음
+const sendRefreshToken = (res, refreshToken) => {
+  if (!refreshTokenCookie) return { refreshToken };
+
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: refreshTokenTtl * 1000
+  });
+  return {};
+};
+
+const clearRefreshToken = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+};
+
+const getRefreshToken = (req) =>
+  req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+
+// 인증을 마친 사용자의 세션 생성 및 토큰 발급 (로그인, 2단계 인증 공통)
+const startSession = async (req, res, user) => {
+  const multiSession = Boolean(user.allowMultipleSessions);
+
+  // 단일 세션 모드: 기존 기기에 안내 후 종료될 때까지 대기 (다른 워커/호스트의 소켓 포함)
+  // 기존 기기에서 세션 유지를 선택하면 새 로그인을 거절
+  if (!multiSession) {
+    let existingSessions = [];
+    try {
+      existingSessions = await SessionService.getUserSessions(user._id);
+    } catch (sessionError) {
+      console.error('Session check error:', sessionError);
+    }
+
+    const io = req.app.get('io');
+    if (io && existingSessions.length > 0) {
+      const kept = await SocketSessionService.displaceSessions(
+        io,
+        user._id.toString(),
+        existingSessions.map(session => session.sessionId),
+        { deviceInfo: req.headers['user-agent'], ipAddress: req.ip }
+      );
+      if (kept) {
+        return res.status(409).json({
+          success: false,
+          code: 'DUPLICATE_LOGIN_REJECTED',
+          message: '기존 세션을 유지하도록 선택되었습니다.'
+        });
+      }
+    }
+  }
+
+  // 새 세션 생성
+  const sessionInfo = await SessionService.createSession(user._id, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip,
+    deviceInfo: req.headers['user-agent'],
+    loginAt: Date.now(),
+    browser: req.headers['user-agent'],
+    platform: req.headers['sec-ch-ua-platform'],
+    location: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+  }, { multiSession });
+
+  if (!sessionInfo || !sessionInfo.sessionId) {
+    throw new Error('Session creation failed');
+  }
+
+  // 새 세션 생성으로 정리된 세션(단일 세션 모드의 기존 기기, 최대 세션 수 초과분)의 소켓 종료
+  SocketSessionService.terminateSessions(req.app.get('io'), sessionInfo.removedSessionIds, {
+    reason: 'session_revoked',
+    message: SESSION_REVOKED_MESSAGE
+  });
+
+  // 액세스 토큰(JWT)과 리프레시 토큰 생성
+  const token = signAccessToken(user._id, sessionInfo.sessionId);
+  const refreshToken = await RefreshTokenService.issue(user._id, sessionInfo.sessionId);
+
+  // 응답 헤더 설정
+  res.set({
+    'Authorization': `Bearer ${token}`,
+    'x-session-id': sessionInfo.sessionId
+  });
+
+  res.json({
+    success: true,
+    token,
+    sessionId: sessionInfo.sessionId,
+    ...sendRefreshToken(res, refreshToken),
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      profileImage: user.profileImage,
+      emailVerified: user.emailVerified
+    }
+  });
+};
+
+// 가입 여부를 알 수 없도록 계정 존재와 관계없이 같은 응답 사용
+const FORGOT_PASSWORD_MESSAGE = '입력한 이메일로 가입된 계정이 있다면 비밀번호 재설정 안내 메일이 발송됩니다.';
+
+const sendPasswordResetMail = (user, token) => {
+  const resetUrl = `${frontendUrl}/reset-password?token=${token}`;
+  const expiresInMinutes = PasswordResetService.TOKEN_TTL / 60;
+
+  return MailService.send({
+    to: user.email,
+    subject: '[ChatApp] 비밀번호 재설정 안내',
+    text: [
+      `${user.name}님, 비밀번호 재설정 요청을 받았습니다.`,
+      `아래 링크에서 ${expiresInMinutes}분 안에 새 비밀번호를 설정해주세요.`,
+      resetUrl,
+      '요청하지 않았다면 이 메일을 무시하세요.'
+    ].join('\n\n')
+  });
+};
+
 
 const authController = {
   async register(req, res) {
@@ -51,6 +198,10 @@ const authController = {
       await user.save();
       console.log('User created:', user._id);
 
+      // 인증 메일 발송 실패가 가입을 막지 않도록 응답과 별도로 처리 (프로필에서 재발송 가능)
+      EmailVerificationService.sendVerificationMail(user)
+        .catch(error => console.error('Verification mail error:', error));
+
       // Create session with metadata
       const sessionInfo = await SessionService.createSession(user._id, {
         userAgent: req.headers['user-agent'],
@@ -63,29 +214,21 @@ const authController = {
         throw new Error('Session creation failed');
       }
 
-      // Generate token with additional claims
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
+      // Generate tokens
+      const token = signAccessToken(user._id, sessionInfo.sessionId);
+      const refreshToken = await RefreshTokenService.issue(user._id, sessionInfo.sessionId);
 
       res.status(201).json({
         success: true,
         message: '회원가입이 완료되었습니다.',
         token,
         sessionId: sessionInfo.sessionId,
+        ...sendRefreshToken(res, refreshToken),
         user: {
           _id: user._id,
           name: user.name,
-          email: user.email
+          email: user.email,
+          emailVerified: user.emailVerified
         }
       });
 
@@ -137,155 +280,78 @@ const authController = {
         });
       }
 
-      // 기존 세션 확인 시도
-      let existingSession = null;
-      try {
-        existingSession = await SessionService.getActiveSession(user._id);
-      } catch (sessionError) {
-        console.error('Session check error:', sessionError);
-      }
-
-      if (existingSession) {
-        const io = req.app.get('io');
-        
-        if (io) {
-          try {
-            // 중복 로그인 이벤트 발생 시 더 자세한 정보 제공
-            io.to(existingSession.socketId).emit('duplicate_login', {
-              type: 'new_login_attempt',
-              deviceInfo: req.headers['user-agent'],
-              ipAddress: req.ip,
-              timestamp: Date.now(),
-              location: req.headers['x-forwarded-for'] || req.connection.remoteAddress,
-              browser: req.headers['user-agent']
-            });
-
-            // Promise 기반의 응답 대기 로직 개선
-            const response = await new Promise((resolve, reject) => {
-              const timeout = setTimeout(() => {
-                reject(new Error('DUPLICATE_LOGIN_TIMEOUT'));
-              }, 60000); // 60초 타임아웃
-
-              const cleanup = () => {
-                clearTimeout(timeout);
-                io.removeListener('force_login', handleForceLogin);
-                io.removeListener('keep_existing_session', handleKeepSession);
-              };
-
-              const handleForceLogin = async (data) => {
-                try {
-                  if (data.token === existingSession.token) {
-                    // 기존 세션 종료 및 소켓 연결 해제
-                    await SessionService.removeSession(user._id, existingSession.sessionId);
-                    io.to(existingSession.socketId).emit('session_terminated', {
-                      reason: 'new_login',
-                      message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-                    });
-                    resolve('force_login');
-                  } else {
-                    reject(new Error('INVALID_TOKEN'));
-                  }
-                } catch (error) {
-                  reject(error);
-                } finally {
-                  cleanup();
-                }
-              };
-
-              const handleKeepSession = () => {
-                cleanup();
-                resolve('keep_existing');
-              };
-
-              io.once('force_login', handleForceLogin);
-              io.once('keep_existing_session', handleKeepSession);
-            });
-
-            // 응답에 따른 처리
-            if (response === 'keep_existing') {
-              return res.status(409).json({
-                success: false,
-                code: 'DUPLICATE_LOGIN_REJECTED',
-                message: '기존 세션을 유지하도록 선택되었습니다.'
-              });
-            }
-
-          } catch (error) {
-            if (error.message === 'DUPLICATE_LOGIN_TIMEOUT') {
-              return res.status(409).json({
-                success: false,
-                code: 'DUPLICATE_LOGIN_TIMEOUT',
-                message: '중복 로그인 요청이 시간 초과되었습니다.'
-              });
-            }
-            throw error;
-          }
-        } else {
-          // Socket.IO 연결이 없는 경우 자동으로 기존 세션 종료
-          await SessionService.removeAllUserSessions(user._id);
-        }
+      // 2단계 인증 사용자: 세션 생성 전에 짧은 유효 기간의 사전 인증 토큰만 발급
+      if (user.twoFactor?.enabled) {
+        const preAuthToken = await TwoFactorService.createPreAuthToken(user._id);
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          preAuthToken,
+          expiresIn: TwoFactorService.PRE_AUTH_TTL
+        });
       }
 
-      // 새 세션 생성
-      const sessionInfo = await SessionService.createSession(user._id, {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceInfo: req.headers['user-agent'],
-        loginAt: Date.now(),
-        browser: req.headers['user-agent'],
-        platform: req.headers['sec-ch-ua-platform'],
-        location: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+      await startSession(req, res, user);
+
+    } catch (error) {
+      console.error('Login error:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: '로그인 처리 중 오류가 발생했습니다.',
+        code: error.code || 'UNKNOWN_ERROR'
       });
+    }
+  },
 
-      if (!sessionInfo || !sessionInfo.sessionId) {
-        throw new Error('Session creation failed');
+  // 로그인 2단계: 사전 인증 토큰과 인증 앱 코드(또는 복구 코드) 확인 후 세션 생성
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { preAuthToken, code } = req.body;
+      if (!preAuthToken || !code) {
+        return res.status(400).json({
+          success: false,
+          message: '인증 코드를 입력해주세요.'
+        });
       }
 
-      // JWT 토큰 생성
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
+      const result = await TwoFactorService.checkPreAuthToken(preAuthToken);
+      if (result.status !== 'ok') {
+        return res.status(401).json({
+          success: false,
+          message: result.status === 'too_many_attempts'
+            ? '인증 시도 횟수를 초과했습니다. 다시 로그인해주세요.'
+            : '인증 시간이 만료되었습니다. 다시 로그인해주세요.',
+          code: 'INVALID_PRE_AUTH_TOKEN'
+        });
+      }
 
-      // 응답 헤더 설정
-      res.set({
-        'Authorization': `Bearer ${token}`,
-        'x-session-id': sessionInfo.sessionId
-      });
+      const isValid = await TwoFactorService.verify(result.userId, code);
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          message: '인증 코드가 올바르지 않습니다.',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
 
-      res.json({
-        success: true,
-        token,
-        sessionId: sessionInfo.sessionId,
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          profileImage: user.profileImage
-        }
-      });
+      await TwoFactorService.consumePreAuthToken(result.jti);
 
-    } catch (error) {
-      console.error('Login error:', error);
-      
-      if (error.message === 'INVALID_TOKEN') {
+      const user = await User.findById(result.userId);
+      if (!user) {
         return res.status(401).json({
           success: false,
-          message: '인증 토큰이 유효하지 않습니다.'
+          message: '사용자를 찾을 수 없습니다.'
         });
       }
-      
+
+      await startSession(req, res, user);
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
       res.status(500).json({
         success: false,
-        message: '로그인 처리 중 오류가 발생했습니다.',
+        message: '2단계 인증 처리 중 오류가 발생했습니다.',
         code: error.code || 'UNKNOWN_ERROR'
       });
     }
@@ -303,21 +369,21 @@ const authController = {
 
       await SessionService.removeSession(req.user.id, sessionId);
 
-      // Socket.IO 클라이언트에 로그아웃 알림
-      const io = req.app.get('io');
-      if (io) {
-        const socketId = await SessionService.getSocketId(req.user.id, sessionId);
-        if (socketId) {
-          io.to(socketId).emit('session_ended', {
-            reason: 'logout',
-            message: '로그아웃되었습니다.'
-          });
-        }
+      const refreshToken = getRefreshToken(req);
+      if (refreshToken) {
+        await RefreshTokenService.revoke(refreshToken);
       }
+
+      // Socket.IO 클라이언트에 로그아웃 알림
+      SocketSessionService.terminateSessions(req.app.get('io'), [sessionId], {
+        reason: 'logout',
+        message: '로그아웃되었습니다.'
+      });
       
       // 쿠키 및 헤더 정리
       res.clearCookie('token');
       res.clearCookie('sessionId');
+      clearRefreshToken(res);
       
       res.json({
         success: true,
@@ -399,7 +465,8 @@ const authController = {
           _id: user._id,
           name: user.name,
           email: user.email,
-          profileImage: user.profileImage
+          profileImage: user.profileImage,
+          emailVerified: user.emailVerified
         }
       });
 
@@ -428,63 +495,83 @@ const authController = {
     }
   },
 
+  // 리프레시 토큰을 교체하고 같은 세션으로 새 액세스 토큰 발급 (만료된 JWT로도 호출 가능)
   async refreshToken(req, res) {
     try {
-      const oldSessionId = req.header('x-session-id');
-      if (!oldSessionId) {
-        return res.status(400).json({
+      const presentedToken = getRefreshToken(req);
+      if (!presentedToken) {
+        return res.status(401).json({
           success: false,
-          message: '세션 정보가 없습니다.'
+          code: 'REFRESH_TOKEN_MISSING',
+          message: '리프레시 토큰이 없습니다.'
         });
       }
 
-      const user = await User.findById(req.user.id);
+      const result = await RefreshTokenService.rotate(presentedToken);
+
+      if (result.status === 'reused') {
+        // 이미 사용된 토큰이 다시 제시됨: 탈취 가능성이 있으므로 연결된 세션도 종료
+        console.warn('Refresh token reuse detected:', { userId: result.userId });
+        if (result.userId && result.sessionId) {
+          await SessionService.removeSession(result.userId, result.sessionId);
+          SocketSessionService.terminateSessions(req.app.get('io'), [result.sessionId], {
+            reason: 'session_revoked',
+            message: '보안을 위해 세션이 종료되었습니다. 다시 로그인해주세요.'
+          });
+        }
+        clearRefreshToken(res);
+        return res.status(401).json({
+          success: false,
+          code: 'REFRESH_TOKEN_REUSED',
+          message: '보안을 위해 세션이 종료되었습니다. 다시 로그인해주세요.'
+        });
+      }
+
+      if (result.status !== 'rotated') {
+        clearRefreshToken(res);
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_REFRESH_TOKEN',
+          message: '로그인이 만료되었습니다. 다시 로그인해주세요.'
+        });
+      }
+
+      // 로그아웃되었거나 다른 기기에서 종료된 세션이면 갱신 불가
+      const validationResult = await SessionService.validateSession(result.userId, result.sessionId);
+      if (!validationResult.isValid) {
+        await RefreshTokenService.revoke(result.token);
+        clearRefreshToken(res);
+        return res.status(401).json({
+          success: false,
+          code: validationResult.error,
+          message: validationResult.message
+        });
+      }
+
+      const user = await User.findById(result.userId);
       if (!user) {
+        await RefreshTokenService.revoke(result.token);
+        clearRefreshToken(res);
         return res.status(404).json({
           success: false,
           message: '사용자를 찾을 수 없습니다.'
         });
       }
 
-      // 이전 세션 제거
-      await SessionService.removeSession(user._id, oldSessionId);
-
-      // 새 세션 생성
-      const sessionInfo = await SessionService.createSession(user._id, {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip,
-        deviceInfo: req.headers['user-agent'],
-        refreshedAt: Date.now()
-      });
-
-      if (!sessionInfo || !sessionInfo.sessionId) {
-        throw new Error('Failed to create new session');
-      }
-
-      // 새로운 JWT 토큰 생성
-      const token = jwt.sign(
-        { 
-          user: { id: user._id },
-          sessionId: sessionInfo.sessionId,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        jwtSecret,
-        { 
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
+      const token = signAccessToken(user._id, result.sessionId);
 
       res.json({
         success: true,
         message: '토큰이 갱신되었습니다.',
         token,
-        sessionId: sessionInfo.sessionId,
+        sessionId: result.sessionId,
+        ...sendRefreshToken(res, result.token),
         user: {
           _id: user._id,
           name: user.name,
           email: user.email,
-          profileImage: user.profileImage
+          profileImage: user.profileImage,
+          emailVerified: user.emailVerified
         }
       });
 
@@ -495,6 +582,474 @@ const authController = {
         message: '토큰 갱신 중 오류가 발생했습니다.'
       });
     }
+  },
+
+  // 비밀번호 재설정 메일 발송
+  async forgotPassword(req, res) {
+    try {
+      const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+      if (!email.match(/^[^\s@]+@[^\s@]+\.[^\s@]+$/)) {
+        return res.status(400).json({
+          success: false,
+          message: '올바른 이메일 형식이 아닙니다.'
+        });
+      }
+
+      const user = await User.findOne({ email });
+      if (user) {
+        const token = await PasswordResetService.createToken(user._id);
+        await sendPasswordResetMail(user, token);
+      }
+
+      res.json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '비밀번호 재설정 메일 발송 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 재설정 토큰으로 비밀번호 변경 (모든 기기에서 로그아웃)
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          message: '모든 필드를 입력해주세요.'
+        });
+      }
+
+      if (typeof password !== 'string' || password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          message: '비밀번호는 6자 이상이어야 합니다.'
+        });
+      }
+
+      const userId = await PasswordResetService.consumeToken(token);
+      const user = userId && await User.findById(userId);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_RESET_TOKEN',
+          message: '유효하지 않거나 만료된 링크입니다. 비밀번호 재설정을 다시 요청해주세요.'
+        });
+      }
+
+      user.password = password;
+      await user.save();
+
+      const removedSessionIds = await SessionService.removeAllUserSessions(user._id);
+      SocketSessionService.terminateSessions(req.app.get('io'), removedSessionIds, {
+        reason: 'password_changed',
+        message: '비밀번호가 변경되어 로그아웃되었습니다.'
+      });
+
+      res.json({
+        success: true,
+        message: '비밀번호가 변경되었습니다. 새 비밀번호로 로그인해주세요.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: '비밀번호 재설정 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 메일로 받은 링크의 토큰으로 이메일 인증
+  async verifyEmail(req, res) {
+    try {
+      const user = req.body.token && await EmailVerificationService.findUserByToken(req.body.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_VERIFICATION_TOKEN',
+          message: '유효하지 않거나 만료된 인증 링크입니다. 인증 메일을 다시 요청해주세요.'
+        });
+      }
+
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      res.json({
+        success: true,
+        message: '이메일 인증이 완료되었습니다.',
+        data: { userId: user._id, emailVerified: true }
+      });
+
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: '이메일 인증 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 인증 메일 재발송
+  async resendVerification(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      if (user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: '이미 인증된 이메일입니다.'
+        });
+      }
+
+      await EmailVerificationService.sendVerificationMail(user);
+
+      res.json({
+        success: true,
+        message: `${user.email}로 인증 메일을 보냈습니다.`
+      });
+
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        message: '인증 메일 발송 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 2단계 인증 상태 조회
+  async getTwoFactorStatus(req, res) {
+    try {
+      const status = await TwoFactorService.getStatus(req.user.id);
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: status
+      });
+
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(500).json({
+        success: false,
+        message: '2단계 인증 상태 조회 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 2단계 인증 등록 시작: 인증 앱에 등록할 otpauth URI와 QR 코드 발급
+  async setupTwoFactor(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: '이미 2단계 인증을 사용 중입니다.'
+        });
+      }
+
+      const enrollment = await TwoFactorService.startEnrollment(user);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({
+        success: false,
+        message: '2단계 인증 등록 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 인증 앱의 코드로 등록 확인 후 활성화 (복구 코드는 이 응답에서만 확인 가능)
+  async enableTwoFactor(req, res) {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: '인증 코드를 입력해주세요.'
+        });
+      }
+
+      const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user.id, code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          success: false,
+          message: '인증 코드가 올바르지 않습니다.',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: '2단계 인증이 활성화되었습니다.',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: '2단계 인증 활성화 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 비밀번호와 인증 코드를 모두 확인한 뒤 해제
+  async disableTwoFactor(req, res) {
+    try {
+      const { password, code } = req.body;
+      if (!password || !code) {
+        return res.status(400).json({
+          success: false,
+          message: '비밀번호와 인증 코드를 입력해주세요.'
+        });
+      }
+
+      const user = await User.findById(req.user.id).select('+password');
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: '2단계 인증을 사용하고 있지 않습니다.'
+        });
+      }
+
+      const isMatch = await user.matchPassword(password);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: '비밀번호가 올바르지 않습니다.',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+
+      const isValid = await TwoFactorService.verify(user._id, code);
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          message: '인증 코드가 올바르지 않습니다.',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      await TwoFactorService.disable(user._id);
+
+      res.json({
+        success: true,
+        message: '2단계 인증이 해제되었습니다.'
+      });
+
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        message: '2단계 인증 해제 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 복구 코드 재발급 (기존 복구 코드는 모두 무효화)
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+      const isValid = await TwoFactorService.verify(req.user.id, code);
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          message: '인증 코드가 올바르지 않습니다.',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+
+      const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+
+      res.json({
+        success: true,
+        message: '새 복구 코드가 발급되었습니다.',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: '복구 코드 재발급 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 로그인된 기기(세션) 목록 조회
+  async getSessions(req, res) {
+    try {
+      const currentSessionId = req.header('x-session-id');
+      const [user, sessions] = await Promise.all([
+        User.findById(req.user.id).select('allowMultipleSessions').lean(),
+        SessionService.getUserSessions(req.user.id)
+      ]);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          multiSession: Boolean(user.allowMultipleSessions),
+          sessions: sessions.map(session => ({
+            id: SessionService.getPublicSessionId(session.sessionId),
+            deviceInfo: session.metadata?.deviceInfo || session.metadata?.userAgent || '',
+            ipAddress: session.metadata?.ipAddress || '',
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            current: session.sessionId === currentSessionId
+          }))
+        }
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 다른 기기의 세션 종료 (연결된 소켓도 즉시 종료)
+  async revokeSession(req, res) {
+    try {
+      const currentSessionId = req.header('x-session-id');
+      const sessions = await SessionService.getUserSessions(req.user.id);
+      const target = sessions.find(session =>
+        SessionService.getPublicSessionId(session.sessionId) === req.params.id
+      );
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: '세션을 찾을 수 없습니다.'
+        });
+      }
+
+      if (target.sessionId === currentSessionId) {
+        return res.status(400).json({
+          success: false,
+          message: '현재 기기의 세션은 로그아웃으로 종료해주세요.'
+        });
+      }
+
+      await SessionService.removeSession(req.user.id, target.sessionId);
+      SocketSessionService.terminateSessions(req.app.get('io'), [target.sessionId], {
+        reason: 'session_revoked',
+        message: SESSION_REVOKED_MESSAGE
+      });
+
+      res.json({
+        success: true,
+        message: '선택한 기기에서 로그아웃되었습니다.'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 종료 중 오류가 발생했습니다.'
+      });
+    }
+  },
+
+  // 다중 세션 모드 변경 (끄면 현재 기기를 제외한 세션 모두 종료)
+  async updateSessionMode(req, res) {
+    try {
+      const { multiSession } = req.body;
+      if (typeof multiSession !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: '다중 세션 설정 값이 올바르지 않습니다.'
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: { allowMultipleSessions: multiSession } },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: '사용자를 찾을 수 없습니다.'
+        });
+      }
+
+      if (!multiSession) {
+        const removedSessionIds = await SessionService.removeAllUserSessions(req.user.id, {
+          exceptSessionId: req.header('x-session-id')
+        });
+        SocketSessionService.terminateSessions(req.app.get('io'), removedSessionIds, {
+          reason: 'session_revoked',
+          message: SESSION_REVOKED_MESSAGE
+        });
+      }
+
+      res.json({
+        success: true,
+        message: multiSession
+          ? '여러 기기에서 동시에 로그인할 수 있습니다.'
+          : '다른 기기의 세션을 모두 종료했습니다.',
+        data: { multiSession }
+      });
+
+    } catch (error) {
+      console.error('Update session mode error:', error);
+      res.status(500).json({
+        success: false,
+        message: '세션 설정 변경 중 오류가 발생했습니다.'
+      });
+    }
   }
 };
 
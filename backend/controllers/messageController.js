@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const ChatService = require('../services/chatService');
+
+const MAX_PAGE_SIZE = 100;
+const MESSAGE_TYPES = ['text', 'system', 'ai', 'file'];
+
+// ChatService 에러 코드별 HTTP 상태
+const ERROR_STATUS = {
+  INVALID_CONTENT: 400,
+  INVALID_MESSAGE_TYPE: 400,
+  FORBIDDEN: 403,
+  EDIT_WINDOW_EXPIRED: 403,
+  MESSAGE_NOT_FOUND: 404,
+  EDIT_CONFLICT: 409
+};
+
+// 커서 파싱 ("{timestamp}_{messageId}" 또는 타임스탬프)
+const parseCursor = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const [timestampPart, idPart] = String(value).split('_');
+  const timestamp = Number(timestampPart);
+  if (!Number.isFinite(timestamp)) return undefined;
+
+  if (!idPart) return timestamp;
+  if (!mongoose.Types.ObjectId.isValid(idPart)) return undefined;
+
+  return { timestamp, _id: idPart };
+};
+
+const toCursor = (message) => {
+  if (!message?.timestamp) return null;
+  const timestamp = new Date(message.timestamp).getTime();
+  return message._id ? `${timestamp}_${message._id}` : String(timestamp);
+};
+
+const byTimestampAsc = (a, b) => {
+  const diff = new Date(a.timestamp) - new Date(b.timestamp);
+  if (diff !== 0) return diff;
+  return String(a._id || '').localeCompare(String(b._id || ''));
+};
+
+// 채팅방 메시지 목록 조회
+exports.loadMessages = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { before, after, around } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없습니다.'
+      });
+    }
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'before, after, around 중 하나만 지정할 수 있습니다.'
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(1, parseInt(req.query.limit, 10) || ChatService.MESSAGES_PER_PAGE),
+      MAX_PAGE_SIZE
+    );
+
+    const types = req.query.type
+      ? [...new Set(String(req.query.type).split(',').map(type => type.trim()).filter(Boolean))]
+      : [];
+    const invalidTypes = types.filter(type => !MESSAGE_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `지원하지 않는 메시지 타입입니다: ${invalidTypes.join(', ')}`
+      });
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    let messages;
+    let hasOlder = false;
+    let hasNewer = false;
+    let anchorId = null;
+
+    if (around) {
+      const result = await ChatService.loadMessagesAround(roomId, around, limit, { types });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: '기준 메시지를 찾을 수 없습니다.'
+        });
+      }
+
+      ({ messages, hasOlder, hasNewer, anchorId } = result);
+    } else if (after) {
+      const cursor = parseCursor(after);
+      if (cursor === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: '유효하지 않은 커서입니다.'
+        });
+      }
+
+      const result = await ChatService.loadMessagesAfter(roomId, cursor, limit, { types });
+      messages = result.messages;
+      hasNewer = result.hasMore;
+      hasOlder = true;
+    } else {
+      const cursor = parseCursor(before);
+      if (cursor === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: '유효하지 않은 커서입니다.'
+        });
+      }
+
+      // 한 건 더 조회하여 이전 메시지 존재 여부 판단
+      const result = await ChatService.loadMessages(roomId, cursor, limit + 1, { types });
+      hasOlder = result.messages.length > limit;
+      messages = result.messages.slice(0, limit).sort(byTimestampAsc);
+      hasNewer = Boolean(cursor);
+    }
+
+    res.json({
+      success: true,
+      data: messages,
+      metadata: {
+        count: messages.length,
+        limit,
+        types,
+        anchorId,
+        hasOlder,
+        hasNewer,
+        olderCursor: hasOlder ? toCursor(messages[0]) : null,
+        newerCursor: hasNewer ? toCursor(messages[messages.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    console.error('Load messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지를 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 메시지 삭제 (작성자 또는 채팅방 생성자)
+exports.deleteMessage = async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+
+    const room = mongoose.Types.ObjectId.isValid(roomId) && await Room.findOne({
+      _id: roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const result = await ChatService.deleteMessage(messageId, req.user.id, roomId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(roomId).emit('messageDeleted', {
+        messageId: result.messageId,
+        deletedBy: req.user.id,
+        parentMessageId: result.parentMessageId,
+        thread: result.thread
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '메시지가 삭제되었습니다.'
+    });
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Delete message error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 삭제 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 메시지 수정
+exports.editMessage = async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const { content } = req.body;
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: '메시지 내용을 입력해주세요.'
+      });
+    }
+
+    const room = mongoose.Types.ObjectId.isValid(roomId) && await Room.findOne({
+      _id: roomId,
+      participants: req.user.id
+    }).select('_id').lean();
+
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const message = await ChatService.editMessage(messageId, req.user.id, content, roomId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(roomId).emit('messageEdited', {
+        messageId: message._id,
+        content: message.content,
+        editedAt: message.editedAt,
+        revisions: message.revisions
+      });
+    }
+
+    res.json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    if (ERROR_STATUS[error.code]) {
+      return res.status(ERROR_STATUS[error.code]).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 수정 중 오류가 발생했습니다.'
+    });
+  }
+};
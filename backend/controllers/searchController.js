@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_PAGE_SIZE = 50;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+const SEARCHABLE_TYPES = ['text', 'ai', 'file'];
+const SORT_OPTIONS = ['relevance', 'recent'];
+
+// 검색어에서 하이라이트할 단어 추출 (제외어 "-단어"는 제외)
+const extractTerms = (query) => [
+  ...new Set(
+    (query.match(/"[^"]+"|\S+/g) || [])
+      .filter(term => !term.startsWith('-'))
+      .map(term => term.replace(/"/g, '').trim().toLowerCase())
+      .filter(Boolean)
+  )
+];
+
+// 날짜 파라미터 파싱 (ISO 문자열 또는 타임스탬프)
+const parseDate = (value) => {
+  if (value === undefined || value === '') return null;
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// 첫 일치 위치를 중심으로 본문 일부를 잘라 하이라이트 범위와 함께 반환
+const buildSnippet = (content = '', terms = []) => {
+  const lowerContent = content.toLowerCase();
+  const firstMatch = terms
+    .map(term => lowerContent.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const start = firstMatch > SNIPPET_CONTEXT ? firstMatch - SNIPPET_CONTEXT : 0;
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const text = `${prefix}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+  const lowerText = text.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  });
+
+  // 겹치는 범위 병합
+  const highlights = ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [rangeStart, rangeEnd]) => {
+      const last = merged[merged.length - 1];
+      if (last && rangeStart <= last.end) {
+        last.end = Math.max(last.end, rangeEnd);
+      } else {
+        merged.push({ start: rangeStart, end: rangeEnd });
+      }
+      return merged;
+    }, []);
+
+  return { text, highlights };
+};
+
+// 참여 중인 채팅방의 메시지 검색
+exports.searchMessages = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: '검색어를 입력해주세요.'
+      });
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `검색어는 ${MAX_QUERY_LENGTH}자를 초과할 수 없습니다.`
+      });
+    }
+
+    const { room, sender } = req.query;
+    if ((room && !mongoose.Types.ObjectId.isValid(room)) ||
+        (sender && !mongoose.Types.ObjectId.isValid(sender))) {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 검색 조건입니다.'
+      });
+    }
+
+    const types = req.query.type
+      ? [...new Set(String(req.query.type).split(',').map(type => type.trim()).filter(Boolean))]
+      : SEARCHABLE_TYPES;
+    const invalidTypes = types.filter(type => !SEARCHABLE_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `지원하지 않는 메시지 타입입니다: ${invalidTypes.join(', ')}`
+      });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined || (from && to && from > to)) {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 기간입니다.'
+      });
+    }
+
+    const hasFile = req.query.hasFile === 'true'
+      ? true
+      : req.query.hasFile === 'false' ? false : undefined;
+
+    const sort = SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : 'relevance';
+    const page = Math.max(0, parseInt(req.query.page, 10) || 0);
+    const pageSize = Math.min(
+      Math.max(1, parseInt(req.query.pageSize, 10) || 20),
+      MAX_PAGE_SIZE
+    );
+
+    // 참여 중인 채팅방으로 검색 범위 제한
+    const rooms = await Room.find({
+      participants: req.user.id,
+      ...(room && { _id: room })
+    }).select('_id name').lean();
+
+    if (room && rooms.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    const roomNames = new Map(rooms.map(r => [r._id.toString(), r.name]));
+
+    const { total, messages } = rooms.length > 0
+      ? await Message.searchMessages({
+          roomIds: [...roomNames.keys()],
+          query,
+          senderId: sender,
+          types,
+          from,
+          to,
+          hasFile,
+          sort,
+          skip: page * pageSize,
+          limit: pageSize
+        })
+      : { total: 0, messages: [] };
+
+    const terms = extractTerms(query);
+    const results = messages.map(message => ({
+      _id: message._id,
+      room: {
+        _id: message.room,
+        name: roomNames.get(String(message.room)) || '알 수 없는 채팅방'
+      },
+      type: message.type,
+      aiType: message.aiType,
+      aiName: message.aiName,
+      sender: message.sender,
+      file: message.file,
+      parentMessage: message.parentMessage,
+      timestamp: message.timestamp,
+      score: message.score,
+      snippet: buildSnippet(message.content, terms)
+    }));
+
+    res.json({
+      success: true,
+      data: results,
+      metadata: {
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: (page + 1) * pageSize < total,
+        currentCount: results.length,
+        sort
+      }
+    });
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+};
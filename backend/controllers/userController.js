@@ -1,9 +1,17 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { upload, s3Client } = require('../middleware/upload');
+const { upload, initializeS3Client } = require('../middleware/upload');
+const { s3Bucket } = require('../config/keys');
 const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const path = require('path');
 const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const PresenceService = require('../services/presenceService');
+const SessionService = require('../services/sessionService');
+const SocketSessionService = require('../services/socketSessionService');
+const EmailVerificationService = require('../services/emailVerificationService');
+
+const PRESENCE_QUERY_LIMIT = 100;
 
 // 회원가입
 exports.register = async (req, res) => {
@@ -77,6 +85,9 @@ exports.register = async (req, res) => {
     newUser.password = await bcrypt.hash(password, salt);
     await newUser.save();
 
+    EmailVerificationService.sendVerificationMail(newUser)
+      .catch(error => console.error('Verification mail error:', error));
+
     res.status(201).json({
       success: true,
       message: '회원가입이 완료되었습니다.',
@@ -84,7 +95,8 @@ exports.register = async (req, res) => {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
-        profileImage: newUser.profileImage
+        profileImage: newUser.profileImage,
+        emailVerified: newUser.emailVerified
       }
     });
 
@@ -114,7 +126,9 @@ exports.getProfile = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        profileImage: user.profileImage
+        profileImage: user.profileImage,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
       }
     });
 
@@ -127,44 +141,43 @@ exports.getProfile = async (req, res) => {
   }
 };
 
-// 프로필 업데이트
-exports.updateProfile = async (req, res) => {
+// 사용자 접속 상태 조회 (ids: 쉼표로 구분된 사용자 ID 목록)
+exports.getPresence = async (req, res) => {
   try {
-    const { name, currentPassword, newPassword } = req.body;
-    
-    // 비밀번호 변경 요청인 경우
-    if (currentPassword && newPassword) {
-      const user = await User.findById(req.user.id).select('+password');
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: '사용자를 찾을 수 없습니다.'
-        });
-      }
+    const userIds = String(req.query.ids || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
 
-      try {
-        // User 모델의 changePassword 메서드 사용
-        await user.changePassword(currentPassword, newPassword);
-        
-        if (name) {
-          user.name = name;
-          await user.save();
-        }
-
-        return res.json({
-          success: true,
-          message: '비밀번호가 변경되었습니다.'
-        });
-      } catch (error) {
-        return res.status(401).json({
-          success: false,
-          message: error.message
-        });
-      }
+    if (userIds.length > PRESENCE_QUERY_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `한 번에 최대 ${PRESENCE_QUERY_LIMIT}명까지 조회할 수 있습니다.`
+      });
     }
 
-    // 이름 변경 요청인 경우 (기존 코드 유지)
+    const presence = await PresenceService.getPresence(userIds);
+
+    res.json({
+      success: true,
+      data: presence
+    });
+
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(500).json({
+      success: false,
+      message: '접속 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 프로필 업데이트
+exports.updateProfile = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    // 비밀번호 변경은 PUT /api/users/password 사용
     if (!name || name.trim().length === 0) {
       return res.status(400).json({
         success: false,
@@ -202,6 +215,74 @@ exports.updateProfile = async (req, res) => {
   }
 };
 
+// 비밀번호 변경 (현재 기기를 제외한 모든 기기에서 로그아웃)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: '현재 비밀번호와 새 비밀번호를 입력해주세요.'
+      });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: '비밀번호는 6자 이상이어야 합니다.'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: '사용자를 찾을 수 없습니다.'
+      });
+    }
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_PASSWORD',
+        message: '현재 비밀번호가 일치하지 않습니다.'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: '새 비밀번호가 현재 비밀번호와 같습니다.'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const removedSessionIds = await SessionService.removeAllUserSessions(req.user.id, {
+      exceptSessionId: req.header('x-session-id')
+    });
+    SocketSessionService.terminateSessions(req.app.get('io'), removedSessionIds, {
+      reason: 'password_changed',
+      message: '비밀번호가 변경되어 로그아웃되었습니다.'
+    });
+
+    res.json({
+      success: true,
+      message: '비밀번호가 변경되었습니다. 다른 기기에서는 로그아웃되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: '비밀번호 변경 중 오류가 발생했습니다.'
+    });
+  }
+};
+
 // 프로필 이미지 업로드
 exports.uploadProfileImage = async (req, res) => {
   try {
@@ -224,8 +305,8 @@ exports.uploadProfileImage = async (req, res) => {
     if (user.profileImage) {
       const oldImageKey = user.profileImage.split('/').slice(-1)[0];
       try {
-        await s3Client.send(new DeleteObjectCommand({
-          Bucket: 'bw-files',
+        await initializeS3Client().send(new DeleteObjectCommand({
+          Bucket: s3Bucket,
           Key: oldImageKey
         }));
       } catch (error) {
@@ -38,6 +38,7 @@ const auth = async (req, res, next) => {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({
           success: false,
+          code: 'TOKEN_EXPIRED',
           message: '토큰이 만료되었습니다.'
         });
       }
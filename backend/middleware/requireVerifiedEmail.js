@@ -0,0 +1,26 @@
+// backend/middleware/requireVerifiedEmail.js
+
+const EmailVerificationService = require('../services/emailVerificationService');
+
+// auth 미들웨어 뒤에 사용: 미인증 사용자 정책이 read_only이면 쓰기 요청 차단
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (await EmailVerificationService.canWrite(req.user)) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: EmailVerificationService.RESTRICTED_MESSAGE
+    });
+  } catch (err) {
+    console.error('Email verification check error:', err);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+};
+
+module.exports = requireVerifiedEmail;
@@ -4,6 +4,7 @@ const fs = require('fs');
 const crypto = require('crypto');
 const { S3Client } = require('@aws-sdk/client-s3');
 const multerS3 = require('multer-s3');
+const { s3Bucket } = require('../config/keys');
 
 // S3 클라이언트 설정 캐싱
 let s3ClientInstance = null;
@@ -42,7 +43,8 @@ const ALLOWED_TYPES = {
   'audio/ogg': ['.ogg'],
   'application/pdf': ['.pdf'],
   'application/msword': ['.doc'],
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/plain': ['.txt']
 };
 
 // 파일 타입별 크기 제한 설정
@@ -95,7 +97,7 @@ const sanitizeFilename = (filename) => {
 // 스토리지 설정
 const storage = multerS3({
   s3: initializeS3Client(),
-  bucket: process.env.AWS_BUCKET_NAME || 'bw-files',
+  bucket: s3Bucket,
   contentType: multerS3.AUTO_CONTENT_TYPE,
   key: (req, file, cb) => {
     // 성능 최적화: Buffer 크기 축소 및 암호화 알고리즘 최적화
@@ -195,6 +197,7 @@ const errorHandler = (error, req, res, next) => {
 
 module.exports = {
   upload,
+  initializeS3Client,
   errorHandler,
   ALLOWED_TYPES,
   getFileType,
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// 멘션 핸들: 영문자로 시작하는 영문/숫자/밑줄 3~30자 (@핸들로 호출)
+const HANDLE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{2,29}$/;
+
+// 사용자 또는 채팅방 단위로 정의하는 AI 페르소나
+const AIProfileSchema = new mongoose.Schema({
+  // user: 만든 사용자만 호출 가능, room: 해당 채팅방 참여자 모두 호출 가능
+  scope: {
+    type: String,
+    enum: ['user', 'room'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: function() {
+      return this.scope === 'room';
+    }
+  },
+  name: {
+    type: String,
+    required: [true, '페르소나 이름은 필수입니다.'],
+    trim: true,
+    maxlength: [50, '페르소나 이름은 50자를 초과할 수 없습니다.']
+  },
+  handle: {
+    type: String,
+    required: [true, '멘션 핸들은 필수입니다.'],
+    trim: true,
+    match: [HANDLE_PATTERN, '멘션 핸들은 영문자로 시작하는 영문, 숫자, 밑줄 3~30자여야 합니다.']
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, '시스템 프롬프트는 필수입니다.'],
+    trim: true,
+    maxlength: [4000, '시스템 프롬프트는 4000자를 초과할 수 없습니다.']
+  },
+  // 비워두면 페르소나에 연결된 제공자의 기본 모델 사용
+  model: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  temperature: {
+    type: Number,
+    min: [0, 'temperature는 0 이상이어야 합니다.'],
+    max: [2, 'temperature는 2 이하여야 합니다.'],
+    default: 0.7
+  },
+  avatar: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    match: [/^(https?:\/\/|\/)/, '아바타는 이미지 URL이어야 합니다.']
+  }
+}, {
+  timestamps: true
+});
+
+// 같은 범위 안에서 핸들 중복 방지
+AIProfileSchema.index(
+  { user: 1, handle: 1 },
+  { unique: true, partialFilterExpression: { scope: 'user' } }
+);
+AIProfileSchema.index(
+  { room: 1, handle: 1 },
+  { unique: true, partialFilterExpression: { scope: 'room' } }
+);
+
+AIProfileSchema.statics.HANDLE_PATTERN = HANDLE_PATTERN;
+
+module.exports = mongoose.model('AIProfile', AIProfileSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// 채팅방에 공유된 문서의 검색용 청크와 임베딩 (utils/vectorDB에서 채팅방 단위로 검색)
+const DocumentChunkSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  // 문서를 공유한 파일 메시지 (AI 답변의 출처 링크)
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // 제공자:모델 (모델이 바뀌면 이전 임베딩과 비교하지 않음)
+  embeddingModel: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+DocumentChunkSchema.index({ room: 1, embeddingModel: 1 });
+DocumentChunkSchema.index({ message: 1, index: 1 });
+DocumentChunkSchema.index({ file: 1 });
+
+module.exports = mongoose.model('DocumentChunk', DocumentChunkSchema);
@@ -29,13 +29,49 @@ const MessageSchema = new mongoose.Schema({
       return this.type === 'file';
     }
   },
+  // AI 페르소나 멘션 핸들 (기본 제공 또는 사용자/채팅방 정의 페르소나)
   aiType: {
     type: String,
-    enum: ['wayneAI', 'consultingAI'],
+    match: /^[A-Za-z][A-Za-z0-9_]*$/,
     required: function() { 
       return this.type === 'ai'; 
     }
   },
+  // 응답 당시 페르소나의 표시 이름과 아바타 (페르소나가 수정/삭제되어도 유지)
+  aiName: String,
+  aiAvatar: String,
+  // AI 답변이 인용한 문서 구절 ([n] 번호, 원본 파일 메시지)
+  sources: [{
+    _id: false,
+    index: Number,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    },
+    filename: String,
+    excerpt: String
+  }],
+  // 사용자가 생성을 중단한 AI 답변 (중단 시점까지의 부분 응답)
+  cancelled: Boolean,
+  // 다시 생성한 AI 답변 목록 (첫 답변 포함, 마지막이 현재 content)
+  variants: [{
+    _id: false,
+    content: String,
+    cancelled: Boolean,
+    sources: [{
+      _id: false,
+      index: Number,
+      message: mongoose.Schema.Types.ObjectId,
+      file: mongoose.Schema.Types.ObjectId,
+      filename: String,
+      excerpt: String
+    }],
+    createdAt: Date
+  }],
   mentions: [{ 
     type: String,
     trim: true
@@ -69,6 +105,64 @@ const MessageSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReplyAt: Date,
+    lastReplyBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // 인용 답장 시점의 원본 메시지 스냅샷 (원본이 수정/삭제되어도 유지)
+  quote: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    type: {
+      type: String,
+      enum: ['text', 'ai', 'file']
+    },
+    sender: {
+      _id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String
+    },
+    aiType: String,
+    aiName: String,
+    excerpt: String,
+    file: {
+      _id: mongoose.Schema.Types.ObjectId,
+      filename: String,
+      originalname: String,
+      mimetype: String
+    },
+    timestamp: Date
+  },
+  editedAt: {
+    type: Date
+  },
+  revisions: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      required: true
+    }
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -101,6 +195,12 @@ MessageSchema.index({ sender: 1, room: 1, timestamp: -1 }, {
   background: true
 });
 
+MessageSchema.index({ parentMessage: 1, timestamp: -1 }, { 
+  name: 'thread_messages',
+  background: true,
+  sparse: true
+});
+
 MessageSchema.index({ room: 1, 'readers.userId': 1, timestamp: -1 }, { 
   name: 'room_readers',
   background: true,
@@ -113,6 +213,13 @@ MessageSchema.index({ 'mentions': 1, room: 1, timestamp: -1 }, {
   sparse: true
 });
 
+// 메시지 검색용 텍스트 인덱스 (형태소 분석 없이 공백 단위 토큰으로 검색)
+MessageSchema.index({ content: 'text' }, {
+  name: 'message_content_text',
+  default_language: 'none',
+  background: true
+});
+
 // 쿼리 플랜 분석 메서드
 MessageSchema.statics.analyzeQueryPlan = async function(roomId, options = {}) {
   const queries = {
@@ -194,22 +301,121 @@ MessageSchema.statics.analyzePlans = function(plans) {
   return analysis;
 };
 
-// 최적화된 쿼리 메서드
-MessageSchema.statics.findRoomMessages = function(roomId, before, limit = 30) {
+// 커서 조건 생성 (타임스탬프 단독 또는 { timestamp, _id } 복합 커서)
+const buildCursorCondition = (cursor, operator) => {
+  if (!cursor) return null;
+
+  if (typeof cursor === 'object') {
+    const timestamp = new Date(Number(cursor.timestamp));
+    if (!cursor._id || !mongoose.Types.ObjectId.isValid(cursor._id)) {
+      return { timestamp: { [operator]: timestamp } };
+    }
+
+    // 동일 타임스탬프 메시지는 _id로 순서를 결정
+    return {
+      $or: [
+        { timestamp: { [operator]: timestamp } },
+        { timestamp, _id: { [operator]: new mongoose.Types.ObjectId(cursor._id) } }
+      ]
+    };
+  }
+
+  return { timestamp: { [operator]: new Date(Number(cursor)) } };
+};
+
+const MESSAGE_LIST_FIELDS = 'content type sender timestamp file aiType aiName aiAvatar sources cancelled variants metadata.requestedBy reactions readers editedAt revisions thread quote';
+
+// 최적화된 쿼리 메서드 (스레드 답글 제외)
+// before: 이전 메시지 방향(최신순 정렬), options.after: 이후 메시지 방향(오래된순 정렬)
+MessageSchema.statics.findRoomMessages = function(roomId, before, limit = 30, options = {}) {
+  const { after, types } = options;
+  const cursorCondition = after
+    ? buildCursorCondition(after, '$gt')
+    : buildCursorCondition(before, '$lt');
+
   const query = {
     room: roomId,
     isDeleted: false,
-    ...(before && { timestamp: { $lt: new Date(Number(before)) } })
+    parentMessage: null,
+    ...(Array.isArray(types) && types.length > 0 && { type: { $in: types } }),
+    ...cursorCondition
   };
 
+  const sortOrder = after ? 1 : -1;
+
   return this.find(query)
-    .select('content type sender timestamp file aiType reactions readers')
-    .sort({ timestamp: -1 })
+    .select(MESSAGE_LIST_FIELDS)
+    .sort({ timestamp: sortOrder, _id: sortOrder })
     .limit(limit)
     .lean()
     .hint('optimal_room_messages');
 };
 
+// 스레드 답글 조회 (최신순 정렬)
+MessageSchema.statics.findThreadMessages = function(parentId, before, limit = 30) {
+  const query = {
+    parentMessage: parentId,
+    isDeleted: false,
+    ...buildCursorCondition(before, '$lt')
+  };
+
+  return this.find(query)
+    .select(`${MESSAGE_LIST_FIELDS} parentMessage`)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit)
+    .lean()
+    .hint('thread_messages');
+};
+
+// 메시지 전문 검색
+// sort: 'relevance'(텍스트 점수순) 또는 'recent'(최신순)
+MessageSchema.statics.searchMessages = async function({
+  roomIds,
+  query,
+  senderId,
+  types,
+  from,
+  to,
+  hasFile,
+  sort = 'relevance',
+  skip = 0,
+  limit = 20
+}) {
+  const filter = {
+    $text: { $search: query },
+    room: { $in: roomIds },
+    isDeleted: false,
+    ...(senderId && { sender: senderId }),
+    ...(Array.isArray(types) && types.length > 0 && { type: { $in: types } }),
+    ...(typeof hasFile === 'boolean' && { file: hasFile ? { $ne: null } : null })
+  };
+
+  if (from || to) {
+    filter.timestamp = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  const sortOption = sort === 'recent'
+    ? { timestamp: -1, _id: -1 }
+    : { score: { $meta: 'textScore' }, timestamp: -1 };
+
+  const [total, messages] = await Promise.all([
+    this.countDocuments(filter),
+    this.find(filter, { score: { $meta: 'textScore' } })
+      .select('room content type sender timestamp file aiType aiName parentMessage')
+      .populate('sender', 'name email profileImage')
+      .populate('file', 'filename originalname mimetype size')
+      .sort(sortOption)
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  ]);
+
+  return { total, messages };
+};
+
 // 읽음 처리 최적화
 MessageSchema.statics.markAsRead = async function(messageIds, userId) {
   if (!messageIds?.length || !userId) return;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// 사용자별 채팅방 마지막 읽음 위치
+const ReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReadStateSchema.index({ user: 1, room: 1 }, { unique: true });
+ReadStateSchema.index({ room: 1 });
+
+module.exports = mongoose.model('ReadState', ReadStateSchema);
@@ -1,12 +1,51 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// 채팅방 역할 (생성자는 owner, 별도 지정이 없는 참여자는 member)
+const ROLE_LEVELS = {
+  owner: 3,
+  admin: 2,
+  moderator: 1,
+  member: 0
+};
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+const toIdString = (value) => (value?._id || value)?.toString();
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // group: 공개 그룹 채팅방, direct: 두 사용자 간 1:1 대화
+  kind: {
+    type: String,
+    enum: ['group', 'direct'],
+    default: 'group'
+  },
+  // public: 목록에 공개, unlisted: 링크로만 입장, private: 초대받은 사용자만 입장
+  visibility: {
+    type: String,
+    enum: ['public', 'unlisted', 'private'],
+    default: 'public'
+  },
+  // 1:1 대화 중복 생성 방지용 키 (정렬된 두 사용자 ID)
+  directKey: {
+    type: String
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  topic: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -27,7 +66,60 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  roles: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'moderator'],
+      required: true
+    }
+  }],
+  // 초대를 수락해 비공개 채팅방 입장 권한을 얻은 사용자
+  invitedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  bannedUsers: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      bannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
+      },
+      bannedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
+});
+
+// 1:1 대화는 항상 두 명의 참여자로 구성
+RoomSchema.pre('validate', function(next) {
+  if (this.kind === 'direct' && this.participants.length !== 2) {
+    return next(new Error('1:1 대화는 두 명의 참여자만 가질 수 있습니다.'));
+  }
+  next();
 });
 
 // 비밀번호 해싱 미들웨어
@@ -50,9 +142,79 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+// 사용자의 채팅방 역할 조회 (참여자가 아니면 null)
+RoomSchema.methods.getRole = function(userId) {
+  const id = toIdString(userId);
+  if (!id) return null;
+  if (toIdString(this.creator) === id) return 'owner';
+
+  const isParticipant = this.participants.some(p => toIdString(p) === id);
+  if (!isParticipant) return null;
+
+  const entry = this.roles?.find(r => toIdString(r.user) === id);
+  return entry ? entry.role : 'member';
+};
+
+// 관리 권한은 대상보다 높은 역할일 때만 허용
+RoomSchema.statics.canManage = function(actorRole, targetRole = 'member') {
+  if (!actorRole || ROLE_LEVELS[actorRole] < ROLE_LEVELS.moderator) return false;
+  return ROLE_LEVELS[actorRole] > ROLE_LEVELS[targetRole || 'member'];
+};
+
+RoomSchema.statics.isUserBanned = async function(roomId, userId) {
+  return !!(await this.exists({ _id: roomId, 'bannedUsers.user': userId }));
+};
+
+// 비공개 채팅방은 방장, 현재 참여자, 초대받은 사용자만 입장 가능
+RoomSchema.statics.hasAccess = async function(roomId, userId) {
+  return !!(await this.exists({
+    _id: roomId,
+    $or: [
+      { visibility: { $ne: 'private' } },
+      { creator: userId },
+      { participants: userId },
+      { invitedUsers: userId }
+    ]
+  }));
+};
+
+RoomSchema.statics.getDirectKey = function(userId, otherUserId) {
+  return [toIdString(userId), toIdString(otherUserId)].sort().join(':');
+};
+
+// 두 사용자 간 1:1 대화 조회 (없으면 생성)
+RoomSchema.statics.findOrCreateDirect = async function(user, otherUser) {
+  const directKey = this.getDirectKey(user._id, otherUser._id);
+
+  const existing = await this.findOne({ directKey });
+  if (existing) return { room: existing, created: false };
+
+  try {
+    const room = await this.create({
+      name: `${user.name}, ${otherUser.name}`,
+      kind: 'direct',
+      directKey,
+      creator: user._id,
+      participants: [user._id, otherUser._id]
+    });
+    return { room, created: true };
+  } catch (error) {
+    // 동시에 생성된 경우 기존 대화 반환
+    if (error.code === 11000) {
+      return { room: await this.findOne({ directKey }), created: false };
+    }
+    throw error;
+  }
+};
+
+RoomSchema.statics.ROLE_LEVELS = ROLE_LEVELS;
+RoomSchema.statics.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
+
 RoomSchema.index({ name: 1, createdAt: -1 });  // 방 검색 최적화
 RoomSchema.index({ creator: 1 });              // 생성자 기준 검색 최적화
 RoomSchema.index({ participants: 1 });         // 참여자 검색 최적화
+RoomSchema.index({ directKey: 1 }, { unique: true, sparse: true }); // 1:1 대화 중복 방지
+RoomSchema.index({ kind: 1, visibility: 1, createdAt: -1 }); // 공개 채팅방 목록 조회 최적화
 RoomSchema.index({ 'messages.sender': 1 });    // 메시지 발신자 검색 최적화
 RoomSchema.index({ updatedAt: -1 });          // 최근 업데이트 순 정렬 최적화
 
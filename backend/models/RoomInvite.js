@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const RoomInviteSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 초대 링크의 토큰은 발급 시에만 전달하고 해시만 저장
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null이면 사용 횟수 제한 없음
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RoomInviteSchema.methods.isUsable = function() {
+  if (this.expiresAt <= new Date()) return false;
+  return this.maxUses === null || this.uses < this.maxUses;
+};
+
+// 임의의 토큰으로 초대 생성 (토큰은 반환값으로만 전달)
+RoomInviteSchema.statics.issue = async function(fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await this.create({ ...fields, tokenHash: hashToken(token) });
+  return { invite, token };
+};
+
+// 토큰 해시로 초대 조회 (유효하지 않으면 null)
+RoomInviteSchema.statics.findByToken = function(token) {
+  if (typeof token !== 'string' || !token) return null;
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// 사용 횟수를 원자적으로 증가 (만료되었거나 모두 사용된 경우 null)
+RoomInviteSchema.statics.consume = function(inviteId) {
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      expiresAt: { $gt: new Date() },
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$uses', '$maxUses'] } }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+RoomInviteSchema.index({ room: 1, createdAt: -1 });
+RoomInviteSchema.index({ tokenHash: 1 }, { unique: true });
+RoomInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // 만료된 초대 자동 삭제
+
+module.exports = mongoose.model('RoomInvite', RoomInviteSchema);
@@ -43,6 +43,47 @@ const UserSchema = new mongoose.Schema({
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP 2단계 인증 (secret은 암호화, 복구 코드는 해시로 저장)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // 여러 기기 동시 로그인 허용 여부 (기본값: 새 로그인 시 기존 기기 로그아웃)
+  allowMultipleSessions: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -70,9 +111,13 @@ UserSchema.pre('save', async function(next) {
       this.password = await bcrypt.hash(this.password, salt);
     }
 
-    // 이메일 변경 시에만 암호화
+    // 이메일 변경 시에만 암호화 (기존 사용자의 이메일이 바뀌면 다시 인증 필요)
     if (this.isModified('email')) {
       this.encryptedEmail = encryptEmail(this.email);
+      if (!this.isNew) {
+        this.emailVerified = false;
+        this.emailVerifiedAt = null;
+      }
     }
 
     next();
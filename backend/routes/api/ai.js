@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const aiController = require('../../controllers/aiController');
+const auth = require('../../middleware/auth');
+const requireVerifiedEmail = require('../../middleware/requireVerifiedEmail');
+
+// 호출 가능한 AI 페르소나 목록 (?roomId=)
+router.get('/personas', auth, aiController.getPersonas);
+
+// AI 페르소나 생성/수정/삭제 (개인 또는 채팅방 범위)
+router.post('/personas', [auth, requireVerifiedEmail], aiController.createPersona);
+router.put('/personas/:personaId', [auth, requireVerifiedEmail], aiController.updatePersona);
+router.delete('/personas/:personaId', auth, aiController.deletePersona);
+
+module.exports = router;
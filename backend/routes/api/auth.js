@@ -3,6 +3,47 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
 const authController = require('../../controllers/authController');
+const { rateLimit } = require('express-rate-limit');
+
+// 비밀번호 재설정 메일 발송 속도 제한
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    message: '요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 인증 메일 재발송 속도 제한 (사용자별)
+const verificationMailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  message: {
+    success: false,
+    message: '인증 메일 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? `${req.ip}-${req.user.id}` : req.ip)
+});
+
+// 로그인 2단계 인증 코드 확인 속도 제한 (토큰별 시도 횟수 제한과 별도로 IP 기준)
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    message: '인증 시도가 너무 많습니다. 잠시 후 다시 시도해주세요.',
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 // 상태 확인 라우트
 router.get('/', (req, res) => {
@@ -11,9 +52,22 @@ router.get('/', (req, res) => {
     routes: {
       '/register': 'POST - 새 사용자 등록',
       '/login': 'POST - 사용자 로그인',
+      '/login/2fa': 'POST - 로그인 2단계 인증 코드 확인',
       '/logout': 'POST - 로그아웃 (인증 필요)',
       '/verify-token': 'GET - 토큰 검증',
-      '/refresh-token': 'POST - 토큰 갱신 (인증 필요)'
+      '/refresh-token': 'POST - 리프레시 토큰으로 토큰 갱신',
+      '/forgot-password': 'POST - 비밀번호 재설정 메일 발송',
+      '/reset-password': 'POST - 비밀번호 재설정',
+      '/verify-email': 'POST - 이메일 인증',
+      '/resend-verification': 'POST - 인증 메일 재발송 (인증 필요)',
+      '/2fa': 'GET - 2단계 인증 상태 (인증 필요)',
+      '/2fa/setup': 'POST - 2단계 인증 등록 시작 (인증 필요)',
+      '/2fa/enable': 'POST - 2단계 인증 활성화 (인증 필요)',
+      '/2fa/disable': 'POST - 2단계 인증 해제 (인증 필요)',
+      '/2fa/recovery-codes': 'POST - 복구 코드 재발급 (인증 필요)',
+      '/sessions': 'GET - 로그인된 기기 목록 (인증 필요)',
+      '/sessions/mode': 'PUT - 다중 세션 모드 변경 (인증 필요)',
+      '/sessions/:id': 'DELETE - 다른 기기 세션 종료 (인증 필요)'
     }
   });
 });
@@ -21,10 +75,23 @@ router.get('/', (req, res) => {
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/login/2fa', twoFactorLoginLimiter, authController.verifyTwoFactorLogin);
 router.post('/verify-token', authController.verifyToken); // GET /verify-token 라우트 추가
+router.post('/refresh-token', authController.refreshToken); // 만료된 JWT로도 갱신할 수 있도록 auth 미들웨어 없이 리프레시 토큰으로 인증
+router.post('/forgot-password', passwordResetLimiter, authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
 
 // Protected routes
 router.post('/logout', auth, authController.logout);
-router.post('/refresh-token', auth, authController.refreshToken);
+router.post('/resend-verification', [auth, verificationMailLimiter], authController.resendVerification);
+router.get('/2fa', auth, authController.getTwoFactorStatus);
+router.post('/2fa/setup', auth, authController.setupTwoFactor);
+router.post('/2fa/enable', auth, authController.enableTwoFactor);
+router.post('/2fa/disable', auth, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, authController.regenerateRecoveryCodes);
+router.get('/sessions', auth, authController.getSessions);
+router.put('/sessions/mode', auth, authController.updateSessionMode);
+router.delete('/sessions/:id', auth, authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
@@ -2,12 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
+const requireVerifiedEmail = require('../../middleware/requireVerifiedEmail');
 const fileController = require('../../controllers/fileController');
 const { upload, errorHandler } = require('../../middleware/upload');
 
 // 파일 업로드
 router.post('/upload',
   auth,
+  requireVerifiedEmail,
   upload.single('file'),
   errorHandler,
   fileController.uploadFile
@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const messageController = require('../controllers/messageController');
-const auth = require('../middleware/auth');
+const messageController = require('../../controllers/messageController');
+const auth = require('../../middleware/auth');
 
 // 채팅방의 메시지 목록 조회
+// query: before | after | around (커서 또는 메시지 ID), limit, type (쉼표 구분)
 router.get('/rooms/:roomId/messages', auth, messageController.loadMessages);
 
-module.exports = router;
\ No newline at end of file
+// 메시지 수정 (작성자만, 수정 가능 시간 내)
+router.put('/rooms/:roomId/messages/:messageId', auth, messageController.editMessage);
+
+// 메시지 삭제 (작성자 또는 채팅방 생성자)
+router.delete('/rooms/:roomId/messages/:messageId', auth, messageController.deleteMessage);
+
+module.exports = router;
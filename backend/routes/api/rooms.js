@@ -1,8 +1,15 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const auth = require("../../middleware/auth");
+const requireVerifiedEmail = require("../../middleware/requireVerifiedEmail");
 const Room = require("../../models/Room");
+const RoomInvite = require("../../models/RoomInvite");
+const AIProfile = require("../../models/AIProfile");
 const User = require("../../models/User");
+const ChatService = require("../../services/chatService");
+const ReadStateService = require("../../services/readStateService");
+const AIContextService = require("../../services/aiContextService");
 const redisManager = require("../../config/redis");
 const { rateLimit } = require("express-rate-limit");
 let io;
@@ -30,6 +37,163 @@ const initializeSocket = (socketIO) => {
   io = socketIO;
 };
 
+const ROOM_NAME_MAX_LENGTH = 50;
+const ROOM_VISIBILITIES = ["public", "unlisted", "private"];
+const INVITE_DEFAULT_TTL = 7 * 24 * 60 * 60; // 초 단위 (7일)
+const INVITE_MAX_TTL = 30 * 24 * 60 * 60;
+const INVITE_MAX_USES = 1000;
+const PRIVATE_ROOM_MESSAGE = "초대받은 사용자만 입장할 수 있는 채팅방입니다.";
+
+const invalidateRoomListCache = async () => {
+  const cacheKeys = await redisManager.getKeys("rooms:list:*");
+  for (const key of cacheKeys) {
+    await redisManager.delCache(key);
+  }
+};
+
+// 채팅방 목록 항목 형식으로 변환 (creator, participants는 populate된 상태)
+const formatRoomListItem = (room, userId) => {
+  if (!room) return null;
+
+  const creator = room.creator || {
+    _id: "unknown",
+    name: "알 수 없음",
+    email: "",
+  };
+  const participants = Array.isArray(room.participants)
+    ? room.participants
+    : [];
+
+  return {
+    _id: room._id?.toString() || "unknown",
+    name: room.name || "제목 없음",
+    description: room.description || "",
+    topic: room.topic || "",
+    visibility: room.visibility || "public",
+    hasPassword: !!room.hasPassword,
+    creator: {
+      _id: creator._id?.toString() || "unknown",
+      name: creator.name || "알 수 없음",
+      email: creator.email || "",
+    },
+    participants: participants
+      .filter((p) => p && p._id)
+      .map((p) => ({
+        _id: p._id.toString(),
+        name: p.name || "알 수 없음",
+        email: p.email || "",
+      })),
+    participantsCount: participants.length,
+    createdAt: room.createdAt || new Date(),
+    isCreator: creator._id?.toString() === userId,
+  };
+};
+
+// 채팅방 목록에 사용자별 안 읽은 메시지/멘션 수 추가 (캐시된 목록은 모든 사용자 공용)
+const withUnreadCounts = async (rooms, userId) => {
+  const counts = await ReadStateService.getUnreadCounts(
+    userId,
+    rooms.map((room) => room._id)
+  );
+
+  return rooms.map((room) => ({
+    ...room,
+    unreadCount: counts.get(room._id)?.unreadCount || 0,
+    mentionCount: counts.get(room._id)?.mentionCount || 0,
+  }));
+};
+
+// 시스템 메시지 저장 후 채팅방 참여자에게 전달 (클라이언트 중복 처리를 위해 ID 미리 할당)
+const sendSystemMessage = async (roomId, content) => {
+  const message = {
+    _id: new mongoose.Types.ObjectId(),
+    room: roomId,
+    type: "system",
+    content,
+    timestamp: Date.now(),
+  };
+  await ChatService.handleBulkMessages([message]);
+  if (io) io.to(roomId).emit("message", message);
+};
+
+// 관리 요청의 채팅방과 요청자/대상 역할 조회 (실패 시 응답 후 null 반환)
+const loadModerationContext = async (req, res) => {
+  const { roomId, userId } = req.params;
+
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({
+      success: false,
+      message: "유효하지 않은 사용자입니다.",
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(roomId)) {
+    res.status(400).json({
+      success: false,
+      message: "유효하지 않은 채팅방입니다.",
+    });
+    return null;
+  }
+
+  const room = await Room.findById(roomId);
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: "채팅방을 찾을 수 없습니다.",
+    });
+    return null;
+  }
+
+  if (room.kind === "direct") {
+    res.status(400).json({
+      success: false,
+      message: "1:1 대화에서는 멤버를 관리할 수 없습니다.",
+    });
+    return null;
+  }
+
+  const actorRole = room.getRole(req.user.id);
+  if (!Room.canManage(actorRole)) {
+    res.status(403).json({
+      success: false,
+      message: "채팅방 관리 권한이 없습니다.",
+    });
+    return null;
+  }
+
+  return {
+    room,
+    actorRole,
+    targetRole: userId ? room.getRole(userId) : null,
+  };
+};
+
+// 대상 사용자의 모든 소켓을 채팅방에서 내보내고 참여자들에게 알림
+const removeMemberSockets = async (roomId, userId, reason) => {
+  if (!io) return;
+
+  const updatedRoom = await Room.findById(roomId).populate(
+    "participants",
+    "name email profileImage"
+  );
+
+  io.in(`user:${userId}`).socketsLeave(roomId);
+  io.to(`user:${userId}`).emit("removedFromRoom", {
+    roomId,
+    reason,
+    message:
+      reason === "ban"
+        ? "채팅방에서 차단되었습니다."
+        : "채팅방에서 내보내졌습니다.",
+  });
+  io.to(roomId).emit("memberRemoved", { roomId, userId, reason });
+
+  if (updatedRoom) {
+    io.to(roomId).emit("participantsUpdate", updatedRoom.participants);
+  }
+};
+
 // 서버 상태 확인
 router.get("/health", async (req, res) => {
   try {
@@ -107,11 +271,17 @@ router.get("/", [limiter, auth], async (req, res) => {
         typeof cachedResult === "string"
           ? JSON.parse(cachedResult)
           : cachedResult;
-      return res.json(result);
+      return res.json({
+        ...result,
+        data: await withUnreadCounts(result.data, req.user.id),
+      });
     }
 
-    // 검색 필터 구성
-    const filter = {};
+    // 검색 필터 구성 (1:1 대화와 비공개/링크 전용 채팅방은 공개 목록에서 제외)
+    const filter = {
+      kind: { $ne: "direct" },
+      visibility: { $nin: ["unlisted", "private"] },
+    };
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: "i" };
     }
@@ -130,39 +300,7 @@ router.get("/", [limiter, auth], async (req, res) => {
 
     // 안전한 응답 데이터 구성
     const safeRooms = rooms
-      .map((room) => {
-        if (!room) return null;
-
-        const creator = room.creator || {
-          _id: "unknown",
-          name: "알 수 없음",
-          email: "",
-        };
-        const participants = Array.isArray(room.participants)
-          ? room.participants
-          : [];
-
-        return {
-          _id: room._id?.toString() || "unknown",
-          name: room.name || "제목 없음",
-          hasPassword: !!room.hasPassword,
-          creator: {
-            _id: creator._id?.toString() || "unknown",
-            name: creator.name || "알 수 없음",
-            email: creator.email || "",
-          },
-          participants: participants
-            .filter((p) => p && p._id)
-            .map((p) => ({
-              _id: p._id.toString(),
-              name: p.name || "알 수 없음",
-              email: p.email || "",
-            })),
-          participantsCount: participants.length,
-          createdAt: room.createdAt || new Date(),
-          isCreator: creator._id?.toString() === req.user.id,
-        };
-      })
+      .map((room) => formatRoomListItem(room, req.user.id))
       .filter((room) => room !== null);
 
     // 메타데이터 계산
@@ -189,7 +327,10 @@ router.get("/", [limiter, auth], async (req, res) => {
     // 결과 캐싱 (30초)
     await redisManager.setCache(cacheKey, JSON.stringify(response), 60);
 
-    res.json(response);
+    res.json({
+      ...response,
+      data: await withUnreadCounts(safeRooms, req.user.id),
+    });
   } catch (error) {
     console.error("방 목록 조회 에러:", error);
     res.status(500).json({
@@ -203,9 +344,9 @@ router.get("/", [limiter, auth], async (req, res) => {
 });
 
 // 채팅방 생성
-router.post("/", auth, async (req, res) => {
+router.post("/", [auth, requireVerifiedEmail], async (req, res) => {
   try {
-    const { name, password } = req.body;
+    const { name, password, visibility = "public" } = req.body;
 
     if (!name?.trim()) {
       return res.status(400).json({
@@ -214,11 +355,19 @@ router.post("/", auth, async (req, res) => {
       });
     }
 
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: "지원하지 않는 공개 범위입니다.",
+      });
+    }
+
     const newRoom = new Room({
       name: name.trim(),
       creator: req.user.id,
       participants: [req.user.id],
       password: password,
+      visibility,
     });
 
     const savedRoom = await newRoom.save();
@@ -227,12 +376,9 @@ router.post("/", auth, async (req, res) => {
       .populate("participants", "name email");
 
     // 캐시 무효화
-    const cacheKeys = await redisManager.getKeys("rooms:list:*");
-    for (const key of cacheKeys) {
-      await redisManager.delCache(key);
-    }
+    await invalidateRoomListCache();
 
-    if (io) {
+    if (io && visibility === "public") {
       io.to("room-list").emit("roomCreated", {
         ...populatedRoom.toObject(),
         password: undefined,
@@ -256,6 +402,209 @@ router.post("/", auth, async (req, res) => {
   }
 });
 
+// 1:1 대화 목록 형식으로 변환 (상대방 정보 포함)
+const formatDirectRoom = (room, userId) => {
+  const item = formatRoomListItem(room, userId);
+  if (!item) return null;
+
+  return {
+    ...item,
+    kind: "direct",
+    otherUser:
+      item.participants.find((participant) => participant._id !== userId) ||
+      null,
+  };
+};
+
+// 내 1:1 대화 목록 조회
+router.get("/direct", [limiter, auth], async (req, res) => {
+  try {
+    const rooms = await Room.find({ kind: "direct", participants: req.user.id })
+      .populate("creator", "name email")
+      .populate("participants", "name email profileImage")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const directRooms = rooms
+      .map((room) => formatDirectRoom(room, req.user.id))
+      .filter((room) => room !== null);
+
+    res.json({
+      success: true,
+      data: await withUnreadCounts(directRooms, req.user.id),
+    });
+  } catch (error) {
+    console.error("Direct rooms fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "1:1 대화 목록을 불러오는데 실패했습니다.",
+    });
+  }
+});
+
+// 1:1 대화 열기 (이미 있으면 기존 대화 반환)
+router.post("/direct", [limiter, auth, requireVerifiedEmail], async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "유효하지 않은 사용자입니다.",
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: "자기 자신과는 대화할 수 없습니다.",
+      });
+    }
+
+    const [user, otherUser] = await Promise.all([
+      User.findById(req.user.id).select("name"),
+      User.findById(userId).select("name"),
+    ]);
+
+    if (!user || !otherUser) {
+      return res.status(404).json({
+        success: false,
+        message: "사용자를 찾을 수 없습니다.",
+      });
+    }
+
+    const { room, created } = await Room.findOrCreateDirect(user, otherUser);
+    const populatedRoom = await Room.findById(room._id)
+      .populate("creator", "name email")
+      .populate("participants", "name email profileImage")
+      .lean();
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: formatDirectRoom(populatedRoom, req.user.id),
+    });
+  } catch (error) {
+    console.error("Direct room open error:", error);
+    res.status(500).json({
+      success: false,
+      message: "1:1 대화를 여는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 초대 토큰으로 초대와 채팅방 조회 (실패 시 응답 후 null 반환)
+const loadInviteContext = async (req, res) => {
+  const invite = await RoomInvite.findByToken(req.params.token);
+  if (!invite) {
+    res.status(404).json({
+      success: false,
+      message: "유효하지 않은 초대 링크입니다.",
+    });
+    return null;
+  }
+
+  const room = await Room.findById(invite.room).select("+invitedUsers");
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: "채팅방을 찾을 수 없습니다.",
+    });
+    return null;
+  }
+
+  const isMember =
+    room.getRole(req.user.id) !== null ||
+    room.invitedUsers.some((id) => id.toString() === req.user.id);
+
+  return { invite, room, isMember };
+};
+
+const EXPIRED_INVITE_MESSAGE =
+  "만료되었거나 사용 횟수를 초과한 초대 링크입니다.";
+
+// 초대 링크 확인 (입장 전 채팅방 정보 미리보기)
+router.get("/invites/:token", [limiter, auth], async (req, res) => {
+  try {
+    const context = await loadInviteContext(req, res);
+    if (!context) return;
+
+    const { invite, room, isMember } = context;
+    if (!isMember && !invite.isUsable()) {
+      return res.status(410).json({
+        success: false,
+        message: EXPIRED_INVITE_MESSAGE,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        room: {
+          _id: room._id.toString(),
+          name: room.name,
+          description: room.description || "",
+          topic: room.topic || "",
+          visibility: room.visibility,
+          participantsCount: room.participants.length,
+        },
+        expiresAt: invite.expiresAt,
+        isMember,
+      },
+    });
+  } catch (error) {
+    console.error("Invite fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "초대 정보를 불러오는데 실패했습니다.",
+    });
+  }
+});
+
+// 초대 수락 (이미 입장 권한이 있으면 사용 횟수를 차감하지 않음)
+router.post("/invites/:token/accept", [limiter, auth], async (req, res) => {
+  try {
+    const context = await loadInviteContext(req, res);
+    if (!context) return;
+
+    const { invite, room, isMember } = context;
+
+    if (await Room.isUserBanned(room._id, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방에서 차단되어 입장할 수 없습니다.",
+      });
+    }
+
+    if (!isMember) {
+      const consumed = await RoomInvite.consume(invite._id);
+      if (!consumed) {
+        return res.status(410).json({
+          success: false,
+          message: EXPIRED_INVITE_MESSAGE,
+        });
+      }
+
+      // 초대받은 사용자는 비밀번호 없이 입장 가능
+      await Room.updateOne(
+        { _id: room._id },
+        { $addToSet: { invitedUsers: req.user.id } }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "채팅방 초대를 수락했습니다.",
+      data: { roomId: room._id.toString() },
+    });
+  } catch (error) {
+    console.error("Invite accept error:", error);
+    res.status(500).json({
+      success: false,
+      message: "초대를 수락하는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
 // 특정 채팅방 조회
 router.get("/:roomId", [limiter, auth], async (req, res) => {
   try {
@@ -270,6 +619,13 @@ router.get("/:roomId", [limiter, auth], async (req, res) => {
       });
     }
 
+    if (!(await Room.hasAccess(room._id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: PRIVATE_ROOM_MESSAGE,
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -299,6 +655,31 @@ router.post("/:roomId/join", [limiter, auth], async (req, res) => {
       });
     }
 
+    // 1:1 대화는 두 참여자 외에는 입장 불가
+    const isParticipant = room.participants.some(
+      (id) => id.toString() === req.user.id
+    );
+    if (room.kind === "direct" && !isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 접근 권한이 없습니다.",
+      });
+    }
+
+    if (await Room.isUserBanned(room._id, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방에서 차단되어 입장할 수 없습니다.",
+      });
+    }
+
+    if (!(await Room.hasAccess(room._id, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: PRIVATE_ROOM_MESSAGE,
+      });
+    }
+
     if (room.hasPassword) {
       const isPasswordValid = await room.checkPassword(password);
       if (!isPasswordValid) {
@@ -314,10 +695,7 @@ router.post("/:roomId/join", [limiter, auth], async (req, res) => {
       await room.save();
 
       // 캐시 무효화
-      const cacheKeys = await redisManager.getKeys("rooms:list:*");
-      for (const key of cacheKeys) {
-        await redisManager.delCache(key);
-      }
+      await invalidateRoomListCache();
     }
 
     const populatedRoom = await room.populate("participants", "name email");
@@ -346,6 +724,537 @@ router.post("/:roomId/join", [limiter, auth], async (req, res) => {
   }
 });
 
+
+// 채팅방 설정 변경 (이름, 비밀번호, 설명, 주제, 공개 범위)
+router.put("/:roomId", [limiter, auth], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "유효하지 않은 채팅방입니다.",
+      });
+    }
+
+    const room = await Room.findById(req.params.roomId).select("+password");
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "채팅방을 찾을 수 없습니다.",
+      });
+    }
+
+    if (room.kind === "direct") {
+      return res.status(400).json({
+        success: false,
+        message: "1:1 대화의 설정은 변경할 수 없습니다.",
+      });
+    }
+
+    const role = room.getRole(req.user.id);
+    if (!role || Room.ROLE_LEVELS[role] < Room.ROLE_LEVELS.admin) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 설정을 변경할 권한이 없습니다.",
+      });
+    }
+
+    const { name, password, description, topic, visibility } = req.body;
+    const wasPublic = room.visibility === "public";
+
+    if (name !== undefined) {
+      const trimmedName = String(name).trim();
+      if (!trimmedName) {
+        return res.status(400).json({
+          success: false,
+          message: "방 이름은 필수입니다.",
+        });
+      }
+      if (trimmedName.length > ROOM_NAME_MAX_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `방 이름은 ${ROOM_NAME_MAX_LENGTH}자를 초과할 수 없습니다.`,
+        });
+      }
+      room.name = trimmedName;
+    }
+
+    if (description !== undefined) room.description = String(description);
+    if (topic !== undefined) room.topic = String(topic);
+
+    if (visibility !== undefined) {
+      if (!ROOM_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: "지원하지 않는 공개 범위입니다.",
+        });
+      }
+      room.visibility = visibility;
+    }
+
+    // 비밀번호: 문자열이면 설정/변경, null 또는 빈 문자열이면 해제 (저장 시 해싱)
+    if (password !== undefined) {
+      if (role !== "owner") {
+        return res.status(403).json({
+          success: false,
+          message: "비밀번호는 방장만 변경할 수 있습니다.",
+        });
+      }
+      room.password = password ? String(password) : undefined;
+    }
+
+    await room.save();
+
+    const populatedRoom = await Room.findById(room._id)
+      .populate("creator", "name email")
+      .populate("participants", "name email")
+      .lean();
+
+    await invalidateRoomListCache();
+
+    const roomData = formatRoomListItem(populatedRoom, req.user.id);
+    if (io) {
+      const roomId = room._id.toString();
+      // 공개 목록에 없는 방의 정보는 참여자에게만 전달
+      const isPublic = room.visibility === "public";
+      io.to(isPublic ? ["room-list", roomId] : roomId).emit("roomUpdated", {
+        ...roomData,
+        isCreator: undefined,
+      });
+      // 공개에서 비공개/링크 전용으로 바뀌면 목록에서 제거 (참여 중인 사용자는 제외)
+      if (wasPublic && !isPublic) {
+        io.to("room-list").except(roomId).emit("roomDeleted", roomId);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: roomData,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "채팅방 설정 값이 올바르지 않습니다.",
+      });
+    }
+
+    console.error("Room update error:", error);
+    res.status(500).json({
+      success: false,
+      message: "채팅방 설정 변경 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 채팅방 삭제 (방장 전용, 메시지와 첨부 파일 함께 삭제)
+router.delete("/:roomId", [limiter, auth], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "유효하지 않은 채팅방입니다.",
+      });
+    }
+
+    const room = await Room.findById(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "채팅방을 찾을 수 없습니다.",
+      });
+    }
+
+    if (room.getRole(req.user.id) !== "owner") {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방은 방장만 삭제할 수 있습니다.",
+      });
+    }
+
+    const roomId = room._id.toString();
+
+    // 새 메시지가 저장되지 않도록 방을 먼저 삭제한 뒤 메시지 정리
+    await room.deleteOne();
+    const { deletedMessages, deletedFiles } =
+      await ChatService.purgeRoomMessages(roomId);
+    await RoomInvite.deleteMany({ room: roomId });
+    await AIProfile.deleteMany({ room: roomId });
+    await AIContextService.clearRoom(roomId);
+    await ReadStateService.deleteRoomStates(roomId);
+
+    await invalidateRoomListCache();
+
+    if (io) {
+      io.to(["room-list", roomId]).emit("roomDeleted", roomId);
+      io.in(roomId).socketsLeave(roomId);
+    }
+
+    res.json({
+      success: true,
+      message: "채팅방이 삭제되었습니다.",
+      data: { deletedMessages, deletedFiles },
+    });
+  } catch (error) {
+    console.error("Room delete error:", error);
+    res.status(500).json({
+      success: false,
+      message: "채팅방 삭제 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 초대 링크 생성 (운영자 이상, 만료 시간과 최대 사용 횟수 지정)
+router.post("/:roomId/invites", [limiter, auth, requireVerifiedEmail], async (req, res) => {
+  try {
+    const context = await loadModerationContext(req, res);
+    if (!context) return;
+
+    const expiresIn =
+      req.body.expiresIn === undefined
+        ? INVITE_DEFAULT_TTL
+        : parseInt(req.body.expiresIn, 10);
+    if (
+      !Number.isInteger(expiresIn) ||
+      expiresIn < 60 ||
+      expiresIn > INVITE_MAX_TTL
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "초대 만료 시간은 1분 이상 30일 이하로 설정해주세요.",
+      });
+    }
+
+    const maxUses =
+      req.body.maxUses === undefined ||
+      req.body.maxUses === null ||
+      req.body.maxUses === ""
+        ? null
+        : parseInt(req.body.maxUses, 10);
+    if (
+      maxUses !== null &&
+      (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `최대 사용 횟수는 1회 이상 ${INVITE_MAX_USES}회 이하로 설정해주세요.`,
+      });
+    }
+
+    const { invite, token } = await RoomInvite.issue({
+      room: context.room._id,
+      createdBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+      maxUses,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: invite._id,
+        token,
+        expiresAt: invite.expiresAt,
+        maxUses: invite.maxUses,
+        uses: invite.uses,
+      },
+    });
+  } catch (error) {
+    console.error("Invite create error:", error);
+    res.status(500).json({
+      success: false,
+      message: "초대 링크 생성 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 채팅방 멤버 및 역할 조회 (차단 목록은 관리자만 조회 가능)
+router.get("/:roomId/members", [limiter, auth], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: "유효하지 않은 채팅방입니다.",
+      });
+    }
+
+    const room = await Room.findById(req.params.roomId)
+      .select("+bannedUsers")
+      .populate("participants", "name email profileImage")
+      .populate("bannedUsers.user", "name email");
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: "채팅방을 찾을 수 없습니다.",
+      });
+    }
+
+    const currentUserRole = room.getRole(req.user.id);
+    if (!currentUserRole) {
+      return res.status(403).json({
+        success: false,
+        message: "채팅방 접근 권한이 없습니다.",
+      });
+    }
+
+    const members = room.participants
+      .filter((participant) => participant)
+      .map((participant) => ({
+        _id: participant._id,
+        name: participant.name,
+        email: participant.email,
+        profileImage: participant.profileImage,
+        role: room.getRole(participant._id),
+      }))
+      .sort((a, b) => Room.ROLE_LEVELS[b.role] - Room.ROLE_LEVELS[a.role]);
+
+    const bannedUsers = Room.canManage(currentUserRole)
+      ? room.bannedUsers
+          .filter((ban) => ban.user)
+          .map((ban) => ({
+            user: ban.user,
+            reason: ban.reason,
+            bannedAt: ban.bannedAt,
+          }))
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        currentUserRole,
+        members,
+        bannedUsers,
+      },
+    });
+  } catch (error) {
+    console.error("Room members fetch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "채팅방 멤버 정보를 불러오는데 실패했습니다.",
+    });
+  }
+});
+
+// 멤버 역할 변경
+router.put("/:roomId/members/:userId/role", [limiter, auth], async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!Room.ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "지원하지 않는 역할입니다.",
+      });
+    }
+
+    const context = await loadModerationContext(req, res);
+    if (!context) return;
+
+    const { room, actorRole, targetRole } = context;
+    const { roomId, userId } = req.params;
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: "채팅방 참여자가 아닙니다.",
+      });
+    }
+
+    // 자신보다 낮은 역할의 멤버에게 자신보다 낮은 역할만 부여 가능
+    if (
+      !Room.canManage(actorRole, targetRole) ||
+      !Room.canManage(actorRole, role)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "해당 역할을 변경할 권한이 없습니다.",
+      });
+    }
+
+    await Room.updateOne({ _id: room._id }, { $pull: { roles: { user: userId } } });
+    if (role !== "member") {
+      await Room.updateOne(
+        { _id: room._id },
+        { $push: { roles: { user: userId, role } } }
+      );
+    }
+
+    if (io) {
+      io.to(roomId).emit("memberRoleUpdated", { roomId, userId, role });
+    }
+
+    res.json({
+      success: true,
+      data: { userId, role },
+    });
+  } catch (error) {
+    console.error("Member role update error:", error);
+    res.status(500).json({
+      success: false,
+      message: "역할 변경 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 멤버 강퇴 (다시 입장 가능)
+router.post("/:roomId/members/:userId/kick", [limiter, auth], async (req, res) => {
+  try {
+    const context = await loadModerationContext(req, res);
+    if (!context) return;
+
+    const { room, actorRole, targetRole } = context;
+    const { roomId, userId } = req.params;
+
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: "채팅방 참여자가 아닙니다.",
+      });
+    }
+
+    if (!Room.canManage(actorRole, targetRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "해당 멤버를 내보낼 권한이 없습니다.",
+      });
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      {
+        $pull: {
+          participants: userId,
+          invitedUsers: userId,
+          roles: { user: userId },
+        },
+      }
+    );
+
+    const target = await User.findById(userId).select("name").lean();
+    await sendSystemMessage(
+      roomId,
+      `${target?.name || "알 수 없는 사용자"}님이 강퇴되었습니다.`
+    );
+
+    await invalidateRoomListCache();
+    await ReadStateService.deleteUserRoomState(userId, roomId);
+    await removeMemberSockets(roomId, userId, "kick");
+
+    res.json({
+      success: true,
+      message: "멤버를 내보냈습니다.",
+    });
+  } catch (error) {
+    console.error("Member kick error:", error);
+    res.status(500).json({
+      success: false,
+      message: "멤버 강퇴 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 멤버 차단 (차단 해제 전까지 입장 불가)
+router.post("/:roomId/members/:userId/ban", [limiter, auth], async (req, res) => {
+  try {
+    const context = await loadModerationContext(req, res);
+    if (!context) return;
+
+    const { room, actorRole, targetRole } = context;
+    const { roomId, userId } = req.params;
+
+    // 이미 퇴장한 사용자도 차단 가능
+    if (userId === req.user.id || !Room.canManage(actorRole, targetRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "해당 사용자를 차단할 권한이 없습니다.",
+      });
+    }
+
+    const target = await User.findById(userId).select("name").lean();
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: "사용자를 찾을 수 없습니다.",
+      });
+    }
+
+    const reason = String(req.body.reason || "").trim().slice(0, 200);
+    const result = await Room.updateOne(
+      { _id: room._id, "bannedUsers.user": { $ne: userId } },
+      {
+        $pull: {
+          participants: userId,
+          invitedUsers: userId,
+          roles: { user: userId },
+        },
+        $push: {
+          bannedUsers: {
+            user: userId,
+            bannedBy: req.user.id,
+            reason,
+            bannedAt: new Date(),
+          },
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "이미 차단된 사용자입니다.",
+      });
+    }
+
+    if (targetRole) {
+      await sendSystemMessage(roomId, `${target.name}님이 차단되었습니다.`);
+      await invalidateRoomListCache();
+    }
+
+    await ReadStateService.deleteUserRoomState(userId, roomId);
+    await removeMemberSockets(roomId, userId, "ban");
+
+    res.json({
+      success: true,
+      message: "사용자를 차단했습니다.",
+    });
+  } catch (error) {
+    console.error("Member ban error:", error);
+    res.status(500).json({
+      success: false,
+      message: "사용자 차단 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+// 차단 해제
+router.delete("/:roomId/bans/:userId", [limiter, auth], async (req, res) => {
+  try {
+    const context = await loadModerationContext(req, res);
+    if (!context) return;
+
+    const result = await Room.updateOne(
+      { _id: context.room._id, "bannedUsers.user": req.params.userId },
+      { $pull: { bannedUsers: { user: req.params.userId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "차단된 사용자가 아닙니다.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "차단을 해제했습니다.",
+    });
+  } catch (error) {
+    console.error("Member unban error:", error);
+    res.status(500).json({
+      success: false,
+      message: "차단 해제 중 오류가 발생했습니다.",
+    });
+  }
+});
+
 module.exports = {
   router,
   initializeSocket,
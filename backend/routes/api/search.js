@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { rateLimit } = require('express-rate-limit');
+const searchController = require('../../controllers/searchController');
+const auth = require('../../middleware/auth');
+
+// 검색 요청 속도 제한
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: {
+    success: false,
+    message: '검색 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.',
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.user ? `${req.ip}-${req.user.id}` : req.ip)
+});
+
+// 참여 중인 채팅방의 메시지 검색
+// query: q, room, sender, type (쉼표 구분), from, to, hasFile, sort, page, pageSize
+router.get('/messages', [auth, limiter], searchController.searchMessages);
+
+module.exports = router;
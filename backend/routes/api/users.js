@@ -15,12 +15,24 @@ router.get('/profile',
   userController.getProfile
 );
 
+// 접속 상태 조회
+router.get('/presence',
+  auth,
+  userController.getPresence
+);
+
 // 프로필 업데이트
 router.put('/profile',
   auth,
   userController.updateProfile
 );
 
+// 비밀번호 변경
+router.put('/password',
+  auth,
+  userController.changePassword
+);
+
 // 프로필 이미지 업로드
 router.post('/profile-image',
   auth,
@@ -6,6 +6,9 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const messageRoutes = require('./api/message');
+const searchRoutes = require('./api/search');
+const aiRoutes = require('./api/ai');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -26,8 +29,30 @@ router.get('/', (req, res) => {
       },
       users: '/users',
       rooms: '/rooms',
+      messages: {
+        base: '/rooms',
+        routes: {
+          list: { method: 'GET', path: '/:roomId/messages' },
+          edit: { method: 'PUT', path: '/:roomId/messages/:messageId' },
+          delete: { method: 'DELETE', path: '/:roomId/messages/:messageId' }
+        }
+      },
+      search: {
+        base: '/search',
+        routes: {
+          messages: { method: 'GET', path: '/messages' }
+        }
+      },
       files: '/files',
-      ai: '/ai'
+      ai: {
+        base: '/ai',
+        routes: {
+          personas: { method: 'GET', path: '/personas' },
+          createPersona: { method: 'POST', path: '/personas' },
+          updatePersona: { method: 'PUT', path: '/personas/:personaId' },
+          deletePersona: { method: 'DELETE', path: '/personas/:personaId' }
+        }
+      }
     }
   });
 });
@@ -37,5 +62,8 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/search', searchRoutes);
+router.use('/ai', aiRoutes);
+router.use('/', messageRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ require("dotenv").config();
 const mongoose = require("mongoose");
 const express = require("express");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const http = require("http");
 const socketIO = require("socket.io");
 const { createAdapter } = require("@socket.io/redis-adapter");
@@ -47,6 +48,7 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // OPTIONS 요청에 대한 처리
 app.options("*", cors(corsOptions));
@@ -0,0 +1,116 @@
+const ChatService = require('./chatService');
+const aiService = require('./aiService');
+const redisManager = require('../config/redis');
+const vectorDB = require('../utils/vectorDB');
+const { aiContextTokenBudget, aiContextMessageLimit, aiRagTopK, aiRagMinScore } = require('../config/keys');
+const { toConversationTurns, splitByTokenBudget } = require('../utils/aiContext');
+
+// AI 응답에 사용할 채팅방 대화 맥락 (최근 대화 + 예산을 넘은 이전 대화의 요약 + 공유된 문서의 관련 구절)
+class AIContextService {
+  constructor() {
+    this.TOKEN_BUDGET = aiContextTokenBudget;
+    this.MESSAGE_LIMIT = aiContextMessageLimit;
+    this.RAG_TOP_K = aiRagTopK;
+    this.RAG_MIN_SCORE = aiRagMinScore;
+    this.SUMMARY_PREFIX = 'ai:context_summary:';
+    this.SUMMARY_TTL = 7 * 24 * 60 * 60; // 7일
+  }
+
+  // persona: AIPersonaService의 페르소나 객체
+  // excludeMessageIds: AI를 호출한 메시지와 다시 생성할 답변 (질문으로 따로 전달되므로 맥락에서 제외)
+  // query: 참고 문서 검색에 사용할 질문
+  async buildContext(roomId, persona, { excludeMessageIds = [], query } = {}) {
+    const sources = await this.retrieveSources(roomId, query);
+
+    try {
+      const { messages, hasMore } = await ChatService.loadMessages(roomId, null, this.MESSAGE_LIMIT);
+
+      const excluded = new Set(excludeMessageIds.map(String));
+      const chronological = messages
+        .filter(message => !excluded.has(String(message._id)))
+        .reverse();
+      const turns = toConversationTurns(chronological, persona.handle, name => aiService.getPersona(name)?.name || name);
+      const { recent, older } = splitByTokenBudget(turns, this.TOKEN_BUDGET);
+
+      const summary = older.length > 0 || hasMore
+        ? await this.updateSummary(roomId, persona, older)
+        : null;
+
+      return {
+        history: recent.map(({ role, content }) => ({ role, content })),
+        summary,
+        sources
+      };
+    } catch (error) {
+      // 맥락을 불러오지 못해도 질문에는 답할 수 있도록 빈 맥락 사용
+      console.error('AI context build error:', error);
+      return { history: [], summary: null, sources };
+    }
+  }
+
+  // 채팅방에 공유된 문서에서 질문과 관련된 구절 검색 (색인된 문서가 없거나 실패하면 빈 배열)
+  async retrieveSources(roomId, query) {
+    if (!query?.trim()) return [];
+
+    try {
+      if (!await vectorDB.hasDocuments(roomId)) return [];
+
+      const { embeddings: [embedding], model } = await aiService.embed([query]);
+      const passages = await vectorDB.searchDocuments(roomId, embedding, {
+        embeddingModel: model,
+        limit: this.RAG_TOP_K,
+        minScore: this.RAG_MIN_SCORE
+      });
+
+      return passages.map((passage, position) => ({
+        index: position + 1,
+        messageId: passage.message,
+        fileId: passage.file,
+        filename: passage.filename,
+        text: passage.text,
+        score: passage.score
+      }));
+    } catch (error) {
+      console.error('AI document retrieval error:', error);
+      return [];
+    }
+  }
+
+  // 채팅방별 누적 요약: 마지막 요약 이후 예산 밖으로 밀려난 턴만 이전 요약과 합쳐 다시 요약
+  async updateSummary(roomId, persona, olderTurns) {
+    const key = `${this.SUMMARY_PREFIX}${roomId}`;
+    let stored = null;
+
+    try {
+      const cached = await redisManager.pubClient.get(key);
+      stored = cached ? JSON.parse(cached) : null;
+
+      const pending = olderTurns.filter(turn => turn.timestamp > (stored?.until || 0));
+      if (pending.length === 0) return stored?.summary || null;
+
+      const summary = await aiService.summarizeConversation(persona, stored?.summary, pending);
+      if (!summary) return stored?.summary || null;
+
+      await redisManager.pubClient.set(
+        key,
+        JSON.stringify({ summary, until: pending[pending.length - 1].timestamp }),
+        'EX',
+        this.SUMMARY_TTL
+      );
+      return summary;
+    } catch (error) {
+      console.error('AI context summary error:', error);
+      return stored?.summary || null;
+    }
+  }
+
+  // 삭제된 채팅방의 대화 요약과 문서 색인 제거
+  async clearRoom(roomId) {
+    await Promise.all([
+      redisManager.pubClient.del(`${this.SUMMARY_PREFIX}${roomId}`),
+      vectorDB.removeRoom(roomId)
+    ]);
+  }
+}
+
+module.exports = new AIContextService();
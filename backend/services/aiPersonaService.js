@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const AIProfile = require('../models/AIProfile');
+const aiService = require('./aiService');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 기본 제공 페르소나와 사용자/채팅방 정의 페르소나를 합친 레지스트리
+class AIPersonaService {
+  toPersona(profile) {
+    return {
+      id: profile._id.toString(),
+      handle: profile.handle,
+      name: profile.name,
+      systemPrompt: profile.systemPrompt,
+      model: profile.model || null,
+      temperature: profile.temperature,
+      avatar: profile.avatar || null,
+      scope: profile.scope,
+      room: profile.room ? profile.room.toString() : null,
+      createdBy: profile.user.toString()
+    };
+  }
+
+  isBuiltInHandle(handle) {
+    const lowerHandle = String(handle).toLowerCase();
+    return aiService.getBuiltInPersonas().some(persona => persona.handle.toLowerCase() === lowerHandle);
+  }
+
+  // 채팅방에서 사용자가 호출할 수 있는 페르소나 (핸들이 겹치면 기본 제공 > 채팅방 > 개인 순으로 우선)
+  async getAvailablePersonas(roomId, userId) {
+    const conditions = [{ scope: 'user', user: userId }];
+    if (roomId && mongoose.Types.ObjectId.isValid(roomId)) {
+      conditions.push({ scope: 'room', room: roomId });
+    }
+
+    const profiles = await AIProfile.find({ $or: conditions })
+      .sort({ scope: 1, createdAt: 1 })
+      .lean();
+
+    const personas = [...aiService.getBuiltInPersonas()];
+    const handles = new Set(personas.map(persona => persona.handle));
+
+    for (const profile of profiles) {
+      if (handles.has(profile.handle)) continue;
+      handles.add(profile.handle);
+      personas.push(this.toPersona(profile));
+    }
+
+    return personas;
+  }
+
+  // 핸들로 페르소나 조회 (AI 답변을 다시 생성할 때 사용, 삭제된 페르소나면 null)
+  async findPersona(handle, roomId, userId) {
+    const personas = await this.getAvailablePersonas(roomId, userId);
+    return personas.find(persona => persona.handle === handle) || null;
+  }
+
+  // 메시지에서 멘션된 페르소나를 등장 순서대로 반환
+  async findMentionedPersonas(content, roomId, userId) {
+    if (!content?.includes('@')) return [];
+
+    const personas = await this.getAvailablePersonas(roomId, userId);
+    return personas
+      .map(persona => ({
+        persona,
+        index: content.search(new RegExp(`@${escapeRegExp(persona.handle)}\\b`))
+      }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index)
+      .map(({ persona }) => persona);
+  }
+}
+
+module.exports = new AIPersonaService();
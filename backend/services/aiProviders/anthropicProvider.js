@@ -0,0 +1,86 @@
+const axios = require('axios');
+const { readServerSentEvents, toProviderError } = require('./streamUtils');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic Messages API (system은 별도 필드, 스트리밍은 이벤트 타입별 SSE)
+class AnthropicProvider {
+  constructor({ name = 'anthropic', baseURL, apiKey, model, maxTokens }) {
+    this.name = name;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async *stream({ model, system, messages, temperature, signal }) {
+    let response;
+    try {
+      response = await this.client.post('/messages', {
+        model: model || this.model,
+        max_tokens: this.maxTokens,
+        ...(system && { system }),
+        messages,
+        temperature,
+        stream: true
+      }, {
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw await toProviderError(this.name, error);
+    }
+
+    yield* this.parse(response.data);
+  }
+
+  async *parse(stream) {
+    let promptTokens = 0;
+
+    for await (const { event, data } of readServerSentEvents(stream)) {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        console.error('JSON parsing error:', error);
+        continue;
+      }
+
+      switch (event || payload.type) {
+        case 'message_start':
+          promptTokens = payload.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            yield { type: 'text', text: payload.delta.text };
+          }
+          break;
+        case 'message_delta':
+          if (payload.usage) {
+            const completionTokens = payload.usage.output_tokens || 0;
+            yield {
+              type: 'usage',
+              promptTokens,
+              completionTokens,
+              totalTokens: promptTokens + completionTokens
+            };
+          }
+          break;
+        case 'message_stop':
+          return;
+        case 'error':
+          throw new Error(`${this.name} stream error: ${payload.error?.message || 'unknown error'}`);
+        default:
+          break;
+      }
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
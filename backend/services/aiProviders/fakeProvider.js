@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// 테스트용 제공자: 외부 API 없이 입력에 따라 항상 같은 응답을 단어 단위로 스트리밍
+class FakeProvider {
+  constructor({ name = 'fake', model = 'fake', chunkDelay = 0 } = {}) {
+    this.name = name;
+    this.model = model;
+    this.embeddingModel = 'fake-embedding';
+    this.chunkDelay = chunkDelay;
+  }
+
+  // 단어 해시를 차원별로 누적한 정규화 벡터 (같은 단어를 많이 공유할수록 유사도가 높음)
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+      for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        const hash = crypto.createHash('md5').update(word).digest();
+        vector[hash.readUInt16BE(0) % EMBEDDING_DIMENSIONS] += 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm > 0 ? vector.map(value => value / norm) : vector;
+    });
+  }
+
+  buildReply(messages) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    return `테스트 응답입니다. 질문: ${lastUserMessage?.content || ''}`;
+  }
+
+  async *stream({ messages, signal }) {
+    const words = this.buildReply(messages).match(/\S+\s*/g) || [];
+
+    for (const word of words) {
+      if (this.chunkDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.chunkDelay));
+      }
+      // 실제 제공자처럼 중단 요청 시 스트림 종료
+      if (signal?.aborted) {
+        throw new Error('fake stream aborted');
+      }
+      yield { type: 'text', text: word };
+    }
+
+    yield {
+      type: 'usage',
+      promptTokens: 0,
+      completionTokens: words.length,
+      totalTokens: words.length
+    };
+  }
+}
+
+module.exports = FakeProvider;
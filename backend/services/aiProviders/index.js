@@ -0,0 +1,29 @@
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const FakeProvider = require('./fakeProvider');
+
+// 설정의 type별 제공자 구현
+// 모든 제공자는 stream({ model, system, messages, temperature, signal })에서
+// { type: 'text', text } 또는 { type: 'usage', promptTokens, completionTokens, totalTokens }를 반환
+// signal(AbortSignal)이 중단되면 업스트림 요청을 끊고 스트림을 종료
+// 임베딩을 지원하는 제공자는 embed(texts, { model })에서 입력 순서대로 벡터 배열을 반환 (Anthropic 미지원)
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  ollama: OllamaProvider,
+  fake: FakeProvider
+};
+
+const createProvider = (name, options = {}) => {
+  const Provider = PROVIDER_TYPES[options.type || name];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider type: ${options.type || name}`);
+  }
+  return new Provider({ ...options, name });
+};
+
+module.exports = {
+  createProvider,
+  PROVIDER_TYPES
+};
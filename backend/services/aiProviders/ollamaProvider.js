@@ -0,0 +1,84 @@
+const axios = require('axios');
+const { readLines, toProviderError } = require('./streamUtils');
+
+// Ollama /api/chat (줄 단위 JSON 스트리밍)
+class OllamaProvider {
+  constructor({ name = 'ollama', baseURL, model, embeddingModel }) {
+    this.name = name;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.client = axios.create({
+      baseURL,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  async *stream({ model, system, messages, temperature, signal }) {
+    let response;
+    try {
+      response = await this.client.post('/api/chat', {
+        model: model || this.model,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        options: { temperature },
+        stream: true
+      }, {
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw await toProviderError(this.name, error);
+    }
+
+    yield* this.parse(response.data);
+  }
+
+  // /api/embed는 여러 입력을 한 번에 임베딩
+  async embed(texts, { model } = {}) {
+    try {
+      const response = await this.client.post('/api/embed', {
+        model: model || this.embeddingModel,
+        input: texts
+      });
+      return response.data.embeddings;
+    } catch (error) {
+      throw await toProviderError(this.name, error);
+    }
+  }
+
+  async *parse(stream) {
+    for await (const line of readLines(stream)) {
+      if (!line.trim()) continue;
+
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        console.error('JSON parsing error:', error);
+        continue;
+      }
+
+      if (payload.error) {
+        throw new Error(`${this.name} stream error: ${payload.error}`);
+      }
+
+      const content = payload.message?.content;
+      if (content) {
+        yield { type: 'text', text: content };
+      }
+
+      if (payload.done) {
+        const promptTokens = payload.prompt_eval_count || 0;
+        const completionTokens = payload.eval_count || 0;
+        yield {
+          type: 'usage',
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens
+        };
+        return;
+      }
+    }
+  }
+}
+
+module.exports = OllamaProvider;
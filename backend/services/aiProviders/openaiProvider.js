@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { readServerSentEvents, toProviderError } = require('./streamUtils');
+
+// OpenAI Chat Completions 호환 API (OpenAI, llama.cpp server, vLLM 등)
+class OpenAIProvider {
+  constructor({ name = 'openai', baseURL, apiKey, model, embeddingModel }) {
+    this.name = name;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async *stream({ model, system, messages, temperature, signal }) {
+    let response;
+    try {
+      response = await this.client.post('/chat/completions', {
+        model: model || this.model,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        temperature,
+        stream: true
+      }, {
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      throw await toProviderError(this.name, error);
+    }
+
+    yield* this.parse(response.data);
+  }
+
+  // 입력 순서대로 임베딩 벡터 반환
+  async embed(texts, { model } = {}) {
+    try {
+      const response = await this.client.post('/embeddings', {
+        model: model || this.embeddingModel,
+        input: texts
+      });
+      return [...response.data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    } catch (error) {
+      throw await toProviderError(this.name, error);
+    }
+  }
+
+  async *parse(stream) {
+    for await (const { data } of readServerSentEvents(stream)) {
+      if (data === '[DONE]') return;
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        console.error('JSON parsing error:', error);
+        continue;
+      }
+
+      const content = payload.choices?.[0]?.delta?.content;
+      if (content) {
+        yield { type: 'text', text: content };
+      }
+
+      if (payload.usage) {
+        yield {
+          type: 'usage',
+          promptTokens: payload.usage.prompt_tokens,
+          completionTokens: payload.usage.completion_tokens,
+          totalTokens: payload.usage.total_tokens
+        };
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
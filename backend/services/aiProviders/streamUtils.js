@@ -0,0 +1,83 @@
+// AI 제공자 스트리밍 응답 파싱 공통 함수
+
+// 청크 경계와 관계없이 줄 단위로 반환 (NDJSON, SSE 공통)
+// 멀티바이트 문자가 청크 사이에서 나뉘어도 깨지지 않도록 스트림 디코딩
+async function* readLines(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// Server-Sent Events를 { event, data } 단위로 반환 (data는 여러 줄이면 줄바꿈으로 연결)
+async function* readServerSentEvents(stream) {
+  let event = null;
+  let data = [];
+
+  for await (const line of readLines(stream)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+      event = null;
+      data = [];
+      continue;
+    }
+
+    if (line.startsWith(':')) continue;
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+// responseType: 'stream' 요청의 오류 응답 본문은 스트림이므로 읽어서 메시지 추출
+const toProviderError = async (provider, error) => {
+  const status = error.response?.status;
+  let detail = error.message;
+
+  const body = error.response?.data;
+  if (body && typeof body.on === 'function') {
+    try {
+      const decoder = new TextDecoder();
+      let text = '';
+      for await (const chunk of body) {
+        text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      }
+      text += decoder.decode();
+      const parsed = JSON.parse(text);
+      detail = parsed.error?.message || parsed.error || parsed.message || text;
+    } catch (readError) {
+      // 본문을 읽을 수 없으면 axios 메시지 사용
+    }
+  }
+
+  const providerError = new Error(`${provider} request failed${status ? ` (${status})` : ''}: ${detail}`);
+  providerError.status = status;
+  providerError.provider = provider;
+  return providerError;
+};
+
+module.exports = {
+  readLines,
+  readServerSentEvents,
+  toProviderError
+};
@@ -1,128 +1,233 @@
-const axios = require('axios');
-const { openaiApiKey } = require('../config/keys');
+const { aiProvider, aiPersonaProviders, aiEmbeddingProvider, aiProviders } = require('../config/keys');
+const { createProvider } = require('./aiProviders');
+const { mergeConsecutiveTurns } = require('../utils/aiContext');
+
+const DEFAULT_TEMPERATURE = 0.7;
+
+// 기본 제공 페르소나의 역할/특성/톤으로 시스템 프롬프트 구성
+const describeBuiltInPersona = ({ role, traits, tone }) => `역할: ${role}
+특성: ${traits}
+톤: ${tone}
+
+답변 시 주의사항:
+1. 명확하고 이해하기 쉬운 언어로 답변하세요.
+2. 정확하지 않은 정보는 제공하지 마세요.
+3. 필요한 경우 예시를 들어 설명하세요.
+4. ${tone}을 유지하세요.`;
+
+const BUILT_IN_PERSONAS = [
+  {
+    handle: 'wayneAI',
+    name: 'Wayne AI',
+    role: '친절하고 도움이 되는 어시스턴트',
+    traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
+    tone: '전문적이면서도 친근한 톤',
+  },
+  {
+    handle: 'consultingAI',
+    name: 'Consulting AI',
+    role: '비즈니스 컨설팅 전문가',
+    traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
+    tone: '전문적이고 분석적인 톤',
+  }
+].map(({ handle, name, ...description }) => ({
+  id: handle,
+  handle,
+  name,
+  systemPrompt: describeBuiltInPersona(description),
+  model: null,
+  temperature: DEFAULT_TEMPERATURE,
+  avatar: null,
+  scope: 'builtin'
+}));
+
+// "consultingAI=anthropic,wayneAI=ollama" 형식의 페르소나별 제공자 설정 파싱
+const parsePersonaProviders = (value) =>
+  value.split(',').reduce((result, entry) => {
+    const [persona, provider] = entry.split('=').map(item => item && item.trim());
+    if (persona && provider) result[persona] = provider;
+    return result;
+  }, {});
 
 class AIService {
   constructor() {
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
+    this.defaultProvider = aiProvider;
+    this.personaProviders = parsePersonaProviders(aiPersonaProviders);
+    this.embeddingProvider = aiEmbeddingProvider;
+    this.providers = new Map();
+  }
+
+  // 제공자 인스턴스는 처음 사용할 때 생성 (stream()을 구현한 객체를 등록해 교체 가능)
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const options = aiProviders[name];
+      if (!options) {
+        throw new Error(`AI provider "${name}" is not configured`);
       }
+      this.providers.set(name, createProvider(name, options));
+    }
+    return this.providers.get(name);
+  }
+
+  setProvider(name, provider) {
+    if (!provider || typeof provider.stream !== 'function') {
+      throw new Error('AI provider must implement stream(request)');
+    }
+    this.providers.set(name, provider);
+  }
+
+  // 문서 검색용 임베딩 제공자 (embed()를 구현하지 않은 제공자면 null)
+  getEmbeddingProvider() {
+    const provider = this.getProvider(this.embeddingProvider);
+    return typeof provider.embed === 'function' ? provider : null;
+  }
+
+  // model: 제공자:모델 (저장된 임베딩과 같은 모델끼리만 비교하도록 함께 반환)
+  async embed(texts) {
+    const provider = this.getEmbeddingProvider();
+    if (!provider) {
+      throw new Error(`AI provider "${this.embeddingProvider}" does not support embeddings`);
+    }
+
+    const embeddings = await provider.embed(texts);
+    return { embeddings, model: `${provider.name}:${provider.embeddingModel}` };
+  }
+
+  getBuiltInPersonas() {
+    return BUILT_IN_PERSONAS;
+  }
+
+  getPersona(handle) {
+    return BUILT_IN_PERSONAS.find(persona => persona.handle === handle) || null;
+  }
+
+  // 기본 제공 페르소나는 핸들로, 사용자 정의 페르소나는 AIPersonaService의 페르소나 객체로 전달
+  resolvePersona(persona) {
+    return typeof persona === 'string' ? this.getPersona(persona) : persona || null;
+  }
+
+  getProviderName(handle) {
+    return this.personaProviders[handle] || this.defaultProvider;
+  }
+
+  // sources: 채팅방 문서에서 검색한 구절 (AIContextService.retrieveSources)
+  buildSystemPrompt(aiPersona, { hasHistory = false, summary = null, sources = [] } = {}) {
+    const contextGuide = hasHistory || summary
+      ? `
+
+채팅방 대화 맥락:
+- 여러 사용자가 참여하는 채팅방입니다. 사용자 메시지는 "이름: 내용" 형식으로 전달됩니다.
+- 이전 대화를 참고해 후속 질문에 답하세요.${summary ? `
+
+이전 대화 요약:
+${summary}` : ''}`
+      : '';
+
+    const sourceGuide = sources.length > 0
+      ? `
+
+참고 문서:
+- 채팅방에 공유된 파일에서 질문과 관련된 구절입니다. 답변에 활용한 구절은 [1]처럼 번호로 인용하세요.
+- 질문과 관련 없는 구절은 무시하고, 구절에 없는 내용을 문서 내용인 것처럼 답하지 마세요.
+
+${sources.map(source => `[${source.index}] ${source.filename}
+${source.text}`).join('\n\n')}`
+      : '';
+
+    return `당신은 ${aiPersona.name}입니다.
+${aiPersona.systemPrompt}${contextGuide}${sourceGuide}`;
+  }
+
+  // 스트리밍 응답을 하나의 문자열로 수집 (요약 등 내부 작업용)
+  async collectText(provider, request) {
+    let text = '';
+    for await (const chunk of provider.stream(request)) {
+      if (chunk.type === 'text' && chunk.text) text += chunk.text;
+    }
+    return text.trim();
+  }
+
+  // 토큰 예산을 넘은 이전 대화를 이전 요약과 합쳐 요약 (페르소나와 같은 제공자 사용)
+  async summarizeConversation(persona, previousSummary, turns) {
+    const aiPersona = this.resolvePersona(persona);
+    const provider = this.getProvider(this.getProviderName(aiPersona.handle));
+    const transcript = turns
+      .map(turn => (turn.role === 'assistant' ? `${aiPersona.name}: ${turn.content}` : turn.content))
+      .join('\n');
+
+    return this.collectText(provider, {
+      system: '채팅방 대화를 이후 답변에 참고할 수 있도록 요약하세요. 주요 주제, 질문, 결정 사항, 사용자별 요청을 빠짐없이 담되 10문장 이내로 작성하세요.',
+      messages: [{
+        role: 'user',
+        content: previousSummary
+          ? `기존 요약:\n${previousSummary}\n\n이후 대화:\n${transcript}`
+          : `대화:\n${transcript}`
+      }],
+      temperature: 0.3,
+      ...(aiPersona.model && { model: aiPersona.model })
     });
   }
 
-  async generateResponse(message, persona = 'wayneAI', callbacks) {
+  // options.history: 채팅방 최근 대화 턴, options.summary: 그 이전 대화 요약,
+  // options.sources: 참고 문서 구절 (AIContextService.buildContext)
+  // options.signal: 중단되면 업스트림 스트림을 끊고 그때까지의 응답으로 onComplete({ cancelled: true }) 호출
+  async generateResponse(message, persona = 'wayneAI', callbacks, { history = [], summary = null, sources = [], signal } = {}) {
     try {
-      const aiPersona = {
-        wayneAI: {
-          name: 'Wayne AI',
-          role: '친절하고 도움이 되는 어시스턴트',
-          traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
-          tone: '전문적이면서도 친근한 톤',
-        },
-        consultingAI: {
-          name: 'Consulting AI',
-          role: '비즈니스 컨설팅 전문가',
-          traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
-          tone: '전문적이고 분석적인 톤',
-        }
-      }[persona];
-
+      const aiPersona = this.resolvePersona(persona);
       if (!aiPersona) {
         throw new Error('Unknown AI persona');
       }
 
-      const systemPrompt = `당신은 ${aiPersona.name}입니다.
-역할: ${aiPersona.role}
-특성: ${aiPersona.traits}
-톤: ${aiPersona.tone}
-
-답변 시 주의사항:
-1. 명확하고 이해하기 쉬운 언어로 답변하세요.
-2. 정확하지 않은 정보는 제공하지 마세요.
-3. 필요한 경우 예시를 들어 설명하세요.
-4. ${aiPersona.tone}을 유지하세요.`;
+      const provider = this.getProvider(this.getProviderName(aiPersona.handle));
 
       callbacks.onStart();
 
-      const response = await this.openaiClient.post('/chat/completions', {
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.7,
-        stream: true
-      }, {
-        responseType: 'stream'
-      });
-
       let fullResponse = '';
       let isCodeBlock = false;
-      let buffer = '';
-
-      return new Promise((resolve, reject) => {
-        response.data.on('data', async chunk => {
-          try {
-            // 청크 데이터를 문자열로 변환하고 버퍼에 추가
-            buffer += chunk.toString();
-
-            // 완전한 JSON 객체를 찾아 처리
-            while (true) {
-              const newlineIndex = buffer.indexOf('\n');
-              if (newlineIndex === -1) break;
-
-              const line = buffer.slice(0, newlineIndex).trim();
-              buffer = buffer.slice(newlineIndex + 1);
-
-              if (line === '') continue;
-              if (line === 'data: [DONE]') {
-                callbacks.onComplete({
-                  content: fullResponse.trim()
-                });
-                resolve(fullResponse.trim());
-                return;
-              }
-
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  const content = data.choices[0]?.delta?.content;
-                  
-                  if (content) {
-                    // 코드 블록 상태 업데이트
-                    if (content.includes('```')) {
-                      isCodeBlock = !isCodeBlock;
-                    }
-
-                    // 현재 청크만 전송
-                    await callbacks.onChunk({
-                      currentChunk: content,
-                      isCodeBlock
-                    });
-
-                    // 전체 응답은 서버에서만 관리
-                    fullResponse += content;
-                  }
-                } catch (err) {
-                  console.error('JSON parsing error:', err);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            callbacks.onError(error);
-            reject(error);
+      let usage = {};
+
+      try {
+        // 제공자와 관계없이 정규화된 청크({ type: 'text' | 'usage' })만 처리
+        for await (const chunk of provider.stream({
+          system: this.buildSystemPrompt(aiPersona, { hasHistory: history.length > 0, summary, sources }),
+          messages: mergeConsecutiveTurns([...history, { role: 'user', content: message }]),
+          temperature: aiPersona.temperature ?? DEFAULT_TEMPERATURE,
+          signal,
+          ...(aiPersona.model && { model: aiPersona.model })
+        })) {
+          if (signal?.aborted) break;
+          if (chunk.type === 'usage') {
+            usage = chunk;
+            continue;
+          }
+          if (chunk.type !== 'text' || !chunk.text) continue;
+
+          // 코드 블록 상태 업데이트
+          if (chunk.text.includes('```')) {
+            isCodeBlock = !isCodeBlock;
           }
-        });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          callbacks.onError(error);
-          reject(error);
-        });
+          // 현재 청크만 전송
+          await callbacks.onChunk({
+            currentChunk: chunk.text,
+            isCodeBlock
+          });
+
+          // 전체 응답은 서버에서만 관리
+          fullResponse += chunk.text;
+        }
+      } catch (streamError) {
+        // 중단 요청으로 스트림이 끊긴 경우는 오류가 아닌 부분 응답으로 완료
+        if (!signal?.aborted) throw streamError;
+      }
+
+      await callbacks.onComplete({
+        content: fullResponse.trim(),
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        ...(signal?.aborted && { cancelled: true })
       });
+      return fullResponse.trim();
 
     } catch (error) {
       console.error('AI response generation error:', error);
@@ -132,4 +237,4 @@ class AIService {
   }
 }
 
-module.exports = new AIService();
\ No newline at end of file
+module.exports = new AIService();
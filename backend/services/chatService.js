@@ -1,8 +1,22 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const messageQueue = require('../utils/queue');
 const redisManager = require('../config/redis');
 const User = require('../models/User');
 const File = require('../models/File');
+const Room = require('../models/Room');
+const { deleteStoredFile } = require('./fileService');
+const { messageEditWindow } = require('../config/keys');
+
+const MAX_REVISIONS = 20;
+const MAX_AI_VARIANTS = 10;
+const QUOTE_EXCERPT_LENGTH = 200;
+
+const createChatError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 class ChatService {
   constructor() {
@@ -93,13 +107,18 @@ class ChatService {
 
   async handleMessage(messageData, userId) {
     try {
+      // 버퍼 저장 전에 ID를 할당하여 브로드캐스트/캐시/DB가 같은 ID를 사용하도록 함
       const message = {
+        _id: new mongoose.Types.ObjectId(),
         room: messageData.room,
         type: messageData.type || 'text',
         content: messageData.content?.trim(),
         sender: userId,
         timestamp: Date.now(),
-        ...(messageData.fileData && { file: messageData.fileData })
+        ...(messageData.fileData && { file: messageData.fileData }),
+        ...(messageData.parentMessage && { parentMessage: messageData.parentMessage }),
+        ...(messageData.quote && { quote: messageData.quote }),
+        ...(messageData.mentions?.length && { mentions: messageData.mentions })
       };
 
       await this.getUserFromCache(userId);
@@ -120,19 +139,23 @@ class ChatService {
       const roomKey = `chat:room:${message.room}:messages`;
       const messageCacheKey = `chat:message:${message.room}:${message.timestamp}`;
       
-      const pipeline = redisManager.pubClient.pipeline();
-      
       const enrichedMessage = await this.enrichMessageData(message);
-      
-      pipeline.zadd(roomKey, message.timestamp, message.timestamp.toString());
-      pipeline.set(messageCacheKey, JSON.stringify(enrichedMessage), 'EX', this.CACHE_TTL);
-      pipeline.expire(roomKey, this.CACHE_TTL);
-      
-      await pipeline.exec();
+
+      // 스레드 답글은 채팅방 타임라인 캐시에 포함하지 않음
+      if (!message.parentMessage) {
+        const pipeline = redisManager.pubClient.pipeline();
+
+        pipeline.zadd(roomKey, message.timestamp, message.timestamp.toString());
+        pipeline.set(messageCacheKey, JSON.stringify(enrichedMessage), 'EX', this.CACHE_TTL);
+        pipeline.expire(roomKey, this.CACHE_TTL);
+
+        await pipeline.exec();
+      }
       
       console.log("Message job added:", job);
       return { 
         success: true, 
+        messageId: message._id,
         tempId: job.id, 
         timestamp: message.timestamp,
         enrichedData: enrichedMessage 
@@ -192,6 +215,362 @@ class ChatService {
     }
   }
 
+  async editMessage(messageId, userId, content, roomId = null) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+
+      const processedContent = content?.trim();
+      if (!processedContent) {
+        throw createChatError('메시지 내용을 입력해주세요.', 'INVALID_CONTENT');
+      }
+
+      // 아직 버퍼에 남아있는 메시지일 수 있으므로 먼저 저장
+      if (this.messageBuffer.some(msg => String(msg._id) === String(messageId))) {
+        await this.flushMessageBuffer();
+      }
+
+      const message = await Message.findOne({
+        _id: messageId,
+        isDeleted: false,
+        ...(roomId && { room: roomId })
+      })
+        .select('room type sender content timestamp editedAt')
+        .lean();
+
+      if (!message) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+      if (String(message.sender) !== String(userId)) {
+        throw createChatError('본인이 작성한 메시지만 수정할 수 있습니다.', 'FORBIDDEN');
+      }
+      if (message.type !== 'text') {
+        throw createChatError('텍스트 메시지만 수정할 수 있습니다.', 'INVALID_MESSAGE_TYPE');
+      }
+      if (Date.now() - new Date(message.timestamp).getTime() > messageEditWindow) {
+        throw createChatError('메시지 수정 가능 시간이 지났습니다.', 'EDIT_WINDOW_EXPIRED');
+      }
+      if (message.content === processedContent) {
+        return this.getMessageById(messageId);
+      }
+
+      const editedAt = new Date();
+      const updated = await Message.findOneAndUpdate(
+        // 동시 수정 시 이전 내용이 덮어써지지 않도록 현재 내용을 조건으로 사용
+        { _id: messageId, content: message.content, isDeleted: false },
+        {
+          $set: { content: processedContent, editedAt },
+          $push: {
+            revisions: {
+              $each: [{ content: message.content, editedAt: message.editedAt || message.timestamp }],
+              $slice: -MAX_REVISIONS
+            }
+          }
+        },
+        { new: true, lean: true }
+      );
+
+      if (!updated) {
+        throw createChatError('다른 요청에 의해 메시지가 변경되었습니다. 다시 시도해주세요.', 'EDIT_CONFLICT');
+      }
+
+      await this.invalidateMessageCache(updated);
+      return this.enrichMessageData(updated);
+    } catch (error) {
+      console.error('editMessage error:', error);
+      throw error;
+    }
+  }
+
+  // 다시 생성할 AI 답변 조회 (아직 버퍼에 남아있으면 먼저 저장)
+  async findAIMessage(messageId, roomId = null) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+    if (this.messageBuffer.some(msg => String(msg._id) === String(messageId))) {
+      await this.flushMessageBuffer();
+    }
+
+    return Message.findOne({
+      _id: messageId,
+      type: 'ai',
+      isDeleted: false,
+      ...(roomId && { room: roomId })
+    })
+      .select('room content aiType aiName aiAvatar sources cancelled variants metadata timestamp')
+      .lean();
+  }
+
+  // 다시 생성한 AI 답변 저장: 이전 답변은 variants에 보관하고 본문을 새 답변으로 교체
+  async addAIResponseVariant(messageId, { content, cancelled = false, sources = [] }) {
+    try {
+      const message = await this.findAIMessage(messageId);
+      if (!message) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+
+      // 처음 다시 생성할 때는 기존 답변을 첫 번째 변형으로 함께 저장
+      const previous = message.variants?.length > 0 ? [] : [{
+        content: message.content,
+        cancelled: Boolean(message.cancelled),
+        sources: message.sources || [],
+        createdAt: message.timestamp
+      }];
+
+      const updated = await Message.findOneAndUpdate(
+        { _id: messageId, isDeleted: false },
+        {
+          $set: { content, cancelled, sources },
+          $push: {
+            variants: {
+              $each: [...previous, { content, cancelled, sources, createdAt: new Date() }],
+              $slice: -MAX_AI_VARIANTS
+            }
+          }
+        },
+        { new: true, lean: true }
+      );
+
+      if (!updated) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+
+      await this.invalidateMessageCache(updated);
+      return updated;
+    } catch (error) {
+      console.error('addAIResponseVariant error:', error);
+      throw error;
+    }
+  }
+
+  async deleteMessage(messageId, userId, roomId = null) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+
+      // 아직 버퍼에 남아있는 메시지일 수 있으므로 먼저 저장
+      if (this.messageBuffer.some(msg => String(msg._id) === String(messageId))) {
+        await this.flushMessageBuffer();
+      }
+
+      const message = await Message.findOne({
+        _id: messageId,
+        isDeleted: false,
+        ...(roomId && { room: roomId })
+      }).select('room type sender file timestamp parentMessage');
+
+      if (!message) {
+        throw createChatError('메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+      }
+
+      // 작성자 또는 채팅방 생성자만 삭제 가능
+      const isSender = message.sender && String(message.sender) === String(userId);
+      if (!isSender) {
+        const room = await Room.findById(message.room).select('creator').lean();
+        if (!room || String(room.creator) !== String(userId)) {
+          throw createChatError('메시지를 삭제할 권한이 없습니다.', 'FORBIDDEN');
+        }
+      }
+
+      await message.softDelete();
+      await this.invalidateMessageCache(message, { removeFromRoom: true });
+
+      let thread = null;
+      if (message.parentMessage) {
+        thread = await this.updateThreadMetadata(message.parentMessage, { decrement: true });
+      }
+
+      if (message.type === 'file' && message.file) {
+        await deleteStoredFile(message.file).catch(error => {
+          console.error('Message file deletion error:', error);
+        });
+      }
+
+      return {
+        messageId: message._id,
+        room: message.room,
+        type: message.type,
+        parentMessageId: message.parentMessage,
+        thread
+      };
+    } catch (error) {
+      console.error('deleteMessage error:', error);
+      throw error;
+    }
+  }
+
+  // 답글 대상 메시지 확인 (답글의 답글은 최상위 메시지 스레드로 연결)
+  async resolveThreadParent(roomId, parentId) {
+    if (!mongoose.Types.ObjectId.isValid(parentId)) {
+      throw createChatError('답글 대상 메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+    }
+
+    if (this.messageBuffer.some(msg => String(msg._id) === String(parentId))) {
+      await this.flushMessageBuffer();
+    }
+
+    const parent = await Message.findOne({ _id: parentId, room: roomId, isDeleted: false })
+      .select('room type parentMessage timestamp')
+      .lean();
+
+    if (!parent) {
+      throw createChatError('답글 대상 메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+    }
+    if (parent.type === 'system') {
+      throw createChatError('시스템 메시지에는 답글을 달 수 없습니다.', 'INVALID_MESSAGE_TYPE');
+    }
+
+    return parent.parentMessage
+      ? this.resolveThreadParent(roomId, parent.parentMessage)
+      : parent;
+  }
+
+  // 인용 답장용 원본 메시지 스냅샷 생성
+  async buildQuoteSnapshot(roomId, messageId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw createChatError('인용할 메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+    }
+
+    if (this.messageBuffer.some(msg => String(msg._id) === String(messageId))) {
+      await this.flushMessageBuffer();
+    }
+
+    const original = await Message.findOne({ _id: messageId, room: roomId, isDeleted: false })
+      .select('content type sender file aiType aiName timestamp')
+      .populate('sender', 'name')
+      .populate('file', 'filename originalname mimetype')
+      .lean();
+
+    if (!original) {
+      throw createChatError('인용할 메시지를 찾을 수 없습니다.', 'MESSAGE_NOT_FOUND');
+    }
+    if (original.type === 'system') {
+      throw createChatError('시스템 메시지는 인용할 수 없습니다.', 'INVALID_MESSAGE_TYPE');
+    }
+
+    const content = original.content || '';
+    const excerpt = content.length > QUOTE_EXCERPT_LENGTH
+      ? `${content.slice(0, QUOTE_EXCERPT_LENGTH)}…`
+      : content;
+
+    return {
+      messageId: original._id,
+      type: original.type,
+      ...(original.sender && {
+        sender: { _id: original.sender._id, name: original.sender.name }
+      }),
+      ...(original.aiType && { aiType: original.aiType }),
+      ...(original.aiName && { aiName: original.aiName }),
+      excerpt,
+      ...(original.file && {
+        file: {
+          _id: original.file._id,
+          filename: original.file.filename,
+          originalname: original.file.originalname,
+          mimetype: original.file.mimetype
+        }
+      }),
+      timestamp: original.timestamp
+    };
+  }
+
+  // 부모 메시지의 답글 수와 마지막 답글 정보 갱신
+  async updateThreadMetadata(parentId, { replyBy = null, replyAt = null, decrement = false } = {}) {
+    try {
+      const update = decrement
+        ? { $inc: { 'thread.replyCount': -1 } }
+        : {
+            $inc: { 'thread.replyCount': 1 },
+            $set: { 'thread.lastReplyAt': new Date(replyAt || Date.now()), 'thread.lastReplyBy': replyBy }
+          };
+
+      const parent = await Message.findOneAndUpdate(
+        { _id: parentId, ...(decrement && { 'thread.replyCount': { $gt: 0 } }) },
+        update,
+        { new: true, lean: true, select: 'room timestamp thread' }
+      );
+      if (!parent) return null;
+
+      await this.invalidateMessageCache(parent);
+      return parent.thread;
+    } catch (error) {
+      console.error('Thread metadata update error:', error);
+      return null;
+    }
+  }
+
+  async loadThreadMessages(parentId, before, limit = this.MESSAGES_PER_PAGE) {
+    try {
+      const messages = await Message.findThreadMessages(parentId, before, limit + 1);
+      const page = messages.slice(0, limit);
+      const enriched = await Promise.all(page.map(msg => this.enrichMessageData(msg)));
+
+      return {
+        messages: enriched.reverse(),
+        hasMore: messages.length > limit,
+        oldestTimestamp: page[page.length - 1]?.timestamp
+      };
+    } catch (error) {
+      console.error('Thread message loading error:', error);
+      throw error;
+    }
+  }
+
+  // 메시지 ID 캐시와 채팅방 타임스탬프 캐시 제거
+  // removeFromRoom: 채팅방 정렬 집합(chat:room:{id}:messages)에서도 제거
+  async invalidateMessageCache(message, { removeFromRoom = false } = {}) {
+    try {
+      const timestamp = new Date(message.timestamp).getTime();
+      const pipeline = redisManager.pubClient.pipeline();
+
+      pipeline.del(
+        `chat:message:id:${message._id}`,
+        `chat:message:${message.room}:${timestamp}`
+      );
+      if (removeFromRoom) {
+        pipeline.zrem(`chat:room:${message.room}:messages`, timestamp.toString());
+      }
+
+      await pipeline.exec();
+    } catch (error) {
+      console.error('Message cache invalidation error:', error);
+    }
+  }
+
+  // 채팅방 삭제 시 메시지, 첨부 파일, 캐시 일괄 삭제
+  async purgeRoomMessages(roomId) {
+    try {
+      // 아직 저장되지 않은 메시지가 삭제 후 다시 저장되지 않도록 버퍼에서 제거
+      this.messageBuffer = this.messageBuffer.filter(msg => String(msg.room) !== String(roomId));
+
+      const [messageIds, fileIds] = await Promise.all([
+        Message.distinct('_id', { room: roomId }),
+        Message.distinct('file', { room: roomId, file: { $ne: null } })
+      ]);
+
+      for (const fileId of fileIds) {
+        await deleteStoredFile(fileId).catch(error => {
+          console.error('Room file cleanup error:', error);
+        });
+      }
+
+      const { deletedCount } = await Message.deleteMany({ room: roomId });
+
+      const messageKeys = await redisManager.getKeys(`chat:message:${roomId}:*`);
+      const pipeline = redisManager.pubClient.pipeline();
+      pipeline.del(`chat:room:${roomId}:messages`);
+      messageKeys.forEach(key => pipeline.del(key));
+      messageIds.forEach(id => pipeline.del(`chat:message:id:${id}`));
+      await pipeline.exec();
+
+      return { deletedMessages: deletedCount, deletedFiles: fileIds.length };
+    } catch (error) {
+      console.error('Room message purge error:', error);
+      throw error;
+    }
+  }
+
   async getMessageById(messageId) {
     try {
       if (!messageId) throw new Error('messageId is required');
@@ -212,8 +591,18 @@ class ChatService {
     }
   }
 
-  async loadMessages(roomId, before, limit = this.MESSAGES_PER_PAGE) {
+  async loadMessages(roomId, before, limit = this.MESSAGES_PER_PAGE, options = {}) {
     try {
+      // 타입 필터나 복합 커서({ timestamp, _id })는 Redis 캐시로 처리할 수 없으므로 DB에서 조회
+      if (options.types?.length || (before && typeof before === 'object')) {
+        const messages = await this.loadMessagesFromDB(roomId, before, limit, options);
+        return {
+          messages: messages.slice(0, limit),
+          hasMore: messages.length > limit,
+          oldestTimestamp: messages[messages.length - 1]?.timestamp
+        };
+      }
+
       const roomKey = `chat:room:${roomId}:messages`;
       let messages = await this.loadMessagesFromRedis(roomKey, before, limit);
       
@@ -240,6 +629,87 @@ class ChatService {
     }
   }
 
+  async loadMessagesAfter(roomId, after, limit = this.MESSAGES_PER_PAGE, options = {}) {
+    try {
+      // 아직 저장되지 않은 최신 메시지가 누락되지 않도록 버퍼를 먼저 저장
+      if (this.messageBuffer.some(msg => String(msg.room) === String(roomId))) {
+        await this.flushMessageBuffer();
+      }
+
+      const messages = await this.loadMessagesFromDB(roomId, null, limit + 1, { ...options, after });
+      const page = messages.slice(0, limit);
+
+      return {
+        messages: page,
+        hasMore: messages.length > limit,
+        newestTimestamp: page[page.length - 1]?.timestamp
+      };
+    } catch (error) {
+      console.error('Message loading (after) error:', error);
+      throw error;
+    }
+  }
+
+  async loadMessagesAround(roomId, anchor, limit = this.MESSAGES_PER_PAGE, options = {}) {
+    try {
+      if (this.messageBuffer.some(msg => String(msg.room) === String(roomId))) {
+        await this.flushMessageBuffer();
+      }
+
+      const anchorMessage = await this.resolveAnchorMessage(roomId, anchor);
+      if (!anchorMessage) return null;
+
+      const cursor = {
+        timestamp: new Date(anchorMessage.timestamp).getTime(),
+        _id: anchorMessage._id?.toString()
+      };
+      const olderLimit = Math.floor((limit - 1) / 2);
+      const newerLimit = limit - 1 - olderLimit;
+
+      const [older, newer] = await Promise.all([
+        this.loadMessagesFromDB(roomId, cursor, olderLimit + 1, options),
+        this.loadMessagesFromDB(roomId, null, newerLimit + 1, { ...options, after: cursor })
+      ]);
+
+      // 타입 필터에 맞지 않는 기준 메시지는 결과에서 제외
+      const includeAnchor = !options.types?.length || options.types.includes(anchorMessage.type);
+      const enrichedAnchor = includeAnchor ? await this.enrichMessageData(anchorMessage) : null;
+
+      return {
+        messages: [
+          ...older.slice(0, olderLimit).reverse(),
+          ...(enrichedAnchor ? [enrichedAnchor] : []),
+          ...newer.slice(0, newerLimit)
+        ],
+        anchorId: anchorMessage._id,
+        hasOlder: older.length > olderLimit,
+        hasNewer: newer.length > newerLimit
+      };
+    } catch (error) {
+      console.error('Message loading (around) error:', error);
+      throw error;
+    }
+  }
+
+  // 기준 메시지 조회 (메시지 ID 또는 타임스탬프)
+  async resolveAnchorMessage(roomId, anchor) {
+    if (mongoose.Types.ObjectId.isValid(anchor) && String(anchor).length === 24) {
+      return Message.findOne({ _id: anchor, room: roomId, isDeleted: false, parentMessage: null })
+        .select('content type sender timestamp file aiType aiName aiAvatar sources cancelled variants metadata.requestedBy reactions readers editedAt revisions thread quote')
+        .lean();
+    }
+
+    const timestamp = Number(anchor);
+    if (!Number.isFinite(timestamp)) return null;
+
+    // 해당 시각 이후 첫 메시지, 없으면 직전 메시지를 기준으로 사용
+    const [next] = await Message.findRoomMessages(roomId, null, 1, { after: timestamp - 1 });
+    if (next) return next;
+
+    const [previous] = await Message.findRoomMessages(roomId, timestamp, 1);
+    return previous || null;
+  }
+
   async loadMessagesFromRedis(roomKey, before, limit) {
     try {
       const max = before || '+inf';
@@ -283,9 +753,9 @@ class ChatService {
     }
   }
 
-  async loadMessagesFromDB(roomId, before, limit) {
+  async loadMessagesFromDB(roomId, before, limit, options = {}) {
     try {
-      const messages = await Message.findRoomMessages(roomId, before, limit);
+      const messages = await Message.findRoomMessages(roomId, before, limit, options);
       return await Promise.all(messages.map(msg => this.enrichMessageData(msg)));
     } catch (error) {
       console.error('DB message loading error:', error);
@@ -321,12 +791,17 @@ class ChatService {
     this.messageBuffer = [];
   
     try {
-      const bulkOps = messages.map(msg => ({ insertOne: { document: msg } }));
+      // ID가 할당된 메시지는 메시지 큐에서도 저장되므로 upsert로 중복 저장을 방지
+      const bulkOps = messages.map(({ _id, ...msg }) => (
+        _id
+          ? { updateOne: { filter: { _id }, update: { $setOnInsert: msg }, upsert: true } }
+          : { insertOne: { document: msg } }
+      ));
       
       await Message.bulkWrite(bulkOps, { ordered: false, w: 1, j: false });
 
       const pipeline = redisManager.pubClient.pipeline();
-      messages.forEach(msg => {
+      messages.filter(msg => !msg.parentMessage).forEach(msg => {
         const roomId = msg.room;
         const roomKey = `chat:room:${roomId}:messages`;
         const timestamp = new Date(msg.timestamp).getTime();
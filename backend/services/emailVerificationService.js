@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const MailService = require('./mailService');
+const { jwtSecret, frontendUrl, emailVerificationPolicy } = require('../config/keys');
+
+const TOKEN_TYPE = 'email-verification';
+const TOKEN_EXPIRES_IN = 24 * 60 * 60; // 24시간
+
+// 이메일 인증 링크 발급/검증 및 미인증 사용자 정책 적용
+class EmailVerificationService {
+  constructor() {
+    // none: 제한 없음, read_only: 인증 전까지 메시지 전송/방 생성/파일 업로드 불가
+    this.policy = emailVerificationPolicy;
+    this.RESTRICTED_MESSAGE = '이메일 인증을 완료해야 이용할 수 있습니다. 프로필에서 인증 메일을 다시 받을 수 있습니다.';
+  }
+
+  // 이메일이 바뀌면 이전 링크는 무효
+  createToken(user) {
+    return jwt.sign(
+      { type: TOKEN_TYPE, userId: user._id.toString(), email: user.email },
+      jwtSecret,
+      { expiresIn: TOKEN_EXPIRES_IN, algorithm: 'HS256' }
+    );
+  }
+
+  // 토큰 서명 검증 후 사용자 조회 (유효하지 않으면 null)
+  async findUserByToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== TOKEN_TYPE || !mongoose.Types.ObjectId.isValid(payload.userId)) {
+      return null;
+    }
+
+    const user = await User.findById(payload.userId);
+    if (!user || user.email !== payload.email) return null;
+    return user;
+  }
+
+  async sendVerificationMail(user) {
+    const verifyUrl = `${frontendUrl}/verify-email?token=${this.createToken(user)}`;
+
+    return MailService.send({
+      to: user.email,
+      subject: '[ChatApp] 이메일 인증 안내',
+      text: [
+        `${user.name}님, 가입해주셔서 감사합니다.`,
+        '아래 링크를 눌러 이메일 인증을 완료해주세요. (24시간 동안 유효)',
+        verifyUrl
+      ].join('\n\n')
+    });
+  }
+
+  isRestricted() {
+    return this.policy === 'read_only';
+  }
+
+  // 쓰기 작업 허용 여부 (인증 직후 반영되도록 미인증 상태일 때만 DB 재조회)
+  async canWrite(user) {
+    if (!this.isRestricted() || user?.emailVerified) return true;
+    if (!user?.id) return false;
+
+    const current = await User.findById(user.id).select('emailVerified').lean();
+    if (current?.emailVerified) {
+      user.emailVerified = true;
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -1,19 +1,63 @@
-const fs = require('fs');
-const pdfParse = require('pdf-parse');
-
-exports.processFileForRAG = async (filePath) => {
-  let textContent = '';
-
-  // PDF 파일 처리
-  if (filePath.endsWith('.pdf')) {
-    const dataBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdfParse(dataBuffer);
-    textContent = pdfData.text;
-  } else {
-    // 텍스트 파일 처리
-    textContent = fs.readFileSync(filePath, 'utf-8');
+const { DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const File = require('../models/File');
+const redisManager = require('../config/redis');
+const aiService = require('./aiService');
+const vectorDB = require('../utils/vectorDB');
+const { isExtractable, extractText, chunkText } = require('../utils/documentText');
+const { initializeS3Client } = require('../middleware/upload');
+const { s3Bucket } = require('../config/keys');
+
+const RAG_MAX_CHUNKS = 200; // 문서당 색인할 최대 청크 수 (임베딩 비용 제한)
+const EMBEDDING_BATCH_SIZE = 32;
+
+// S3 객체와 파일 정보 삭제 (S3 삭제 실패는 로그만 남기고 계속 진행)
+exports.deleteStoredFile = async (fileId) => {
+  const file = await File.findById(fileId);
+  if (!file) return false;
+
+  try {
+    await initializeS3Client().send(new DeleteObjectCommand({
+      Bucket: s3Bucket,
+      Key: file.filename
+    }));
+  } catch (error) {
+    console.error('File deletion (S3) error:', error);
+  }
+
+  await file.deleteOne();
+  await redisManager.pubClient.del(`file:${fileId}`).catch(err => console.error('File cache deletion error:', err));
+  await vectorDB.removeFile(fileId).catch(err => console.error('File document index deletion error:', err));
+  return true;
+};
+
+// 채팅방에 공유된 문서의 텍스트를 청크로 나눠 임베딩과 함께 저장 (AI가 답변할 때 검색)
+// 지원하지 않는 형식이거나 임베딩 제공자가 없으면 색인하지 않음, 저장한 청크 수 반환
+exports.processFileForRAG = async ({ roomId, messageId, fileId, userId }) => {
+  const file = await File.findOne({ _id: fileId, user: userId }).lean();
+  if (!file || !isExtractable(file.mimetype) || !aiService.getEmbeddingProvider()) return 0;
+
+  const { Body } = await initializeS3Client().send(new GetObjectCommand({
+    Bucket: s3Bucket,
+    Key: file.filename
+  }));
+  const text = await extractText(Buffer.from(await Body.transformToByteArray()), file.mimetype);
+  const chunks = text ? chunkText(text).slice(0, RAG_MAX_CHUNKS) : [];
+  if (chunks.length === 0) return 0;
+
+  const embedded = [];
+  let embeddingModel = null;
+  for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const { embeddings, model } = await aiService.embed(batch);
+    embeddingModel = model;
+    batch.forEach((chunk, index) => embedded.push({ text: chunk, embedding: embeddings[index] }));
   }
 
-  // 텍스트를 벡터화하여 벡터 DB에 저장
-  await vectorDB.storeDocument(textContent);
-};
\ No newline at end of file
+  return vectorDB.storeDocument({
+    room: roomId,
+    message: messageId,
+    file: fileId,
+    filename: file.originalname,
+    embeddingModel
+  }, embedded);
+};
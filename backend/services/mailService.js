@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { mailTransport, mailFrom, mailOutboxDir } = require('../config/keys');
+
+// 로컬 개발용: 메일 내용을 서버 로그로 출력
+const consoleTransport = {
+  async send(message) {
+    console.log('[Mail]', JSON.stringify(message, null, 2));
+    return { id: message.id };
+  }
+};
+
+// 로컬 테스트용: 메일을 JSON 파일로 저장 (MAIL_OUTBOX_DIR)
+const createFileTransport = (directory) => ({
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const filePath = path.join(directory, `${Date.now()}-${message.id}.json`);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { id: message.id, path: filePath };
+  }
+});
+
+// 메일 발송 서비스 (send(message)를 구현한 객체를 transport로 교체해 SMTP/외부 API 연동)
+class MailService {
+  constructor() {
+    this.from = mailFrom;
+    this.transport = this.createTransport(mailTransport);
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'file':
+        return createFileTransport(path.resolve(__dirname, '..', mailOutboxDir));
+      case 'console':
+        return consoleTransport;
+      default:
+        console.warn(`Unknown mail transport "${name}", falling back to console`);
+        return consoleTransport;
+    }
+  }
+
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    if (!to || !subject) {
+      throw new Error('Mail recipient and subject are required');
+    }
+
+    const message = {
+      id: crypto.randomBytes(8).toString('hex'),
+      from: this.from,
+      to,
+      subject,
+      text,
+      html,
+      createdAt: new Date().toISOString()
+    };
+
+    return this.transport.send(message);
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const redisManager = require('../config/redis');
+
+// 토큰을 한 번만 사용할 수 있도록 조회와 삭제를 원자적으로 처리
+const CONSUME_SCRIPT = `
+local userId = redis.call('GET', KEYS[1])
+if not userId then return nil end
+redis.call('DEL', KEYS[1])
+local userKey = ARGV[1] .. userId
+if redis.call('GET', userKey) == ARGV[2] then
+  redis.call('DEL', userKey)
+end
+return userId
+`;
+
+// 비밀번호 재설정 토큰 관리 (Redis에는 해시만 저장, 사용자당 최신 토큰 하나만 유효)
+class PasswordResetService {
+  constructor() {
+    this.TOKEN_PREFIX = 'password_reset:';
+    this.USER_TOKEN_PREFIX = 'password_reset_user:';
+    this.TOKEN_TTL = 30 * 60; // 30분
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async createToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = this.hashToken(token);
+    const userKey = `${this.USER_TOKEN_PREFIX}${userId}`;
+    const client = redisManager.pubClient;
+
+    // 이전에 발급한 토큰 무효화
+    const previousHash = await client.get(userKey);
+    if (previousHash) {
+      await client.del(`${this.TOKEN_PREFIX}${previousHash}`);
+    }
+
+    await client.multi()
+      .set(`${this.TOKEN_PREFIX}${tokenHash}`, userId.toString(), 'EX', this.TOKEN_TTL)
+      .set(userKey, tokenHash, 'EX', this.TOKEN_TTL)
+      .exec();
+
+    return token;
+  }
+
+  // 유효한 토큰이면 사용자 ID를 반환하고 토큰 폐기
+  async consumeToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const tokenHash = this.hashToken(token);
+    return redisManager.pubClient.eval(
+      CONSUME_SCRIPT, 1, `${this.TOKEN_PREFIX}${tokenHash}`, this.USER_TOKEN_PREFIX, tokenHash
+    );
+  }
+}
+
+module.exports = new PasswordResetService();
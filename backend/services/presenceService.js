@@ -0,0 +1,158 @@
+const redisManager = require('../config/redis');
+const User = require('../models/User');
+
+const PRESENCE_STATUSES = ['online', 'away', 'offline'];
+
+// 소켓 목록과 마지막 활동 시각으로 상태를 계산하고 이전 상태와 함께 반환
+// KEYS: 사용자 소켓 목록, 사용자 상태, 점검 대상 목록
+// ARGV: userId, now, socketTtl, awayTimeout, keyTtl, socketId, op(add/remove/''), activityAt
+const REFRESH_SCRIPT = `
+local now = tonumber(ARGV[2])
+local socketTtl = tonumber(ARGV[3])
+local awayTimeout = tonumber(ARGV[4])
+
+if ARGV[7] == 'add' then
+  redis.call('ZADD', KEYS[1], now, ARGV[6])
+elseif ARGV[7] == 'remove' then
+  redis.call('ZREM', KEYS[1], ARGV[6])
+end
+
+local activityAt = tonumber(ARGV[8])
+local lastActivity = tonumber(redis.call('HGET', KEYS[2], 'lastActivity') or '0')
+if activityAt > lastActivity then
+  lastActivity = activityAt
+  redis.call('HSET', KEYS[2], 'lastActivity', lastActivity)
+end
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - socketTtl)
+local count = redis.call('ZCARD', KEYS[1])
+local previous = redis.call('HGET', KEYS[2], 'status') or 'offline'
+
+local status = 'offline'
+if count > 0 then
+  if now - lastActivity >= awayTimeout then status = 'away' else status = 'online' end
+end
+redis.call('HSET', KEYS[2], 'status', status)
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+
+if count > 0 then
+  local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+  local nextCheck = tonumber(oldest[2]) + socketTtl
+  if status == 'online' then nextCheck = math.min(nextCheck, lastActivity + awayTimeout) end
+  redis.call('ZADD', KEYS[3], nextCheck, ARGV[1])
+  redis.call('EXPIRE', KEYS[1], ARGV[5])
+else
+  redis.call('ZREM', KEYS[3], ARGV[1])
+  redis.call('DEL', KEYS[1])
+end
+
+return { status, previous, tostring(lastActivity) }
+`;
+
+class PresenceService {
+  constructor() {
+    this.SOCKETS_PREFIX = 'presence:sockets:';
+    this.STATE_PREFIX = 'presence:user:';
+    this.TRACKED_KEY = 'presence:tracked';
+    this.SOCKET_TTL = 70 * 1000;        // 하트비트가 끊긴 소켓 정리 (비정상 종료된 노드 대비)
+    this.AWAY_TIMEOUT = 5 * 60 * 1000;  // 활동이 없으면 자리 비움
+    this.KEY_TTL = 24 * 60 * 60;
+    this.SWEEP_BATCH_SIZE = 200;
+  }
+
+  getSocketsKey(userId) {
+    return `${this.SOCKETS_PREFIX}${userId}`;
+  }
+
+  getStateKey(userId) {
+    return `${this.STATE_PREFIX}${userId}`;
+  }
+
+  // 상태를 다시 계산하고, 바뀐 경우에만 변경 내용 반환
+  async refresh(userId, { socketId = '', op = '', activityAt = 0 } = {}) {
+    const [status, previous, lastActivity] = await redisManager.pubClient.eval(
+      REFRESH_SCRIPT,
+      3,
+      this.getSocketsKey(userId),
+      this.getStateKey(userId),
+      this.TRACKED_KEY,
+      userId,
+      Date.now(),
+      this.SOCKET_TTL,
+      this.AWAY_TIMEOUT,
+      this.KEY_TTL,
+      socketId,
+      op,
+      activityAt
+    );
+
+    if (status === previous) return null;
+
+    const lastSeen = Number(lastActivity) ? new Date(Number(lastActivity)) : new Date();
+    if (status === 'offline') {
+      await User.updateOne({ _id: userId }, { $set: { lastActive: lastSeen } })
+        .catch(error => console.error('Last active update error:', error));
+    }
+
+    return { userId, status, lastSeen };
+  }
+
+  connect(userId, socketId) {
+    return this.refresh(userId, { socketId, op: 'add', activityAt: Date.now() });
+  }
+
+  disconnect(userId, socketId) {
+    return this.refresh(userId, { socketId, op: 'remove' });
+  }
+
+  // 클라이언트 하트비트 (idleFor: 마지막 사용자 입력 이후 경과 시간)
+  heartbeat(userId, socketId, idleFor = 0) {
+    const idle = Math.min(Math.max(Number(idleFor) || 0, 0), this.AWAY_TIMEOUT);
+    return this.refresh(userId, { socketId, op: 'add', activityAt: Date.now() - idle });
+  }
+
+  touch(userId, socketId) {
+    return this.heartbeat(userId, socketId, 0);
+  }
+
+  // 점검 시각이 지난 사용자의 상태 갱신 (자리 비움 전환, 응답 없는 소켓 정리)
+  async sweep() {
+    const userIds = await redisManager.pubClient.zrangebyscore(
+      this.TRACKED_KEY, '-inf', Date.now(), 'LIMIT', 0, this.SWEEP_BATCH_SIZE
+    );
+
+    const changes = await Promise.all(userIds.map(userId => this.refresh(userId)));
+    return changes.filter(Boolean);
+  }
+
+  // 사용자별 현재 상태 조회 (Redis에 기록이 없으면 오프라인, User.lastActive 기준)
+  async getPresence(userIds) {
+    const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+    if (uniqueIds.length === 0) return [];
+
+    const pipeline = redisManager.pubClient.pipeline();
+    uniqueIds.forEach(userId => pipeline.hmget(this.getStateKey(userId), 'status', 'lastActivity'));
+    const results = await pipeline.exec();
+
+    const presence = new Map();
+    results.forEach(([error, values], index) => {
+      const [status, lastActivity] = values || [];
+      if (error || !PRESENCE_STATUSES.includes(status) || !Number(lastActivity)) return;
+      presence.set(uniqueIds[index], { status, lastSeen: new Date(Number(lastActivity)) });
+    });
+
+    const missingIds = uniqueIds.filter(userId => !presence.has(userId));
+    if (missingIds.length > 0) {
+      const users = await User.find({ _id: { $in: missingIds } }).select('lastActive').lean();
+      users.forEach(user => {
+        presence.set(user._id.toString(), { status: 'offline', lastSeen: user.lastActive });
+      });
+    }
+
+    return uniqueIds
+      .filter(userId => presence.has(userId))
+      .map(userId => ({ userId, ...presence.get(userId) }));
+  }
+}
+
+module.exports = new PresenceService();
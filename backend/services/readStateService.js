@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const redisManager = require('../config/redis');
+const ReadState = require('../models/ReadState');
+const Message = require('../models/Message');
+
+// 안 읽은 메시지로 집계할 메시지 타입 (시스템 메시지 제외)
+const UNREAD_MESSAGE_TYPES = ['text', 'file', 'ai'];
+const LOADED_FIELD = '_loaded';
+
+// 기존 값보다 최신일 때만 갱신
+const SET_MAX_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if (not current) or tonumber(current) < tonumber(ARGV[2]) then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return 1
+`;
+
+class ReadStateService {
+  constructor() {
+    // DB에 아직 반영되지 않은 읽음 위치 (userId:roomId -> timestamp)
+    this.pendingWrites = new Map();
+    this.CACHE_PREFIX = 'chat:read:';
+    this.ROOM_READERS_PREFIX = 'chat:read:room:';
+    this.CACHE_TTL = 7 * 24 * 60 * 60;
+    this.FLUSH_INTERVAL = 5000;
+
+    setInterval(() => this.flushPendingWrites(), this.FLUSH_INTERVAL).unref();
+  }
+
+  getCacheKey(userId) {
+    return `${this.CACHE_PREFIX}${userId}`;
+  }
+
+  getRoomReadersKey(roomId) {
+    return `${this.ROOM_READERS_PREFIX}${roomId}`;
+  }
+
+  // 사용자의 채팅방별 마지막 읽음 시각 조회 (roomId -> timestamp)
+  async getLastReadMap(userId) {
+    const cacheKey = this.getCacheKey(userId);
+    const cached = await redisManager.pubClient.hgetall(cacheKey);
+
+    const lastReadMap = new Map(
+      Object.entries(cached || {})
+        .filter(([roomId]) => roomId !== LOADED_FIELD)
+        .map(([roomId, timestamp]) => [roomId, Number(timestamp)])
+    );
+
+    if (cached?.[LOADED_FIELD]) return lastReadMap;
+
+    // 캐시가 비어 있으면 DB 값과 병합해 채움
+    const states = await ReadState.find({ user: userId })
+      .select('room lastReadAt')
+      .lean();
+
+    const pipeline = redisManager.pubClient.pipeline();
+    states.forEach(({ room, lastReadAt }) => {
+      const roomId = room.toString();
+      const timestamp = Math.max(lastReadMap.get(roomId) || 0, lastReadAt.getTime());
+      lastReadMap.set(roomId, timestamp);
+      pipeline.hset(cacheKey, roomId, timestamp);
+    });
+    pipeline.hset(cacheKey, LOADED_FIELD, 1);
+    pipeline.expire(cacheKey, this.CACHE_TTL);
+    await pipeline.exec();
+
+    return lastReadMap;
+  }
+
+  async getLastRead(userId, roomId) {
+    const lastReadMap = await this.getLastReadMap(userId);
+    return lastReadMap.get(roomId.toString()) || null;
+  }
+
+  // 읽음 위치 갱신 (Redis에 즉시 반영, DB는 주기적으로 일괄 저장)
+  async markRead(userId, roomId, timestamp = Date.now()) {
+    const time = new Date(timestamp).getTime();
+    if (!userId || !roomId || Number.isNaN(time)) return;
+
+    const readersKey = this.getRoomReadersKey(roomId);
+    await redisManager.pubClient.pipeline()
+      .eval(SET_MAX_SCRIPT, 1, this.getCacheKey(userId), roomId.toString(), time, this.CACHE_TTL)
+      .sadd(readersKey, userId.toString())
+      .expire(readersKey, this.CACHE_TTL)
+      .exec();
+
+    const key = `${userId}:${roomId}`;
+    this.pendingWrites.set(key, Math.max(this.pendingWrites.get(key) || 0, time));
+  }
+
+  async flushPendingWrites() {
+    if (this.pendingWrites.size === 0) return;
+
+    const writes = Array.from(this.pendingWrites.entries());
+    this.pendingWrites.clear();
+
+    const now = new Date();
+    const bulkOps = writes.map(([key, timestamp]) => {
+      const [user, room] = key.split(':');
+      return {
+        updateOne: {
+          filter: { user, room },
+          update: {
+            $max: { lastReadAt: new Date(timestamp) },
+            $set: { updatedAt: now }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    try {
+      await ReadState.bulkWrite(bulkOps, { ordered: false });
+    } catch (error) {
+      console.error('Read state flush error:', error);
+      // 실패한 항목은 다음 주기에 다시 저장
+      writes.forEach(([key, timestamp]) => {
+        this.pendingWrites.set(key, Math.max(this.pendingWrites.get(key) || 0, timestamp));
+      });
+    }
+  }
+
+  // 채팅방별 안 읽은 메시지 수와 나를 멘션한 메시지 수 집계
+  async getUnreadCounts(userId, roomIds) {
+    const lastReadMap = await this.getLastReadMap(userId);
+    const counts = new Map();
+
+    // 한 번도 읽은 적 없는 채팅방은 집계하지 않음
+    const readRooms = roomIds
+      .map(roomId => roomId.toString())
+      .filter(roomId => lastReadMap.has(roomId));
+    if (readRooms.length === 0) return counts;
+
+    const results = await Message.aggregate([
+      {
+        $match: {
+          $or: readRooms.map(roomId => ({
+            // Message.room은 문자열로 저장됨 (aggregate는 타입 변환을 하지 않음)
+            room: roomId,
+            timestamp: { $gt: new Date(lastReadMap.get(roomId)) }
+          })),
+          type: { $in: UNREAD_MESSAGE_TYPES },
+          sender: { $ne: new mongoose.Types.ObjectId(userId) },
+          parentMessage: null,
+          isDeleted: false
+        }
+      },
+      {
+        $group: {
+          _id: '$room',
+          unreadCount: { $sum: 1 },
+          mentionCount: {
+            $sum: { $cond: [{ $in: [userId.toString(), { $ifNull: ['$mentions', []] }] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    readRooms.forEach(roomId => counts.set(roomId, { unreadCount: 0, mentionCount: 0 }));
+    results.forEach(({ _id, unreadCount, mentionCount }) => {
+      counts.set(_id.toString(), { unreadCount, mentionCount });
+    });
+
+    return counts;
+  }
+
+  // 채팅방의 읽음 위치를 가진 사용자 목록 (안 읽은 메시지 알림 대상)
+  async getRoomReaderIds(roomId) {
+    const readersKey = this.getRoomReadersKey(roomId);
+    const cached = await redisManager.pubClient.smembers(readersKey);
+    if (cached.includes(LOADED_FIELD)) {
+      return cached.filter(userId => userId !== LOADED_FIELD);
+    }
+
+    const stored = await ReadState.distinct('user', { room: roomId });
+    const userIds = [...new Set([...cached, ...stored.map(id => id.toString())])];
+
+    await redisManager.pubClient.pipeline()
+      .sadd(readersKey, LOADED_FIELD, ...userIds)
+      .expire(readersKey, this.CACHE_TTL)
+      .exec();
+
+    return userIds;
+  }
+
+  // 강퇴/차단된 사용자의 읽음 위치 제거 (더 이상 알림 대상이 아님)
+  async deleteUserRoomState(userId, roomId) {
+    this.pendingWrites.delete(`${userId}:${roomId}`);
+    await ReadState.deleteOne({ user: userId, room: roomId });
+    await redisManager.pubClient.pipeline()
+      .hdel(this.getCacheKey(userId), roomId.toString())
+      .srem(this.getRoomReadersKey(roomId), userId.toString())
+      .exec();
+  }
+
+  async deleteRoomStates(roomId) {
+    for (const key of this.pendingWrites.keys()) {
+      if (key.endsWith(`:${roomId}`)) this.pendingWrites.delete(key);
+    }
+
+    const userIds = await this.getRoomReaderIds(roomId);
+    await ReadState.deleteMany({ room: roomId });
+
+    const pipeline = redisManager.pubClient.pipeline();
+    userIds.forEach(userId => pipeline.hdel(this.getCacheKey(userId), roomId.toString()));
+    pipeline.del(this.getRoomReadersKey(roomId));
+    await pipeline.exec();
+  }
+}
+
+module.exports = new ReadStateService();
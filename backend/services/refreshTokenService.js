@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const redisManager = require('../config/redis');
+const { refreshTokenTtl } = require('../config/keys');
+
+// 제시된 토큰이 패밀리의 현재 토큰이면 새 토큰으로 교체
+// 이미 교체된 토큰이 다시 제시되면 탈취로 보고 패밀리 전체 폐기
+const ROTATE_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then return {'invalid'} end
+local family = cjson.decode(value)
+if family.current ~= ARGV[1] then
+  redis.call('DEL', KEYS[1])
+  return {'reused', value}
+end
+family.current = ARGV[2]
+local updated = cjson.encode(family)
+redis.call('SET', KEYS[1], updated, 'EX', ARGV[3])
+return {'rotated', updated}
+`;
+
+// 로그인마다 토큰 패밀리를 만들고, 갱신할 때마다 토큰을 교체 (Redis에는 해시만 저장)
+class RefreshTokenService {
+  constructor() {
+    this.FAMILY_PREFIX = 'refresh_family:';
+    this.TOKEN_TTL = refreshTokenTtl;
+  }
+
+  getFamilyKey(familyId) {
+    return `${this.FAMILY_PREFIX}${familyId}`;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // 토큰 형식: {familyId}.{secret}
+  generateToken(familyId) {
+    return `${familyId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  getFamilyId(token) {
+    if (typeof token !== 'string') return null;
+    const [familyId, secret] = token.split('.');
+    return familyId && secret ? familyId : null;
+  }
+
+  parseFamily(value) {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Refresh token family parse error:', error);
+      return null;
+    }
+  }
+
+  async issue(userId, sessionId) {
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const token = this.generateToken(familyId);
+    const family = {
+      userId: userId.toString(),
+      sessionId,
+      current: this.hashToken(token)
+    };
+
+    await redisManager.pubClient.set(
+      this.getFamilyKey(familyId), JSON.stringify(family), 'EX', this.TOKEN_TTL
+    );
+    return token;
+  }
+
+  // status: rotated(새 토큰 발급) | reused(재사용 감지, 패밀리 폐기됨) | invalid
+  async rotate(token) {
+    const familyId = this.getFamilyId(token);
+    if (!familyId) return { status: 'invalid' };
+
+    const nextToken = this.generateToken(familyId);
+    const [status, value] = await redisManager.pubClient.eval(
+      ROTATE_SCRIPT, 1, this.getFamilyKey(familyId),
+      this.hashToken(token), this.hashToken(nextToken), this.TOKEN_TTL
+    );
+
+    const family = this.parseFamily(value);
+    if (status === 'rotated') {
+      return { status, token: nextToken, userId: family.userId, sessionId: family.sessionId };
+    }
+    if (status === 'reused') {
+      return { status, userId: family?.userId, sessionId: family?.sessionId };
+    }
+    return { status: 'invalid' };
+  }
+
+  async revoke(token) {
+    const familyId = this.getFamilyId(token);
+    if (!familyId) return false;
+
+    const removed = await redisManager.pubClient.del(this.getFamilyKey(familyId));
+    return removed === 1;
+  }
+}
+
+module.exports = new RefreshTokenService();
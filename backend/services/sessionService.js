@@ -3,10 +3,10 @@ const crypto = require('crypto');
 
 class SessionService {
   static SESSION_TTL = 24 * 60 * 60; // 24 hours
+  static MAX_SESSIONS = 10; // 다중 세션 모드에서 사용자별 최대 세션 수
   static SESSION_PREFIX = 'session:';
   static SESSION_ID_PREFIX = 'sessionId:';
-  static USER_SESSIONS_PREFIX = 'user_sessions:';
-  static ACTIVE_SESSION_PREFIX = 'active_session:';
+  static USER_SESSIONS_PREFIX = 'user_session_ids:';
 
   // 안전한 JSON 직렬화
   static safeStringify(data) {
@@ -68,10 +68,12 @@ class SessionService {
     }
   }
 
-  static async createSession(userId, metadata = {}) {
+  // multiSession이 아니면 기존 세션을 모두 종료하고 새 세션만 유지
+  static async createSession(userId, metadata = {}, { multiSession = false } = {}) {
     try {
-      // 기존 세션들 모두 제거
-      await this.removeAllUserSessions(userId);
+      const removedSessionIds = multiSession
+        ? await this.pruneSessions(userId, this.MAX_SESSIONS - 1)
+        : await this.removeAllUserSessions(userId);
 
       const sessionId = this.generateSessionId();
       const sessionData = {
@@ -87,10 +89,9 @@ class SessionService {
         }
       };
 
-      const sessionKey = this.getSessionKey(userId);
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionIdKey = this.getSessionIdKey(sessionId);
       const userSessionsKey = this.getUserSessionsKey(userId);
-      const activeSessionKey = this.getActiveSessionKey(userId);
 
       // 세션 데이터 저장
       const saved = await this.setJson(sessionKey, sessionData, this.SESSION_TTL);
@@ -98,15 +99,16 @@ class SessionService {
         throw new Error('세션 데이터 저장에 실패했습니다.');
       }
 
-      // 세션 ID 매핑 저장 - 문자열 값은 직접 저장
+      // 세션 ID 매핑 및 사용자별 세션 목록 저장
       await redisClient.setEx(sessionIdKey, this.SESSION_TTL, userId.toString());
-      await redisClient.setEx(userSessionsKey, this.SESSION_TTL, sessionId);
-      await redisClient.setEx(activeSessionKey, this.SESSION_TTL, sessionId);
+      await redisClient.sAdd(userSessionsKey, sessionId);
+      await redisClient.expire(userSessionsKey, this.SESSION_TTL);
 
       return {
         sessionId,
         expiresIn: this.SESSION_TTL,
-        sessionData
+        sessionData,
+        removedSessionIds
       };
 
     } catch (error) {
@@ -125,39 +127,23 @@ class SessionService {
         };
       }
 
-      // 활성 세션 확인
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const activeSessionId = await redisClient.get(activeSessionKey);
-
-      if (!activeSessionId || activeSessionId !== sessionId) {
-        console.log('Session validation failed:', {
-          userId,
-          sessionId,
-          activeSessionId
-        });
-        return {
-          isValid: false,
-          error: 'INVALID_SESSION',
-          message: '다른 기기에서 로그인되어 현재 세션이 만료되었습니다.'
-        };
-      }
-
-      // 세션 데이터 검증
-      const sessionKey = this.getSessionKey(userId);
+      // 세션 데이터 검증 (종료되었거나 다른 기기 로그인으로 제거된 경우 없음)
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionData = await this.getJson(sessionKey);
 
       if (!sessionData) {
+        console.log('Session validation failed:', { userId, sessionId });
         return {
           isValid: false,
-          error: 'SESSION_NOT_FOUND',
-          message: '세션을 찾을 수 없습니다.'
+          error: 'INVALID_SESSION',
+          message: '다른 기기에서 로그인되었거나 종료된 세션입니다.'
         };
       }
 
       // 세션 만료 시간 검증
       const SESSION_TIMEOUT = 24 * 60 * 60 * 1000; // 24시간
       if (Date.now() - sessionData.lastActivity > SESSION_TIMEOUT) {
-        await this.removeSession(userId);
+        await this.removeSession(userId, sessionId);
         return {
           isValid: false,
           error: 'SESSION_EXPIRED',
@@ -167,7 +153,7 @@ class SessionService {
 
       // 세션 데이터 갱신
       sessionData.lastActivity = Date.now();
-      
+
       // 갱신된 세션 데이터 저장
       const updated = await this.setJson(sessionKey, sessionData, this.SESSION_TTL);
       if (!updated) {
@@ -180,7 +166,6 @@ class SessionService {
 
       // 관련 키들의 만료 시간 갱신
       await Promise.all([
-        redisClient.expire(activeSessionKey, this.SESSION_TTL),
         redisClient.expire(this.getUserSessionsKey(userId), this.SESSION_TTL),
         redisClient.expire(this.getSessionIdKey(sessionId), this.SESSION_TTL)
       ]);
@@ -200,72 +185,88 @@ class SessionService {
     }
   }
 
+  // 세션 관련 키들의 만료 시간 연장
+  static async refreshSession(userId, sessionId) {
+    try {
+      await Promise.all([
+        redisClient.expire(this.getSessionKey(userId, sessionId), this.SESSION_TTL),
+        redisClient.expire(this.getSessionIdKey(sessionId), this.SESSION_TTL),
+        redisClient.expire(this.getUserSessionsKey(userId), this.SESSION_TTL)
+      ]);
+      return true;
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      return false;
+    }
+  }
+
+  // sessionId가 없으면 사용자의 모든 세션 제거
   static async removeSession(userId, sessionId = null) {
     try {
-      const userSessionsKey = this.getUserSessionsKey(userId);
-      const activeSessionKey = this.getActiveSessionKey(userId);
-
-      if (sessionId) {
-        const currentSessionId = await redisClient.get(userSessionsKey);
-        if (currentSessionId === sessionId) {
-          await Promise.all([
-            redisClient.del(this.getSessionKey(userId)),
-            redisClient.del(this.getSessionIdKey(sessionId)),
-            redisClient.del(userSessionsKey),
-            redisClient.del(activeSessionKey)
-          ]);
-        }
-      } else {
-        const storedSessionId = await redisClient.get(userSessionsKey);
-        if (storedSessionId) {
-          await Promise.all([
-            redisClient.del(this.getSessionKey(userId)),
-            redisClient.del(this.getSessionIdKey(storedSessionId)),
-            redisClient.del(userSessionsKey),
-            redisClient.del(activeSessionKey)
-          ]);
-        }
+      if (!sessionId) {
+        await this.removeAllUserSessions(userId);
+        return;
       }
+
+      await Promise.all([
+        redisClient.del(this.getSessionKey(userId, sessionId)),
+        redisClient.del(this.getSessionIdKey(sessionId)),
+        redisClient.sRem(this.getUserSessionsKey(userId), sessionId)
+      ]);
     } catch (error) {
       console.error('Session removal error:', error);
       throw error;
     }
   }
 
-  static async removeAllUserSessions(userId) {
+  // 사용자의 세션 제거 (exceptSessionId는 유지), 제거된 세션 ID 목록 반환
+  static async removeAllUserSessions(userId, { exceptSessionId = null } = {}) {
     try {
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const userSessionsKey = this.getUserSessionsKey(userId);
-      const sessionId = await redisClient.get(userSessionsKey);
-
-      const deletePromises = [
-        redisClient.del(activeSessionKey),
-        redisClient.del(userSessionsKey)
-      ];
-
-      if (sessionId) {
-        deletePromises.push(
-          redisClient.del(this.getSessionKey(userId)),
-          redisClient.del(this.getSessionIdKey(sessionId))
-        );
-      }
+      const sessionIds = await redisClient.sMembers(this.getUserSessionsKey(userId));
+      const removedSessionIds = sessionIds.filter(sessionId => sessionId !== exceptSessionId);
 
-      await Promise.all(deletePromises);
-      return true;
+      await Promise.all(removedSessionIds.map(sessionId => this.removeSession(userId, sessionId)));
+      return removedSessionIds;
     } catch (error) {
       console.error('Remove all user sessions error:', error);
-      return false;
+      return [];
     }
   }
 
-  static async updateLastActivity(userId) {
+  // 최근 활동 순으로 maxCount개만 남기고 오래된 세션 제거
+  static async pruneSessions(userId, maxCount) {
+    const sessions = await this.getUserSessions(userId);
+    const removedSessionIds = sessions.slice(maxCount).map(session => session.sessionId);
+
+    await Promise.all(removedSessionIds.map(sessionId => this.removeSession(userId, sessionId)));
+    return removedSessionIds;
+  }
+
+  // 사용자의 유효한 세션 목록 (최근 활동 순)
+  static async getUserSessions(userId) {
+    const userSessionsKey = this.getUserSessionsKey(userId);
+    const sessionIds = await redisClient.sMembers(userSessionsKey);
+    const sessions = await Promise.all(
+      sessionIds.map(sessionId => this.getJson(this.getSessionKey(userId, sessionId)))
+    );
+
+    // 만료되어 데이터가 없는 세션 ID 정리
+    const expiredIds = sessionIds.filter((sessionId, index) => !sessions[index]);
+    await Promise.all(expiredIds.map(sessionId => redisClient.sRem(userSessionsKey, sessionId)));
+
+    return sessions
+      .filter(Boolean)
+      .sort((a, b) => b.lastActivity - a.lastActivity);
+  }
+
+  static async updateLastActivity(userId, sessionId) {
     try {
-      if (!userId) {
-        console.error('updateLastActivity: userId is required');
+      if (!userId || !sessionId) {
+        console.error('updateLastActivity: userId and sessionId are required');
         return false;
       }
 
-      const sessionKey = this.getSessionKey(userId);
+      const sessionKey = this.getSessionKey(userId, sessionId);
       const sessionData = await this.getJson(sessionKey);
 
       if (!sessionData) {
@@ -275,7 +276,7 @@ class SessionService {
 
       // 세션 데이터 갱신
       sessionData.lastActivity = Date.now();
-      
+
       // 갱신된 세션 데이터 저장
       const updated = await this.setJson(sessionKey, sessionData, this.SESSION_TTL);
       if (!updated) {
@@ -283,61 +284,16 @@ class SessionService {
         return false;
       }
 
-      // 관련 키들의 만료 시간도 함께 갱신
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const userSessionsKey = this.getUserSessionsKey(userId);
-      if (sessionData.sessionId) {
-        const sessionIdKey = this.getSessionIdKey(sessionData.sessionId);
-        await Promise.all([
-          redisClient.expire(activeSessionKey, this.SESSION_TTL),
-          redisClient.expire(userSessionsKey, this.SESSION_TTL),
-          redisClient.expire(sessionIdKey, this.SESSION_TTL)
-        ]);
-      }
-
-      return true;
+      return this.refreshSession(userId, sessionId);
 
     } catch (error) {
       console.error('Update last activity error:', error);
       return false;
     }
-  }  
-  
-  static async getActiveSession(userId) {
-    try {
-      if (!userId) {
-        console.error('getActiveSession: userId is required');
-        return null;
-      }
-
-      const activeSessionKey = this.getActiveSessionKey(userId);
-      const sessionId = await redisClient.get(activeSessionKey);
-
-      if (!sessionId) {
-        return null;
-      }
-
-      const sessionKey = this.getSessionKey(userId);
-      const sessionData = await this.getJson(sessionKey);
-
-      if (!sessionData) {
-        await redisClient.del(activeSessionKey);
-        return null;
-      }
-
-      return {
-        ...sessionData,
-        userId,
-        sessionId
-      };
-    } catch (error) {
-      console.error('Get active session error:', error);
-      return null;
-    }
   }
 
-  static getSessionKey(userId) {
-    return `${this.SESSION_PREFIX}${userId}`;
+  static getSessionKey(userId, sessionId) {
+    return `${this.SESSION_PREFIX}${userId}:${sessionId}`;
   }
 
   static getSessionIdKey(sessionId) {
@@ -348,8 +304,9 @@ class SessionService {
     return `${this.USER_SESSIONS_PREFIX}${userId}`;
   }
 
-  static getActiveSessionKey(userId) {
-    return `${this.ACTIVE_SESSION_PREFIX}${userId}`;
+  // 클라이언트에 노출하는 세션 식별자 (세션 ID 자체는 인증 정보이므로 해시 사용)
+  static getPublicSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
   }
 
   static generateSessionId() {
@@ -357,4 +314,4 @@ class SessionService {
   }
 }
 
-module.exports = SessionService;
\ No newline at end of file
+module.exports = SessionService;
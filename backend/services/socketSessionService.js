@@ -0,0 +1,184 @@
+const redisManager = require('../config/redis');
+
+// 기존 소유자를 반환하고 새 소켓으로 교체
+const CLAIM_SCRIPT = `
+local previous = redis.call('GET', KEYS[1])
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return previous
+`;
+
+// 현재 소유자가 해당 소켓일 때만 삭제
+const RELEASE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if cjson.decode(current).socketId ~= ARGV[1] then return 0 end
+redis.call('DEL', KEYS[1])
+return 1
+`;
+
+// 세션별 소켓 소유 정보를 Redis에 저장해 다른 워커/호스트의 소켓도 찾을 수 있도록 관리
+class SocketSessionService {
+  constructor() {
+    this.OWNER_PREFIX = 'socket_owner:';
+    this.KEEP_PREFIX = 'socket_keep:';
+    this.OWNER_TTL = 24 * 60 * 60;
+    this.DUPLICATE_LOGIN_TIMEOUT = 10000; // 기존 기기에 안내 후 종료까지 대기 시간
+    this.RELEASE_POLL_INTERVAL = 500;
+  }
+
+  getOwnerKey(userId, sessionId) {
+    return `${this.OWNER_PREFIX}${userId}:${sessionId}`;
+  }
+
+  // 중복 로그인 안내를 받은 기존 소켓이 세션 유지를 선택했음을 표시 (로그인을 처리하는 노드에서 확인)
+  getKeepKey(socketId) {
+    return `${this.KEEP_PREFIX}${socketId}`;
+  }
+
+  // 세션의 모든 소켓이 참여하는 룸 (원격 세션 종료용)
+  getSessionRoom(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  parseOwner(value) {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Socket owner parse error:', error);
+      return null;
+    }
+  }
+
+  async getOwner(userId, sessionId) {
+    const value = await redisManager.pubClient.get(this.getOwnerKey(userId, sessionId));
+    return this.parseOwner(value);
+  }
+
+  // 새 소켓을 소유자로 등록하고 이전 소유자 반환
+  async claim(userId, sessionId, socketId) {
+    const owner = JSON.stringify({ socketId, sessionId, claimedAt: Date.now() });
+    const previous = await redisManager.pubClient.eval(
+      CLAIM_SCRIPT, 1, this.getOwnerKey(userId, sessionId), owner, this.OWNER_TTL
+    );
+    return this.parseOwner(previous);
+  }
+
+  // 인증된 소켓을 세션의 소유자로 등록 (같은 세션의 이전 소켓은 종료)
+  async attachSocket(io, socket) {
+    const { id: userId, sessionId } = socket.user;
+    socket.join(this.getSessionRoom(sessionId));
+
+    const previous = await this.claim(userId, sessionId, socket.id);
+    if (previous && previous.socketId !== socket.id) {
+      await this.terminateSocket(io, previous.socketId, {
+        reason: 'duplicate_login',
+        message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
+      });
+    }
+  }
+
+  async release(userId, sessionId, socketId) {
+    const released = await redisManager.pubClient.eval(
+      RELEASE_SCRIPT, 1, this.getOwnerKey(userId, sessionId), socketId
+    );
+    return released === 1;
+  }
+
+  // Redis 어댑터를 통해 모든 노드에서 소켓 연결 여부 확인
+  async isSocketConnected(io, socketId) {
+    const sockets = await io.in(socketId).fetchSockets();
+    return sockets.length > 0;
+  }
+
+  async terminateSocket(io, socketId, { reason, message }) {
+    io.to(socketId).emit('session_ended', { reason, message });
+    io.in(socketId).disconnectSockets(true);
+  }
+
+  // 세션에 연결된 모든 소켓 종료 (어느 노드에 있든 Redis 어댑터로 전달)
+  async terminateSession(io, sessionId, { reason, message }) {
+    const room = this.getSessionRoom(sessionId);
+    io.to(room).emit('session_ended', { reason, message });
+    io.in(room).disconnectSockets(true);
+  }
+
+  // 여러 세션의 소켓 종료 (응답을 기다리지 않고 실패는 로그만 남김)
+  terminateSessions(io, sessionIds = [], payload) {
+    if (!io) return;
+    sessionIds.forEach(sessionId => {
+      this.terminateSession(io, sessionId, payload)
+        .catch(error => console.error('Session termination error:', error));
+    });
+  }
+
+  // 중복 로그인 안내를 받은 소켓이 기존 세션 유지를 선택 (현재 소유자인 소켓만 가능)
+  async keepSession(userId, sessionId, socketId) {
+    const owner = await this.getOwner(userId, sessionId);
+    if (owner?.socketId !== socketId) return false;
+
+    await redisManager.pubClient.set(
+      this.getKeepKey(socketId), '1', 'PX', this.DUPLICATE_LOGIN_TIMEOUT
+    );
+    return true;
+  }
+
+  // 소유자가 바뀌거나 해제되거나 세션 유지를 선택할 때까지 대기
+  // 반환값: 'released' | 'kept' | null (시간 초과)
+  async waitForRelease(userId, sessionId, socketId, timeout, { allowKeep = false } = {}) {
+    const deadline = Date.now() + timeout;
+    const keepKey = this.getKeepKey(socketId);
+
+    while (Date.now() < deadline) {
+      const owner = await this.getOwner(userId, sessionId);
+      if (!owner || owner.socketId !== socketId) return 'released';
+      if (allowKeep && (await redisManager.pubClient.del(keepKey)) === 1) return 'kept';
+      await new Promise(resolve => setTimeout(resolve, this.RELEASE_POLL_INTERVAL));
+    }
+
+    return null;
+  }
+
+  // 기존 소켓에 중복 로그인을 알리고, 응답이 없으면 서버에서 종료
+  // allowKeep: 기존 소켓이 세션 유지를 선택할 수 있음 (새 로그인 요청을 거절)
+  // 반환값: 'none'(기존 소켓 없음) | 'released' | 'terminated' | 'kept'
+  async displaceOwner(io, userId, sessionId, { deviceInfo, ipAddress, excludeSocketId, allowKeep = false } = {}) {
+    const owner = await this.getOwner(userId, sessionId);
+    if (!owner || owner.socketId === excludeSocketId) return 'none';
+
+    if (!(await this.isSocketConnected(io, owner.socketId))) {
+      // 비정상 종료된 노드에 남은 소유 정보 정리
+      await this.release(userId, sessionId, owner.socketId);
+      return 'none';
+    }
+
+    io.to(owner.socketId).emit('duplicate_login', {
+      type: 'new_login_attempt',
+      deviceInfo,
+      ipAddress,
+      canKeep: allowKeep,
+      timestamp: Date.now()
+    });
+
+    const result = await this.waitForRelease(
+      userId, sessionId, owner.socketId, this.DUPLICATE_LOGIN_TIMEOUT, { allowKeep }
+    );
+    if (result) return result;
+
+    await this.terminateSocket(io, owner.socketId, {
+      reason: 'duplicate_login',
+      message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
+    });
+    await this.release(userId, sessionId, owner.socketId);
+    return 'terminated';
+  }
+
+  // 새 로그인 전에 사용자의 기존 세션 소켓을 정리 (하나라도 세션 유지를 선택하면 true)
+  async displaceSessions(io, userId, sessionIds, { deviceInfo, ipAddress } = {}) {
+    const results = await Promise.all(sessionIds.map(sessionId =>
+      this.displaceOwner(io, userId, sessionId, { deviceInfo, ipAddress, allowKeep: true })
+    ));
+    return results.includes('kept');
+  }
+}
+
+module.exports = new SocketSessionService();
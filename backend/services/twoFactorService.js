@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Encryption = require('../utils/encryption');
+const totp = require('../utils/totp');
+const redisManager = require('../config/redis');
+const { jwtSecret, twoFactorIssuer } = require('../config/keys');
+
+const PRE_AUTH_TOKEN_TYPE = 'pre-auth';
+
+// 남은 시도 횟수가 있을 때만 증가 (사용되었거나 만료된 토큰이면 -1)
+const ATTEMPT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return -1 end
+return redis.call('INCR', KEYS[1])
+`;
+
+// TOTP 2단계 인증 등록/해제, 코드 검증, 로그인 2단계용 사전 인증 토큰 관리
+class TwoFactorService {
+  constructor() {
+    this.RECOVERY_CODE_COUNT = 10;
+    this.PRE_AUTH_TTL = 5 * 60; // 5분
+    this.PRE_AUTH_MAX_ATTEMPTS = 5;
+    this.PRE_AUTH_PREFIX = 'two_factor_preauth:';
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // XXXXX-XXXXX 형식 (base32 문자)
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('twoFactor.enabled twoFactor.enabledAt twoFactor.recoveryCodes').lean();
+    if (!user) return null;
+
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+    };
+  }
+
+  // 새 secret을 확인 대기 상태로 저장하고 인증 앱 등록 정보 반환
+  async startEnrollment(user) {
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': Encryption.encrypt(secret) } }
+    );
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: twoFactorIssuer
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    return { secret, otpauthUri, qrCode };
+  }
+
+  // 인증 앱의 코드로 등록 확인 후 활성화, 복구 코드 반환 (코드가 틀리면 null)
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+    if (!pendingSecret) return null;
+
+    const step = totp.verifyCode(Encryption.decrypt(pendingSecret), code);
+    if (step === null) return null;
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes.map(item => this.hashRecoveryCode(item)),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+
+    return recoveryCodes;
+  }
+
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.lastUsedStep': ''
+        }
+      }
+    );
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(item => this.hashRecoveryCode(item)) } }
+    );
+    return recoveryCodes;
+  }
+
+  // 6자리 숫자는 TOTP, 그 외는 복구 코드로 검증
+  async verify(userId, code) {
+    if (!code) return false;
+    return /^\d{6}$/.test(String(code).replace(/\s/g, ''))
+      ? this.verifyTotp(userId, code)
+      : this.useRecoveryCode(userId, code);
+  }
+
+  // 같은 코드를 다시 쓰지 못하도록 마지막으로 사용한 time step 이후만 허용
+  async verifyTotp(userId, code) {
+    const user = await User.findById(userId).select('twoFactor.enabled twoFactor.secret');
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+    const step = totp.verifyCode(Encryption.decrypt(user.twoFactor.secret), code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // 복구 코드는 한 번만 사용 가능
+  async useRecoveryCode(userId, code) {
+    const codeHash = this.hashRecoveryCode(code);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // 비밀번호 확인 후 발급, 2단계 인증을 마쳐야 세션이 생성됨
+  async createPreAuthToken(userId) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    await redisManager.pubClient.set(`${this.PRE_AUTH_PREFIX}${jti}`, 0, 'EX', this.PRE_AUTH_TTL);
+
+    return jwt.sign(
+      { type: PRE_AUTH_TOKEN_TYPE, userId: userId.toString(), jti },
+      jwtSecret,
+      { expiresIn: this.PRE_AUTH_TTL, algorithm: 'HS256' }
+    );
+  }
+
+  // status: ok | invalid | too_many_attempts (시도할 때마다 횟수 증가)
+  async checkPreAuthToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+    } catch (error) {
+      return { status: 'invalid' };
+    }
+    if (payload.type !== PRE_AUTH_TOKEN_TYPE) return { status: 'invalid' };
+
+    const attempts = await redisManager.pubClient.eval(
+      ATTEMPT_SCRIPT, 1, `${this.PRE_AUTH_PREFIX}${payload.jti}`
+    );
+    if (attempts === -1) return { status: 'invalid' };
+    if (attempts > this.PRE_AUTH_MAX_ATTEMPTS) {
+      await this.consumePreAuthToken(payload.jti);
+      return { status: 'too_many_attempts' };
+    }
+
+    return { status: 'ok', userId: payload.userId, jti: payload.jti };
+  }
+
+  async consumePreAuthToken(jti) {
+    await redisManager.pubClient.del(`${this.PRE_AUTH_PREFIX}${jti}`);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -1,14 +1,23 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { jwtSecret } = require('../config/keys');
 const SessionService = require('../services/sessionService');
 const ChatService = require('../services/chatService');
+const ReadStateService = require('../services/readStateService');
+const PresenceService = require('../services/presenceService');
+const SocketSessionService = require('../services/socketSessionService');
+const EmailVerificationService = require('../services/emailVerificationService');
 const aiService = require('../services/aiService');
+const AIContextService = require('../services/aiContextService');
+const AIPersonaService = require('../services/aiPersonaService');
+const { processFileForRAG } = require('../services/fileService');
+const { selectCitedSources } = require('../utils/aiContext');
 const User = require('../models/User');
 const Room = require('../models/Room');
 
 module.exports = function(io) {
-  const connectedUsers = new Map();
   const streamingSessions = new Map();
+  // 소켓별 현재 채팅방 (다중 세션 사용자는 기기마다 다른 방에 있을 수 있음)
   const userRooms = new Map();
   const messageLoadRetries = new Map();
 
@@ -17,38 +26,155 @@ module.exports = function(io) {
   const MAX_RETRIES = 3;
   const MESSAGE_LOAD_TIMEOUT = 10000;
   const RETRY_DELAY = 2000;
-  const DUPLICATE_LOGIN_TIMEOUT = 10000;
+  const TYPING_TTL = 6000;
+  const TYPING_BROADCAST_INTERVAL = 2000;
+  const PRESENCE_SWEEP_INTERVAL = 10000;
+
+  // 입력 중 상태 (socket.id -> { roomId, timer, lastBroadcast })
+  const typingStates = new Map();
 
   const logDebug = (action, data) => {
     console.log(`[Socket.IO] ${action}: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}`);
   };
 
-  const handleDuplicateLogin = async (existingSocket, newSocket) => {
+  // 미인증 사용자 정책(read_only)이면 메시지 전송/리액션 차단
+  const assertCanWrite = async (user) => {
+    if (await EmailVerificationService.canWrite(user)) return;
+    const error = new Error(EmailVerificationService.RESTRICTED_MESSAGE);
+    error.code = 'EMAIL_NOT_VERIFIED';
+    throw error;
+  };
+
+  const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // 본문에서 "@이름" 형태로 멘션된 채팅방 사용자 ID 추출
+  const extractUserMentions = async (room, content, senderId) => {
+    if (!content?.includes('@')) return [];
+
+    const readerIds = await ReadStateService.getRoomReaderIds(room._id.toString());
+    const candidateIds = [
+      ...new Set([...room.participants.map(id => id.toString()), ...readerIds])
+    ].filter(id => id !== senderId);
+    if (candidateIds.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: candidateIds } }).select('name').lean();
+    return users
+      .filter(user => user.name &&
+        new RegExp(`@${escapeRegExp(user.name)}(?=$|[\\s.,!?])`).test(content))
+      .map(user => user._id.toString());
+  };
+
+  // 채팅방을 보고 있지 않은 사용자에게 안 읽은 메시지 증가 알림
+  const notifyUnreadMembers = async (roomId, { senderId, mentions = [], timestamp }) => {
     try {
-      existingSocket.emit('duplicate_login', {
-        type: 'new_login_attempt',
-        deviceInfo: newSocket.handshake.headers['user-agent'],
-        ipAddress: newSocket.handshake.address,
-        timestamp: Date.now()
-      });
-      return new Promise((resolve) => {
-        setTimeout(async () => {
-          try {
-            existingSocket.emit('session_ended', {
-              reason: 'duplicate_login',
-              message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-            });
-            existingSocket.disconnect(true);
-            resolve();
-          } catch (error) {
-            console.error('Error during session termination:', error);
-            resolve();
-          }
-        }, DUPLICATE_LOGIN_TIMEOUT);
+      const [readerIds, viewingSockets] = await Promise.all([
+        ReadStateService.getRoomReaderIds(roomId),
+        io.in(roomId).fetchSockets()
+      ]);
+
+      // 개인 채널(user:{id})로 현재 채팅방을 보고 있는 사용자 식별
+      const viewingUserIds = new Set(
+        viewingSockets.flatMap(viewer => [...viewer.rooms]
+          .filter(name => name.startsWith('user:'))
+          .map(name => name.slice('user:'.length)))
+      );
+
+      readerIds
+        .filter(userId => userId !== senderId && !viewingUserIds.has(userId))
+        .forEach(userId => {
+          io.to(`user:${userId}`).emit('unreadUpdate', {
+            roomId,
+            increment: 1,
+            mentioned: mentions.includes(userId),
+            timestamp
+          });
+        });
+    } catch (error) {
+      console.error('Unread notification error:', error);
+    }
+  };
+
+  // 채팅방 정보 변경 알림 (공개 목록에 없는 방은 참여자에게만 전달)
+  const emitRoomUpdated = (room) => {
+    const target = room.kind !== 'direct' && room.visibility === 'public'
+      ? io
+      : io.to(room._id.toString());
+    target.emit('roomUpdated', {
+      ...room.toObject(),
+      participants: room.participants
+    });
+  };
+
+  // 상태 변경을 함께 참여 중인 채팅방, 1:1 대화 상대, 본인의 다른 기기에 전달
+  const broadcastPresence = async (change) => {
+    if (!change) return;
+
+    try {
+      const [lastReadMap, directRooms] = await Promise.all([
+        ReadStateService.getLastReadMap(change.userId),
+        Room.find({ kind: 'direct', participants: change.userId }).select('participants').lean()
+      ]);
+
+      const targets = new Set([`user:${change.userId}`, ...lastReadMap.keys()]);
+      directRooms.forEach(room => {
+        room.participants.forEach(participantId => targets.add(`user:${participantId}`));
       });
+
+      io.to([...targets]).emit('presenceUpdate', change);
     } catch (error) {
-      console.error('Duplicate login handling error:', error);
-      throw error;
+      console.error('Presence broadcast error:', error);
+    }
+  };
+
+  const updatePresence = (pending) => pending
+    .then(broadcastPresence)
+    .catch(error => console.error('Presence update error:', error));
+
+  // 자리 비움 전환과 응답 없는 소켓 정리 (모든 노드에서 실행되지만 상태 변경은 한 번만 전달됨)
+  setInterval(() => {
+    PresenceService.sweep()
+      .then(changes => Promise.all(changes.map(broadcastPresence)))
+      .catch(error => console.error('Presence sweep error:', error));
+  }, PRESENCE_SWEEP_INTERVAL);
+
+  const emitTypingUpdate = (socket, roomId, isTyping) => {
+    socket.to(roomId).emit('typingUpdate', {
+      roomId,
+      user: { _id: socket.user.id, name: socket.user.name },
+      isTyping,
+      ...(isTyping && { expiresIn: TYPING_TTL })
+    });
+  };
+
+  const stopTyping = (socket) => {
+    const state = typingStates.get(socket.id);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    typingStates.delete(socket.id);
+    emitTypingUpdate(socket, state.roomId, false);
+  };
+
+  // 갱신 없이 TYPING_TTL이 지나면 서버에서 입력 종료 처리 (비정상 종료된 클라이언트 대비)
+  const startTyping = (socket, roomId) => {
+    const previous = typingStates.get(socket.id);
+    if (previous && previous.roomId !== roomId) {
+      stopTyping(socket);
+    }
+
+    const current = typingStates.get(socket.id);
+    const now = Date.now();
+    const shouldBroadcast = !current || now - current.lastBroadcast >= TYPING_BROADCAST_INTERVAL;
+
+    if (current) clearTimeout(current.timer);
+    typingStates.set(socket.id, {
+      roomId,
+      lastBroadcast: shouldBroadcast ? now : current.lastBroadcast,
+      timer: setTimeout(() => stopTyping(socket), TYPING_TTL)
+    });
+
+    if (shouldBroadcast) {
+      emitTypingUpdate(socket, roomId, true);
     }
   };
 
@@ -77,6 +203,37 @@ module.exports = function(io) {
     }
   };
 
+  // AI 답변 중단/다시 생성은 호출한 사용자 또는 채팅방 운영자 이상만 가능
+  const canControlAIResponse = async (roomId, userId, requestedBy) => {
+    if (requestedBy && String(requestedBy) === String(userId)) return true;
+
+    const room = await Room.findById(roomId).select('creator participants roles');
+    const role = room?.getRole(userId);
+    return Boolean(role) && Room.ROLE_LEVELS[role] >= Room.ROLE_LEVELS.moderator;
+  };
+
+  // 이 서버 인스턴스에서 생성 중인 AI 답변이면 업스트림 스트림 중단 (없으면 null)
+  const cancelAIStream = async (messageId, userId) => {
+    const session = streamingSessions.get(messageId);
+    if (!session) return null;
+
+    if (!await canControlAIResponse(session.room, userId, session.requestedBy)) {
+      const error = new Error('AI 응답을 중단할 권한이 없습니다.');
+      error.code = 'FORBIDDEN';
+      throw error;
+    }
+
+    session.abortController.abort();
+    return session;
+  };
+
+  // 다른 인스턴스에서 전달된 중단 요청 (Redis 어댑터의 serverSideEmit)
+  io.on('aiMessageCancel', ({ messageId, userId } = {}) => {
+    cancelAIStream(messageId, userId).catch(error => {
+      console.error('Remote AI cancel error:', error);
+    });
+  });
+
   // 인증 미들웨어
   io.use(async (socket, next) => {
     try {
@@ -87,14 +244,6 @@ module.exports = function(io) {
       const decoded = jwt.verify(token, jwtSecret);
       if (!decoded?.user?.id) return next(new Error('Invalid token'));
 
-      const existingSocketId = connectedUsers.get(decoded.user.id);
-      if (existingSocketId) {
-        const existingSocket = io.sockets.sockets.get(existingSocketId);
-        if (existingSocket) {
-          await handleDuplicateLogin(existingSocket, socket);
-        }
-      }
-
       const validationResult = await SessionService.validateSession(decoded.user.id, sessionId);
       if (!validationResult.isValid) {
         console.error('Session validation failed:', validationResult);
@@ -104,15 +253,23 @@ module.exports = function(io) {
       const user = await User.findById(decoded.user.id);
       if (!user) return next(new Error('User not found'));
 
+      // 같은 세션으로 다른 워커/호스트에 연결된 기존 소켓도 Redis 소유 정보로 찾아 종료
+      await SocketSessionService.displaceOwner(io, decoded.user.id, sessionId, {
+        deviceInfo: socket.handshake.headers['user-agent'],
+        ipAddress: socket.handshake.address,
+        excludeSocketId: socket.id
+      });
+
       socket.user = {
         id: user._id.toString(),
         name: user.name,
         email: user.email,
         sessionId: sessionId,
-        profileImage: user.profileImage
+        profileImage: user.profileImage,
+        emailVerified: user.emailVerified
       };
 
-      await SessionService.updateLastActivity(decoded.user.id);
+      await SessionService.updateLastActivity(decoded.user.id, sessionId);
       next();
 
     } catch (error) {
@@ -131,28 +288,28 @@ module.exports = function(io) {
     });
 
     if (socket.user) {
-      const previousSocketId = connectedUsers.get(socket.user.id);
-      if (previousSocketId && previousSocketId !== socket.id) {
-        const previousSocket = io.sockets.sockets.get(previousSocketId);
-        if (previousSocket) {
-          previousSocket.emit('duplicate_login', {
-            type: 'new_login_attempt',
-            deviceInfo: socket.handshake.headers['user-agent'],
-            ipAddress: socket.handshake.address,
-            timestamp: Date.now()
-          });
+      // 인증 이후 동시에 연결된 소켓이 있으면 마지막 연결만 유지
+      // 세션 단위 룸에도 참여 (다른 기기에서 세션을 종료할 때 사용)
+      SocketSessionService.attachSocket(io, socket)
+        .catch(error => console.error('Socket owner claim error:', error));
+
+      // 사용자 단위 알림용 개인 룸 (강퇴/차단 시 사용자의 소켓을 찾는 데 사용)
+      socket.join(`user:${socket.user.id}`);
+      updatePresence(PresenceService.connect(socket.user.id, socket.id));
+    }
 
-          setTimeout(() => {
-            previousSocket.emit('session_ended', {
-              reason: 'duplicate_login',
-              message: '다른 기기에서 로그인하여 현재 세션이 종료되었습니다.'
-            });
-            previousSocket.disconnect(true);
-          }, DUPLICATE_LOGIN_TIMEOUT);
-        }
+    // 클라이언트 하트비트 (마지막 입력 이후 경과 시간으로 자리 비움 판단)
+    socket.on('presenceHeartbeat', ({ idleFor } = {}, callback) => {
+      if (socket.user) {
+        updatePresence(PresenceService.heartbeat(socket.user.id, socket.id, idleFor));
       }
-      connectedUsers.set(socket.user.id, socket.id);
-    }
+      if (typeof callback === 'function') callback();
+    });
+
+    // 채팅방 목록 실시간 업데이트 구독
+    socket.on('joinRoomList', () => {
+      socket.join('room-list');
+    });
 
     socket.on('fetchPreviousMessages', async ({ roomId, before }) => {
       try {
@@ -175,20 +332,103 @@ module.exports = function(io) {
       }
     });
 
+    // 특정 메시지 주변 메시지 조회 (검색 결과, 인용 원본 이동용)
+    socket.on('fetchMessagesAround', async ({ roomId, messageId, timestamp } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        const room = await Room.findOne({ _id: roomId, participants: socket.user.id });
+        if (!room) throw new Error('채팅방 접근 권한이 없습니다.');
+
+        const anchor = messageId || timestamp;
+        if (!anchor) throw new Error('기준 메시지가 필요합니다.');
+
+        const result = await ChatService.loadMessagesAround(roomId, anchor, BATCH_SIZE * 2 + 1);
+        if (!result) throw new Error('메시지를 찾을 수 없습니다.');
+
+        socket.emit('messagesAroundLoaded', { roomId, ...result });
+
+      } catch (error) {
+        console.error('Fetch messages around error:', error);
+        socket.emit('messagesAroundError', {
+          messageId,
+          message: error.message || '메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 이후 메시지 조회 (최신 메시지에서 벗어난 화면의 아래 방향 페이징)
+    socket.on('fetchNewerMessages', async ({ roomId, after } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        const room = await Room.findOne({ _id: roomId, participants: socket.user.id });
+        if (!room) throw new Error('채팅방 접근 권한이 없습니다.');
+
+        if (!after) throw new Error('기준 메시지가 필요합니다.');
+
+        const result = await ChatService.loadMessagesAfter(roomId, after, BATCH_SIZE);
+        socket.emit('newerMessagesLoaded', { roomId, ...result });
+
+      } catch (error) {
+        console.error('Fetch newer messages error:', error);
+        socket.emit('newerMessagesError', {
+          message: error.message || '이후 메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    socket.on('fetchThreadMessages', async ({ roomId, parentMessageId, before } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        if (!roomId || !parentMessageId) throw new Error('스레드 정보가 없습니다.');
+
+        const room = await Room.findOne({ _id: roomId, participants: socket.user.id }).lean();
+        if (!room) throw new Error('채팅방 접근 권한이 없습니다.');
+
+        const threadParent = await ChatService.resolveThreadParent(roomId, parentMessageId);
+        const result = await ChatService.loadThreadMessages(threadParent._id, before);
+
+        socket.emit('threadMessagesLoaded', {
+          parentMessageId: threadParent._id,
+          // 첫 페이지 요청 시에만 부모 메시지 포함
+          ...(!before && { parent: await ChatService.getMessageById(threadParent._id) }),
+          ...result
+        });
+      } catch (error) {
+        console.error('Fetch thread messages error:', error);
+        socket.emit('threadMessagesError', {
+          parentMessageId,
+          message: error.message || '스레드 메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
     socket.on('joinRoom', async (roomId) => {
       try {
         if (!socket.user) throw new Error('Unauthorized');
 
+        if (await Room.isUserBanned(roomId, socket.user.id)) {
+          throw new Error('채팅방에서 차단되어 입장할 수 없습니다.');
+        }
+
+        if (!(await Room.hasAccess(roomId, socket.user.id))) {
+          throw new Error('초대받은 사용자만 입장할 수 있는 채팅방입니다.');
+        }
+
         // 이미 참여 중인 방에서 나가기
-        const currentRoom = userRooms.get(socket.user.id);
+        const currentRoom = userRooms.get(socket.id);
         if (currentRoom && currentRoom !== roomId) {
+          stopTyping(socket);
           socket.leave(currentRoom);
-          userRooms.delete(socket.user.id);
+          userRooms.delete(socket.id);
           io.to(currentRoom).emit('participantsUpdate', []);
         }
 
-        const room = await Room.findByIdAndUpdate(
-          roomId,
+        // 1:1 대화는 기존 참여자만 입장 가능
+        const room = await Room.findOneAndUpdate(
+          {
+            _id: roomId,
+            $or: [{ kind: { $ne: 'direct' } }, { participants: socket.user.id }]
+          },
           { $addToSet: { participants: socket.user.id } },
           { new: true }
         ).populate('participants', 'name email profileImage');
@@ -196,27 +436,35 @@ module.exports = function(io) {
         if (!room) throw new Error('채팅방을 찾을 수 없습니다.');
 
         socket.join(roomId);
-        userRooms.set(socket.user.id, roomId);
+        userRooms.set(socket.id, roomId);
+
+        // 입장 전 마지막 읽음 위치 (새 메시지 구분선 표시용)
+        const lastReadAt = await ReadStateService.getLastRead(socket.user.id, roomId);
+        const joinedAt = Date.now();
+        await ReadStateService.markRead(socket.user.id, roomId, joinedAt);
+        io.to(`user:${socket.user.id}`).emit('unreadUpdate', {
+          roomId,
+          unreadCount: 0,
+          mentionCount: 0
+        });
 
         // 입장 시스템 메시지
-        const joinMsg = {
-          room: roomId,
-          type: 'system',
-          content: `${socket.user.name}님이 입장하였습니다.`,
-          timestamp: Date.now()
-        };
-        await ChatService.handleBulkMessages([joinMsg]);
+        if (room.kind !== 'direct') {
+          const joinMsg = {
+            room: roomId,
+            type: 'system',
+            content: `${socket.user.name}님이 입장하였습니다.`,
+            timestamp: Date.now()
+          };
+          await ChatService.handleBulkMessages([joinMsg]);
+        }
 
         const { messages, hasMore, oldestTimestamp } = await ChatService.loadMessages(roomId);
 
         // 참여자 업데이트 이벤트 보내기
         io.to(roomId).emit('participantsUpdate', room.participants);
 
-        // 모든 클라이언트에게 방 정보 업데이트 이벤트
-        io.emit('roomUpdated', {
-          ...room.toObject(),
-          participants: room.participants
-        });
+        emitRoomUpdated(room);
 
         socket.emit('joinRoomSuccess', {
           roomId,
@@ -224,6 +472,8 @@ module.exports = function(io) {
           messages,
           hasMore,
           oldestTimestamp,
+          lastReadAt,
+          joinedAt,
           activeStreams: []
         });
         
@@ -233,6 +483,10 @@ module.exports = function(io) {
             _id: session.messageId,
             type: 'ai',
             aiType: session.aiType,
+            aiName: session.aiName,
+            aiAvatar: session.aiAvatar,
+            requestedBy: session.requestedBy,
+            regenerateOf: session.regenerateOf,
             content: session.content,
             timestamp: session.timestamp,
             isStreaming: true
@@ -244,6 +498,8 @@ module.exports = function(io) {
           messages,
           hasMore,
           oldestTimestamp,
+          lastReadAt,
+          joinedAt,
           activeStreams
         });
 
@@ -269,12 +525,21 @@ module.exports = function(io) {
         if (!socket.user) throw new Error('Unauthorized');
         if (!messageData) throw new Error('메시지 데이터가 없습니다.');
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, content, fileData, replyTo, quoteOf } = messageData;
         if (!room) throw new Error('채팅방 정보가 없습니다.');
+        await assertCanWrite(socket.user);
 
         const chatRoom = await Room.findOne({ _id: room, participants: socket.user.id });
         if (!chatRoom) throw new Error('채팅방 접근 권한이 없습니다.');
 
+        const threadParent = replyTo
+          ? await ChatService.resolveThreadParent(room, replyTo)
+          : null;
+
+        const quote = quoteOf
+          ? await ChatService.buildQuoteSnapshot(room, quoteOf)
+          : null;
+
         const sessionValidation = await SessionService.validateSession(socket.user.id, socket.user.sessionId);
         if (!sessionValidation.isValid) {
           throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
@@ -283,11 +548,16 @@ module.exports = function(io) {
         const processedContent = content?.trim();
         if (type === 'text' && !processedContent) return;
 
+        const mentions = await extractUserMentions(chatRoom, processedContent, socket.user.id);
+
         const msgData = {
           room,
           type,
           content: processedContent,
           ...(fileData?._id && { fileData: fileData._id }),
+          ...(threadParent && { parentMessage: threadParent._id }),
+          ...(quote && { quote }),
+          ...(mentions.length > 0 && { mentions }),
           sender: {
             _id: socket.user.id,
             name: socket.user.name,
@@ -298,29 +568,68 @@ module.exports = function(io) {
         };
 
         const result = await ChatService.handleMessage(msgData, socket.user.id);
+        stopTyping(socket);
+        updatePresence(PresenceService.touch(socket.user.id, socket.id));
         // 발신자에게 임시 ID 매핑 정보 전송
         socket.emit('messageSent', {
           success: true,
+          messageId: result.messageId,
           tempId: result.tempId,
           timestamp: result.timestamp
         });
 
-        // 채팅방의 모든 참가자에게 message 이벤트로 브로드캐스트
-        io.to(room).emit('message', {
-          _id: result.tempId,
-          ...msgData,
-          timestamp: result.timestamp
-        });
+        if (threadParent) {
+          // 스레드 답글은 메인 타임라인 대신 threadMessage 이벤트로 전달
+          const thread = await ChatService.updateThreadMetadata(threadParent._id, {
+            replyBy: socket.user.id,
+            replyAt: result.timestamp
+          });
+
+          io.to(room).emit('threadMessage', {
+            parentMessageId: threadParent._id,
+            message: {
+              _id: result.messageId,
+              ...msgData,
+              timestamp: result.timestamp
+            },
+            thread
+          });
+        } else {
+          // 채팅방의 모든 참가자에게 message 이벤트로 브로드캐스트
+          io.to(room).emit('message', {
+            _id: result.messageId,
+            ...msgData,
+            timestamp: result.timestamp
+          });
+
+          await notifyUnreadMembers(room, {
+            senderId: socket.user.id,
+            mentions,
+            timestamp: result.timestamp
+          });
+        }
 
-        const aiMentions = extractAIMentions(processedContent);
+        // 공유된 문서는 AI가 답변에 참고할 수 있도록 백그라운드에서 색인
+        if (type === 'file' && fileData?._id) {
+          processFileForRAG({
+            roomId: room,
+            messageId: result.messageId,
+            fileId: fileData._id,
+            userId: socket.user.id
+          }).catch(error => console.error('File document indexing error:', error));
+        }
+
+        const aiMentions = await AIPersonaService.findMentionedPersonas(processedContent, room, socket.user.id);
         if (aiMentions.length > 0) {
-          for (const aiName of aiMentions) {
-            const query = processedContent.replace(new RegExp(`@${aiName}\\b`, 'g'), '').trim();
-            await handleAIResponse(room, aiName, query);
+          for (const persona of aiMentions) {
+            const query = processedContent.replace(new RegExp(`@${persona.handle}\\b`, 'g'), '').trim();
+            await handleAIResponse(room, persona, query, result.messageId, {
+              requestedBy: socket.user.id
+            });
           }
         }
 
-        await SessionService.updateLastActivity(socket.user.id);
+        await SessionService.updateLastActivity(socket.user.id, socket.user.sessionId);
 
       } catch (error) {
         console.error('Message handling error:', error);
@@ -331,31 +640,51 @@ module.exports = function(io) {
       }
     });
 
+    socket.on('typingStart', ({ roomId } = {}) => {
+      if (!socket.user || !roomId || !socket.rooms.has(roomId)) return;
+      startTyping(socket, roomId);
+    });
+
+    socket.on('typingStop', ({ roomId } = {}) => {
+      if (!socket.user) return;
+
+      const state = typingStates.get(socket.id);
+      if (state && (!roomId || state.roomId === roomId)) {
+        stopTyping(socket);
+      }
+    });
+
     socket.on('leaveRoom', async (roomId) => {
       try {
         if (!socket.user) throw new Error('Unauthorized');
-        const currentRoom = userRooms.get(socket.user.id);
+        const currentRoom = userRooms.get(socket.id);
         if (!currentRoom || currentRoom !== roomId) return;
 
         const room = await Room.findOne({ _id: roomId, participants: socket.user.id }).lean();
         if (!room) return;
 
+        stopTyping(socket);
         socket.leave(roomId);
-        userRooms.delete(socket.user.id);
+        userRooms.delete(socket.id);
+        await ReadStateService.markRead(socket.user.id, roomId);
 
-        const leaveMsg = {
-          room: roomId,
-          type: 'system',
-          content: `${socket.user.name}님이 퇴장하였습니다.`,
-          timestamp: Date.now()
-        };
-        await ChatService.handleBulkMessages([leaveMsg]);
+        // 1:1 대화는 화면을 떠나도 참여자 목록 유지
+        let updatedRoom = null;
+        if (room.kind !== 'direct') {
+          const leaveMsg = {
+            room: roomId,
+            type: 'system',
+            content: `${socket.user.name}님이 퇴장하였습니다.`,
+            timestamp: Date.now()
+          };
+          await ChatService.handleBulkMessages([leaveMsg]);
 
-        const updatedRoom = await Room.findByIdAndUpdate(
-          roomId,
-          { $pull: { participants: socket.user.id } },
-          { new: true }
-        ).populate('participants', 'name email profileImage');
+          updatedRoom = await Room.findByIdAndUpdate(
+            roomId,
+            { $pull: { participants: socket.user.id } },
+            { new: true }
+          ).populate('participants', 'name email profileImage');
+        }
 
         for (const [messageId, session] of streamingSessions.entries()) {
           if (session.room === roomId && session.userId === socket.user.id) {
@@ -365,11 +694,7 @@ module.exports = function(io) {
 
         if (updatedRoom) {
           io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
-          // 모든 클라이언트에 방 업데이트 이벤트 emit
-          io.emit('roomUpdated', {
-            ...updatedRoom.toObject(),
-            participants: updatedRoom.participants
-          });
+          emitRoomUpdated(updatedRoom);
         }
 
       } catch (error) {
@@ -386,6 +711,9 @@ module.exports = function(io) {
         if (!Array.isArray(messageIds) || messageIds.length === 0) return;
 
         await ChatService.markMessagesAsRead(roomId, socket.user.id, messageIds);
+        if (userRooms.get(socket.id) === roomId) {
+          await ReadStateService.markRead(socket.user.id, roomId);
+        }
         socket.to(roomId).emit('messagesRead', {
           userId: socket.user.id,
           messageIds
@@ -402,6 +730,7 @@ module.exports = function(io) {
     socket.on('messageReaction', async ({ messageId, reaction, type }) => {
       try {
         if (!socket.user) throw new Error('Unauthorized');
+        await assertCanWrite(socket.user);
 
         const updatedReactions = await ChatService.handleReaction(messageId, reaction, type, socket.user.id);
         const msg = await ChatService.getMessageById(messageId);
@@ -419,16 +748,149 @@ module.exports = function(io) {
       }
     });
 
+    socket.on('editMessage', async ({ messageId, content } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        if (!messageId) throw new Error('메시지 정보가 없습니다.');
+
+        const message = await ChatService.editMessage(messageId, socket.user.id, content);
+
+        io.to(message.room).emit('messageEdited', {
+          messageId: message._id,
+          content: message.content,
+          editedAt: message.editedAt,
+          revisions: message.revisions
+        });
+      } catch (error) {
+        console.error('Edit message error:', error);
+        socket.emit('messageEditError', {
+          messageId,
+          code: error.code || 'EDIT_ERROR',
+          message: error.message || '메시지 수정 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    socket.on('deleteMessage', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        if (!messageId) throw new Error('메시지 정보가 없습니다.');
+
+        const result = await ChatService.deleteMessage(messageId, socket.user.id);
+
+        io.to(result.room).emit('messageDeleted', {
+          messageId: result.messageId,
+          deletedBy: socket.user.id,
+          parentMessageId: result.parentMessageId,
+          thread: result.thread
+        });
+      } catch (error) {
+        console.error('Delete message error:', error);
+        socket.emit('messageDeleteError', {
+          messageId,
+          code: error.code || 'DELETE_ERROR',
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    socket.on('aiMessageCancel', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        if (!messageId) throw new Error('메시지 정보가 없습니다.');
+
+        const session = await cancelAIStream(messageId, socket.user.id);
+        if (!session) {
+          // 다른 서버 인스턴스에서 생성 중일 수 있으므로 전달
+          io.serverSideEmit('aiMessageCancel', { messageId, userId: socket.user.id });
+        }
+      } catch (error) {
+        console.error('AI cancel error:', error);
+        socket.emit('aiMessageActionError', {
+          messageId,
+          code: error.code || 'AI_CANCEL_ERROR',
+          message: error.message || 'AI 응답 중단 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    socket.on('aiMessageRegenerate', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) throw new Error('Unauthorized');
+        if (!messageId) throw new Error('메시지 정보가 없습니다.');
+        await assertCanWrite(socket.user);
+
+        const message = await ChatService.findAIMessage(messageId);
+        if (!message) {
+          const error = new Error('메시지를 찾을 수 없습니다.');
+          error.code = 'MESSAGE_NOT_FOUND';
+          throw error;
+        }
+
+        const room = message.room;
+        const isParticipant = await Room.exists({ _id: room, participants: socket.user.id });
+        if (!isParticipant) throw new Error('채팅방 접근 권한이 없습니다.');
+
+        const metadata = message.metadata || {};
+        if (!metadata.query) {
+          const error = new Error('질문 정보가 없어 다시 생성할 수 없는 메시지입니다.');
+          error.code = 'INVALID_MESSAGE';
+          throw error;
+        }
+        if (!await canControlAIResponse(room, socket.user.id, metadata.requestedBy)) {
+          const error = new Error('AI 응답을 다시 생성할 권한이 없습니다.');
+          error.code = 'FORBIDDEN';
+          throw error;
+        }
+
+        const isRegenerating = Array.from(streamingSessions.values())
+          .some(session => session.regenerateOf === String(message._id));
+        if (isRegenerating) {
+          const error = new Error('이미 답변을 다시 생성하고 있습니다.');
+          error.code = 'ALREADY_REGENERATING';
+          throw error;
+        }
+
+        // 개인 페르소나일 수 있으므로 처음 호출한 사용자 기준으로 조회
+        const persona = await AIPersonaService.findPersona(
+          message.aiType,
+          room,
+          metadata.requestedBy || socket.user.id
+        );
+        if (!persona) {
+          const error = new Error('삭제되었거나 사용할 수 없는 AI 페르소나입니다.');
+          error.code = 'PERSONA_NOT_FOUND';
+          throw error;
+        }
+
+        await handleAIResponse(room, persona, metadata.query || '', metadata.triggerMessageId, {
+          requestedBy: metadata.requestedBy || socket.user.id,
+          regenerateOf: message
+        });
+      } catch (error) {
+        console.error('AI regenerate error:', error);
+        socket.emit('aiMessageActionError', {
+          messageId,
+          code: error.code || 'AI_REGENERATE_ERROR',
+          message: error.message || 'AI 응답 다시 생성 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
     socket.on('disconnect', async (reason) => {
       if (!socket.user) return;
 
+      stopTyping(socket);
+      updatePresence(PresenceService.disconnect(socket.user.id, socket.id));
+
       try {
-        if (connectedUsers.get(socket.user.id) === socket.id) {
-          connectedUsers.delete(socket.user.id);
-        }
+        await SocketSessionService.release(socket.user.id, socket.user.sessionId, socket.id);
 
-        const roomId = userRooms.get(socket.user.id);
-        userRooms.delete(socket.user.id);
+        const roomId = userRooms.get(socket.id);
+        userRooms.delete(socket.id);
+        if (roomId) {
+          await ReadStateService.markRead(socket.user.id, roomId);
+        }
 
         for (const [messageId, session] of streamingSessions.entries()) {
           if (session.userId === socket.user.id) {
@@ -437,27 +899,23 @@ module.exports = function(io) {
         }
 
         if (roomId && reason !== 'client namespace disconnect' && reason !== 'duplicate_login') {
-          const leaveMsg = {
-            room: roomId,
-            type: 'system',
-            content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
-            timestamp: Date.now()
-          };
-          await ChatService.handleBulkMessages([leaveMsg]);
-
-          const updatedRoom = await Room.findByIdAndUpdate(
-            roomId,
+          const updatedRoom = await Room.findOneAndUpdate(
+            { _id: roomId, kind: { $ne: 'direct' } },
             { $pull: { participants: socket.user.id } },
             { new: true }
           ).populate('participants', 'name email profileImage');
 
           if (updatedRoom) {
+            const leaveMsg = {
+              room: roomId,
+              type: 'system',
+              content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
+              timestamp: Date.now()
+            };
+            await ChatService.handleBulkMessages([leaveMsg]);
+
             io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
-            // 모든 클라이언트에 방 업데이트 이벤트 emit
-            io.emit('roomUpdated', {
-              ...updatedRoom.toObject(),
-              participants: updatedRoom.participants
-            });
+            emitRoomUpdated(updatedRoom);
           }
         }
 
@@ -473,6 +931,22 @@ module.exports = function(io) {
       }
     });
 
+    // 중복 로그인 안내를 받은 기기가 기존 세션 유지를 선택 (새 로그인 요청은 거절됨)
+    socket.on('keep_existing_session', async (data, callback) => {
+      try {
+        if (!socket.user) return;
+        const kept = await SocketSessionService.keepSession(
+          socket.user.id, socket.user.sessionId, socket.id
+        );
+        if (typeof callback === 'function') callback({ kept });
+      } catch (error) {
+        console.error('Keep session error:', error);
+        if (typeof callback === 'function') {
+          callback({ error: '세션 유지 요청 처리 중 오류가 발생했습니다.' });
+        }
+      }
+    });
+
     socket.on('force_login', async ({ token }) => {
       try {
         if (!socket.user) return;
@@ -495,28 +969,34 @@ module.exports = function(io) {
       }
     });
 
-    function extractAIMentions(content) {
-      if (!content) return [];
-      const aiTypes = ['wayneAI', 'consultingAI'];
-      const mentions = new Set();
-      const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-      let match;
-      while ((match = mentionRegex.exec(content)) !== null) {
-        if (aiTypes.includes(match[1])) {
-          mentions.add(match[1]);
-        }
-      }
-      return Array.from(mentions);
-    }
-
-    async function handleAIResponse(room, aiName, query) {
-      const messageId = `${aiName}-${Date.now()}`;
+    // persona: AIPersonaService의 페르소나 객체
+    // triggerMessageId: AI를 호출한 메시지 (대화 맥락에서 제외하고 질문으로 전달)
+    // options.requestedBy: AI를 호출한 사용자 (생성 중단/다시 생성 권한)
+    // options.regenerateOf: 다시 생성할 기존 AI 메시지 (완료되면 새 메시지 대신 해당 메시지의 변형으로 저장)
+    async function handleAIResponse(room, persona, query, triggerMessageId, { requestedBy, regenerateOf = null } = {}) {
+      const aiType = persona.handle;
+      // 응답 당시의 페르소나 이름과 아바타를 메시지에 함께 저장
+      const aiProfile = {
+        aiName: persona.name,
+        ...(persona.avatar && { aiAvatar: persona.avatar })
+      };
+      const messageId = `${aiType}-${Date.now()}`;
       let accumulatedContent = '';
-      const timestamp = Date.now();
+      // 다시 생성하는 답변은 기존 메시지 위치에 표시
+      const timestamp = regenerateOf ? new Date(regenerateOf.timestamp).getTime() : Date.now();
+      const startedAt = Date.now();
+      const abortController = new AbortController();
+      const streamInfo = {
+        requestedBy,
+        ...(regenerateOf && { regenerateOf: regenerateOf._id.toString() })
+      };
 
       streamingSessions.set(messageId, {
         room,
-        aiType: aiName,
+        aiType,
+        ...aiProfile,
+        ...streamInfo,
+        abortController,
         content: '',
         messageId,
         timestamp,
@@ -526,14 +1006,21 @@ module.exports = function(io) {
 
       io.to(room).emit('aiMessageStart', {
         messageId,
-        aiType: aiName,
+        aiType,
+        ...aiProfile,
+        ...streamInfo,
         timestamp
       });
 
       try {
-        await aiService.generateResponse(query, aiName, {
+        const context = await AIContextService.buildContext(room, persona, {
+          excludeMessageIds: [triggerMessageId, regenerateOf?._id].filter(Boolean),
+          query
+        });
+
+        await aiService.generateResponse(query, persona, {
           onStart: () => {
-            logDebug('AI generation started', { messageId, aiType: aiName });
+            logDebug('AI generation started', { messageId, aiType });
           },
           onChunk: async (chunk) => {
             accumulatedContent += chunk.currentChunk || '';
@@ -549,43 +1036,87 @@ module.exports = function(io) {
               fullContent: accumulatedContent,
               isCodeBlock: chunk.isCodeBlock,
               timestamp: Date.now(),
-              aiType: aiName,
+              aiType,
               isComplete: false
             });
           },
           onComplete: async (finalContent) => {
             streamingSessions.delete(messageId);
-            const aiMsg = {
-              room,
-              content: finalContent.content,
-              type: 'ai',
-              aiType: aiName,
-              timestamp: Date.now(),
-              reactions: {},
-              metadata: {
+            const cancelled = Boolean(finalContent.cancelled);
+            // 답변에서 인용한 문서 구절 (원본 파일 메시지로 이동할 수 있도록 저장)
+            const sources = selectCitedSources(finalContent.content, context.sources);
+
+            if (regenerateOf) {
+              // 내용 없이 중단되면 기존 답변 유지
+              const updated = cancelled && !finalContent.content
+                ? regenerateOf
+                : await ChatService.addAIResponseVariant(regenerateOf._id, {
+                  content: finalContent.content,
+                  cancelled,
+                  sources
+                });
+
+              io.to(room).emit('aiMessageComplete', {
+                messageId,
+                _id: updated._id,
+                regenerateOf: streamInfo.regenerateOf,
+                content: updated.content,
+                aiType,
+                ...aiProfile,
+                sources: updated.sources || [],
+                cancelled: Boolean(updated.cancelled),
+                variants: updated.variants || [],
+                timestamp: regenerateOf.timestamp,
+                isComplete: true,
+                query
+              });
+            } else {
+              const aiMsg = {
+                _id: new mongoose.Types.ObjectId(),
+                room,
+                content: finalContent.content,
+                type: 'ai',
+                aiType,
+                ...aiProfile,
+                ...(sources.length > 0 && { sources }),
+                ...(cancelled && { cancelled }),
+                timestamp: Date.now(),
+                reactions: {},
+                metadata: {
+                  query,
+                  requestedBy,
+                  triggerMessageId,
+                  generationTime: Date.now() - startedAt,
+                  completionTokens: finalContent.completionTokens,
+                  totalTokens: finalContent.totalTokens
+                }
+              };
+              await ChatService.handleBulkMessages([aiMsg]);
+
+              io.to(room).emit('aiMessageComplete', {
+                messageId,
+                _id: aiMsg._id,
+                content: finalContent.content,
+                aiType,
+                ...aiProfile,
+                sources,
+                cancelled,
+                metadata: { requestedBy },
+                timestamp: aiMsg.timestamp,
+                isComplete: true,
                 query,
-                generationTime: Date.now() - timestamp,
-                completionTokens: finalContent.completionTokens,
-                totalTokens: finalContent.totalTokens
-              }
-            };
-            await ChatService.handleBulkMessages([aiMsg]);
+                reactions: {}
+              });
 
-            io.to(room).emit('aiMessageComplete', {
-              messageId,
-              content: finalContent.content,
-              aiType: aiName,
-              timestamp: Date.now(),
-              isComplete: true,
-              query,
-              reactions: {}
-            });
+              await notifyUnreadMembers(room, { timestamp: aiMsg.timestamp });
+            }
 
-            logDebug('AI response completed', {
+            logDebug(cancelled ? 'AI response cancelled' : 'AI response completed', {
               messageId,
-              aiType: aiName,
+              aiType,
+              regenerateOf: streamInfo.regenerateOf,
               contentLength: finalContent.content.length,
-              generationTime: Date.now() - timestamp
+              generationTime: Date.now() - startedAt
             });
           },
           onError: (error) => {
@@ -595,27 +1126,29 @@ module.exports = function(io) {
             io.to(room).emit('aiMessageError', {
               messageId,
               error: error.message || 'AI 응답 생성 중 오류가 발생했습니다.',
-              aiType: aiName
+              aiType,
+              ...streamInfo
             });
 
             logDebug('AI response error', {
               messageId,
-              aiType: aiName,
+              aiType,
               error: error.message
             });
           }
-        });
+        }, { ...context, signal: abortController.signal });
       } catch (error) {
         streamingSessions.delete(messageId);
         console.error('AI service error:', error);
         io.to(room).emit('aiMessageError', {
           messageId,
           error: error.message || 'AI 서비스 오류가 발생했습니다.',
-          aiType: aiName
+          aiType,
+          ...streamInfo
         });
         logDebug('AI service error', {
           messageId,
-          aiType: aiName,
+          aiType,
           error: error.message
         });
       }
@@ -0,0 +1,104 @@
+// AI 대화 맥락 구성 테스트 (메시지 → 대화 턴 변환, 토큰 예산 분할, 요약 전달)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AI_PROVIDER = 'recording';
+
+const aiService = require('../services/aiService');
+const {
+  estimateTokens,
+  toConversationTurns,
+  splitByTokenBudget,
+  mergeConsecutiveTurns
+} = require('../utils/aiContext');
+
+const roomMessages = [
+  { type: 'system', content: '김철수님이 입장하였습니다.', timestamp: 1000 },
+  { type: 'text', content: '@wayneAI 파이썬 리스트 정렬 방법?', sender: { name: '김철수' }, timestamp: 2000 },
+  { type: 'ai', aiType: 'wayneAI', content: 'sorted()를 사용하세요.', timestamp: 3000 },
+  { type: 'ai', aiType: 'consultingAI', content: '팀 코딩 규칙도 정하세요.', timestamp: 4000 },
+  { type: 'file', content: '', sender: { name: '이영희' }, timestamp: 5000 },
+  { type: 'text', content: '역순은요?', sender: { name: '이영희' }, timestamp: 6000 }
+];
+
+test('토큰 수는 영문 4자당 1토큰, 그 외 문자는 1자당 1토큰으로 추정함', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('안녕하세요'), 5);
+  assert.equal(estimateTokens('hi 안녕'), 3);
+});
+
+test('페르소나 자신의 답변만 assistant 턴이 되고 나머지는 이름을 붙인 user 턴이 됨', () => {
+  const turns = toConversationTurns(roomMessages, 'wayneAI', name => ({ consultingAI: 'Consulting AI' }[name]));
+
+  assert.deepEqual(turns.map(({ role, content }) => ({ role, content })), [
+    { role: 'user', content: '김철수: @wayneAI 파이썬 리스트 정렬 방법?' },
+    { role: 'assistant', content: 'sorted()를 사용하세요.' },
+    { role: 'user', content: 'Consulting AI: 팀 코딩 규칙도 정하세요.' },
+    { role: 'user', content: '이영희: 역순은요?' }
+  ]);
+  assert.equal(turns[0].timestamp, 2000);
+});
+
+test('최신 턴부터 예산 안에 들어가는 만큼만 최근 대화로 사용함', () => {
+  const turns = ['aaaa', 'bbbb', 'cccc', 'dddd'].map((content, index) => ({ role: 'user', content, timestamp: index }));
+
+  const { recent, older } = splitByTokenBudget(turns, 2);
+  assert.deepEqual(recent.map(turn => turn.content), ['cccc', 'dddd']);
+  assert.deepEqual(older.map(turn => turn.content), ['aaaa', 'bbbb']);
+
+  assert.equal(splitByTokenBudget(turns, 100).older.length, 0);
+});
+
+test('연속된 같은 역할의 턴은 합치고 assistant 턴으로 시작하지 않음', () => {
+  assert.deepEqual(mergeConsecutiveTurns([
+    { role: 'assistant', content: '이전 답변' },
+    { role: 'user', content: 'A: 질문1' },
+    { role: 'user', content: 'B: 질문2' },
+    { role: 'assistant', content: '답변' },
+    { role: 'user', content: '후속 질문' }
+  ]), [
+    { role: 'user', content: 'A: 질문1\nB: 질문2' },
+    { role: 'assistant', content: '답변' },
+    { role: 'user', content: '후속 질문' }
+  ]);
+});
+
+test('대화 맥락과 이전 대화 요약을 제공자 요청에 포함함', async () => {
+  const requests = [];
+  aiService.setProvider('recording', {
+    async *stream(request) {
+      requests.push(request);
+      yield { type: 'text', text: '요약 또는 답변' };
+    }
+  });
+
+  await aiService.generateResponse('역순은요?', 'wayneAI', {
+    onStart: () => {},
+    onChunk: async () => {},
+    onComplete: async () => {},
+    onError: () => {}
+  }, {
+    history: [
+      { role: 'user', content: '김철수: 리스트 정렬 방법?' },
+      { role: 'assistant', content: 'sorted()를 사용하세요.' },
+      { role: 'user', content: '이영희: 그렇군요' }
+    ],
+    summary: '파이썬 기초 문법에 대해 이야기함'
+  });
+
+  const [request] = requests;
+  assert.match(request.system, /이전 대화 요약:\n파이썬 기초 문법에 대해 이야기함/);
+  assert.deepEqual(request.messages, [
+    { role: 'user', content: '김철수: 리스트 정렬 방법?' },
+    { role: 'assistant', content: 'sorted()를 사용하세요.' },
+    { role: 'user', content: '이영희: 그렇군요\n역순은요?' }
+  ]);
+
+  const summary = await aiService.summarizeConversation('wayneAI', '기존 요약', [
+    { role: 'user', content: '김철수: 질문' },
+    { role: 'assistant', content: '답변' }
+  ]);
+  assert.equal(summary, '요약 또는 답변');
+  assert.match(requests[1].messages[0].content, /기존 요약:\n기존 요약\n\n이후 대화:\n김철수: 질문\nWayne AI: 답변/);
+});
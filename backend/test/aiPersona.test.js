@@ -0,0 +1,119 @@
+// AI 페르소나 레지스트리 테스트 (DB 조회는 고정된 프로필 목록으로 대체)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.AI_PROVIDER = 'recording';
+
+const AIProfile = require('../models/AIProfile');
+const aiService = require('../services/aiService');
+const AIPersonaService = require('../services/aiPersonaService');
+
+const userId = new mongoose.Types.ObjectId();
+const roomId = new mongoose.Types.ObjectId();
+
+const profiles = [
+  {
+    _id: new mongoose.Types.ObjectId(),
+    scope: 'room',
+    user: userId,
+    room: roomId,
+    name: '리뷰 봇',
+    handle: 'reviewer',
+    systemPrompt: '코드 리뷰어로서 개선점을 짚어주세요.',
+    model: 'gpt-4o-mini',
+    temperature: 0.2
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    scope: 'user',
+    user: userId,
+    name: '개인 리뷰어',
+    handle: 'reviewer',
+    systemPrompt: '개인 리뷰어',
+    temperature: 0.7
+  },
+  {
+    _id: new mongoose.Types.ObjectId(),
+    scope: 'user',
+    user: userId,
+    name: '번역가',
+    handle: 'translator',
+    systemPrompt: '한국어를 영어로 번역하세요.',
+    temperature: 0.5,
+    avatar: 'https://example.com/translator.png'
+  }
+];
+
+let originalFind = null;
+
+before(() => {
+  originalFind = AIProfile.find;
+  AIProfile.find = () => ({
+    sort: () => ({ lean: async () => profiles })
+  });
+});
+
+after(() => {
+  AIProfile.find = originalFind;
+});
+
+test('기본 제공 > 채팅방 > 개인 페르소나 순으로 핸들 중복을 정리함', async () => {
+  const personas = await AIPersonaService.getAvailablePersonas(roomId.toString(), userId.toString());
+
+  assert.deepEqual(personas.map(persona => persona.handle), ['wayneAI', 'consultingAI', 'reviewer', 'translator']);
+  assert.equal(personas[2].name, '리뷰 봇');
+  assert.equal(personas[2].scope, 'room');
+  assert.equal(personas[3].avatar, 'https://example.com/translator.png');
+});
+
+test('메시지에서 멘션된 페르소나를 등장 순서대로 찾음', async () => {
+  const mentioned = await AIPersonaService.findMentionedPersonas(
+    '@translator 이 문장 번역하고 @wayneAI 요약도 해줘. @reviewer_bot 은 없음',
+    roomId.toString(),
+    userId.toString()
+  );
+
+  assert.deepEqual(mentioned.map(persona => persona.handle), ['translator', 'wayneAI']);
+  assert.deepEqual(await AIPersonaService.findMentionedPersonas('멘션 없음', roomId.toString(), userId.toString()), []);
+});
+
+test('기본 제공 페르소나 핸들은 대소문자와 관계없이 예약됨', () => {
+  assert.equal(AIPersonaService.isBuiltInHandle('WayneAI'), true);
+  assert.equal(AIPersonaService.isBuiltInHandle('translator'), false);
+});
+
+test('사용자 정의 페르소나의 프롬프트, 모델, temperature로 응답을 생성함', async () => {
+  const requests = [];
+  aiService.setProvider('recording', {
+    async *stream(request) {
+      requests.push(request);
+      yield { type: 'text', text: '리뷰 결과' };
+    }
+  });
+
+  const [reviewer] = await AIPersonaService.findMentionedPersonas('@reviewer 봐줘', roomId.toString(), userId.toString());
+  let completed = null;
+  await aiService.generateResponse('봐줘', reviewer, {
+    onStart: () => {},
+    onChunk: async () => {},
+    onComplete: async result => { completed = result; },
+    onError: () => {}
+  });
+
+  assert.equal(completed.content, '리뷰 결과');
+  assert.equal(requests[0].system, '당신은 리뷰 봇입니다.\n코드 리뷰어로서 개선점을 짚어주세요.');
+  assert.equal(requests[0].model, 'gpt-4o-mini');
+  assert.equal(requests[0].temperature, 0.2);
+});
+
+test('핸들 형식과 범위별 필수 항목을 검증함', () => {
+  const invalid = new AIProfile({ scope: 'room', user: userId, name: '봇', handle: '1bot', systemPrompt: '프롬프트' });
+  const errors = invalid.validateSync().errors;
+
+  assert.ok(errors.handle);
+  assert.ok(errors.room);
+
+  const valid = new AIProfile({ scope: 'user', user: userId, name: '봇', handle: 'my_bot', systemPrompt: '프롬프트' });
+  assert.equal(valid.validateSync(), undefined);
+});
@@ -0,0 +1,199 @@
+// AI 제공자 스트리밍 파싱과 정규화된 청크 처리 테스트 (외부 API 호출 없음)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+process.env.AI_PROVIDER = 'fake';
+process.env.AI_PERSONA_PROVIDERS = 'consultingAI=custom';
+
+const aiService = require('../services/aiService');
+const { createProvider } = require('../services/aiProviders');
+
+// 네트워크 청크 경계가 줄/이벤트 중간에서 나뉘는 경우를 재현
+const toStream = (text, size = 7) => {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(Buffer.from(text.slice(i, i + size)));
+  return Readable.from(chunks);
+};
+
+const collect = async (iterable) => {
+  const result = [];
+  for await (const item of iterable) result.push(item);
+  return result;
+};
+
+const textOf = chunks => chunks.filter(chunk => chunk.type === 'text').map(chunk => chunk.text).join('');
+
+const runGeneration = async (message, persona) => {
+  const chunks = [];
+  let completed = null;
+  await aiService.generateResponse(message, persona, {
+    onStart: () => {},
+    onChunk: async chunk => chunks.push(chunk),
+    onComplete: async result => { completed = result; },
+    onError: () => {}
+  });
+  return { chunks, completed };
+};
+
+test('OpenAI 호환 SSE 스트림을 텍스트 청크로 변환함', async () => {
+  const provider = createProvider('openai', { type: 'openai', baseURL: 'http://localhost' });
+  const body = [
+    'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+    'data: {"choices":[{"delta":{"content":"안녕"}}]}',
+    'data: {"choices":[{"delta":{"content":"하세요"}}]}',
+    'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2,"total_tokens":5}}',
+    'data: [DONE]',
+    ''
+  ].join('\n\n');
+
+  const chunks = await collect(provider.parse(toStream(body)));
+  assert.equal(textOf(chunks), '안녕하세요');
+  assert.deepEqual(chunks.at(-1), { type: 'usage', promptTokens: 3, completionTokens: 2, totalTokens: 5 });
+});
+
+test('Anthropic 메시지 이벤트 스트림을 텍스트 청크로 변환함', async () => {
+  const provider = createProvider('anthropic', { type: 'anthropic', baseURL: 'http://localhost' });
+  const events = [
+    ['message_start', { type: 'message_start', message: { usage: { input_tokens: 10 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0 }],
+    ['ping', { type: 'ping' }],
+    ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hello' } }],
+    ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: ' world' } }],
+    ['message_delta', { type: 'message_delta', usage: { output_tokens: 2 } }],
+    ['message_stop', { type: 'message_stop' }]
+  ];
+  const body = events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+
+  const chunks = await collect(provider.parse(toStream(body)));
+  assert.equal(textOf(chunks), 'Hello world');
+  assert.deepEqual(chunks.at(-1), { type: 'usage', promptTokens: 10, completionTokens: 2, totalTokens: 12 });
+});
+
+test('Anthropic 스트림의 error 이벤트는 예외로 전달됨', async () => {
+  const provider = createProvider('anthropic', { type: 'anthropic', baseURL: 'http://localhost' });
+  const body = 'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n';
+
+  await assert.rejects(collect(provider.parse(toStream(body))), /Overloaded/);
+});
+
+test('멀티바이트 문자가 청크 사이에서 나뉘어도 UTF-8로 올바르게 디코딩함', async () => {
+  const provider = createProvider('ollama', { type: 'ollama', baseURL: 'http://localhost' });
+  const bytes = Buffer.from(JSON.stringify({ message: { role: 'assistant', content: '한글 응답' }, done: false }));
+  // 한 바이트씩 나눠 모든 문자가 청크 경계에 걸리도록 함
+  const stream = Readable.from([...bytes].map(byte => Buffer.from([byte])));
+
+  const chunks = await collect(provider.parse(stream));
+  assert.equal(textOf(chunks), '한글 응답');
+});
+
+test('Ollama 줄 단위 JSON 스트림을 텍스트 청크로 변환함', async () => {
+  const provider = createProvider('ollama', { type: 'ollama', baseURL: 'http://localhost' });
+  const body = [
+    { message: { role: 'assistant', content: '로컬' }, done: false },
+    { message: { role: 'assistant', content: ' 모델' }, done: false },
+    { message: { role: 'assistant', content: '' }, done: true, prompt_eval_count: 4, eval_count: 2 }
+  ].map(line => JSON.stringify(line)).join('\n');
+
+  const chunks = await collect(provider.parse(toStream(body)));
+  assert.equal(textOf(chunks), '로컬 모델');
+  assert.deepEqual(chunks.at(-1), { type: 'usage', promptTokens: 4, completionTokens: 2, totalTokens: 6 });
+});
+
+test('fake 제공자는 같은 입력에 항상 같은 응답을 스트리밍함', async () => {
+  const first = await runGeneration('오늘 날씨 어때?', 'wayneAI');
+  const second = await runGeneration('오늘 날씨 어때?', 'wayneAI');
+
+  assert.equal(first.completed.content, '테스트 응답입니다. 질문: 오늘 날씨 어때?');
+  assert.deepEqual(first.chunks, second.chunks);
+  assert.ok(first.chunks.length > 1);
+  assert.equal(first.completed.completionTokens, first.chunks.length);
+});
+
+test('페르소나별로 설정된 제공자를 사용하고 코드 블록 상태를 추적함', async () => {
+  aiService.setProvider('custom', {
+    async *stream({ system }) {
+      assert.match(system, /Consulting AI/);
+      yield { type: 'text', text: '예시:\n```js\n' };
+      yield { type: 'text', text: 'const a = 1;\n' };
+      yield { type: 'text', text: '```\n끝' };
+    }
+  });
+
+  const { chunks, completed } = await runGeneration('코드 보여줘', 'consultingAI');
+  assert.deepEqual(chunks.map(chunk => chunk.isCodeBlock), [true, true, false]);
+  assert.equal(completed.content, '예시:\n```js\nconst a = 1;\n```\n끝');
+});
+
+test('알 수 없는 페르소나나 설정되지 않은 제공자는 오류로 처리됨', async () => {
+  let reported = null;
+  const callbacks = {
+    onStart: () => {},
+    onChunk: async () => {},
+    onComplete: async () => {},
+    onError: error => { reported = error; }
+  };
+
+  await assert.rejects(aiService.generateResponse('hi', 'unknownAI', callbacks));
+  assert.match(reported.message, /Unknown AI persona/);
+
+  assert.throws(() => aiService.getProvider('missing'), /not configured/);
+});
+
+test('중단 요청 시 그때까지의 응답으로 완료하고 cancelled로 표시함', async () => {
+  const controller = new AbortController();
+  const chunks = [];
+  let completed = null;
+  let reported = null;
+
+  const content = await aiService.generateResponse('하나 둘 셋 넷', 'wayneAI', {
+    onStart: () => {},
+    onChunk: async (chunk) => {
+      chunks.push(chunk);
+      // 두 번째 청크를 받은 뒤 중단
+      if (chunks.length === 2) controller.abort();
+    },
+    onComplete: async result => { completed = result; },
+    onError: error => { reported = error; }
+  }, { signal: controller.signal });
+
+  assert.equal(reported, null);
+  assert.equal(chunks.length, 2);
+  assert.equal(completed.cancelled, true);
+  assert.equal(completed.content, '테스트 응답입니다.');
+  assert.equal(content, '테스트 응답입니다.');
+});
+
+test('업스트림 스트림이 중단 오류로 끝나도 오류가 아닌 부분 응답으로 처리함', async () => {
+  const controller = new AbortController();
+  aiService.setProvider('aborting', {
+    async *stream({ signal }) {
+      yield { type: 'text', text: '부분 ' };
+      controller.abort();
+      if (signal.aborted) throw new Error('canceled');
+      yield { type: 'text', text: '응답' };
+    }
+  });
+  aiService.personaProviders.wayneAI = 'aborting';
+
+  let completed = null;
+  let reported = null;
+  try {
+    await aiService.generateResponse('hi', 'wayneAI', {
+      onStart: () => {},
+      onChunk: async () => {},
+      onComplete: async result => { completed = result; },
+      onError: error => { reported = error; }
+    }, { signal: controller.signal });
+  } finally {
+    delete aiService.personaProviders.wayneAI;
+  }
+
+  assert.equal(reported, null);
+  assert.deepEqual(completed, {
+    content: '부분',
+    completionTokens: undefined,
+    totalTokens: undefined,
+    cancelled: true
+  });
+});
@@ -0,0 +1,153 @@
+// 채팅방 문서 검색(RAG) 테스트 (텍스트 추출/청크 분할, 임베딩 검색, 인용 출처, 프롬프트 구성)
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.AI_PROVIDER = 'fake';
+process.env.AI_EMBEDDING_PROVIDER = 'fake';
+
+const aiService = require('../services/aiService');
+const DocumentChunk = require('../models/DocumentChunk');
+const vectorDB = require('../utils/vectorDB');
+const { isExtractable, extractText, chunkText } = require('../utils/documentText');
+const { selectCitedSources } = require('../utils/aiContext');
+
+const originalFind = DocumentChunk.find;
+const originalDeleteMany = DocumentChunk.deleteMany;
+
+after(() => {
+  DocumentChunk.find = originalFind;
+  DocumentChunk.deleteMany = originalDeleteMany;
+});
+
+test('PDF, DOCX, 텍스트 파일만 추출 대상임', () => {
+  assert.equal(isExtractable('application/pdf'), true);
+  assert.equal(isExtractable('application/vnd.openxmlformats-officedocument.wordprocessingml.document'), true);
+  assert.equal(isExtractable('text/markdown'), true);
+  assert.equal(isExtractable('application/msword'), false);
+  assert.equal(isExtractable('image/png'), false);
+});
+
+test('텍스트 파일은 줄바꿈과 빈 줄을 정리해 추출함', async () => {
+  const text = await extractText(Buffer.from('제목\r\n\r\n\r\n\r\n본문 첫 줄   \r\n둘째 줄\r\n'), 'text/plain');
+  assert.equal(text, '제목\n\n본문 첫 줄\n둘째 줄');
+  assert.equal(await extractText(Buffer.from('x'), 'image/png'), null);
+});
+
+test('짧은 문서는 하나의 청크가 됨', () => {
+  assert.deepEqual(chunkText('짧은 문서입니다.'), ['짧은 문서입니다.']);
+  assert.deepEqual(chunkText(''), []);
+});
+
+test('긴 문서는 문단 경계에서 나누고 앞 청크의 끝부분을 다음 청크에 포함함', () => {
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `문단${i} ` + '내용 '.repeat(30).trim());
+  const text = paragraphs.join('\n\n');
+  const chunks = chunkText(text, { chunkSize: 300, overlap: 40 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 300));
+  assert.ok(text.slice(chunks[0].length).startsWith('\n\n'));
+
+  // 모든 문단이 어느 청크에든 포함됨
+  paragraphs.forEach((_, i) => assert.ok(chunks.some(chunk => chunk.includes(`문단${i}`))));
+
+  // 경계에 걸친 부분이 다음 청크의 시작에도 포함됨
+  const tail = chunks[0].slice(-20);
+  assert.ok(chunks[1].includes(tail.slice(tail.indexOf(' ') + 1)));
+});
+
+test('임베딩 결과에 제공자와 모델 이름을 함께 반환함', async () => {
+  const { embeddings, model } = await aiService.embed(['환불 정책', '배송 기간']);
+
+  assert.equal(model, 'fake:fake-embedding');
+  assert.equal(embeddings.length, 2);
+  assert.equal(embeddings[0].length, 64);
+});
+
+test('같은 채팅방의 같은 임베딩 모델 청크를 유사도 순으로 검색함', async () => {
+  const texts = [
+    '환불은 구매 후 14일 이내에 신청할 수 있습니다.',
+    '배송은 영업일 기준 3일이 걸립니다.',
+    '회원 등급은 매월 갱신됩니다.'
+  ];
+  const { embeddings, model } = await aiService.embed(texts);
+  const messageId = new mongoose.Types.ObjectId();
+  const fileId = new mongoose.Types.ObjectId();
+
+  let query = null;
+  DocumentChunk.find = (filter) => {
+    query = filter;
+    const chain = {
+      select: () => chain,
+      limit: () => chain,
+      lean: async () => texts.map((text, index) => ({
+        message: messageId,
+        file: fileId,
+        filename: '이용약관.pdf',
+        index,
+        text,
+        embedding: embeddings[index]
+      }))
+    };
+    return chain;
+  };
+
+  const { embeddings: [queryEmbedding] } = await aiService.embed(['환불은 언제까지 신청할 수 있나요?']);
+  const results = await vectorDB.searchDocuments('room-1', queryEmbedding, {
+    embeddingModel: model,
+    limit: 2,
+    minScore: 0.1
+  });
+
+  assert.deepEqual(query, { room: 'room-1', embeddingModel: model });
+  assert.ok(results.length >= 1 && results.length <= 2);
+  assert.equal(results[0].text, texts[0]);
+  assert.equal(results[0].embedding, undefined);
+  assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+});
+
+test('코사인 유사도는 길이가 다르거나 영벡터면 0임', () => {
+  assert.equal(vectorDB.cosineSimilarity([1, 0], [1, 0]), 1);
+  assert.equal(vectorDB.cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(vectorDB.cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(vectorDB.cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('파일 또는 채팅방 단위로 저장된 청크를 삭제함', async () => {
+  const filters = [];
+  DocumentChunk.deleteMany = async (filter) => {
+    filters.push(filter);
+    return { deletedCount: 1 };
+  };
+
+  await vectorDB.removeFile('file-1');
+  await vectorDB.removeRoom('room-1');
+
+  assert.deepEqual(filters, [{ file: 'file-1' }, { room: 'room-1' }]);
+});
+
+test('답변에서 인용한 구절만 출처로 남김', () => {
+  const sources = [
+    { index: 1, messageId: 'm1', fileId: 'f1', filename: 'a.pdf', text: '가'.repeat(300) },
+    { index: 2, messageId: 'm2', fileId: 'f2', filename: 'b.txt', text: '배송 안내' },
+    { index: 3, messageId: 'm3', fileId: 'f3', filename: 'c.docx', text: '등급 안내' }
+  ];
+
+  const cited = selectCitedSources('환불은 14일 이내입니다 [1]. 배송은 3일입니다[3].', sources);
+
+  assert.deepEqual(cited.map(source => source.index), [1, 3]);
+  assert.deepEqual(cited[1], { index: 3, message: 'm3', file: 'f3', filename: 'c.docx', excerpt: '등급 안내' });
+  assert.equal(cited[0].excerpt.length, 201);
+  assert.deepEqual(selectCitedSources('인용 없음', sources), []);
+});
+
+test('참고 구절을 번호와 파일 이름으로 시스템 프롬프트에 포함함', () => {
+  const persona = aiService.getPersona('wayneAI');
+  const prompt = aiService.buildSystemPrompt(persona, {
+    sources: [{ index: 1, filename: '이용약관.pdf', text: '환불은 14일 이내' }]
+  });
+
+  assert.match(prompt, /참고 문서:/);
+  assert.match(prompt, /\[1\] 이용약관\.pdf\n환불은 14일 이내/);
+  assert.doesNotMatch(aiService.buildSystemPrompt(persona), /참고 문서:/);
+});
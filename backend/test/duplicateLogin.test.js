@@ -0,0 +1,217 @@
+// 여러 프로세스에 나뉜 소켓 사이의 중복 로그인 처리 테스트
+// 로컬 Redis 필요 (REDIS_URL, 기본값 redis://127.0.0.1:6379)
+// Redis가 없으면 실패함 (SKIP_REDIS_TESTS=1이면 건너뜀)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { fork } = require('child_process');
+const Redis = require('ioredis');
+const { io: connectClient } = require('socket.io-client');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const SKIP_REDIS_TESTS = process.env.SKIP_REDIS_TESTS === '1';
+const DUPLICATE_LOGIN_TIMEOUT = 1500;
+const NODE_PORTS = [5711, 5712];
+
+let redis = null;
+let redisAvailable = false;
+const nodes = [];
+
+const startNode = (port) => new Promise((resolve, reject) => {
+  const child = fork(path.join(__dirname, 'fixtures', 'socketNode.js'), [], {
+    env: { ...process.env, PORT: port, REDIS_URL, DUPLICATE_LOGIN_TIMEOUT },
+    stdio: 'inherit'
+  });
+  child.once('message', () => resolve({ child, url: `http://localhost:${port}` }));
+  child.once('error', reject);
+  child.once('exit', code => reject(new Error(`Socket node exited (${code})`)));
+});
+
+const connect = (node, userId, sessionId) => new Promise((resolve, reject) => {
+  const socket = connectClient(node.url, {
+    auth: { userId, sessionId },
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+  socket.events = [];
+  socket.onAny((event, data) => socket.events.push({ event, data }));
+  socket.once('node', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+// 실제 로그인 컨트롤러 호출 (상태 코드와 응답 본문 반환)
+const login = async (node, email) => {
+  const response = await fetch(`${node.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'password123' })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// 로그인 후 세션의 소켓 연결
+const loginAndConnect = async (node, email) => {
+  const { status, body } = await login(node, email);
+  assert.equal(status, 200);
+  const socket = await connect(node, body.user._id.toString(), body.sessionId);
+  return { socket, userId: body.user._id.toString(), sessionId: body.sessionId };
+};
+
+const revoke = async (node, sessionId) => {
+  const response = await fetch(`${node.url}/revoke?sessionId=${sessionId}`, { method: 'POST' });
+  assert.equal(response.status, 204);
+};
+
+const waitForDisconnect = (socket) => new Promise(resolve => {
+  if (socket.disconnected) return resolve();
+  socket.once('disconnect', resolve);
+});
+
+const getOwner = async (userId, sessionId) =>
+  JSON.parse(await redis.get(`socket_owner:${userId}:${sessionId}`));
+
+const uniqueEmail = (prefix = 'user') =>
+  `${prefix}-${process.pid}-${Date.now()}-${Math.random().toString(16).slice(2)}@example.com`;
+
+const uniqueUserId = () => `user-${process.pid}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+const skipWithoutRedis = (t) => {
+  if (redisAvailable) return false;
+  t.skip('Redis 없음 (SKIP_REDIS_TESTS=1)');
+  return true;
+};
+
+before(async () => {
+  redis = new Redis(REDIS_URL, { lazyConnect: true, maxRetriesPerRequest: 1, retryStrategy: () => null });
+  try {
+    await redis.connect();
+    redisAvailable = true;
+  } catch (error) {
+    const message = `Redis is not available at ${REDIS_URL}: ${error.message}`;
+    if (SKIP_REDIS_TESTS) {
+      console.warn(message);
+      return;
+    }
+    throw new Error(`${message} (set SKIP_REDIS_TESTS=1 to skip)`);
+  }
+
+  for (const port of NODE_PORTS) {
+    nodes.push(await startNode(port));
+  }
+});
+
+after(async () => {
+  nodes.forEach(({ child }) => child.kill());
+  if (redisAvailable) await redis.quit();
+});
+
+test('다른 프로세스의 소켓이 중복 로그인 안내를 받고 응답하면 종료되고 새 로그인이 완료됨', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  const email = uniqueEmail();
+  const existing = await loginAndConnect(nodes[1], email);
+  existing.socket.on('duplicate_login', () => existing.socket.emit('force_login', {}));
+
+  const result = await login(nodes[0], email);
+  await waitForDisconnect(existing.socket);
+
+  assert.equal(result.status, 200);
+  assert.notEqual(result.body.sessionId, existing.sessionId);
+  assert.ok(existing.socket.events.some(({ event, data }) =>
+    event === 'duplicate_login' && data.type === 'new_login_attempt' && data.canKeep === true));
+  assert.equal(await getOwner(existing.userId, existing.sessionId), null);
+});
+
+test('응답하지 않는 다른 프로세스의 소켓은 대기 시간 후 서버에서 종료됨', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  const email = uniqueEmail();
+  const existing = await loginAndConnect(nodes[1], email);
+
+  const startedAt = Date.now();
+  const result = await login(nodes[0], email);
+  await waitForDisconnect(existing.socket);
+
+  assert.equal(result.status, 200);
+  assert.ok(Date.now() - startedAt >= DUPLICATE_LOGIN_TIMEOUT);
+  assert.ok(existing.socket.events.some(({ event, data }) =>
+    event === 'session_ended' && data.reason === 'duplicate_login'));
+  assert.equal(await getOwner(existing.userId, existing.sessionId), null);
+});
+
+test('다른 프로세스의 기존 기기가 세션 유지를 선택하면 새 로그인이 거절됨', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  const email = uniqueEmail();
+  const existing = await loginAndConnect(nodes[1], email);
+  existing.socket.on('duplicate_login', () => existing.socket.emit('keep_existing_session', {}, () => {}));
+
+  const result = await login(nodes[0], email);
+
+  assert.equal(result.status, 409);
+  assert.equal(result.body.code, 'DUPLICATE_LOGIN_REJECTED');
+  assert.equal(existing.socket.connected, true);
+  assert.equal((await getOwner(existing.userId, existing.sessionId)).socketId, existing.socket.id);
+
+  existing.socket.disconnect();
+});
+
+test('같은 세션으로 다른 프로세스에 새 소켓이 연결되면 기존 소켓을 정리하고 소유권을 넘김', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  const userId = uniqueUserId();
+  const existing = await connect(nodes[0], userId, 'session-1');
+  existing.on('duplicate_login', () => existing.emit('force_login', {}));
+
+  const replacement = await connect(nodes[1], userId, 'session-1');
+  await waitForDisconnect(existing);
+
+  // 같은 세션의 소켓 연결은 세션 유지를 선택할 수 없음
+  assert.ok(existing.events.some(({ event, data }) =>
+    event === 'duplicate_login' && data.canKeep === false));
+
+  const owner = await getOwner(userId, 'session-1');
+  assert.equal(owner.socketId, replacement.id);
+
+  replacement.disconnect();
+});
+
+test('다른 세션의 소켓은 유지되고, 세션 종료 시 해당 세션의 소켓만 끊김', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  // 다중 세션 사용자는 새 로그인 시 기존 기기에 안내하지 않음
+  const email = uniqueEmail('multi');
+  const laptop = await loginAndConnect(nodes[0], email);
+  const phone = await loginAndConnect(nodes[1], email);
+
+  await revoke(nodes[0], phone.sessionId);
+  await waitForDisconnect(phone.socket);
+
+  assert.ok(phone.socket.events.some(({ event, data }) =>
+    event === 'session_ended' && data.reason === 'session_revoked'));
+  assert.equal(laptop.socket.connected, true);
+  assert.equal(laptop.socket.events.some(({ event }) => event === 'duplicate_login'), false);
+
+  laptop.socket.disconnect();
+});
+
+test('연결된 소켓이 없으면 기다리지 않음', async (t) => {
+  if (skipWithoutRedis(t)) return;
+
+  const email = uniqueEmail();
+  const first = await login(nodes[0], email);
+  const userId = first.body.user._id.toString();
+  // 비정상 종료된 노드가 남긴 소유 정보
+  await redis.set(
+    `socket_owner:${userId}:${first.body.sessionId}`,
+    JSON.stringify({ socketId: 'stale-socket', sessionId: first.body.sessionId })
+  );
+
+  const startedAt = Date.now();
+  const result = await login(nodes[1], email);
+
+  assert.equal(result.status, 200);
+  assert.ok(Date.now() - startedAt < DUPLICATE_LOGIN_TIMEOUT);
+  assert.equal(await getOwner(userId, first.body.sessionId), null);
+});
@@ -0,0 +1,41 @@
+// 이메일 인증 링크와 미인증 사용자 정책 테스트 (DB 조회가 필요 없는 경우만)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.EMAIL_VERIFICATION_POLICY = 'read_only';
+
+const EmailVerificationService = require('../services/emailVerificationService');
+
+const user = { _id: '64b000000000000000000001', email: 'user@example.com', name: '테스트' };
+
+test('인증 링크 토큰에 사용자와 이메일이 서명되어 포함됨', () => {
+  const token = EmailVerificationService.createToken(user);
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  assert.equal(payload.type, 'email-verification');
+  assert.equal(payload.userId, user._id);
+  assert.equal(payload.email, user.email);
+});
+
+test('서명이 다르거나 다른 용도의 토큰은 거부됨', async () => {
+  const forged = jwt.sign(
+    { type: 'email-verification', userId: user._id, email: user.email },
+    'other-secret'
+  );
+  const otherType = jwt.sign(
+    { type: 'room-invite', userId: user._id, email: user.email },
+    process.env.JWT_SECRET
+  );
+
+  assert.equal(await EmailVerificationService.findUserByToken(forged), null);
+  assert.equal(await EmailVerificationService.findUserByToken(otherType), null);
+  assert.equal(await EmailVerificationService.findUserByToken('malformed'), null);
+});
+
+test('read_only 정책에서 인증된 사용자만 바로 쓰기 허용', async () => {
+  assert.equal(EmailVerificationService.isRestricted(), true);
+  assert.equal(await EmailVerificationService.canWrite({ id: user._id, emailVerified: true }), true);
+  assert.equal(await EmailVerificationService.canWrite(null), false);
+});
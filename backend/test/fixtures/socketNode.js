@@ -0,0 +1,103 @@
+// 중복 로그인 테스트용 노드 (워커 하나를 흉내내는 별도 프로세스)
+// 로그인은 실제 authController.login으로 처리하고 (사용자 조회만 대체),
+// 소켓 연결은 sockets/chat.js와 같은 SocketSessionService 메서드로 처리
+// (sockets/chat.js는 메시지 큐 등 운영 인프라에 연결하므로 직접 불러오지 않음)
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const Redis = require('ioredis');
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+
+const { PORT, REDIS_URL, DUPLICATE_LOGIN_TIMEOUT } = process.env;
+
+// utils/redisClient(SessionService)가 같은 Redis를 사용하도록 설정
+const redisUrl = new URL(REDIS_URL);
+process.env.REDIS_HOST = redisUrl.hostname;
+process.env.REDIS_PORT = redisUrl.port || '6379';
+
+const redisManager = require('../../config/redis');
+const User = require('../../models/User');
+const authController = require('../../controllers/authController');
+const SocketSessionService = require('../../services/socketSessionService');
+
+const pubClient = new Redis(REDIS_URL);
+const subClient = pubClient.duplicate();
+redisManager.pubClient = pubClient;
+SocketSessionService.DUPLICATE_LOGIN_TIMEOUT = Number(DUPLICATE_LOGIN_TIMEOUT);
+
+// 여러 노드에서 같은 이메일이 같은 사용자가 되도록 이메일로 ID 생성
+// multi-로 시작하는 이메일은 다중 세션 허용 사용자
+User.findOne = ({ email }) => ({
+  select: async () => ({
+    _id: new mongoose.Types.ObjectId(crypto.createHash('md5').update(email).digest('hex').slice(0, 24)),
+    name: email.split('@')[0],
+    email,
+    emailVerified: true,
+    allowMultipleSessions: email.startsWith('multi-'),
+    matchPassword: async () => true
+  })
+});
+
+const app = express();
+app.use(express.json());
+
+// POST /api/auth/login : 실제 로그인 컨트롤러
+app.post('/api/auth/login', authController.login);
+
+// POST /revoke?sessionId= : 다른 기기에서 세션 종료
+app.post('/revoke', async (req, res) => {
+  await SocketSessionService.terminateSession(io, req.query.sessionId, {
+    reason: 'session_revoked',
+    message: '다른 기기에서 이 세션을 종료했습니다.'
+  });
+  res.status(204).end();
+});
+
+const server = http.createServer(app);
+const io = new Server(server, {
+  adapter: createAdapter(pubClient, subClient, { requestsTimeout: 3000 })
+});
+app.set('io', io);
+
+// sockets/chat.js의 인증 미들웨어 중 토큰/세션 검증을 제외한 부분
+io.use(async (socket, next) => {
+  try {
+    const { userId, sessionId } = socket.handshake.auth;
+    await SocketSessionService.displaceOwner(io, userId, sessionId, {
+      deviceInfo: socket.handshake.headers['user-agent'],
+      ipAddress: socket.handshake.address,
+      excludeSocketId: socket.id
+    });
+    socket.user = { id: userId, sessionId };
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+io.on('connection', async (socket) => {
+  await SocketSessionService.attachSocket(io, socket);
+  socket.emit('node', { pid: process.pid });
+
+  socket.on('keep_existing_session', async (data, callback) => {
+    const kept = await SocketSessionService.keepSession(
+      socket.user.id, socket.user.sessionId, socket.id
+    );
+    if (typeof callback === 'function') callback({ kept });
+  });
+
+  socket.on('force_login', () => {
+    socket.emit('session_ended', { reason: 'force_logout' });
+    socket.disconnect(true);
+  });
+
+  socket.on('disconnect', () => {
+    SocketSessionService.release(socket.user.id, socket.user.sessionId, socket.id).catch(() => {});
+  });
+});
+
+server.listen(Number(PORT), () => process.send({ ready: true }));
+
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,54 @@
+// 메일 발송 서비스 테스트 (파일 transport 사용)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const outboxDir = path.join(os.tmpdir(), `mail-outbox-${process.pid}-${Date.now()}`);
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+const MailService = require('../services/mailService');
+
+let originalTransport = null;
+
+before(() => {
+  originalTransport = MailService.transport;
+});
+
+after(async () => {
+  MailService.transport = originalTransport;
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+test('파일 transport는 메일을 JSON 파일로 저장함', async () => {
+  const result = await MailService.send({
+    to: 'user@example.com',
+    subject: '비밀번호 재설정 안내',
+    text: 'http://localhost:3000/reset-password?token=abc'
+  });
+
+  const saved = JSON.parse(await fs.readFile(result.path, 'utf8'));
+  assert.equal(path.dirname(result.path), outboxDir);
+  assert.equal(saved.to, 'user@example.com');
+  assert.equal(saved.subject, '비밀번호 재설정 안내');
+  assert.match(saved.text, /reset-password\?token=abc/);
+  assert.ok(saved.from);
+});
+
+test('send(message)를 구현한 transport로 교체할 수 있음', async () => {
+  const sent = [];
+  MailService.setTransport({ send: async (message) => sent.push(message) });
+
+  await MailService.send({ to: 'user@example.com', subject: '제목', text: '본문' });
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, 'user@example.com');
+  assert.throws(() => MailService.setTransport({}), /send\(message\)/);
+});
+
+test('받는 사람이나 제목이 없으면 발송하지 않음', async () => {
+  await assert.rejects(MailService.send({ subject: '제목' }), /recipient and subject/);
+  await assert.rejects(MailService.send({ to: 'user@example.com' }), /recipient and subject/);
+});
@@ -0,0 +1,66 @@
+// 채팅방별 안 읽은 메시지/멘션 수 집계 테스트 (GET /api/rooms의 unreadCount, mentionCount)
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const redisManager = require('../config/redis');
+const Message = require('../models/Message');
+const readStateService = require('../services/readStateService');
+
+const originalAggregate = Message.aggregate;
+const originalPubClient = redisManager.pubClient;
+
+const userId = new mongoose.Types.ObjectId().toString();
+const readRoomId = new mongoose.Types.ObjectId().toString();
+const unreadRoomId = new mongoose.Types.ObjectId().toString();
+const neverReadRoomId = new mongoose.Types.ObjectId().toString();
+
+// 캐시에 읽음 위치가 모두 적재된 상태의 Redis
+const useCachedLastRead = (lastReadMap) => {
+  redisManager.pubClient = {
+    hgetall: async () => ({ ...lastReadMap, _loaded: '1' })
+  };
+};
+
+afterEach(() => {
+  Message.aggregate = originalAggregate;
+  redisManager.pubClient = originalPubClient;
+});
+
+test('채팅방 ID를 문자열 그대로 매칭하고 채팅방별 집계 결과를 반환함', async () => {
+  useCachedLastRead({ [readRoomId]: '1000', [unreadRoomId]: '2000' });
+
+  let pipeline = null;
+  Message.aggregate = async (stages) => {
+    pipeline = stages;
+    return [{ _id: unreadRoomId, unreadCount: 3, mentionCount: 1 }];
+  };
+
+  const counts = await readStateService.getUnreadCounts(userId, [
+    new mongoose.Types.ObjectId(readRoomId),
+    unreadRoomId,
+    neverReadRoomId
+  ]);
+
+  const { $match } = pipeline[0];
+  assert.deepEqual($match.$or, [
+    { room: readRoomId, timestamp: { $gt: new Date(1000) } },
+    { room: unreadRoomId, timestamp: { $gt: new Date(2000) } }
+  ]);
+  assert.equal($match.sender.$ne.toString(), userId);
+
+  assert.deepEqual(counts.get(unreadRoomId), { unreadCount: 3, mentionCount: 1 });
+  assert.deepEqual(counts.get(readRoomId), { unreadCount: 0, mentionCount: 0 });
+  // 한 번도 읽은 적 없는 채팅방은 집계하지 않음
+  assert.equal(counts.has(neverReadRoomId), false);
+});
+
+test('읽은 적 있는 채팅방이 없으면 집계하지 않음', async () => {
+  useCachedLastRead({});
+  Message.aggregate = async () => {
+    throw new Error('aggregate should not be called');
+  };
+
+  const counts = await readStateService.getUnreadCounts(userId, [unreadRoomId]);
+  assert.equal(counts.size, 0);
+});
@@ -0,0 +1,73 @@
+// 리프레시 토큰 교체 및 재사용 감지 테스트
+// 로컬 Redis 필요 (REDIS_URL, 기본값 redis://127.0.0.1:6379)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Redis = require('ioredis');
+const redisManager = require('../config/redis');
+const RefreshTokenService = require('../services/refreshTokenService');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+
+let redis = null;
+let redisAvailable = false;
+
+const uniqueUserId = () => `user-${process.pid}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+before(async () => {
+  redis = new Redis(REDIS_URL, { lazyConnect: true, maxRetriesPerRequest: 1, retryStrategy: () => null });
+  try {
+    await redis.connect();
+    redisAvailable = true;
+    redisManager.pubClient = redis;
+  } catch (error) {
+    console.warn(`Redis is not available at ${REDIS_URL}: ${error.message}`);
+  }
+});
+
+after(async () => {
+  if (redisAvailable) await redis.quit();
+});
+
+test('갱신하면 새 토큰이 발급되고 같은 세션 정보를 유지함', async (t) => {
+  if (!redisAvailable) return t.skip('Redis 없음');
+
+  const userId = uniqueUserId();
+  const token = await RefreshTokenService.issue(userId, 'session-1');
+  const result = await RefreshTokenService.rotate(token);
+
+  assert.equal(result.status, 'rotated');
+  assert.notEqual(result.token, token);
+  assert.equal(result.userId, userId);
+  assert.equal(result.sessionId, 'session-1');
+
+  const next = await RefreshTokenService.rotate(result.token);
+  assert.equal(next.status, 'rotated');
+});
+
+test('이미 사용된 토큰을 다시 쓰면 패밀리 전체가 폐기됨', async (t) => {
+  if (!redisAvailable) return t.skip('Redis 없음');
+
+  const userId = uniqueUserId();
+  const token = await RefreshTokenService.issue(userId, 'session-1');
+  const rotated = await RefreshTokenService.rotate(token);
+
+  const replay = await RefreshTokenService.rotate(token);
+  assert.equal(replay.status, 'reused');
+  assert.equal(replay.userId, userId);
+  assert.equal(replay.sessionId, 'session-1');
+
+  // 정상 사용자가 가진 최신 토큰도 더 이상 사용할 수 없음
+  const latest = await RefreshTokenService.rotate(rotated.token);
+  assert.equal(latest.status, 'invalid');
+});
+
+test('폐기되었거나 형식이 잘못된 토큰은 거부됨', async (t) => {
+  if (!redisAvailable) return t.skip('Redis 없음');
+
+  const token = await RefreshTokenService.issue(uniqueUserId(), 'session-1');
+  assert.equal(await RefreshTokenService.revoke(token), true);
+
+  assert.equal((await RefreshTokenService.rotate(token)).status, 'invalid');
+  assert.equal((await RefreshTokenService.rotate('malformed')).status, 'invalid');
+  assert.equal((await RefreshTokenService.rotate(undefined)).status, 'invalid');
+});
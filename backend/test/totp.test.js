@@ -0,0 +1,54 @@
+// TOTP 코드 생성/검증 테스트 (RFC 6238 부록 B의 SHA1 테스트 벡터 사용)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 테스트 키 "12345678901234567890"
+const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+test('RFC 6238 테스트 벡터와 같은 코드를 생성함', () => {
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ];
+
+  for (const [seconds, expected] of vectors) {
+    assert.equal(totp.generateCode(secret, totp.getTimeStep(seconds * 1000)), expected);
+  }
+});
+
+test('base32 인코딩과 디코딩이 서로 역변환임', () => {
+  const bytes = Buffer.from('two-factor secret');
+  assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+  assert.equal(totp.base32Decode(totp.generateSecret()).length, 20);
+});
+
+test('앞뒤 한 구간까지의 코드를 허용하고 일치한 time step을 반환함', () => {
+  const timestamp = 1111111111 * 1000;
+  const step = totp.getTimeStep(timestamp);
+
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step), { timestamp }), step);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step - 1), { timestamp }), step - 1);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step + 1), { timestamp }), step + 1);
+  assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step - 2), { timestamp }), null);
+});
+
+test('형식이 맞지 않는 코드는 거부함', () => {
+  const timestamp = 1111111111 * 1000;
+  assert.equal(totp.verifyCode(secret, '', { timestamp }), null);
+  assert.equal(totp.verifyCode(secret, '05047', { timestamp }), null);
+  assert.equal(totp.verifyCode(secret, 'abcdef', { timestamp }), null);
+  assert.equal(totp.verifyCode(secret, '050 471', { timestamp }), totp.getTimeStep(timestamp));
+});
+
+test('인증 앱 등록용 otpauth URI 생성', () => {
+  const uri = totp.buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'user@example.com', issuer: 'ChatApp' });
+  const url = new URL(uri);
+
+  assert.ok(uri.startsWith('otpauth://totp/ChatApp%3Auser%40example.com?'));
+  assert.equal(url.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+  assert.equal(url.searchParams.get('issuer'), 'ChatApp');
+});
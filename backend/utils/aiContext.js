@@ -0,0 +1,90 @@
+// backend/utils/aiContext.js
+// AI 페르소나에 전달할 채팅방 대화 맥락 구성 (메시지 → 대화 턴, 토큰 예산 분할)
+
+// 토크나이저 없이 대략적인 토큰 수 추정: 영문/숫자는 약 4자당 1토큰, 한글 등 그 외 문자는 1자당 1토큰
+const estimateTokens = (text = '') => {
+  let ascii = 0;
+  let other = 0;
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4) + other;
+};
+
+// 채팅방 메시지(오래된순)를 대화 턴으로 변환
+// 해당 페르소나(핸들)의 이전 답변은 assistant, 사용자와 다른 AI의 메시지는 이름을 붙인 user 턴
+const toConversationTurns = (messages, persona, getPersonaName = name => name) =>
+  messages
+    .filter(message => message.content && (message.type === 'text' || message.type === 'ai'))
+    .map(message => {
+      const timestamp = new Date(message.timestamp).getTime();
+
+      if (message.type === 'ai') {
+        return message.aiType === persona
+          ? { role: 'assistant', content: message.content, timestamp }
+          : { role: 'user', content: `${message.aiName || getPersonaName(message.aiType)}: ${message.content}`, timestamp };
+      }
+
+      const senderName = message.sender?.name || '사용자';
+      return { role: 'user', content: `${senderName}: ${message.content}`, timestamp };
+    });
+
+// 최신 턴부터 예산 안에 들어가는 만큼 recent로, 나머지는 older로 분리 (둘 다 오래된순)
+const splitByTokenBudget = (turns, budget) => {
+  let used = 0;
+  let index = turns.length;
+
+  while (index > 0) {
+    const tokens = estimateTokens(turns[index - 1].content);
+    if (used + tokens > budget) break;
+    used += tokens;
+    index--;
+  }
+
+  return {
+    older: turns.slice(0, index),
+    recent: turns.slice(index)
+  };
+};
+
+// 같은 역할의 연속 턴을 합치고 assistant로 시작하지 않도록 정리 (제공자별 대화 형식 제약 대응)
+const mergeConsecutiveTurns = (turns) => {
+  const merged = [];
+
+  for (const { role, content } of turns) {
+    if (merged.length === 0 && role === 'assistant') continue;
+
+    const last = merged[merged.length - 1];
+    if (last && last.role === role) {
+      last.content = `${last.content}\n${content}`;
+    } else {
+      merged.push({ role, content });
+    }
+  }
+
+  return merged;
+};
+
+// 답변에서 [n]으로 인용한 참고 구절만 출처로 남김 (메시지에 저장할 요약 정보)
+const selectCitedSources = (content, sources, excerptLength = 200) => {
+  const cited = new Set([...(content || '').matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+
+  return sources
+    .filter(source => cited.has(source.index))
+    .map(({ index, messageId, fileId, filename, text }) => ({
+      index,
+      message: messageId,
+      file: fileId,
+      filename,
+      excerpt: text.length > excerptLength ? `${text.slice(0, excerptLength)}…` : text
+    }));
+};
+
+module.exports = {
+  estimateTokens,
+  toConversationTurns,
+  splitByTokenBudget,
+  mergeConsecutiveTurns,
+  selectCitedSources
+};
@@ -0,0 +1,72 @@
+// backend/utils/documentText.js
+// 채팅방에 업로드된 문서의 텍스트 추출과 검색용 청크 분할 (AI 답변의 참고 문서)
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const CHUNK_SIZE = 1000; // 문자 수
+const CHUNK_OVERLAP = 150;
+
+// 청크 경계로 우선 사용할 구분자 (문단 > 줄 > 문장 > 단어)
+const BREAK_POINTS = ['\n\n', '\n', '. ', ' '];
+
+const EXTRACTORS = {
+  'application/pdf': async (buffer) => (await pdfParse(buffer)).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    async (buffer) => (await mammoth.extractRawText({ buffer })).value
+};
+
+// .doc(바이너리 Word)는 업로드는 가능하지만 텍스트 추출은 지원하지 않음
+const isExtractable = (mimetype = '') =>
+  Boolean(EXTRACTORS[mimetype]) || mimetype.startsWith('text/');
+
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// 지원하지 않는 형식이면 null
+const extractText = async (buffer, mimetype = '') => {
+  const extractor = EXTRACTORS[mimetype];
+  if (extractor) return normalizeText(await extractor(buffer) || '');
+  if (mimetype.startsWith('text/')) return normalizeText(buffer.toString('utf-8'));
+  return null;
+};
+
+// 청크 후반부에 있는 가장 큰 단위의 경계에서 자르기 (없으면 chunkSize에서 자름)
+const findBreakPoint = (text, start, end) => {
+  const minEnd = start + Math.floor((end - start) / 2);
+  for (const separator of BREAK_POINTS) {
+    const index = text.lastIndexOf(separator, end - separator.length);
+    if (index >= minEnd) return index + separator.length;
+  }
+  return end;
+};
+
+// 앞 청크의 끝부분을 overlap만큼 다음 청크에 포함해 경계에 걸친 문장도 검색되도록 분할
+const chunkText = (text, { chunkSize = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = start + chunkSize >= text.length
+      ? text.length
+      : findBreakPoint(text, start, start + chunkSize);
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+
+    // 단어 중간에서 시작하지 않도록 overlap 구간의 첫 공백 다음부터 시작
+    const nextSpace = text.indexOf(' ', end - overlap);
+    start = nextSpace > start && nextSpace < end ? nextSpace + 1 : end;
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  isExtractable,
+  extractText,
+  chunkText
+};
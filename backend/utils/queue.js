@@ -51,20 +51,35 @@ const processBulkMessages = async (messages) => {
   try {
     // DB 삽입용 메시지 데이터 준비
     const messagesForDB = messages.map((msg) => ({
+      ...(msg._id && { _id: msg._id }),
       room: msg.room,
       content: msg.content,
       type: msg.type || "text",
       sender: msg.userId,
       timestamp: new Date(msg.timestamp),
-      file: msg.fileData || null,
+      file: msg.file || msg.fileData || null,
+      ...(msg.parentMessage && { parentMessage: msg.parentMessage }),
+      ...(msg.quote && { quote: msg.quote }),
       ...(msg.mentions && { mentions: msg.mentions }),
       ...(msg.metadata && { metadata: msg.metadata }),
     }));
 
-    // MongoDB에 벌크 삽입
-    const savedMessages = await Message.insertMany(messagesForDB);
+    // MongoDB에 벌크 삽입 (ChatService 버퍼에서 먼저 저장된 메시지는 upsert로 건너뜀)
+    const bulkOps = messagesForDB.map(({ _id, ...doc }) =>
+      _id
+        ? {
+            updateOne: {
+              filter: { _id },
+              update: { $setOnInsert: doc },
+              upsert: true,
+            },
+          }
+        : { insertOne: { document: doc } }
+    );
+    await Message.bulkWrite(bulkOps, { ordered: false });
+    const savedMessages = messagesForDB;
 
-    // MongoDB 결과를 Map으로 변환
+    // 저장된 메시지 ID를 Map으로 변환
     const messageMap = new Map(
       savedMessages.map((msg) => [
         `${msg.room}-${msg.timestamp.getTime()}`,
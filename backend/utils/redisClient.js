@@ -142,6 +142,42 @@ class RedisClient {
     }
   }
 
+  async sAdd(key, member) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sAdd(key, String(member));
+    } catch (error) {
+      console.error('Redis sAdd error:', error);
+      throw error;
+    }
+  }
+
+  async sRem(key, member) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sRem(key, String(member));
+    } catch (error) {
+      console.error('Redis sRem error:', error);
+      throw error;
+    }
+  }
+
+  async sMembers(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      return await this.client.sMembers(key);
+    } catch (error) {
+      console.error('Redis sMembers error:', error);
+      throw error;
+    }
+  }
+
   async quit() {
     if (this.client) {
       try {
@@ -0,0 +1,68 @@
+// backend/utils/vectorDB.js
+// 채팅방 단위 로컬 벡터 저장소 (MongoDB에 임베딩 저장, 검색 시 코사인 유사도 계산)
+const DocumentChunk = require('../models/DocumentChunk');
+
+// 한 번의 검색에서 비교할 최대 청크 수 (채팅방당 문서 규모를 고려한 상한)
+const MAX_SEARCH_CHUNKS = 5000;
+
+const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// 같은 메시지의 기존 청크를 교체 (다시 색인해도 중복되지 않음)
+// chunks: [{ text, embedding }]
+const storeDocument = async ({ room, message, file, filename, embeddingModel }, chunks) => {
+  await DocumentChunk.deleteMany({ message });
+  if (chunks.length === 0) return 0;
+
+  await DocumentChunk.insertMany(chunks.map(({ text, embedding }, index) => ({
+    room,
+    message,
+    file,
+    filename,
+    index,
+    text,
+    embedding,
+    embeddingModel
+  })));
+  return chunks.length;
+};
+
+const hasDocuments = async (room) => Boolean(await DocumentChunk.exists({ room }));
+
+// 질문 임베딩과 유사도가 높은 순으로 반환 (같은 임베딩 모델로 저장된 청크만 비교)
+const searchDocuments = async (room, queryEmbedding, { embeddingModel, limit = 4, minScore = 0 } = {}) => {
+  const chunks = await DocumentChunk.find({ room, embeddingModel })
+    .select('message file filename index text embedding')
+    .limit(MAX_SEARCH_CHUNKS)
+    .lean();
+
+  return chunks
+    .map(({ embedding, ...chunk }) => ({ ...chunk, score: cosineSimilarity(queryEmbedding, embedding) }))
+    .filter(chunk => chunk.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+const removeFile = (file) => DocumentChunk.deleteMany({ file });
+
+const removeRoom = (room) => DocumentChunk.deleteMany({ room });
+
+module.exports = {
+  cosineSimilarity,
+  storeDocument,
+  hasDocuments,
+  searchDocuments,
+  removeFile,
+  removeRoom
+};
@@ -23,4 +23,68 @@ test.describe('AI 상호작용 테스트', () => {
     await helpers.sendAIMessage(page, '감사합니다');
     await expect(page.locator('.message-ai').last()).toBeVisible();
   });
+
+  test('멘션 목록의 AI 페르소나', async ({ page }) => {
+    const credentials = helpers.getTestUser(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.joinOrCreateRoom(page, 'AI-Persona');
+
+    // 기본 제공 페르소나는 핸들이 아닌 표시 이름으로 노출
+    await page.fill('.chat-input-textarea', '@');
+    const dropdown = page.locator('.mention-dropdown');
+    await expect(dropdown.locator('.mention-name', { hasText: 'Wayne AI' })).toBeVisible();
+    await expect(dropdown.locator('.mention-name', { hasText: 'Consulting AI' })).toBeVisible();
+
+    // 표시 이름으로도 검색 가능
+    await page.fill('.chat-input-textarea', '@consulting');
+    await expect(dropdown.locator('.mention-item')).toHaveCount(1);
+  });
+
+  test('채팅방 AI 페르소나 생성 후 멘션 및 답변', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.createRoom(page, `AI-Custom_${Date.now()}`);
+
+    const roomParam = new URLSearchParams(new URL(page.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const handle = `recipe${Date.now().toString(36)}`;
+    const created = await helpers.requestApi(page, 'POST', '/api/ai/personas', {
+      scope: 'room',
+      roomId: roomParam,
+      name: 'Recipe AI',
+      handle,
+      systemPrompt: '당신은 간단한 요리법을 알려주는 도우미입니다.'
+    });
+    expect(created.status).toBe(201);
+
+    const listed = await helpers.requestApi(page, 'GET', `/api/ai/personas?roomId=${roomParam}`);
+    expect(listed.body.data.some((persona: { handle: string }) => persona.handle === handle)).toBe(true);
+
+    // 페르소나 목록은 채팅방 입장 시 불러옴
+    await page.reload();
+    await page.fill('.chat-input-textarea', `@${handle.slice(0, 6)}`);
+    await expect(page.locator('.mention-dropdown .mention-name', { hasText: 'Recipe AI' })).toBeVisible();
+
+    await page.fill('.chat-input-textarea', `@${handle} 계란말이 만드는 법`);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-ai').last().locator('.sender-name')).toHaveText('Recipe AI', { timeout: 30000 });
+  });
+
+  test('AI 답변 다시 생성', async ({ page }) => {
+    const credentials = helpers.getTestUser(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(page, credentials);
+    await helpers.joinOrCreateRoom(page, 'AI-Regenerate');
+
+    await helpers.sendAIMessage(page, '짧게 자기소개 해주세요', 'wayneAI');
+    const aiMessage = page.locator('.message-ai').last();
+    const regenerate = aiMessage.getByRole('button', { name: '다시 생성' });
+    await expect(regenerate).toBeVisible({ timeout: 30000 });
+
+    // 다시 생성한 답변은 같은 자리에 표시되고 이전 답변과 넘겨 볼 수 있음
+    await regenerate.click();
+    await expect(page.locator('.message-ai').last().locator('.ai-message-variants')).toContainText('2 / 2', { timeout: 30000 });
+  });
 });
\ No newline at end of file
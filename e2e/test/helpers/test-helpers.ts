@@ -334,7 +334,7 @@ export class TestHelpers {
     }
   }
 
-  async createRoom(page: Page, roomName: string, password?: string): Promise<void> {
+  async createRoom(page: Page, roomName: string, password?: string, visibility?: 'public' | 'unlisted' | 'private'): Promise<void> {
     try {
       console.log('Creating new room:', roomName);
 
@@ -372,6 +372,11 @@ export class TestHelpers {
         await passwordInput.fill(password);
       }
 
+      // 공개 범위 설정
+      if (visibility) {
+        await page.selectOption('select[name="visibility"]', visibility);
+      }
+
       // 생성 버튼 찾기
       const createButton = await page.waitForSelector('button:has-text("채팅방 만들기")', {
         state: 'visible',
@@ -784,6 +789,213 @@ export class TestHelpers {
     }
   }
 
+  async editMessage(page: Page, originalText: string, newText: string) {
+    try {
+      const message = page.locator('.message-group.mine', { hasText: originalText }).last();
+      await message.hover();
+      await message.locator('button[title="메시지 수정"]').click();
+
+      const editor = message.locator('.message-edit-textarea');
+      await editor.fill(newText);
+      await editor.press('Enter');
+
+      await page.locator('.message-group.mine', { hasText: newText })
+        .locator('.message-edited-marker')
+        .waitFor({ state: 'visible', timeout: 10000 });
+    } catch (error) {
+      console.error('Edit message failed:', error);
+      await this.takeErrorScreenshot(page, 'message-edit');
+      throw new Error(`메시지 수정 실패: ${error.message}`);
+    }
+  }
+
+  async deleteMessage(page: Page, messageText: string) {
+    try {
+      const message = page.locator('.message-group.mine', { hasText: messageText }).last();
+      await message.hover();
+
+      page.once('dialog', dialog => dialog.accept());
+      await message.locator('button[title="메시지 삭제"]').click();
+
+      await page.locator('.message-group', { hasText: messageText })
+        .waitFor({ state: 'detached', timeout: 10000 });
+    } catch (error) {
+      console.error('Delete message failed:', error);
+      await this.takeErrorScreenshot(page, 'message-delete');
+      throw new Error(`메시지 삭제 실패: ${error.message}`);
+    }
+  }
+
+  async replyInThread(page: Page, parentText: string, replyText: string) {
+    try {
+      const parent = page.locator('.message-group', { hasText: parentText }).last();
+      await parent.hover();
+      await parent.locator('button[title="스레드에서 답글"]').click();
+
+      const panel = page.locator('.thread-panel-card');
+      await panel.waitFor({ state: 'visible', timeout: 10000 });
+
+      const input = panel.locator('.thread-input-textarea');
+      await input.fill(replyText);
+      await input.press('Enter');
+
+      await panel.locator('.message-content', { hasText: replyText })
+        .waitFor({ state: 'visible', timeout: 10000 });
+    } catch (error) {
+      console.error('Thread reply failed:', error);
+      await this.takeErrorScreenshot(page, 'thread-reply');
+      throw new Error(`스레드 답글 실패: ${error.message}`);
+    }
+  }
+
+  async quoteReply(page: Page, originalText: string, replyText: string) {
+    try {
+      const original = page.locator('.message-group', { hasText: originalText }).last();
+      await original.hover();
+      await original.locator('button[title="인용하여 답장"]').click();
+
+      await page.locator('.chat-input-quote', { hasText: originalText })
+        .waitFor({ state: 'visible', timeout: 10000 });
+
+      await page.fill('.chat-input-textarea', replyText);
+      await page.keyboard.press('Enter');
+
+      await page.locator('.message-group', { hasText: replyText })
+        .locator('.message-quote')
+        .waitFor({ state: 'visible', timeout: 10000 });
+    } catch (error) {
+      console.error('Quote reply failed:', error);
+      await this.takeErrorScreenshot(page, 'quote-reply');
+      throw new Error(`인용 답장 실패: ${error.message}`);
+    }
+  }
+
+  async searchMessages(page: Page, query: string) {
+    try {
+      await page.click('button[title="메시지 검색"]');
+
+      const modal = page.locator('.message-search-modal');
+      await modal.waitFor({ state: 'visible', timeout: 10000 });
+
+      await modal.locator('input[name="q"]').fill(query);
+      await modal.locator('input[name="q"]').press('Enter');
+
+      await modal.locator('.message-search-result', { hasText: query })
+        .first()
+        .waitFor({ state: 'visible', timeout: 10000 });
+
+      return modal;
+    } catch (error) {
+      console.error('Message search failed:', error);
+      await this.takeErrorScreenshot(page, 'message-search');
+      throw new Error(`메시지 검색 실패: ${error.message}`);
+    }
+  }
+
+  async moderateMember(page: Page, memberName: string, action: 'kick' | 'ban') {
+    try {
+      await page.click('button[title="멤버 관리"]');
+
+      const modal = page.locator('.member-management-modal');
+      await modal.waitFor({ state: 'visible', timeout: 10000 });
+
+      // 강퇴 확인창, 차단 사유 입력창 수락
+      page.once('dialog', dialog => dialog.accept());
+
+      const member = modal.locator('.member-list').first()
+        .locator('.member-item', { hasText: memberName });
+      await member.locator(`button[title="${action === 'kick' ? '강퇴' : '차단'}"]`).click();
+      await member.waitFor({ state: 'detached', timeout: 10000 });
+
+      await page.keyboard.press('Escape');
+      await modal.waitFor({ state: 'hidden', timeout: 10000 });
+    } catch (error) {
+      console.error('Member moderation failed:', error);
+      await this.takeErrorScreenshot(page, 'member-moderation');
+      throw new Error(`멤버 관리 실패: ${error.message}`);
+    }
+  }
+
+  async setMemberRole(page: Page, memberName: string, role: 'admin' | 'moderator' | 'member') {
+    try {
+      await page.click('button[title="멤버 관리"]');
+
+      const modal = page.locator('.member-management-modal');
+      await modal.waitFor({ state: 'visible', timeout: 10000 });
+
+      const member = modal.locator('.member-list').first()
+        .locator('.member-item', { hasText: memberName });
+      await member.locator('select[name="role"]').selectOption(role);
+      await page.getByText(`${memberName}님의 역할을`).waitFor({ state: 'visible', timeout: 10000 });
+
+      await page.keyboard.press('Escape');
+      await modal.waitFor({ state: 'hidden', timeout: 10000 });
+    } catch (error) {
+      console.error('Member role change failed:', error);
+      await this.takeErrorScreenshot(page, 'member-role');
+      throw new Error(`역할 변경 실패: ${error.message}`);
+    }
+  }
+
+  // 화면이 없는 API(채팅방 설정, AI 페르소나 등)를 로그인한 사용자의 세션으로 호출
+  async requestApi(page: Page, method: 'GET' | 'POST' | 'PUT' | 'DELETE', path: string, data?: Record<string, unknown>) {
+    const user = await page.evaluate(() => JSON.parse(localStorage.getItem('user') || '{}'));
+    const apiUrl = process.env.API_URL || 'http://localhost:5000';
+
+    const response = await page.request.fetch(`${apiUrl}${path}`, {
+      method,
+      headers: {
+        'x-auth-token': user.token,
+        'x-session-id': user.sessionId
+      },
+      data
+    });
+
+    return { status: response.status(), body: await response.json() };
+  }
+
+  async openDirectMessage(page: Page, messageText: string) {
+    try {
+      const message = page.locator('.message-group', { hasText: messageText }).last();
+      await message.locator('.persistent-avatar').first().click();
+      await page.click('button[title="메시지 보내기"]');
+
+      await page.waitForURL('**/chat?room=*', { timeout: 10000 });
+      await page.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 30000 });
+    } catch (error) {
+      console.error('Open direct message failed:', error);
+      await this.takeErrorScreenshot(page, 'direct-message');
+      throw new Error(`1:1 대화 열기 실패: ${error.message}`);
+    }
+  }
+
+  async createInviteLink(page: Page, maxUses?: number): Promise<string> {
+    try {
+      await page.click('button[title="멤버 관리"]');
+
+      const modal = page.locator('.member-management-modal');
+      await modal.waitFor({ state: 'visible', timeout: 10000 });
+
+      if (maxUses) {
+        await modal.locator('input[name="inviteMaxUses"]').fill(String(maxUses));
+      }
+      await modal.locator('button:has-text("초대 링크 만들기")').click();
+
+      const linkInput = modal.locator('input[name="inviteLink"]');
+      await linkInput.waitFor({ state: 'visible', timeout: 10000 });
+      const inviteLink = await linkInput.inputValue();
+
+      await page.keyboard.press('Escape');
+      await modal.waitFor({ state: 'hidden', timeout: 10000 });
+
+      return inviteLink;
+    } catch (error) {
+      console.error('Invite link creation failed:', error);
+      await this.takeErrorScreenshot(page, 'invite-link');
+      throw new Error(`초대 링크 생성 실패: ${error.message}`);
+    }
+  }
+
   async uploadFile(page: Page, filePath: string, fileType: string) {
     try {
       const fileInput = await page.waitForSelector('input[type="file"]', {
@@ -79,4 +79,468 @@ test.describe('메시징 테스트', () => {
     // 리소스 정리
     await Promise.all([user1.close(), user2.close()]);
   });
+
+  test('메시지 수정 및 수정 기록 확인', async ({ browser }) => {
+    const user1 = await browser.newPage();
+    const user1Creds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(user1, user1Creds);
+    await helpers.joinOrCreateRoom(user1, 'Edit');
+
+    const roomParam = new URLSearchParams(new URL(user1.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const user2 = await browser.newPage();
+    const user2Creds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(user2, user2Creds);
+    await helpers.joinRoomByURLParam(user2, roomParam);
+
+    // 생성 메시지 대신 고정 문구를 직접 입력
+    const original = `수정 전 메시지 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', original);
+    await user1.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, original);
+
+    const edited = `수정된 메시지 ${Date.now()}`;
+    await helpers.editMessage(user1, original, edited);
+
+    // 다른 참여자에게도 수정 내용이 반영되는지 확인
+    await helpers.waitForMessageDelivery(user2, edited);
+    const marker = user2.locator('.message-group', { hasText: edited }).locator('.message-edited-marker');
+    await expect(marker).toBeVisible();
+
+    // 수정 기록에 원본 내용이 남아있는지 확인
+    await marker.click();
+    await expect(user2.locator('.message-revisions-modal')).toContainText(original);
+
+    await Promise.all([user1.close(), user2.close()]);
+  });
+
+  test('메시지 삭제 시 삭제 표시로 대체', async ({ browser }) => {
+    const user1 = await browser.newPage();
+    const user1Creds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(user1, user1Creds);
+    await helpers.joinOrCreateRoom(user1, 'Delete');
+
+    const roomParam = new URLSearchParams(new URL(user1.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const user2 = await browser.newPage();
+    const user2Creds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(user2, user2Creds);
+    await helpers.joinRoomByURLParam(user2, roomParam);
+
+    const content = `삭제할 메시지 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', content);
+    await user1.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, content);
+
+    await helpers.deleteMessage(user1, content);
+
+    // 다른 참여자 화면에서도 삭제 표시로 바뀌는지 확인
+    await expect(user2.locator('.message-content', { hasText: content })).toHaveCount(0);
+    await expect(user2.locator('.message-deleted').last()).toContainText('삭제된 메시지입니다.');
+
+    await Promise.all([user1.close(), user2.close()]);
+  });
+
+  test('스레드 답글 및 답글 수 표시', async ({ browser }) => {
+    const user1 = await browser.newPage();
+    const user1Creds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(user1, user1Creds);
+    await helpers.joinOrCreateRoom(user1, 'Thread');
+
+    const roomParam = new URLSearchParams(new URL(user1.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const user2 = await browser.newPage();
+    const user2Creds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(user2, user2Creds);
+    await helpers.joinRoomByURLParam(user2, roomParam);
+
+    const parentContent = `스레드 원본 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', parentContent);
+    await user1.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, parentContent);
+
+    const replyContent = `스레드 답글 ${Date.now()}`;
+    await helpers.replyInThread(user2, parentContent, replyContent);
+
+    // 답글은 메인 타임라인에 표시되지 않고 원본 메시지에 답글 수만 표시
+    const user1Parent = user1.locator('.message-group', { hasText: parentContent }).last();
+    await expect(user1Parent.locator('.thread-summary')).toContainText('답글 1개');
+    await expect(
+      user1.locator('.message-list .message-content', { hasText: replyContent })
+    ).toHaveCount(0);
+
+    // 답글 수 표시를 눌러 스레드 패널에서 답글 확인
+    await user1Parent.locator('.thread-summary').click();
+    await expect(
+      user1.locator('.thread-panel-card .message-content', { hasText: replyContent })
+    ).toBeVisible();
+
+    await Promise.all([user1.close(), user2.close()]);
+  });
+
+  test('인용 답장 및 원본 메시지 이동', async ({ browser }) => {
+    const user1 = await browser.newPage();
+    const user1Creds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(user1, user1Creds);
+    await helpers.joinOrCreateRoom(user1, 'Quote');
+
+    const roomParam = new URLSearchParams(new URL(user1.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const user2 = await browser.newPage();
+    const user2Creds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(user2, user2Creds);
+    await helpers.joinRoomByURLParam(user2, roomParam);
+
+    const originalContent = `인용 원본 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', originalContent);
+    await user1.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, originalContent);
+
+    const replyContent = `인용 답장 ${Date.now()}`;
+    await helpers.quoteReply(user2, originalContent, replyContent);
+
+    // 다른 참여자 화면에서도 인용 내용이 표시되는지 확인
+    await helpers.waitForMessageDelivery(user1, replyContent);
+    const quote = user1.locator('.message-group', { hasText: replyContent }).locator('.message-quote');
+    await expect(quote).toContainText(user1Creds.name);
+    await expect(quote).toContainText(originalContent);
+
+    // 인용을 누르면 원본 메시지가 강조 표시됨
+    await quote.click();
+    await expect(user1.locator('.message-highlighted')).toContainText(originalContent);
+
+    await Promise.all([user1.close(), user2.close()]);
+  });
+
+  test('메시지 검색 후 결과 위치로 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const { roomName } = await helpers.loginAndEnterRoom(page);
+
+    const keyword = `searchword${Date.now()}`;
+    const content = `검색 대상 ${keyword} 메시지`;
+    await page.fill('.chat-input-textarea', content);
+    await page.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(page, content);
+
+    const modal = await helpers.searchMessages(page, keyword);
+    const result = modal.locator('.message-search-result', { hasText: keyword }).first();
+    await expect(result).toContainText(roomName);
+    await expect(result.locator('mark')).toHaveText(keyword);
+
+    // 검색 결과를 누르면 해당 메시지가 강조 표시됨
+    await result.click();
+    await expect(modal).toBeHidden();
+    await expect(page.locator('.message-highlighted')).toContainText(content);
+
+    await page.close();
+  });
+
+  test('이전 메시지로 이동 후 최신 메시지로 복귀', async ({ browser }) => {
+    const page = await browser.newPage();
+    await helpers.loginAndEnterRoom(page);
+
+    const keyword = `jumpword${Date.now()}`;
+    const anchorContent = `이동 기준 ${keyword} 메시지`;
+    await page.fill('.chat-input-textarea', anchorContent);
+    await page.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(page, anchorContent);
+
+    // 기준 메시지가 최근 메시지 범위를 벗어나도록 메시지를 추가 전송
+    let latestContent = '';
+    for (let i = 0; i < 40; i++) {
+      latestContent = `후속 메시지 ${i} ${Date.now()}`;
+      await page.fill('.chat-input-textarea', latestContent);
+      await page.keyboard.press('Enter');
+    }
+    await helpers.waitForMessageDelivery(page, latestContent);
+
+    // 새로고침하여 최근 메시지만 불러온 상태에서 검색 결과로 이동
+    await page.reload();
+    await helpers.waitForMessageDelivery(page, latestContent);
+    await expect(page.locator('.message-list', { hasText: anchorContent })).toHaveCount(0);
+
+    const modal = await helpers.searchMessages(page, keyword);
+    await modal.locator('.message-search-result', { hasText: keyword }).first().click();
+    await expect(page.locator('.message-highlighted')).toContainText(anchorContent);
+
+    // 최신 메시지에서 벗어난 화면에서는 복귀 버튼이 표시됨
+    const jumpButton = page.locator('.jump-to-present button');
+    await expect(jumpButton).toBeVisible();
+    await jumpButton.click();
+
+    await expect(jumpButton).toBeHidden();
+    await expect(page.locator('.message-list')).toContainText(latestContent);
+
+    await page.close();
+  });
+
+  test('멤버 강퇴 및 차단', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(owner, ownerCreds);
+    const roomName = `Moderation_${Date.now()}`;
+    await helpers.createRoom(owner, roomName);
+
+    const roomParam = new URLSearchParams(new URL(owner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const member = await browser.newPage();
+    const memberCreds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(member, memberCreds);
+    await helpers.joinRoomByURLParam(member, roomParam);
+
+    // 강퇴된 사용자는 채팅방 목록으로 이동하지만 다시 입장 가능
+    await helpers.moderateMember(owner, memberCreds.name, 'kick');
+    await member.waitForURL('**/chat-rooms', { timeout: 10000 });
+    await expect(owner.locator('.message-list')).toContainText(`${memberCreds.name}님이 강퇴되었습니다.`);
+    await helpers.joinRoomByURLParam(member, roomParam);
+
+    // 차단된 사용자는 다시 입장할 수 없음
+    await helpers.moderateMember(owner, memberCreds.name, 'ban');
+    await member.waitForURL('**/chat-rooms', { timeout: 10000 });
+    await expect(owner.locator('.message-list')).toContainText(`${memberCreds.name}님이 차단되었습니다.`);
+    await member.goto(`/chat?room=${encodeURIComponent(roomParam)}`);
+    await expect(member.getByText('채팅방에서 차단되어 입장할 수 없습니다.')).toBeVisible();
+
+    await Promise.all([owner.close(), member.close()]);
+  });
+
+  test('채팅방 설정 변경 및 삭제 권한', async ({ browser }) => {
+    const owner = await browser.newPage();
+    const ownerCreds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(owner, ownerCreds);
+    await helpers.createRoom(owner, `Settings_${Date.now()}`);
+
+    const roomParam = new URLSearchParams(new URL(owner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const admin = await browser.newPage();
+    const adminCreds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(admin, adminCreds);
+    await helpers.joinRoomByURLParam(admin, roomParam);
+
+    const member = await browser.newPage();
+    const memberCreds = helpers.generateUserCredentials(3);
+    await helpers.registerUser(member, memberCreds);
+    await helpers.joinRoomByURLParam(member, roomParam);
+
+    await helpers.setMemberRole(owner, adminCreds.name, 'admin');
+
+    // 관리자는 이름 등 설정을 변경할 수 있지만 비밀번호는 방장만 변경 가능
+    const renamedRoom = `Renamed_${Date.now()}`;
+    const renamed = await helpers.requestApi(admin, 'PUT', `/api/rooms/${roomParam}`, { name: renamedRoom });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.data.name).toBe(renamedRoom);
+
+    const passwordChange = await helpers.requestApi(admin, 'PUT', `/api/rooms/${roomParam}`, { password: 'secret123' });
+    expect(passwordChange.status).toBe(403);
+
+    const memberRename = await helpers.requestApi(member, 'PUT', `/api/rooms/${roomParam}`, { name: 'Member_Rename' });
+    expect(memberRename.status).toBe(403);
+
+    // 삭제는 방장만 가능
+    const adminDelete = await helpers.requestApi(admin, 'DELETE', `/api/rooms/${roomParam}`);
+    expect(adminDelete.status).toBe(403);
+
+    const ownerDelete = await helpers.requestApi(owner, 'DELETE', `/api/rooms/${roomParam}`);
+    expect(ownerDelete.status).toBe(200);
+
+    // 참여 중이던 사용자는 채팅방 목록으로 이동하고 목록에서도 사라짐
+    await member.waitForURL('**/chat-rooms', { timeout: 10000 });
+    await expect(member.getByText(renamedRoom)).toHaveCount(0);
+
+    const listed = await helpers.requestApi(member, 'GET', `/api/rooms?search=${encodeURIComponent(renamedRoom)}`);
+    expect(listed.body.data.some((room: { _id: string }) => room._id === roomParam)).toBe(false);
+
+    const deleted = await helpers.requestApi(owner, 'GET', `/api/rooms/${roomParam}`);
+    expect(deleted.status).toBe(404);
+
+    await Promise.all([owner.close(), admin.close(), member.close()]);
+  });
+
+  test('1:1 대화 열기 및 목록 표시', async ({ browser }) => {
+    const user1 = await browser.newPage();
+    const user1Creds = helpers.generateUserCredentials(1);
+    await helpers.registerUser(user1, user1Creds);
+    await helpers.joinOrCreateRoom(user1, 'Direct');
+
+    const roomParam = new URLSearchParams(new URL(user1.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const user2 = await browser.newPage();
+    const user2Creds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(user2, user2Creds);
+    await helpers.joinRoomByURLParam(user2, roomParam);
+
+    const groupContent = `그룹 메시지 ${Date.now()}`;
+    await user1.fill('.chat-input-textarea', groupContent);
+    await user1.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, groupContent);
+
+    // 참여자 아바타에서 1:1 대화 시작
+    await helpers.openDirectMessage(user2, groupContent);
+    const directRoomParam = new URLSearchParams(new URL(user2.url()).search).get('room');
+    expect(directRoomParam).not.toBe(roomParam);
+    await expect(user2.locator('.chat-room-title')).toHaveText(user1Creds.name);
+
+    const directContent = `1:1 메시지 ${Date.now()}`;
+    await user2.fill('.chat-input-textarea', directContent);
+    await user2.keyboard.press('Enter');
+    await helpers.waitForMessageDelivery(user2, directContent);
+
+    // 상대방의 채팅방 목록 1:1 대화 섹션에서 입장
+    await user1.goto('/chat-rooms');
+    const directItem = user1.locator('.direct-message-item', { hasText: user2Creds.name });
+    await expect(directItem).toBeVisible();
+    await directItem.click();
+    await helpers.waitForMessageDelivery(user1, directContent);
+
+    await Promise.all([user1.close(), user2.close()]);
+  });
+
+  test('비공개 채팅방 초대 링크로 입장', async ({ browser }) => {
+    const owner = await browser.newPage();
+    await helpers.registerUser(owner, helpers.generateUserCredentials(1));
+
+    const roomName = `Private_${Date.now()}`;
+    await helpers.createRoom(owner, roomName, undefined, 'private');
+
+    const roomParam = new URLSearchParams(new URL(owner.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const inviteLink = await helpers.createInviteLink(owner, 1);
+
+    // 초대 없이는 입장할 수 없음
+    const guest = await browser.newPage();
+    await helpers.registerUser(guest, helpers.generateUserCredentials(2));
+    await guest.goto(`/chat?room=${encodeURIComponent(roomParam)}`);
+    await expect(guest.getByText('초대받은 사용자만 입장할 수 있는 채팅방입니다.')).toBeVisible();
+
+    await guest.goto(new URL(inviteLink).pathname);
+    await expect(guest.getByText(roomName)).toBeVisible();
+    await guest.click('button:has-text("초대 수락하고 입장하기")');
+    await guest.waitForURL('**/chat?room=*', { timeout: 10000 });
+    await guest.waitForSelector('.chat-input-textarea', { state: 'visible', timeout: 30000 });
+
+    // 사용 횟수를 모두 소진한 링크는 다른 사용자가 사용할 수 없음
+    const other = await browser.newPage();
+    await helpers.registerUser(other, helpers.generateUserCredentials(3));
+    await other.goto(new URL(inviteLink).pathname);
+    await expect(other.getByText('만료되었거나 사용 횟수를 초과한 초대 링크입니다.')).toBeVisible();
+
+    await Promise.all([owner.close(), guest.close(), other.close()]);
+  });
+
+  test('안 읽은 메시지 수 및 새 메시지 구분선 표시', async ({ browser }) => {
+    const sender = await browser.newPage();
+    await helpers.registerUser(sender, helpers.generateUserCredentials(1));
+    await helpers.joinOrCreateRoom(sender, 'Unread');
+
+    const roomParam = new URLSearchParams(new URL(sender.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+    const roomName = await sender.locator('.chat-room-title').innerText();
+
+    const reader = await browser.newPage();
+    const readerCreds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(reader, readerCreds);
+    await helpers.joinRoomByURLParam(reader, roomParam);
+
+    // 채팅방을 나간 뒤 도착한 메시지는 목록에 안 읽은 수로 표시
+    await reader.goto('/chat-rooms');
+    const firstUnread = `안 읽은 메시지 ${Date.now()}`;
+    await sender.fill('.chat-input-textarea', firstUnread);
+    await sender.keyboard.press('Enter');
+    await sender.fill('.chat-input-textarea', `@${readerCreds.name} 확인 부탁드려요`);
+    await sender.keyboard.press('Enter');
+
+    const badge = reader.locator('.chat-rooms-table tr', { hasText: roomName }).locator('.unread-badge');
+    await expect(badge).toHaveText('@ 2');
+
+    // 다시 입장하면 첫 안 읽은 메시지 앞에 구분선 표시
+    await helpers.joinRoomByURLParam(reader, roomParam);
+    const divider = reader.locator('.new-messages-divider');
+    await expect(divider).toBeVisible();
+    await expect(divider.locator('xpath=following-sibling::*[1]')).toContainText(firstUnread);
+
+    await reader.goto('/chat-rooms');
+    await expect(badge).toHaveCount(0);
+
+    await Promise.all([sender.close(), reader.close()]);
+  });
+
+  test('입력 중 표시', async ({ browser }) => {
+    const viewer = await browser.newPage();
+    await helpers.registerUser(viewer, helpers.generateUserCredentials(1));
+    await helpers.joinOrCreateRoom(viewer, 'Typing');
+
+    const roomParam = new URLSearchParams(new URL(viewer.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const typer = await browser.newPage();
+    const typerCreds = helpers.generateUserCredentials(2);
+    await helpers.registerUser(typer, typerCreds);
+    await helpers.joinRoomByURLParam(typer, roomParam);
+
+    // 전송하지 않고 입력만 해도 상대방에게 입력 중 표시
+    await typer.fill('.chat-input-textarea', '입력 중인 메시지');
+    const typingText = viewer.locator('.chat-typing-text');
+    await expect(typingText).toContainText(`${typerCreds.name}님이 입력 중입니다`);
+
+    // 입력을 지우면 표시가 사라짐
+    await typer.fill('.chat-input-textarea', '');
+    await expect(typingText).toHaveCount(0);
+
+    await Promise.all([viewer.close(), typer.close()]);
+  });
+
+  test('접속 상태 표시', async ({ browser }) => {
+    const viewer = await browser.newPage();
+    await helpers.registerUser(viewer, helpers.generateUserCredentials(1));
+    await helpers.joinOrCreateRoom(viewer, 'Presence');
+
+    const roomParam = new URLSearchParams(new URL(viewer.url()).search).get('room');
+    if (!roomParam) {
+      throw new Error('Failed to get room name from URL');
+    }
+
+    const other = await browser.newPage();
+    await helpers.registerUser(other, helpers.generateUserCredentials(2));
+    await helpers.joinRoomByURLParam(other, roomParam);
+
+    const content = `접속 상태 확인 ${Date.now()}`;
+    await helpers.sendMessage(other, content);
+
+    const presenceDot = viewer.locator('.message-group', { hasText: content }).locator('.presence-dot');
+    await expect(presenceDot).toHaveClass(/presence-online/);
+
+    // 연결이 끊기면 다른 사용자에게 오프라인으로 표시
+    await other.close();
+    await expect(presenceDot).toHaveClass(/presence-offline/);
+
+    await viewer.close();
+  });
 });
\ No newline at end of file
@@ -23,4 +23,95 @@ test.describe('프로필 테스트', () => {
     await page.reload();
     await expect(page.locator('input[id="name"]')).toHaveValue(newName);
   });
+
+
+  test('로그인된 기기 관리', async ({ browser }) => {
+    const credentials = helpers.generateUserCredentials(1);
+    const laptop = await browser.newPage();
+    const phone = await browser.newPage();
+
+    await helpers.registerUser(laptop, credentials);
+
+    // 동시 로그인 허용
+    await laptop.goto('/profile');
+    await laptop.locator('input[name="multiSession"]').check();
+    await expect(laptop.locator('input[name="multiSession"]')).toBeChecked();
+
+    // 두 번째 기기에서 로그인해도 기존 기기는 유지됨
+    await helpers.login(phone, credentials);
+    await laptop.reload();
+    await expect(laptop.locator('.device-session-item')).toHaveCount(2);
+    await expect(laptop.locator('.device-session-current')).toHaveCount(1);
+
+    // 다른 기기 로그아웃
+    laptop.once('dialog', dialog => dialog.accept());
+    await laptop.locator('button[title="이 기기에서 로그아웃"]').click();
+    await expect(laptop.locator('.device-session-item')).toHaveCount(1);
+
+    await phone.goto('/profile');
+    await expect(phone.locator('input[name="email"]')).toBeVisible({ timeout: 10000 });
+
+    await laptop.close();
+    await phone.close();
+  });
+
+  test('비밀번호 변경 후 새 비밀번호로 로그인', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(1);
+    await helpers.registerUser(page, credentials);
+
+    const newPassword = `${credentials.password}!new`;
+    await page.goto('/profile');
+    await page.fill('input[id="currentPassword"]', credentials.password);
+    await page.fill('input[id="newPassword"]', newPassword);
+    await page.fill('input[id="confirmPassword"]', newPassword);
+    await page.click('button:has-text("저장")');
+    await expect(page.locator('.alert')).toContainText('성공적으로 업데이트');
+
+    await helpers.logout(page);
+    await helpers.login(page, { email: credentials.email, password: newPassword });
+    await expect(page).toHaveURL('/chat-rooms');
+  });
+
+  test('비밀번호 재설정 메일 요청', async ({ page }) => {
+    await page.goto('/');
+    await page.click('button:has-text("비밀번호를 잊으셨나요?")');
+    await page.waitForURL('/forgot-password');
+
+    await page.fill('input[name="email"]', `unknown-${Date.now()}@example.com`);
+    await page.click('button[type="submit"]');
+
+    // 가입 여부와 관계없이 같은 안내가 표시됨
+    await expect(page.locator('text=비밀번호 재설정 안내 메일이 발송됩니다')).toBeVisible();
+  });
+
+  test('이메일 인증 상태 표시', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(1);
+    await helpers.registerUser(page, credentials);
+
+    await page.goto('/profile');
+    await expect(page.locator('.email-verification-status.unverified')).toBeVisible();
+    await expect(page.locator('.email-verification-status')).toContainText('이메일 인증이 필요합니다.');
+
+    // 잘못된 인증 링크
+    await page.goto('/verify-email?token=invalid');
+    await expect(page.locator('text=유효하지 않거나 만료된 인증 링크입니다')).toBeVisible();
+  });
+
+  test('2단계 인증 등록 화면', async ({ page }) => {
+    const credentials = helpers.generateUserCredentials(1);
+    await helpers.registerUser(page, credentials);
+
+    await page.goto('/profile');
+    const section = page.locator('.two-factor-section');
+    await expect(section).toContainText('2단계 인증');
+    await section.locator('button:has-text("설정하기")').click();
+
+    await expect(section.locator('img.two-factor-qr')).toBeVisible();
+    await expect(section.locator('.two-factor-secret')).not.toBeEmpty();
+
+    // 잘못된 코드로는 활성화되지 않음
+    await section.locator('input[name="twoFactorSetupCode"]').fill('000000');
+    await section.locator('button:has-text("활성화")').click();
+    await expect(page.locator('text=인증 코드가 올바르지 않습니다.')).toBeVisible();
+  });
 });
\ No newline at end of file
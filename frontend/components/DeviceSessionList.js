@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text, Button, Spinner } from '@goorm-dev/vapor-components';
+import { Monitor, LogOut } from 'lucide-react';
+import axiosInstance from '../services/axios';
+import { Toast } from './Toast';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari']
+];
+
+const PLATFORMS = [
+  ['Windows', 'Windows'],
+  ['Android', 'Android'],
+  ['iPhone', 'iOS'],
+  ['iPad', 'iPadOS'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux']
+];
+
+// User-Agent에서 브라우저와 운영체제 이름만 추출
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+  return [browser, platform].filter(Boolean).join(' · ') || '알 수 없는 기기';
+};
+
+const formatDateTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString('ko-KR') : '-';
+
+const DeviceSessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [multiSession, setMultiSession] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [pendingId, setPendingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setError('');
+      const response = await axiosInstance.get('/api/auth/sessions');
+      setSessions(response.data.data.sessions || []);
+      setMultiSession(response.data.data.multiSession);
+    } catch (error) {
+      console.error('Sessions fetch error:', error);
+      setError(error.response?.data?.message || '로그인된 기기 목록을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleModeChange = useCallback(async (e) => {
+    const enabled = e.target.checked;
+    if (!enabled && sessions.length > 1 &&
+      !window.confirm('현재 기기를 제외한 모든 기기에서 로그아웃됩니다. 계속하시겠습니까?')) {
+      return;
+    }
+
+    try {
+      setPendingId('mode');
+      const response = await axiosInstance.put('/api/auth/sessions/mode', { multiSession: enabled });
+      setMultiSession(response.data.data.multiSession);
+      Toast.success(response.data.message);
+      await fetchSessions();
+    } catch (error) {
+      console.error('Session mode update error:', error);
+      Toast.error(error.response?.data?.message || '세션 설정 변경에 실패했습니다.');
+    } finally {
+      setPendingId(null);
+    }
+  }, [sessions.length, fetchSessions]);
+
+  const handleRevoke = useCallback(async (session) => {
+    if (!window.confirm(`${describeDevice(session.deviceInfo)} 기기에서 로그아웃하시겠습니까?`)) return;
+
+    try {
+      setPendingId(session.id);
+      const response = await axiosInstance.delete(`/api/auth/sessions/${session.id}`);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+      Toast.success(response.data.message);
+    } catch (error) {
+      console.error('Session revoke error:', error);
+      Toast.error(error.response?.data?.message || '기기 로그아웃에 실패했습니다.');
+    } finally {
+      setPendingId(null);
+    }
+  }, []);
+
+  return (
+    <section className="device-session-section">
+      <div className="device-session-header">
+        <Text as="h6" typography="heading6">로그인된 기기</Text>
+        <label className="device-session-mode">
+          <input
+            type="checkbox"
+            name="multiSession"
+            checked={multiSession}
+            onChange={handleModeChange}
+            disabled={loading || pendingId === 'mode'}
+          />
+          여러 기기에서 동시 로그인 허용
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="device-session-empty">
+          <Spinner size="sm" />
+        </div>
+      ) : error ? (
+        <Text typography="body3" color="danger">{error}</Text>
+      ) : (
+        <ul className="device-session-list">
+          {sessions.map(session => (
+            <li key={session.id} className="device-session-item">
+              <Monitor className="w-5 h-5 flex-shrink-0" />
+              <div className="device-session-info">
+                <Text typography="body2" weight="bold">
+                  {describeDevice(session.deviceInfo)}
+                  {session.current && <span className="device-session-current">현재 기기</span>}
+                </Text>
+                <Text typography="body3" color="text-muted">
+                  {session.ipAddress || '알 수 없는 IP'} · 로그인 {formatDateTime(session.createdAt)}
+                </Text>
+                <Text typography="body3" color="text-muted">
+                  마지막 활동 {formatDateTime(session.lastActivity)}
+                </Text>
+              </div>
+              {!session.current && (
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleRevoke(session)}
+                  disabled={pendingId === session.id}
+                  title="이 기기에서 로그아웃"
+                >
+                  <LogOut className="w-4 h-4" />
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default DeviceSessionList;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Text, Spinner } from '@goorm-dev/vapor-components';
+import PersistentAvatar from './common/PersistentAvatar';
+import UnreadBadge from './UnreadBadge';
+import axiosInstance from '../services/axios';
+import { applyUnreadUpdate } from '../utils/unreadUtils';
+
+// unreadUpdate: 채팅방 목록 페이지에서 받은 최신 unreadUpdate 이벤트
+const DirectMessageList = ({ unreadUpdate }) => {
+  const router = useRouter();
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchDirectRooms = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await axiosInstance.get('/api/rooms/direct');
+      setRooms(response.data.data || []);
+    } catch (error) {
+      console.error('Direct rooms fetch error:', error);
+      setError(error.response?.data?.message || '1:1 대화 목록을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDirectRooms();
+  }, [fetchDirectRooms]);
+
+  useEffect(() => {
+    if (!unreadUpdate) return;
+    setRooms(prev => prev.map(room => applyUnreadUpdate(room, unreadUpdate)));
+  }, [unreadUpdate]);
+
+  return (
+    <section className="direct-message-section">
+      <Text typography="heading6" weight="bold" className="mb-2">1:1 대화</Text>
+
+      {loading ? (
+        <div className="loading-messages">
+          <Spinner size="sm" className="text-primary" />
+          <Text size="sm" color="secondary">1:1 대화 목록을 불러오는 중...</Text>
+        </div>
+      ) : error ? (
+        <Text size="sm" color="danger">{error}</Text>
+      ) : rooms.length === 0 ? (
+        <Text size="sm" color="secondary">
+          아직 1:1 대화가 없습니다. 채팅방에서 참여자의 프로필을 눌러 대화를 시작해보세요.
+        </Text>
+      ) : (
+        <ul className="direct-message-list">
+          {rooms.map(room => (
+            <li key={room._id}>
+              <button
+                type="button"
+                className="direct-message-item"
+                onClick={() => router.push(`/chat?room=${room._id}`)}
+              >
+                <PersistentAvatar user={room.otherUser} size="sm" showInitials={true} showStatus />
+                <span className="direct-message-name">
+                  {room.otherUser?.name || '알 수 없는 사용자'}
+                </span>
+                <UnreadBadge
+                  unreadCount={room.unreadCount}
+                  mentionCount={room.mentionCount}
+                />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default DirectMessageList;
@@ -7,7 +7,8 @@ const DuplicateLoginModal = ({
   onClose, 
   deviceInfo, 
   ipAddress,
-  onTimeout 
+  onTimeout,
+  onKeep
 }) => {
   const [timeLeft, setTimeLeft] = useState(10);
 
@@ -73,6 +74,16 @@ const DuplicateLoginModal = ({
       </ModalBody>
 
       <ModalFooter>
+        {onKeep && (
+          <Button
+            variant="outline"
+            size="lg"
+            onClick={onKeep}
+            className="w-full"
+          >
+            현재 세션 유지
+          </Button>
+        )}
         <Button
           variant="primary"
           size="lg"
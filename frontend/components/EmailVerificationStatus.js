@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text, Button } from '@goorm-dev/vapor-components';
+import { BadgeCheck, MailWarning } from 'lucide-react';
+import axiosInstance from '../services/axios';
+import authService from '../services/authService';
+import { Toast } from './Toast';
+
+// 프로필의 이메일 인증 상태 표시 및 인증 메일 재발송
+const EmailVerificationStatus = () => {
+  const [verified, setVerified] = useState(() => Boolean(authService.getCurrentUser()?.emailVerified));
+  const [sending, setSending] = useState(false);
+
+  // 다른 탭/기기에서 인증했을 수 있으므로 서버 상태로 갱신
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/users/profile');
+      const emailVerified = Boolean(response.data.user?.emailVerified);
+      setVerified(emailVerified);
+
+      const user = authService.getCurrentUser();
+      if (user && user.emailVerified !== emailVerified) {
+        localStorage.setItem('user', JSON.stringify({ ...user, emailVerified }));
+      }
+    } catch (error) {
+      console.error('Email verification status fetch error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const handleResend = useCallback(async () => {
+    try {
+      setSending(true);
+      const message = await authService.resendVerification();
+      Toast.success(message);
+    } catch (error) {
+      Toast.error(error.message || '인증 메일 발송에 실패했습니다.');
+    } finally {
+      setSending(false);
+    }
+  }, []);
+
+  if (verified) {
+    return (
+      <div className="email-verification-status verified">
+        <BadgeCheck className="w-4 h-4" />
+        <Text typography="body3">인증된 이메일</Text>
+      </div>
+    );
+  }
+
+  return (
+    <div className="email-verification-status unverified">
+      <MailWarning className="w-4 h-4" />
+      <Text typography="body3">이메일 인증이 필요합니다.</Text>
+      <Button
+        size="sm"
+        variant="text"
+        onClick={handleResend}
+        disabled={sending}
+      >
+        {sending ? '발송 중...' : '인증 메일 다시 받기'}
+      </Button>
+    </div>
+  );
+};
+
+export default EmailVerificationStatus;
@@ -0,0 +1,289 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Modal,
+  ModalBody,
+  ModalHeader,
+  Button,
+  Input,
+  Text,
+  Spinner,
+  Alert
+} from '@goorm-dev/vapor-components';
+import { Search, FileText } from 'lucide-react';
+import axiosInstance from '../services/axios';
+import { getAIPersonaInfo } from '../utils/aiPersonas';
+
+const PAGE_SIZE = 20;
+
+const TYPE_OPTIONS = [
+  { value: '', label: '전체' },
+  { value: 'text', label: '텍스트' },
+  { value: 'ai', label: 'AI' },
+  { value: 'file', label: '파일' }
+];
+
+const INITIAL_FILTERS = {
+  type: '',
+  from: '',
+  to: '',
+  hasFile: false,
+  mineOnly: false,
+  currentRoomOnly: false
+};
+
+const formatResultTime = (date) => new Date(date).toLocaleString('ko-KR', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// 서버에서 받은 하이라이트 범위를 <mark>로 표시
+const renderSnippet = ({ text = '', highlights = [] }) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  highlights.forEach(({ start, end }) => {
+    if (start > lastIndex) {
+      parts.push(<span key={`text-${lastIndex}`}>{text.slice(lastIndex, start)}</span>);
+    }
+    parts.push(<mark key={`mark-${start}`}>{text.slice(start, end)}</mark>);
+    lastIndex = end;
+  });
+
+  if (lastIndex < text.length) {
+    parts.push(<span key={`text-${lastIndex}`}>{text.slice(lastIndex)}</span>);
+  }
+
+  return parts;
+};
+
+const getSenderName = (result) => {
+  if (result.type === 'ai') {
+    return result.aiName || getAIPersonaInfo(result.aiType).name;
+  }
+  return result.sender?.name || '알 수 없는 사용자';
+};
+
+const MessageSearchModal = ({ isOpen, onClose, onSelect, currentUser, currentRoomId }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [results, setResults] = useState([]);
+  const [metadata, setMetadata] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) {
+      setError('');
+    }
+  }, [isOpen]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const search = useCallback(async (page = 0) => {
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await axiosInstance.get('/api/search/messages', {
+        params: {
+          q: trimmedQuery,
+          page,
+          pageSize: PAGE_SIZE,
+          ...(filters.type && { type: filters.type }),
+          ...(filters.from && { from: new Date(`${filters.from}T00:00:00`).toISOString() }),
+          ...(filters.to && { to: new Date(`${filters.to}T23:59:59.999`).toISOString() }),
+          ...(filters.hasFile && { hasFile: true }),
+          ...(filters.mineOnly && currentUser?.id && { sender: currentUser.id }),
+          ...(filters.currentRoomOnly && currentRoomId && { room: currentRoomId })
+        }
+      });
+
+      const { data, metadata: responseMetadata } = response.data;
+      setResults(prev => (page === 0 ? data : [...prev, ...data]));
+      setMetadata(responseMetadata);
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+
+      console.error('Message search error:', error);
+      setError(error.response?.data?.message || '메시지 검색 중 오류가 발생했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, filters, currentUser?.id, currentRoomId]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    search(0);
+  }, [search]);
+
+  const handleSelect = useCallback((result) => {
+    // 스레드 답글은 원본 메시지 위치로 이동
+    onSelect?.({
+      roomId: result.room._id,
+      messageId: result.parentMessage || result._id
+    });
+  }, [onSelect]);
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      toggle={onClose}
+      type="center"
+      size="lg"
+      className="message-search-modal"
+    >
+      <ModalHeader toggle={onClose}>메시지 검색</ModalHeader>
+      <ModalBody>
+        <form className="message-search-form" onSubmit={handleSubmit}>
+          <div className="message-search-bar">
+            <Input
+              name="q"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="검색어를 입력하세요"
+              autoFocus
+            />
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={loading || !query.trim()}
+              title="검색"
+            >
+              <Search className="w-4 h-4" />
+            </Button>
+          </div>
+
+          <div className="message-search-filters">
+            <select
+              name="type"
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              aria-label="메시지 유형"
+            >
+              {TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              aria-label="시작일"
+            />
+            <span>~</span>
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              aria-label="종료일"
+            />
+            <label>
+              <input
+                type="checkbox"
+                name="hasFile"
+                checked={filters.hasFile}
+                onChange={(e) => updateFilter('hasFile', e.target.checked)}
+              />
+              파일 포함
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                name="mineOnly"
+                checked={filters.mineOnly}
+                onChange={(e) => updateFilter('mineOnly', e.target.checked)}
+              />
+              내 메시지만
+            </label>
+            {currentRoomId && (
+              <label>
+                <input
+                  type="checkbox"
+                  name="currentRoomOnly"
+                  checked={filters.currentRoomOnly}
+                  onChange={(e) => updateFilter('currentRoomOnly', e.target.checked)}
+                />
+                현재 채팅방만
+              </label>
+            )}
+          </div>
+        </form>
+
+        {error && (
+          <Alert color="danger" className="mt-3">
+            {error}
+          </Alert>
+        )}
+
+        {metadata && (
+          <Text typography="body3" color="text-muted" className="mt-3">
+            검색 결과 {metadata.total}건
+          </Text>
+        )}
+
+        <ul className="message-search-results">
+          {results.map(result => (
+            <li key={result._id}>
+              <button
+                type="button"
+                className="message-search-result"
+                onClick={() => handleSelect(result)}
+              >
+                <div className="message-search-result-header">
+                  <span className="message-search-result-room">{result.room.name}</span>
+                  <span>{getSenderName(result)}</span>
+                  <span className="message-search-result-time">
+                    {formatResultTime(result.timestamp)}
+                  </span>
+                </div>
+                <div className="message-search-result-snippet">
+                  {result.file && <FileText className="w-4 h-4 inline mr-1" />}
+                  {result.snippet?.text
+                    ? renderSnippet(result.snippet)
+                    : result.file?.originalname}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        {loading && (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+            <Text size="sm" color="secondary">검색 중...</Text>
+          </div>
+        )}
+
+        {!loading && metadata && results.length === 0 && (
+          <Text size="sm" color="secondary">검색 결과가 없습니다.</Text>
+        )}
+
+        {!loading && metadata?.hasMore && (
+          <div className="message-search-more">
+            <Button
+              size="sm"
+              variant="text"
+              onClick={() => search(metadata.page + 1)}
+            >
+              결과 더 보기
+            </Button>
+          </div>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+};
+
+export default MessageSearchModal;
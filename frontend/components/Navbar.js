@@ -9,12 +9,15 @@ import {
  DropdownMenu,
  DropdownItem
 } from '@goorm-dev/vapor-components';
+import { Search } from 'lucide-react';
 import PersistentAvatar from './common/PersistentAvatar';
+import MessageSearchModal from './MessageSearchModal';
 import authService from '../services/authService';
 
 const Navbar = () => {
  const [currentUser, setCurrentUser] = useState(null);
  const [dropdownOpen, setDropdownOpen] = useState(false);
+ const [searchOpen, setSearchOpen] = useState(false);
  const router = useRouter();
 
  // 인증 상태 변경을 감지하는 효과
@@ -63,7 +66,14 @@ const Navbar = () => {
    setDropdownOpen(prev => !prev);
  };
 
+ // 검색 결과 선택 시 해당 채팅방의 메시지 위치로 이동
+ const handleSearchSelect = ({ roomId, messageId }) => {
+   setSearchOpen(false);
+   router.push(`/chat?room=${roomId}&message=${messageId}`);
+ };
+
  const isInChatRooms = router.pathname === '/chat-rooms';
+ const currentRoomId = router.pathname === '/chat' ? router.query.room : null;
 
  return (
    <nav className="global-nav">
@@ -109,6 +119,15 @@ const Navbar = () => {
                >
                  새 채팅방
                </Button>
+               <Button
+                 variant="text"
+                 onClick={() => setSearchOpen(true)}
+                 size="lg"
+                 title="메시지 검색"
+               >
+                 <Search className="w-4 h-4 mr-1" />
+                 메시지 검색
+               </Button>
              </div>
            )}
          </div>
@@ -168,6 +187,16 @@ const Navbar = () => {
          </div>
        </div>
      </div>
+
+     {currentUser && (
+       <MessageSearchModal
+         isOpen={searchOpen}
+         onClose={() => setSearchOpen(false)}
+         onSelect={handleSearchSelect}
+         currentUser={currentUser}
+         currentRoomId={currentRoomId}
+       />
+     )}
    </nav>
  );
 };
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text, Button, Input, Spinner } from '@goorm-dev/vapor-components';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import axiosInstance from '../services/axios';
+import { Toast } from './Toast';
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString('ko-KR') : '-';
+
+// 발급된 복구 코드는 다시 조회할 수 없으므로 확인 후 닫도록 안내
+const RecoveryCodeList = ({ codes, onClose }) => (
+  <div className="two-factor-recovery">
+    <Text typography="body3" color="text-muted">
+      인증 앱을 사용할 수 없을 때 로그인에 사용할 복구 코드입니다. 각 코드는 한 번만 사용할 수 있으며, 이 화면을 닫으면 다시 확인할 수 없습니다.
+    </Text>
+    <ul className="two-factor-recovery-codes">
+      {codes.map(code => (
+        <li key={code}><code>{code}</code></li>
+      ))}
+    </ul>
+    <Button size="sm" variant="primary" onClick={onClose}>
+      안전한 곳에 저장했습니다
+    </Button>
+  </div>
+);
+
+// 프로필의 TOTP 2단계 인증 등록/해제
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pending, setPending] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/auth/2fa');
+      setStatus(response.data.data);
+    } catch (error) {
+      console.error('Two-factor status fetch error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = useCallback(() => {
+    setCode('');
+    setPassword('');
+  }, []);
+
+  const handleSetup = useCallback(async () => {
+    try {
+      setPending(true);
+      const response = await axiosInstance.post('/api/auth/2fa/setup');
+      setEnrollment(response.data.data);
+      resetForm();
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      Toast.error(error.response?.data?.message || '2단계 인증 등록에 실패했습니다.');
+    } finally {
+      setPending(false);
+    }
+  }, [resetForm]);
+
+  const handleEnable = useCallback(async (e) => {
+    e.preventDefault();
+    try {
+      setPending(true);
+      const response = await axiosInstance.post('/api/auth/2fa/enable', { code: code.trim() });
+      setEnrollment(null);
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+      Toast.success(response.data.message);
+      await fetchStatus();
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      Toast.error(error.response?.data?.message || '2단계 인증 활성화에 실패했습니다.');
+    } finally {
+      setPending(false);
+    }
+  }, [code, resetForm, fetchStatus]);
+
+  const handleDisable = useCallback(async (e) => {
+    e.preventDefault();
+    try {
+      setPending(true);
+      const response = await axiosInstance.post('/api/auth/2fa/disable', {
+        password,
+        code: code.trim()
+      });
+      setDisabling(false);
+      resetForm();
+      Toast.success(response.data.message);
+      await fetchStatus();
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      Toast.error(error.response?.data?.message || '2단계 인증 해제에 실패했습니다.');
+    } finally {
+      setPending(false);
+    }
+  }, [password, code, resetForm, fetchStatus]);
+
+  const handleRegenerate = useCallback(async () => {
+    const currentCode = window.prompt('인증 앱의 6자리 코드를 입력하세요. 기존 복구 코드는 모두 사용할 수 없게 됩니다.');
+    if (!currentCode) return;
+
+    try {
+      setPending(true);
+      const response = await axiosInstance.post('/api/auth/2fa/recovery-codes', { code: currentCode.trim() });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      Toast.success(response.data.message);
+      await fetchStatus();
+    } catch (error) {
+      console.error('Recovery codes regenerate error:', error);
+      Toast.error(error.response?.data?.message || '복구 코드 재발급에 실패했습니다.');
+    } finally {
+      setPending(false);
+    }
+  }, [fetchStatus]);
+
+  const renderContent = () => {
+    if (recoveryCodes) {
+      return <RecoveryCodeList codes={recoveryCodes} onClose={() => setRecoveryCodes(null)} />;
+    }
+
+    if (enrollment) {
+      return (
+        <form onSubmit={handleEnable} className="two-factor-setup">
+          <Text typography="body3" color="text-muted">
+            인증 앱(Google Authenticator 등)으로 QR 코드를 스캔한 뒤 표시된 6자리 코드를 입력하세요.
+          </Text>
+          <img src={enrollment.qrCode} alt="2단계 인증 QR 코드" className="two-factor-qr" />
+          <Text typography="body3" color="text-muted">
+            QR 코드를 스캔할 수 없다면 다음 키를 직접 입력하세요.
+          </Text>
+          <code className="two-factor-secret">{enrollment.secret}</code>
+          <Input
+            name="twoFactorSetupCode"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="6자리 인증 코드"
+            autoComplete="one-time-code"
+            inputMode="numeric"
+            disabled={pending}
+          />
+          <div className="two-factor-actions">
+            <Button type="submit" size="sm" variant="primary" disabled={pending || !code.trim()}>
+              {pending ? '확인 중...' : '활성화'}
+            </Button>
+            <Button size="sm" variant="text" onClick={() => setEnrollment(null)} disabled={pending}>
+              취소
+            </Button>
+          </div>
+        </form>
+      );
+    }
+
+    if (!status?.enabled) {
+      return (
+        <div className="two-factor-status">
+          <ShieldOff className="w-5 h-5" />
+          <Text typography="body3" color="text-muted">
+            로그인할 때 비밀번호와 함께 인증 앱의 코드를 확인합니다.
+          </Text>
+          <Button size="sm" variant="primary" onClick={handleSetup} disabled={pending}>
+            설정하기
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="two-factor-status enabled">
+          <ShieldCheck className="w-5 h-5" />
+          <Text typography="body3">
+            사용 중 · {formatDate(status.enabledAt)}부터 · 남은 복구 코드 {status.recoveryCodesRemaining}개
+          </Text>
+        </div>
+
+        {disabling ? (
+          <form onSubmit={handleDisable} className="two-factor-setup">
+            <Input
+              name="twoFactorDisablePassword"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="현재 비밀번호"
+              autoComplete="current-password"
+              disabled={pending}
+            />
+            <Input
+              name="twoFactorDisableCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="인증 코드 또는 복구 코드"
+              autoComplete="one-time-code"
+              disabled={pending}
+            />
+            <div className="two-factor-actions">
+              <Button type="submit" size="sm" variant="danger" disabled={pending || !password || !code.trim()}>
+                {pending ? '해제 중...' : '해제'}
+              </Button>
+              <Button
+                size="sm"
+                variant="text"
+                onClick={() => {
+                  setDisabling(false);
+                  resetForm();
+                }}
+                disabled={pending}
+              >
+                취소
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <div className="two-factor-actions">
+            <Button size="sm" variant="outline" onClick={handleRegenerate} disabled={pending}>
+              복구 코드 재발급
+            </Button>
+            <Button size="sm" variant="text" onClick={() => setDisabling(true)} disabled={pending}>
+              2단계 인증 해제
+            </Button>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="two-factor-section">
+      <Text as="h6" typography="heading6">2단계 인증</Text>
+      {loading ? (
+        <div className="device-session-empty">
+          <Spinner size="sm" />
+        </div>
+      ) : renderContent()}
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
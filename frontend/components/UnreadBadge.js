@@ -0,0 +1,20 @@
+import React from 'react';
+import { formatUnreadCount } from '../utils/unreadUtils';
+
+const UnreadBadge = ({ unreadCount = 0, mentionCount = 0 }) => {
+  if (!unreadCount) return null;
+
+  return (
+    <span
+      className={`unread-badge${mentionCount > 0 ? ' has-mention' : ''}`}
+      title={mentionCount > 0
+        ? `안 읽은 메시지 ${unreadCount}개 (멘션 ${mentionCount}개)`
+        : `안 읽은 메시지 ${unreadCount}개`}
+    >
+      {mentionCount > 0 && '@ '}
+      {formatUnreadCount(unreadCount)}
+    </span>
+  );
+};
+
+export default React.memo(UnreadBadge);
@@ -3,12 +3,15 @@ import { Button } from '@goorm-dev/vapor-components';
 import { 
   Smile,
   Paperclip,
-  Send
+  Send,
+  Reply,
+  X
 } from 'lucide-react';
 import MarkdownToolbar from './MarkdownToolbar';
 import EmojiPicker from './EmojiPicker';
 import MentionDropdown from './MentionDropdown';
 import FilePreview from './FilePreview';
+import MessageQuote, { createQuotePreview } from './Message/MessageQuote';
 import fileService from '../../services/fileService';
 
 const ChatInput = forwardRef(({
@@ -30,7 +33,9 @@ const ChatInput = forwardRef(({
   setShowMentionList = () => {},
   setMentionFilter = () => {},
   setMentionIndex = () => {},
-  room = null // room prop 추가
+  room = null, // room prop 추가
+  quoteTarget = null,
+  onQuoteCancel = () => {}
 }, ref) => {
   const emojiPickerRef = useRef(null);
   const emojiButtonRef = useRef(null);
@@ -43,6 +48,13 @@ const ChatInput = forwardRef(({
   const [uploadError, setUploadError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
 
+  // 인용 답장 대상 선택 시 입력창으로 포커스 이동
+  useEffect(() => {
+    if (quoteTarget) {
+      messageInputRef?.current?.focus();
+    }
+  }, [quoteTarget, messageInputRef]);
+
   const handleFileValidationAndPreview = useCallback(async (file) => {
     if (!file) return;
 
@@ -278,6 +290,8 @@ const ChatInput = forwardRef(({
       }
     } else if (e.key === 'Escape' && showEmojiPicker) {
       setShowEmojiPicker(false);
+    } else if (e.key === 'Escape' && quoteTarget) {
+      onQuoteCancel();
     }
   }, [
     message,
@@ -291,6 +305,8 @@ const ChatInput = forwardRef(({
     setMentionIndex,
     setShowMentionList,
     setShowEmojiPicker,
+    quoteTarget,
+    onQuoteCancel,
     room // room 의존성 추가
   ]);
 
@@ -416,6 +432,22 @@ const ChatInput = forwardRef(({
           />
         )}
 
+        {quoteTarget && (
+          <div className="chat-input-quote">
+            <Reply className="w-4 h-4 flex-shrink-0" />
+            <MessageQuote quote={createQuotePreview(quoteTarget)} />
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={onQuoteCancel}
+              className="toolbar-button"
+              title="인용 취소"
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+
         <div className="chat-input-toolbar">
           <MarkdownToolbar 
             onAction={handleMarkdownAction}
@@ -493,7 +525,7 @@ const ChatInput = forwardRef(({
               ref={fileInputRef}
               onChange={(e) => handleFileValidationAndPreview(e.target.files?.[0])}
               className="hidden"
-              accept="image/*,video/*,audio/*,application/pdf"
+              accept="image/*,video/*,audio/*,application/pdf,.doc,.docx,.txt"
             />
           </div>
 
@@ -1,6 +1,7 @@
 import React, { useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
-import { Spinner, Text } from '@goorm-dev/vapor-components';
-import { SystemMessage, FileMessage, UserMessage, AIMessage } from './Message';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { ArrowDown } from 'lucide-react';
+import { SystemMessage, FileMessage, UserMessage, AIMessage, DeletedMessage } from './Message';
 
 // ScrollHandler 클래스 정의
 class ScrollHandler {
@@ -147,6 +148,9 @@ class ScrollHandler {
       hasMoreMessages,
       loadingMessages,
       onLoadMore,
+      hasNewerMessages,
+      loadingNewerMessages,
+      onLoadNewer,
       onScrollPositionChange,
       onScroll
     } = options;
@@ -184,6 +188,17 @@ class ScrollHandler {
         }
       }
 
+      // 최신 메시지에서 벗어난 화면에서는 하단 도달 시 이후 메시지 로드
+      if (scrollInfo.isAtBottom && hasNewerMessages && !loadingNewerMessages) {
+        this.logDebug('handleScroll loadNewer', { hasNewerMessages });
+
+        try {
+          await onLoadNewer?.();
+        } catch (error) {
+          console.error('Load newer error:', error);
+        }
+      }
+
       onScrollPositionChange?.(scrollInfo);
       onScroll?.(scrollInfo);
     }, this.SCROLL_DEBOUNCE_DELAY);
@@ -254,6 +269,13 @@ const EmptyMessages = React.memo(() => (
 ));
 EmptyMessages.displayName = 'EmptyMessages';
 
+const NewMessagesDivider = React.memo(() => (
+  <div className="new-messages-divider" role="separator">
+    <span>새 메시지</span>
+  </div>
+));
+NewMessagesDivider.displayName = 'NewMessagesDivider';
+
 const ChatMessages = ({ 
   messages = [], 
   streamingMessages = {}, 
@@ -261,10 +283,24 @@ const ChatMessages = ({
   room = null,
   loadingMessages = false,
   hasMoreMessages = true,
+  hasNewerMessages = false,
+  loadingNewerMessages = false,
+  isDetached = false,
   onScroll = () => {},
   onLoadMore = () => {},
+  onLoadNewer = () => {},
+  onJumpToPresent = () => {},
+  readMarker = null,
   onReactionAdd = () => {},
   onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  onOpenThread,
+  onQuoteReply,
+  onJumpToMessage,
+  onAICancel,
+  onAIRegenerate,
+  onDirectMessage,
   messagesEndRef,
   socketRef,
   scrollToBottomOnNewMessage = true,
@@ -274,6 +310,7 @@ const ChatMessages = ({
   const lastMessageRef = useRef(null);
   const initialScrollRef = useRef(false);
   const lastMessageCountRef = useRef(messages.length);
+  const wasDetachedRef = useRef(isDetached);
   const initialLoadRef = useRef(true);
   const loadingTimeoutRef = useRef(null);
   const scrollHandler = useRef(new ScrollHandler(containerRef));
@@ -304,10 +341,22 @@ const ChatMessages = ({
       hasMoreMessages,
       loadingMessages,
       onLoadMore,
+      hasNewerMessages,
+      loadingNewerMessages,
+      onLoadNewer,
       onScrollPositionChange,
       onScroll
     });
-  }, [hasMoreMessages, loadingMessages, onLoadMore, onScrollPositionChange, onScroll]);
+  }, [
+    hasMoreMessages,
+    loadingMessages,
+    onLoadMore,
+    hasNewerMessages,
+    loadingNewerMessages,
+    onLoadNewer,
+    onScrollPositionChange,
+    onScroll
+  ]);
 
   // 새 메시지 도착 시 스크롤 처리
   useLayoutEffect(() => {
@@ -326,6 +375,14 @@ const ChatMessages = ({
     }
   }, [messages, scrollToBottomOnNewMessage, isMine]);
 
+  // 최신 메시지로 돌아오면 하단으로 이동
+  useLayoutEffect(() => {
+    if (wasDetachedRef.current && !isDetached) {
+      scrollHandler.current.scrollToBottom('auto');
+    }
+    wasDetachedRef.current = isDetached;
+  }, [isDetached]);
+
   // 과거 메시지 로드 후 스크롤 위치 복원
   useLayoutEffect(() => {
     if (!loadingMessages && scrollHandler.current.isLoadingOldMessages.current) {
@@ -385,7 +442,12 @@ const ChatMessages = ({
     if (!Array.isArray(messages)) return [];
     
     const streamingArray = Object.values(streamingMessages || {});
-    const combinedMessages = [...messages, ...streamingArray];
+    // 다시 생성 중인 답변은 스트리밍 메시지가 기존 메시지 자리에 표시됨
+    const regeneratingIds = new Set(streamingArray.map(msg => msg.regenerateOf).filter(Boolean));
+    const combinedMessages = [
+      ...messages.filter(msg => !regeneratingIds.has(msg?._id)),
+      ...streamingArray
+    ];
 
     return combinedMessages.sort((a, b) => {
       if (!a?.timestamp || !b?.timestamp) return 0;
@@ -393,6 +455,22 @@ const ChatMessages = ({
     });
   }, [messages, streamingMessages]);
 
+  // 입장 전 읽지 않은 다른 사람의 첫 메시지 (입장 후 도착한 메시지는 제외)
+  const firstUnreadMessageId = useMemo(() => {
+    if (!readMarker?.lastReadAt) return null;
+
+    const lastReadAt = new Date(readMarker.lastReadAt).getTime();
+    const joinedAt = readMarker.joinedAt ? new Date(readMarker.joinedAt).getTime() : Infinity;
+
+    const firstUnread = allMessages.find(msg => {
+      if (!msg || msg.type === 'system' || msg.isDeleted || isMine(msg)) return false;
+      const time = new Date(msg.timestamp).getTime();
+      return time > lastReadAt && time <= joinedAt;
+    });
+
+    return firstUnread?._id || null;
+  }, [allMessages, readMarker, isMine]);
+
   const renderMessage = useCallback((msg, idx) => {
     if (!msg || !SystemMessage || !FileMessage || !UserMessage || !AIMessage) {
       console.error('Message component undefined:', {
@@ -406,11 +484,30 @@ const ChatMessages = ({
     }
 
     const isLast = idx === allMessages.length - 1;
+
+    if (msg.isDeleted) {
+      return (
+        <DeletedMessage
+          key={msg._id || `msg-${idx}`}
+          messageId={msg._id}
+          isMine={isMine(msg)}
+        />
+      );
+    }
+
     const commonProps = {
       currentUser,
       room,
       onReactionAdd,
-      onReactionRemove
+      onReactionRemove,
+      onMessageEdit,
+      onMessageDelete,
+      onOpenThread,
+      onQuoteReply,
+      onJumpToMessage,
+      onAICancel,
+      onAIRegenerate,
+      onDirectMessage
     };
 
     const MessageComponent = {
@@ -432,7 +529,7 @@ const ChatMessages = ({
         socketRef={socketRef}
       />
     );
-  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, socketRef]);
+  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, onMessageEdit, onMessageDelete, onOpenThread, onQuoteReply, onJumpToMessage, onAICancel, onAIRegenerate, onDirectMessage, socketRef]);
 
   return (
     <div 
@@ -451,7 +548,28 @@ const ChatMessages = ({
       {allMessages.length === 0 ? (
         <EmptyMessages />
       ) : (
-        allMessages.map((msg, idx) => renderMessage(msg, idx))
+        allMessages.map((msg, idx) => (
+          <React.Fragment key={msg?._id || `msg-${idx}`}>
+            {msg?._id && msg._id === firstUnreadMessageId && <NewMessagesDivider />}
+            {renderMessage(msg, idx)}
+          </React.Fragment>
+        ))
+      )}
+
+      {loadingNewerMessages && <LoadingIndicator text="메시지를 불러오는 중..." />}
+
+      {isDetached && (
+        <div className="jump-to-present">
+          <Button
+            size="sm"
+            variant="primary"
+            onClick={onJumpToPresent}
+            disabled={loadingNewerMessages}
+          >
+            <ArrowDown className="w-4 h-4 mr-1" />
+            최신 메시지로 이동
+          </Button>
+        </div>
       )}
     </div>
   );
@@ -0,0 +1,350 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+  Modal,
+  ModalBody,
+  ModalHeader,
+  Button,
+  Input,
+  Text,
+  Spinner,
+  Alert
+} from '@goorm-dev/vapor-components';
+import { UserX, Ban, Link, Copy } from 'lucide-react';
+import axiosInstance from '../../services/axios';
+import PersistentAvatar from '../common/PersistentAvatar';
+import { Toast } from '../Toast';
+
+const ROLE_LEVELS = {
+  owner: 3,
+  admin: 2,
+  moderator: 1,
+  member: 0
+};
+
+const ROLE_LABELS = {
+  owner: '방장',
+  admin: '관리자',
+  moderator: '운영자',
+  member: '멤버'
+};
+
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member'];
+
+// 초대 링크 만료 시간 (초)
+const INVITE_EXPIRY_OPTIONS = [
+  { value: 60 * 60, label: '1시간' },
+  { value: 24 * 60 * 60, label: '1일' },
+  { value: 7 * 24 * 60 * 60, label: '7일' },
+  { value: 30 * 24 * 60 * 60, label: '30일' }
+];
+
+// 서버와 동일하게 대상보다 높은 역할일 때만 관리 가능
+const canManage = (actorRole, targetRole = 'member') => {
+  if (!actorRole || ROLE_LEVELS[actorRole] < ROLE_LEVELS.moderator) return false;
+  return ROLE_LEVELS[actorRole] > ROLE_LEVELS[targetRole || 'member'];
+};
+
+const MemberManagementModal = ({ isOpen, onClose, room, currentUser }) => {
+  const [members, setMembers] = useState([]);
+  const [bannedUsers, setBannedUsers] = useState([]);
+  const [currentUserRole, setCurrentUserRole] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [pendingUserId, setPendingUserId] = useState(null);
+  const [error, setError] = useState('');
+  const [inviteOptions, setInviteOptions] = useState({
+    expiresIn: INVITE_EXPIRY_OPTIONS[2].value,
+    maxUses: ''
+  });
+  const [inviteLink, setInviteLink] = useState('');
+  const [creatingInvite, setCreatingInvite] = useState(false);
+
+  const roomId = room?._id;
+
+  useEffect(() => {
+    setInviteLink('');
+  }, [roomId]);
+
+  const fetchMembers = useCallback(async () => {
+    if (!roomId) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/members`);
+      const { members, bannedUsers, currentUserRole } = response.data.data;
+
+      setMembers(members);
+      setBannedUsers(bannedUsers);
+      setCurrentUserRole(currentUserRole);
+    } catch (error) {
+      console.error('Room members fetch error:', error);
+      setError(error.response?.data?.message || '멤버 목록을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  // 열려 있는 동안 다른 관리자의 변경 사항도 반영
+  useEffect(() => {
+    if (isOpen) {
+      fetchMembers();
+    }
+  }, [isOpen, fetchMembers, room?.participants, room?.roles]);
+
+  const runAction = useCallback(async (userId, request, successMessage) => {
+    try {
+      setPendingUserId(userId);
+      await request();
+      Toast.success(successMessage);
+      await fetchMembers();
+    } catch (error) {
+      console.error('Room moderation error:', error);
+      Toast.error(error.response?.data?.message || '요청을 처리하지 못했습니다.');
+    } finally {
+      setPendingUserId(null);
+    }
+  }, [fetchMembers]);
+
+  const handleRoleChange = useCallback((member, role) => {
+    runAction(
+      member._id,
+      () => axiosInstance.put(`/api/rooms/${roomId}/members/${member._id}/role`, { role }),
+      `${member.name}님의 역할을 ${ROLE_LABELS[role]}(으)로 변경했습니다.`
+    );
+  }, [roomId, runAction]);
+
+  const handleKick = useCallback((member) => {
+    if (!window.confirm(`${member.name}님을 채팅방에서 내보내시겠습니까?`)) return;
+
+    runAction(
+      member._id,
+      () => axiosInstance.post(`/api/rooms/${roomId}/members/${member._id}/kick`),
+      `${member.name}님을 내보냈습니다.`
+    );
+  }, [roomId, runAction]);
+
+  const handleBan = useCallback((member) => {
+    const reason = window.prompt(`${member.name}님을 차단합니다. 차단 사유를 입력하세요. (선택)`);
+    if (reason === null) return;
+
+    runAction(
+      member._id,
+      () => axiosInstance.post(`/api/rooms/${roomId}/members/${member._id}/ban`, { reason }),
+      `${member.name}님을 차단했습니다.`
+    );
+  }, [roomId, runAction]);
+
+  const handleUnban = useCallback((user) => {
+    runAction(
+      user._id,
+      () => axiosInstance.delete(`/api/rooms/${roomId}/bans/${user._id}`),
+      `${user.name}님의 차단을 해제했습니다.`
+    );
+  }, [roomId, runAction]);
+
+  const handleCreateInvite = useCallback(async () => {
+    try {
+      setCreatingInvite(true);
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/invites`, {
+        expiresIn: inviteOptions.expiresIn,
+        maxUses: inviteOptions.maxUses || null
+      });
+      setInviteLink(`${window.location.origin}/invite/${response.data.data.token}`);
+    } catch (error) {
+      console.error('Invite create error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크 생성 중 오류가 발생했습니다.');
+    } finally {
+      setCreatingInvite(false);
+    }
+  }, [roomId, inviteOptions]);
+
+  const handleCopyInvite = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      Toast.success('초대 링크를 복사했습니다.');
+    } catch (error) {
+      console.error('Invite copy error:', error);
+      Toast.error('초대 링크를 복사하지 못했습니다.');
+    }
+  }, [inviteLink]);
+
+  const renderMember = (member) => {
+    const isSelf = member._id === currentUser?.id;
+    const manageable = !isSelf && canManage(currentUserRole, member.role);
+    const roleOptions = ASSIGNABLE_ROLES.filter(role => canManage(currentUserRole, role));
+    const disabled = pendingUserId === member._id;
+
+    return (
+      <li key={member._id} className="member-item">
+        <PersistentAvatar user={member} size="sm" showInitials={true} showStatus />
+        <div className="member-info">
+          <Text typography="body2" weight="bold">
+            {member.name}{isSelf && ' (나)'}
+          </Text>
+          <Text typography="body3" color="text-muted">{member.email}</Text>
+        </div>
+
+        {manageable ? (
+          <div className="member-actions">
+            <select
+              name="role"
+              value={member.role}
+              onChange={(e) => handleRoleChange(member, e.target.value)}
+              disabled={disabled}
+              aria-label={`${member.name} 역할`}
+            >
+              {roleOptions.map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+              ))}
+            </select>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleKick(member)}
+              disabled={disabled}
+              title="강퇴"
+            >
+              <UserX className="w-4 h-4" />
+            </Button>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => handleBan(member)}
+              disabled={disabled}
+              title="차단"
+            >
+              <Ban className="w-4 h-4" />
+            </Button>
+          </div>
+        ) : (
+          <span className={`member-role-badge role-${member.role}`}>
+            {ROLE_LABELS[member.role]}
+          </span>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      toggle={onClose}
+      type="center"
+      size="md"
+      className="member-management-modal"
+    >
+      <ModalHeader toggle={onClose}>멤버 관리</ModalHeader>
+      <ModalBody>
+        {error && (
+          <Alert color="danger" className="mb-3">
+            {error}
+          </Alert>
+        )}
+
+        {loading && members.length === 0 ? (
+          <div className="loading-messages">
+            <Spinner size="sm" className="text-primary" />
+            <Text size="sm" color="secondary">멤버 목록을 불러오는 중...</Text>
+          </div>
+        ) : (
+          <>
+            <Text typography="body3" color="text-muted">
+              참여자 {members.length}명
+            </Text>
+            <ul className="member-list">
+              {members.map(renderMember)}
+            </ul>
+
+            {canManage(currentUserRole) && (
+              <div className="member-invite-section">
+                <Text typography="body2" weight="bold">초대 링크</Text>
+                <div className="member-invite-options">
+                  <select
+                    name="inviteExpiresIn"
+                    value={inviteOptions.expiresIn}
+                    onChange={(e) => setInviteOptions(prev => ({
+                      ...prev,
+                      expiresIn: Number(e.target.value)
+                    }))}
+                    aria-label="초대 만료 시간"
+                  >
+                    {INVITE_EXPIRY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    name="inviteMaxUses"
+                    min="1"
+                    value={inviteOptions.maxUses}
+                    onChange={(e) => setInviteOptions(prev => ({
+                      ...prev,
+                      maxUses: e.target.value
+                    }))}
+                    placeholder="사용 횟수 (무제한)"
+                    aria-label="최대 사용 횟수"
+                  />
+                  <Button
+                    size="sm"
+                    variant="primary"
+                    onClick={handleCreateInvite}
+                    disabled={creatingInvite}
+                  >
+                    <Link className="w-4 h-4 mr-1" />
+                    초대 링크 만들기
+                  </Button>
+                </div>
+                {inviteLink && (
+                  <div className="member-invite-link">
+                    <Input name="inviteLink" value={inviteLink} readOnly />
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={handleCopyInvite}
+                      title="링크 복사"
+                    >
+                      <Copy className="w-4 h-4" />
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {canManage(currentUserRole) && (
+              <div className="member-ban-section">
+                <Text typography="body2" weight="bold">
+                  차단된 사용자 {bannedUsers.length}명
+                </Text>
+                {bannedUsers.length > 0 && (
+                  <ul className="member-list">
+                    {bannedUsers.map(({ user, reason }) => (
+                      <li key={user._id} className="member-item">
+                        <div className="member-info">
+                          <Text typography="body2" weight="bold">{user.name}</Text>
+                          {reason && (
+                            <Text typography="body3" color="text-muted">{reason}</Text>
+                          )}
+                        </div>
+                        <Button
+                          size="sm"
+                          variant="text"
+                          onClick={() => handleUnban(user)}
+                          disabled={pendingUserId === user._id}
+                        >
+                          차단 해제
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+};
+
+export default MemberManagementModal;
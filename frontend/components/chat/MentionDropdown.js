@@ -76,10 +76,10 @@ const MentionDropdown = ({
   }, []);
 
   const getAvatarContent = useCallback((user) => {
-    if (user.isAI) {
-      return user.name === 'wayneAI' ? 'W' : 'C';
+    if (user.isAI && user.avatar) {
+      return <Avatar.Image src={user.avatar} alt={user.displayName} />;
     }
-    return user.name.charAt(0).toUpperCase();
+    return (user.displayName || user.name).charAt(0).toUpperCase();
   }, []);
 
   const handleKeyDown = useCallback((e, user) => {
@@ -122,7 +122,7 @@ const MentionDropdown = ({
             
             <div className="mention-info">
               <span className="mention-name">
-                {user.isAI ? (user.name === 'wayneAI' ? 'Wayne AI' : 'Consulting AI') : user.name}
+                {user.isAI ? user.displayName : user.name}
               </span>
               {renderUserBadge(user)}
             </div>
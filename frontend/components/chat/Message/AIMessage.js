@@ -1,8 +1,12 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Button } from '@goorm-dev/vapor-components';
+import { Square, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import MessageSources from './MessageSources';
 import ReadStatus from '../ReadStatus';
+import { getAIPersonaInfo } from '../../../utils/aiPersonas';
 
 const AIMessage = ({ 
   msg = {}, 
@@ -11,10 +15,29 @@ const AIMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onOpenThread,
+  onQuoteReply,
+  onJumpToMessage,
+  onAICancel,
+  onAIRegenerate,
   room = null,
   messageRef,
   socketRef
 }) => {
+  const variants = msg.variants || [];
+  const [variantIndex, setVariantIndex] = useState(variants.length - 1);
+
+  // 다시 생성한 답변이 추가되면 최신 답변 표시
+  useEffect(() => {
+    setVariantIndex(variants.length - 1);
+  }, [variants.length]);
+
+  const current = variants.length > 1 && variants[variantIndex] ? variants[variantIndex] : msg;
+  // 중단/다시 생성은 AI를 호출한 사용자에게만 표시 (서버에서는 운영자 이상도 허용)
+  const requestedBy = isStreaming ? msg.requestedBy : msg.metadata?.requestedBy;
+  const canControl = Boolean(currentUser?.id) && requestedBy === currentUser.id;
+
   const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
@@ -25,11 +48,13 @@ const AIMessage = ({
     hour12: false
   }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
 
-  // AI 사용자 정보 생성
+  // AI 사용자 정보 생성 (메시지에 저장된 페르소나 이름/아바타 우선)
+  const persona = getAIPersonaInfo(msg.aiType, { aiName: msg.aiName, aiAvatar: msg.aiAvatar });
   const aiUser = {
-    name: msg.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI',
-    email: msg.aiType === 'wayneAI' ? 'ai@wayne.ai' : 'ai@consulting.ai',
-    avatarInitial: msg.aiType === 'wayneAI' ? 'W' : 'C'
+    name: persona.name,
+    email: persona.email,
+    avatarInitial: persona.avatarInitial,
+    profileImage: persona.avatar
   };
 
   const renderContent = () => {
@@ -45,11 +70,74 @@ const AIMessage = ({
         </>
       );
     }
-    return <MessageContent content={msg.content} />;
+    return (
+      <>
+        <MessageContent
+          content={current.content}
+          quote={msg.quote}
+          onQuoteClick={onJumpToMessage}
+        />
+        {current.cancelled && (
+          <div className="ai-message-cancelled">응답 생성이 중단되었습니다.</div>
+        )}
+        <MessageSources sources={current.sources} onSourceClick={onJumpToMessage} />
+      </>
+    );
+  };
+
+  const renderControls = () => {
+    if (isStreaming) {
+      return canControl && onAICancel && (
+        <div className="ai-message-controls">
+          <Button size="sm" variant="ghost" onClick={() => onAICancel(msg._id)} title="응답 생성 중단">
+            <Square className="w-3 h-3" />
+            <span>중단</span>
+          </Button>
+        </div>
+      );
+    }
+
+    const showVariants = variants.length > 1;
+    const showRegenerate = canControl && onAIRegenerate && msg._id;
+    if (!showVariants && !showRegenerate) return null;
+
+    return (
+      <div className="ai-message-controls">
+        {showVariants && (
+          <div className="ai-message-variants">
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => setVariantIndex(index => index - 1)}
+              disabled={variantIndex <= 0}
+              title="이전 답변"
+            >
+              <ChevronLeft className="w-3 h-3" />
+            </Button>
+            <span>{variantIndex + 1} / {variants.length}</span>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => setVariantIndex(index => index + 1)}
+              disabled={variantIndex >= variants.length - 1}
+              title="다음 답변"
+            >
+              <ChevronRight className="w-3 h-3" />
+            </Button>
+          </div>
+        )}
+        {showRegenerate && (
+          <Button size="sm" variant="ghost" onClick={() => onAIRegenerate(msg._id)} title="답변 다시 생성">
+            <RefreshCw className="w-3 h-3" />
+            <span>다시 생성</span>
+          </Button>
+        )}
+      </div>
+    );
   };
 
   return (
-    <div className="message-group yours">
+    <div className="message-group yours" data-message-id={msg._id}>
       <div className="message-sender-info">
         <PersistentAvatar 
           user={aiUser}
@@ -64,6 +152,7 @@ const AIMessage = ({
         <div className="message-content">
           {renderContent()}
         </div>
+        {renderControls()}
         
         {!isStreaming && (
           <div className="message-footer">
@@ -85,11 +174,15 @@ const AIMessage = ({
       
       <MessageActions 
         messageId={msg._id}
-        messageContent={msg.content}
+        messageContent={current.content}
         reactions={msg.reactions}
         currentUserId={currentUser?.id}
         onReactionAdd={onReactionAdd}
         onReactionRemove={onReactionRemove}
+        onDelete={onMessageDelete}
+        onOpenThread={onOpenThread ? () => onOpenThread(msg) : undefined}
+        onReply={!isStreaming && onQuoteReply ? () => onQuoteReply(msg) : undefined}
+        thread={msg.thread}
         isMine={isMine}
         room={room}
       />
@@ -0,0 +1,14 @@
+import React from 'react';
+import { Text } from '@goorm-dev/vapor-components';
+
+const DeletedMessage = ({ messageId, isMine = false }) => (
+  <div className="messages" data-message-id={messageId}>
+    <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
+      <div className="message-bubble message-deleted">
+        <Text size="sm" color="secondary">삭제된 메시지입니다.</Text>
+      </div>
+    </div>
+  </div>
+);
+
+export default React.memo(DeletedMessage);
@@ -15,6 +15,7 @@ import { Text, Alert } from '@goorm-dev/vapor-components';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import MessageQuote from './MessageQuote';
 import ReadStatus from '../ReadStatus';
 import fileService from '../../../services/fileService';
 import authService from '../../../services/authService';
@@ -25,6 +26,11 @@ const FileMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onOpenThread,
+  onQuoteReply,
+  onJumpToMessage,
+  onDirectMessage,
   room = null,
   messageRef,
   socketRef
@@ -96,6 +102,8 @@ const FileMessage = ({
       size="lg"
       className="flex-shrink-0"
       showInitials={true}
+      showStatus
+      onMessage={!isMine ? onDirectMessage : undefined}
     />
   );
 
@@ -330,7 +338,7 @@ const FileMessage = ({
   };
 
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           {renderAvatar()}
@@ -350,6 +358,7 @@ const FileMessage = ({
                 <span>{error}</span>
               </Alert>
             )}
+            <MessageQuote quote={msg.quote} onClick={onJumpToMessage} />
             {renderFilePreview()}
             {msg.content && (
               <div className="mt-3">
@@ -382,6 +391,10 @@ const FileMessage = ({
           currentUserId={currentUser?.id}
           onReactionAdd={onReactionAdd}
           onReactionRemove={onReactionRemove}
+          onDelete={onMessageDelete}
+          onOpenThread={onOpenThread ? () => onOpenThread(msg) : undefined}
+          onReply={onQuoteReply ? () => onQuoteReply(msg) : undefined}
+          thread={msg.thread}
           isMine={isMine}
           room={room}
         />        
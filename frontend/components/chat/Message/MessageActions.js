@@ -1,5 +1,5 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
-import { SmilePlus, Copy } from 'lucide-react';
+import { SmilePlus, Copy, Pencil, Trash2, MessageSquare, Reply } from 'lucide-react';
 import { Button, Tooltip } from '@goorm-dev/vapor-components';
 import EmojiPicker from '../EmojiPicker';
 import { Toast } from '../../Toast';
@@ -11,6 +11,11 @@ const MessageActions = ({
   currentUserId,
   onReactionAdd,
   onReactionRemove,
+  onEdit,
+  onDelete,
+  onOpenThread,
+  onReply,
+  thread = null,
   isMine = false,
   room = null
 }) => {
@@ -52,6 +57,21 @@ const MessageActions = ({
     }
   }, [messageContent]);
 
+  // 작성자 또는 채팅방 생성자만 삭제 가능
+  const canDelete = Boolean(onDelete) && (
+    isMine || String(room?.creator?._id || room?.creator) === String(currentUserId)
+  );
+
+  // 저장된 메시지(ObjectId)만 스레드 답글/인용 답장 가능
+  const isPersisted = /^[0-9a-f]{24}$/i.test(String(messageId));
+  const canReplyInThread = Boolean(onOpenThread) && isPersisted;
+  const canQuoteReply = Boolean(onReply) && isPersisted;
+
+  const handleDelete = useCallback(() => {
+    if (!window.confirm('메시지를 삭제하시겠습니까?')) return;
+    onDelete?.(messageId);
+  }, [messageId, onDelete]);
+
   const handleReactionSelect = useCallback((emoji) => {
     try {
       const emojiChar = emoji.native || emoji;
@@ -165,6 +185,35 @@ const MessageActions = ({
     );
   }, [reactions, messageId, currentUserId, tooltipStates, handleReactionSelect, toggleTooltip, getReactionTooltip]);
 
+  const renderThreadSummary = () => {
+    if (!thread?.replyCount) return null;
+
+    const lastReplyTime = thread.lastReplyAt
+      ? new Date(thread.lastReplyAt).toLocaleString('ko-KR', {
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          hour12: false
+        })
+      : null;
+
+    return (
+      <button
+        type="button"
+        className="thread-summary"
+        onClick={onOpenThread}
+        disabled={!onOpenThread}
+      >
+        <MessageSquare className="w-4 h-4" />
+        <span className="thread-summary-count">답글 {thread.replyCount}개</span>
+        {lastReplyTime && (
+          <span className="thread-summary-time">마지막 답글 {lastReplyTime}</span>
+        )}
+      </button>
+    );
+  };
+
   const toggleEmojiPicker = useCallback((e) => {    
     e.stopPropagation();
     setShowEmojiPicker(prev => !prev);
@@ -173,6 +222,7 @@ const MessageActions = ({
   return (
     <div className={`flex flex-col ${isMine ? 'items-end' : 'items-start'}`} ref={containerRef}>
       {renderReactions()}
+      {renderThreadSummary()}
       
       <div className={`message-actions-wrapper ${isMine ? 'mine' : ''}`}>
         <div className="message-actions">
@@ -212,7 +262,51 @@ const MessageActions = ({
               title="메시지 복사"
             >
               <Copy className="w-4 h-4" />
-            </Button>            
+            </Button>
+            {canQuoteReply && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onReply}
+                title="인용하여 답장"
+              >
+                <Reply className="w-4 h-4" />
+              </Button>
+            )}
+            {canReplyInThread && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onOpenThread}
+                title="스레드에서 답글"
+              >
+                <MessageSquare className="w-4 h-4" />
+              </Button>
+            )}
+            {onEdit && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={onEdit}
+                title="메시지 수정"
+              >
+                <Pencil className="w-4 h-4" />
+              </Button>
+            )}
+            {canDelete && (
+              <Button
+                size="sm"
+                variant="ghost"
+                className="action-button"
+                onClick={handleDelete}
+                title="메시지 삭제"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            )}
           </div>
         </div>
       </div>
@@ -7,8 +7,16 @@ import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { Copy, Check } from 'lucide-react';
 import { Toast } from '../../Toast';
+import MessageQuote from './MessageQuote';
+import { isAIPersonaHandle, getAIPersonaInfo } from '../../../utils/aiPersonas';
 
-const MessageContent = ({ content, isAI = false }) => {
+// 기본 제공 AI는 고유 색상, 사용자/채팅방 정의 페르소나는 공통 봇 스타일
+const AI_MENTION_CLASSES = {
+  wayneAI: 'mention-wayne',
+  consultingAI: 'mention-consulting'
+};
+
+const MessageContent = ({ content, isAI = false, quote = null, onQuoteClick }) => {
   const [copyingMap, setCopyingMap] = useState(new Map());
 
   // 복사 기능 구현
@@ -34,7 +42,7 @@ const MessageContent = ({ content, isAI = false }) => {
 
   // 멘션 패턴을 찾아서 React 엘리먼트로 변환하는 함수
   const renderContentWithMentions = useMemo(() => (text) => {
-    const mentionPattern = /@(wayneAI|consultingAI|[\w.-]+)/g;
+    const mentionPattern = /@([\w.-]+)/g;
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -49,13 +57,13 @@ const MessageContent = ({ content, isAI = false }) => {
       }
 
       const mentionedName = match[1];
-      const isAIMention = mentionedName === 'wayneAI' || mentionedName === 'consultingAI';
+      const isAIMention = isAIPersonaHandle(mentionedName);
       const displayName = isAIMention 
-        ? (mentionedName === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
+        ? getAIPersonaInfo(mentionedName).name
         : mentionedName;
 
       const mentionClass = isAIMention 
-        ? `mention mention-bot ${mentionedName === 'wayneAI' ? 'mention-wayne' : 'mention-consulting'}`
+        ? `mention mention-bot ${AI_MENTION_CLASSES[mentionedName] || ''}`.trim()
         : 'mention mention-user';
 
       parts.push(
@@ -231,23 +239,37 @@ const MessageContent = ({ content, isAI = false }) => {
            !content.includes('|');
   }, [content]);
 
-  if (typeof content !== 'string') {
-    return String(content);
-  }
+  const renderBody = () => {
+    if (typeof content !== 'string') {
+      return String(content);
+    }
+
+    // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
+    if (isPlainText && content.includes('@')) {
+      return <div className="message-text">{renderContentWithMentions(content)}</div>;
+    }
+
+    // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
+    return (
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    );
+  };
 
-  // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
-  if (isPlainText && content.includes('@')) {
-    return <div className="message-text">{renderContentWithMentions(content)}</div>;
+  if (!quote) {
+    return renderBody();
   }
 
-  // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
+  // 인용 답장은 원본 메시지 스냅샷을 본문 위에 표시
   return (
-    <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
-      components={components}
-    >
-      {content}
-    </ReactMarkdown>
+    <>
+      <MessageQuote quote={quote} onClick={onQuoteClick} />
+      {renderBody()}
+    </>
   );
 };
 
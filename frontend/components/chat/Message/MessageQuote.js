@@ -0,0 +1,66 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import fileService from '../../../services/fileService';
+import { getAIPersonaInfo } from '../../../utils/aiPersonas';
+
+const QUOTE_EXCERPT_LENGTH = 200;
+
+// 입력창 미리보기용으로 메시지를 서버 스냅샷과 같은 형태로 변환
+export const createQuotePreview = (msg) => {
+  if (!msg?._id) return null;
+
+  const content = msg.content || '';
+  return {
+    messageId: msg._id,
+    type: msg.type,
+    sender: msg.sender,
+    aiType: msg.aiType,
+    aiName: msg.aiName,
+    excerpt: content.length > QUOTE_EXCERPT_LENGTH
+      ? `${content.slice(0, QUOTE_EXCERPT_LENGTH)}…`
+      : content,
+    file: msg.file,
+    timestamp: msg.timestamp
+  };
+};
+
+const MessageQuote = ({ quote, onClick }) => {
+  if (!quote?.messageId) return null;
+
+  const senderName = quote.type === 'ai'
+    ? quote.aiName || getAIPersonaInfo(quote.aiType).name
+    : quote.sender?.name || '알 수 없는 사용자';
+  const isImage = quote.file?.mimetype?.startsWith('image/');
+
+  return (
+    <button
+      type="button"
+      className="message-quote"
+      onClick={() => onClick?.(quote.messageId)}
+      disabled={!onClick}
+      title={onClick ? '원본 메시지로 이동' : undefined}
+    >
+      {isImage ? (
+        <img
+          className="message-quote-thumbnail"
+          src={fileService.getPreviewUrl(quote.file, true)}
+          alt={quote.file.originalname}
+          loading="lazy"
+          onError={(e) => {
+            e.target.style.display = 'none';
+          }}
+        />
+      ) : quote.file && (
+        <FileText className="w-4 h-4 flex-shrink-0" />
+      )}
+      <span className="message-quote-body">
+        <span className="message-quote-sender">{senderName}</span>
+        <span className="message-quote-excerpt">
+          {quote.excerpt || quote.file?.originalname || '첨부 파일'}
+        </span>
+      </span>
+    </button>
+  );
+};
+
+export default React.memo(MessageQuote);
@@ -0,0 +1,65 @@
+import React, { useState, useCallback } from 'react';
+import { Modal, ModalBody, ModalHeader, Text } from '@goorm-dev/vapor-components';
+import MessageContent from './MessageContent';
+
+const formatRevisionTime = (date) => new Date(date).toLocaleString('ko-KR', {
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const MessageRevisions = ({ content, editedAt, revisions = [] }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggle = useCallback(() => setIsOpen(prev => !prev), []);
+
+  if (!editedAt) return null;
+
+  // 최신 내용부터 표시
+  const history = [
+    { content, editedAt, isCurrent: true },
+    ...[...revisions].reverse()
+  ];
+
+  return (
+    <>
+      <button
+        type="button"
+        className="message-edited-marker"
+        onClick={toggle}
+        title="수정 기록 보기"
+      >
+        (수정됨)
+      </button>
+
+      <Modal
+        isOpen={isOpen}
+        toggle={toggle}
+        type="center"
+        size="md"
+        className="message-revisions-modal"
+      >
+        <ModalHeader toggle={toggle}>수정 기록</ModalHeader>
+        <ModalBody>
+          <ul className="message-revision-list">
+            {history.map((revision, index) => (
+              <li key={`${revision.editedAt}-${index}`} className="message-revision-item">
+                <Text typography="body3" color="text-muted">
+                  {formatRevisionTime(revision.editedAt)}
+                  {revision.isCurrent ? ' · 현재' : index === history.length - 1 ? ' · 원본' : ''}
+                </Text>
+                <div className="message-revision-content">
+                  <MessageContent content={revision.content} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        </ModalBody>
+      </Modal>
+    </>
+  );
+};
+
+export default React.memo(MessageRevisions);
@@ -0,0 +1,32 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+
+// AI 답변이 [n]으로 인용한 문서 구절 (클릭 시 파일을 공유한 메시지로 이동)
+const MessageSources = ({ sources, onSourceClick }) => {
+  if (!sources?.length) return null;
+
+  return (
+    <div className="message-sources">
+      <span className="message-sources-label">참고 문서</span>
+      <ul className="message-sources-list">
+        {sources.map(source => (
+          <li key={source.index}>
+            <button
+              type="button"
+              className="message-source"
+              onClick={() => onSourceClick?.(source.message)}
+              disabled={!onSourceClick}
+              title={source.excerpt}
+            >
+              <span className="message-source-index">[{source.index}]</span>
+              <FileText className="w-3 h-3 flex-shrink-0" />
+              <span className="message-source-filename">{source.filename}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default React.memo(MessageSources);
@@ -1,20 +1,34 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useCallback } from 'react';
+import { Button } from '@goorm-dev/vapor-components';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import MessageRevisions from './MessageRevisions';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import ReadStatus from '../ReadStatus';
 import { generateColorFromEmail, getContrastTextColor } from '../../../utils/colorUtils';
 
+// 서버의 MESSAGE_EDIT_WINDOW_MS와 동일하게 설정
+const MESSAGE_EDIT_WINDOW = Number(process.env.NEXT_PUBLIC_MESSAGE_EDIT_WINDOW_MS) || 15 * 60 * 1000;
+
 const UserMessage = ({
   msg = {}, 
   isMine = false, 
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageEdit,
+  onMessageDelete,
+  onOpenThread,
+  onQuoteReply,
+  onJumpToMessage,
+  onDirectMessage,
   room = null,
   messageRef,
   socketRef
 }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
   const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
@@ -36,8 +50,41 @@ const UserMessage = ({
 
   const user = isMine ? currentUser : msg.sender;
 
+  const canEdit = isMine &&
+    (!msg.type || msg.type === 'text') &&
+    Date.now() - new Date(msg.timestamp).getTime() < MESSAGE_EDIT_WINDOW;
+
+  const startEditing = useCallback(() => {
+    setDraft(msg.content || '');
+    setIsEditing(true);
+  }, [msg.content]);
+
+  const cancelEditing = useCallback(() => {
+    setIsEditing(false);
+    setDraft('');
+  }, []);
+
+  const submitEdit = useCallback(async () => {
+    if (draft.trim() === msg.content) {
+      cancelEditing();
+      return;
+    }
+
+    const sent = await onMessageEdit?.(msg._id, draft);
+    if (sent) cancelEditing();
+  }, [draft, msg._id, msg.content, onMessageEdit, cancelEditing]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit();
+    } else if (e.key === 'Escape') {
+      cancelEditing();
+    }
+  }, [submitEdit, cancelEditing]);
+
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           <PersistentAvatar
@@ -45,6 +92,8 @@ const UserMessage = ({
             size="lg"
             style={avatarStyles}
             showInitials={true}
+            showStatus
+            onMessage={!isMine ? onDirectMessage : undefined}
           />
           <span className="sender-name">
             {isMine ? '나' : msg.sender?.name}
@@ -52,9 +101,39 @@ const UserMessage = ({
         </div>
         <div className={`message-bubble ${isMine ? 'message-mine' : 'message-other'} last relative group`}>
           <div className="message-content">
-            <MessageContent content={msg.content} />
+            {isEditing ? (
+              <div className="message-edit-form">
+                <textarea
+                  className="message-edit-textarea"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  rows={3}
+                  autoFocus
+                />
+                <div className="message-edit-actions">
+                  <Button size="sm" variant="secondary" onClick={cancelEditing}>
+                    취소
+                  </Button>
+                  <Button size="sm" variant="primary" onClick={submitEdit} disabled={!draft.trim()}>
+                    저장
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              <MessageContent
+                content={msg.content}
+                quote={msg.quote}
+                onQuoteClick={onJumpToMessage}
+              />
+            )}
           </div>
           <div className="message-footer">
+            <MessageRevisions
+              content={msg.content}
+              editedAt={msg.editedAt}
+              revisions={msg.revisions}
+            />
             <div className="message-time mr-3">
               {formattedTime}
             </div>
@@ -77,6 +156,11 @@ const UserMessage = ({
           currentUserId={currentUser?.id}
           onReactionAdd={onReactionAdd}
           onReactionRemove={onReactionRemove}
+          onDelete={onMessageDelete}
+          onOpenThread={onOpenThread ? () => onOpenThread(msg) : undefined}
+          onReply={onQuoteReply ? () => onQuoteReply(msg) : undefined}
+          thread={msg.thread}
+          onEdit={canEdit && !isEditing ? startEditing : undefined}
           isMine={isMine}
           room={room}
         />
@@ -91,6 +175,7 @@ UserMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageEdit: () => {},
   room: null
 };
 
@@ -0,0 +1,170 @@
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Spinner, Text } from '@goorm-dev/vapor-components';
+import { X, Send } from 'lucide-react';
+import { FileMessage, UserMessage, AIMessage, DeletedMessage } from './Message';
+
+const ThreadPanel = ({
+  parent,
+  messages = [],
+  hasMore = false,
+  loading = false,
+  currentUser,
+  room,
+  socketRef,
+  onClose,
+  onLoadMore,
+  onSend,
+  onReactionAdd,
+  onReactionRemove,
+  onMessageEdit,
+  onMessageDelete
+}) => {
+  const [reply, setReply] = useState('');
+  const listEndRef = useRef(null);
+  const lastMessageId = messages[messages.length - 1]?._id;
+
+  // 마지막 답글이 바뀔 때만 하단으로 스크롤 (이전 답글 로드는 제외)
+  useEffect(() => {
+    if (lastMessageId) {
+      listEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [lastMessageId]);
+
+  const isMine = useCallback((msg) => {
+    if (!msg?.sender || !currentUser?.id) return false;
+    return (
+      msg.sender._id === currentUser.id ||
+      msg.sender.id === currentUser.id ||
+      msg.sender === currentUser.id
+    );
+  }, [currentUser?.id]);
+
+  const handleSubmit = useCallback((e) => {
+    e?.preventDefault();
+    if (onSend?.(reply)) {
+      setReply('');
+    }
+  }, [reply, onSend]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  }, [handleSubmit]);
+
+  const renderMessage = (msg) => {
+    if (!msg) return null;
+
+    if (msg.isDeleted) {
+      return <DeletedMessage key={msg._id} isMine={isMine(msg)} />;
+    }
+
+    const MessageComponent = {
+      file: FileMessage,
+      ai: AIMessage
+    }[msg.type] || UserMessage;
+
+    return (
+      <MessageComponent
+        key={msg._id}
+        msg={msg}
+        content={msg.content}
+        isMine={isMine(msg)}
+        currentUser={currentUser}
+        room={room}
+        onReactionAdd={onReactionAdd}
+        onReactionRemove={onReactionRemove}
+        onMessageEdit={onMessageEdit}
+        onMessageDelete={onMessageDelete}
+        messageRef={msg}
+        socketRef={socketRef}
+      />
+    );
+  };
+
+  if (!parent) return null;
+
+  return (
+    <Card className="thread-panel-card">
+      <Card.Header className="thread-panel-header">
+        <div className="flex flex-col">
+          <Text size="lg" weight="bold">스레드</Text>
+          <Text typography="body3" color="text-muted">
+            답글 {parent.thread?.replyCount || 0}개
+          </Text>
+        </div>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          title="스레드 닫기"
+        >
+          <X className="w-4 h-4" />
+        </Button>
+      </Card.Header>
+
+      <Card.Body className="thread-panel-body">
+        <div className="thread-parent">
+          {renderMessage(parent)}
+        </div>
+
+        <div className="thread-replies">
+          {hasMore && (
+            <div className="thread-load-more">
+              <Button
+                size="sm"
+                variant="text"
+                onClick={onLoadMore}
+                disabled={loading}
+              >
+                이전 답글 불러오기
+              </Button>
+            </div>
+          )}
+
+          {loading && (
+            <div className="loading-messages">
+              <Spinner size="sm" className="text-primary" />
+              <Text size="sm" color="secondary">답글을 불러오는 중...</Text>
+            </div>
+          )}
+
+          {!loading && messages.length === 0 && (
+            <div className="thread-empty">
+              <Text size="sm" color="secondary">아직 답글이 없습니다.</Text>
+            </div>
+          )}
+
+          {messages.map(msg => renderMessage(msg))}
+          <div ref={listEndRef} />
+        </div>
+      </Card.Body>
+
+      <Card.Footer className="thread-panel-footer">
+        <form className="thread-input" onSubmit={handleSubmit}>
+          <textarea
+            className="thread-input-textarea"
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="스레드에 답글 달기... (Shift + Enter로 줄바꿈)"
+            rows={2}
+          />
+          <Button
+            type="submit"
+            size="md"
+            variant="primary"
+            disabled={!reply.trim()}
+            title="답글 보내기"
+          >
+            <Send className="w-4 h-4" />
+          </Button>
+        </form>
+      </Card.Footer>
+    </Card>
+  );
+};
+
+export default React.memo(ThreadPanel);
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const MAX_NAMED_TYPERS = 2;
+
+// "A님이", "A님과 B님이", "A님, B님 외 N명이" 형태로 입력 중인 사용자 표시
+const formatTypingText = (users) => {
+  const names = users.map(user => `${user.name || '알 수 없는 사용자'}님`);
+
+  if (names.length === 1) return `${names[0]}이 입력 중입니다…`;
+  if (names.length === 2) return `${names[0]}과 ${names[1]}이 입력 중입니다…`;
+
+  const othersCount = names.length - MAX_NAMED_TYPERS;
+  return `${names.slice(0, MAX_NAMED_TYPERS).join(', ')} 외 ${othersCount}명이 입력 중입니다…`;
+};
+
+const TypingIndicator = ({ typingUsers = [] }) => (
+  <div className="chat-typing-indicator" aria-live="polite">
+    {typingUsers.length > 0 && (
+      <>
+        <span className="typing-indicator">
+          <span></span>
+          <span></span>
+          <span></span>
+        </span>
+        <span className="chat-typing-text">{formatTypingText(typingUsers)}</span>
+      </>
+    )}
+  </div>
+);
+
+export default React.memo(TypingIndicator);
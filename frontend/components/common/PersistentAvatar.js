@@ -1,17 +1,37 @@
-import React, { useState, useEffect, useCallback, forwardRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, forwardRef } from 'react';
 import { Avatar } from '@goorm-dev/vapor-core';
+import { MessageCircle } from 'lucide-react';
 import { getConsistentAvatarStyles } from '../../utils/colorUtils';
+import PresenceDot from './PresenceDot';
 
 const PersistentAvatar = forwardRef(({
   user,
   size = "md",
   className = "",
   onClick,
+  onMessage,
   showInitials = true,
+  showStatus = false,
   ...props
 }, ref) => {
   const [currentImage, setCurrentImage] = useState('');
   const [imageError, setImageError] = useState(false);
+  const [showActions, setShowActions] = useState(false);
+  const wrapperRef = useRef(null);
+
+  // 메시지 메뉴 바깥 클릭 시 닫기
+  useEffect(() => {
+    if (!showActions) return;
+
+    const handleClickOutside = (e) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(e.target)) {
+        setShowActions(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [showActions]);
 
   // getProfileImageUrl 함수 memoization
   const getProfileImageUrl = useCallback((imagePath) => {
@@ -90,12 +110,19 @@ const PersistentAvatar = forwardRef(({
     });
   };
 
-  return (
+  const handleAvatarClick = (e) => {
+    onClick?.(e);
+    if (onMessage) {
+      setShowActions(prev => !prev);
+    }
+  };
+
+  const avatarElement = (
     <Avatar
       ref={ref}
       size={size}
-      className={`persistent-avatar ${className}`}
-      onClick={onClick}
+      className={`persistent-avatar ${onMessage ? 'cursor-pointer' : ''} ${className}`}
+      onClick={onMessage ? handleAvatarClick : onClick}
       style={combinedStyles}
       {...props}
     >
@@ -122,6 +149,38 @@ const PersistentAvatar = forwardRef(({
       ) : null}
     </Avatar>
   );
+
+  // 상태 표시는 overflow: hidden인 아바타 바깥에 겹쳐 표시
+  const userId = user?._id || user?.id;
+  const avatar = showStatus && userId ? (
+    <span className="avatar-status-wrapper">
+      {avatarElement}
+      <PresenceDot userId={userId} />
+    </span>
+  ) : avatarElement;
+
+  if (!onMessage) return avatar;
+
+  return (
+    <span className="avatar-actions-wrapper" ref={wrapperRef}>
+      {avatar}
+      {showActions && (
+        <div className="avatar-actions-menu">
+          <button
+            type="button"
+            onClick={() => {
+              setShowActions(false);
+              onMessage(user);
+            }}
+            title="메시지 보내기"
+          >
+            <MessageCircle className="w-4 h-4" />
+            메시지 보내기
+          </button>
+        </div>
+      )}
+    </span>
+  );
 });
 
 PersistentAvatar.displayName = 'PersistentAvatar';
@@ -0,0 +1,32 @@
+import React from 'react';
+import { usePresence } from '../../hooks/usePresence';
+
+const STATUS_LABELS = {
+  online: '온라인',
+  away: '자리 비움',
+  offline: '오프라인'
+};
+
+const formatPresenceLabel = ({ status, lastSeen }) => {
+  const label = STATUS_LABELS[status] || STATUS_LABELS.offline;
+  if (status !== 'offline' || !lastSeen) return label;
+  return `${label} · 마지막 접속 ${new Date(lastSeen).toLocaleString('ko-KR')}`;
+};
+
+const PresenceDot = ({ userId, className = '' }) => {
+  const presence = usePresence(userId);
+  if (!presence) return null;
+
+  const label = formatPresenceLabel(presence);
+
+  return (
+    <span
+      className={`presence-dot presence-${presence.status} ${className}`}
+      title={label}
+      aria-label={label}
+      role="img"
+    />
+  );
+};
+
+export default React.memo(PresenceDot);
@@ -19,6 +19,10 @@ export const useAIMessageHandling = (
           _id: data.messageId,
           type: "ai",
           aiType: data.aiType,
+          aiName: data.aiName,
+          aiAvatar: data.aiAvatar,
+          requestedBy: data.requestedBy,
+          regenerateOf: data.regenerateOf,
           content: "",
           timestamp: new Date(data.timestamp),
           isStreaming: true,
@@ -78,13 +82,36 @@ export const useAIMessageHandling = (
         return rest;
       });
 
+      // 다시 생성한 답변은 기존 메시지를 갱신
+      if (data.regenerateOf) {
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg._id === data.regenerateOf
+              ? {
+                  ...msg,
+                  content: data.content,
+                  sources: data.sources,
+                  cancelled: data.cancelled,
+                  variants: data.variants,
+                }
+              : msg
+          )
+        );
+        return;
+      }
+
       setMessages((prev) => [
         ...prev,
         {
           _id: data._id,
           type: "ai",
           aiType: data.aiType,
+          aiName: data.aiName,
+          aiAvatar: data.aiAvatar,
           content: data.content,
+          sources: data.sources,
+          cancelled: data.cancelled,
+          metadata: data.metadata,
           timestamp: new Date(data.timestamp),
           isComplete: true,
         },
@@ -106,6 +133,27 @@ export const useAIMessageHandling = (
     Toast.error(`AI 응답 오류: ${data.error}`);
   }, []);
 
+  const handleAIMessageActionError = useCallback((data) => {
+    console.error("AI message action error:", data);
+    Toast.error(data.message);
+  }, []);
+
+  // 생성 중인 답변 중단 (중단 시점까지의 응답은 저장됨)
+  const cancelAIMessage = useCallback(
+    (messageId) => {
+      socketRef.current?.emit("aiMessageCancel", { messageId });
+    },
+    [socketRef]
+  );
+
+  // 같은 질문으로 답변을 다시 생성해 기존 메시지의 변형으로 저장
+  const regenerateAIMessage = useCallback(
+    (messageId) => {
+      socketRef.current?.emit("aiMessageRegenerate", { messageId });
+    },
+    [socketRef]
+  );
+
   // Socket.IO 이벤트 리스너 설정 함수
   const setupAIMessageListeners = useCallback(() => {
     if (!socketRef.current) {
@@ -120,20 +168,23 @@ export const useAIMessageHandling = (
       .off("aiMessageStart")
       .off("aiMessageChunk")
       .off("aiMessageComplete")
-      .off("aiMessageError");
+      .off("aiMessageError")
+      .off("aiMessageActionError");
 
     // 새 리스너 등록
     socket.on("aiMessageStart", handleAIMessageStart);
     socket.on("aiMessageChunk", handleAIMessageChunk);
     socket.on("aiMessageComplete", handleAIMessageComplete);
     socket.on("aiMessageError", handleAIMessageError);
+    socket.on("aiMessageActionError", handleAIMessageActionError);
 
     return () => {
       socket
         .off("aiMessageStart")
         .off("aiMessageChunk")
         .off("aiMessageComplete")
-        .off("aiMessageError");
+        .off("aiMessageError")
+        .off("aiMessageActionError");
     };
   }, [
     socketRef,
@@ -141,6 +192,7 @@ export const useAIMessageHandling = (
     handleAIMessageChunk,
     handleAIMessageComplete,
     handleAIMessageError,
+    handleAIMessageActionError,
   ]);
 
   // AI 메시지 전송 함수
@@ -182,6 +234,8 @@ export const useAIMessageHandling = (
     handleAIMessageError,
     setupAIMessageListeners,
     sendAIMessage,
+    cancelAIMessage,
+    regenerateAIMessage,
   };
 };
 
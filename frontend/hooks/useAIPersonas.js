@@ -0,0 +1,36 @@
+// hooks/useAIPersonas.js
+
+import { useState, useEffect } from "react";
+import axiosInstance from "../services/axios";
+import { BUILT_IN_PERSONAS, registerAIPersonas } from "../utils/aiPersonas";
+
+// 채팅방에서 멘션할 수 있는 AI 페르소나 목록 (기본 제공 + 채팅방 + 개인)
+// 목록을 불러오기 전이나 실패한 경우에도 기본 제공 페르소나는 멘션 가능
+export const useAIPersonas = (roomId) => {
+  const [personas, setPersonas] = useState(BUILT_IN_PERSONAS);
+
+  useEffect(() => {
+    if (!roomId) return;
+    let cancelled = false;
+
+    axiosInstance
+      .get("/api/ai/personas", { params: { roomId } })
+      .then((response) => {
+        if (cancelled) return;
+        const data = response.data?.data || [];
+        registerAIPersonas(data);
+        setPersonas(data);
+      })
+      .catch((error) => {
+        console.error("AI personas fetch error:", error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  return personas;
+};
+
+export default useAIPersonas;
@@ -5,6 +5,12 @@ import socketService from "../services/socket";
 import { useFileHandling } from "./useFileHandling";
 import { useMessageHandling } from "./useMessageHandling";
 import { useReactionHandling } from "./useReactionHandling";
+import { useMessageEditHandling } from "./useMessageEditHandling";
+import { useMessageDeleteHandling } from "./useMessageDeleteHandling";
+import { useThreadHandling } from "./useThreadHandling";
+import { useRoomModerationHandling } from "./useRoomModerationHandling";
+import { useDirectMessage } from "./useDirectMessage";
+import { useTypingIndicator } from "./useTypingIndicator";
 import { useAIMessageHandling } from "./useAIMessageHandling";
 import { useScrollHandling } from "./useScrollHandling";
 import { useSocketHandling } from "./useSocketHandling";
@@ -19,6 +25,37 @@ const CLEANUP_REASONS = {
   ERROR: "error",
 };
 
+const SOCKET_REQUEST_TIMEOUT = 10000;
+
+// 요청 이벤트를 보내고 응답 또는 오류 이벤트 중 먼저 도착한 것으로 처리
+const requestSocketEvent = (socket, event, payload, { successEvent, errorEvent }) =>
+  new Promise((resolve, reject) => {
+    const removeListeners = () => {
+      clearTimeout(timeoutId);
+      socket.off(successEvent, handleSuccess);
+      socket.off(errorEvent, handleError);
+    };
+    const handleSuccess = (data) => {
+      removeListeners();
+      resolve(data);
+    };
+    const handleError = (error) => {
+      removeListeners();
+      reject(new Error(error?.message || "Socket request failed"));
+    };
+    const timeoutId = setTimeout(() => {
+      removeListeners();
+      reject(new Error("Socket request timed out"));
+    }, SOCKET_REQUEST_TIMEOUT);
+
+    socket.on(successEvent, handleSuccess);
+    socket.on(errorEvent, handleError);
+    socket.emit(event, payload);
+  });
+
+const byTimestamp = (a, b) =>
+  new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+
 export const useChatRoom = () => {
   const router = useRouter();
   const [room, setRoom] = useState(null);
@@ -29,6 +66,7 @@ export const useChatRoom = () => {
   const [connectionStatus, setConnectionStatus] = useState("checking");
   const [messageLoadError, setMessageLoadError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [readMarker, setReadMarker] = useState(null);
 
   // Refs
   const messageInputRef = useRef(null);
@@ -46,6 +84,7 @@ export const useChatRoom = () => {
   const scrollPositionRef = useRef(0);
   const processedMessageIds = useRef(new Set());
   const loadMoreTimeoutRef = useRef(null);
+  const handledJumpTargetRef = useRef(null);
   const previousScrollHeightRef = useRef(0);
   const isLoadingRef = useRef(false);
   const loadMoreTriggeredRef = useRef(false);
@@ -66,9 +105,17 @@ export const useChatRoom = () => {
     loadingMessages,
     messagesEndRef,
     scrollToBottom,
+    scrollToMessage,
     handleScroll,
     setHasMoreMessages,
     setLoadingMessages,
+    isDetached,
+    isDetachedRef,
+    setIsDetached,
+    hasNewerMessages,
+    setHasNewerMessages,
+    loadingNewerMessages,
+    setLoadingNewerMessages,
   } = useScrollHandling(socketRef, router, messages);
 
   // AI Message handling hook
@@ -80,6 +127,8 @@ export const useChatRoom = () => {
     handleAIMessageComplete,
     handleAIMessageError,
     setupAIMessageListeners,
+    cancelAIMessage,
+    regenerateAIMessage,
   } = useAIMessageHandling(
     socketRef,
     setMessages,
@@ -111,8 +160,20 @@ export const useChatRoom = () => {
     getFilteredParticipants,
     insertMention,
     removeFilePreview,
+    quoteTarget,
+    handleQuoteReply,
+    cancelQuoteReply,
+    handleQuotedMessageDeleted,
   } = useMessageHandling(socketRef, currentUser, router);
 
+  // Typing indicator hook
+  const { typingUsers, handleTypingUpdate } = useTypingIndicator(
+    socketRef,
+    router.query.room,
+    message,
+    currentUser?.id
+  );
+
   // Cleanup 함수 수정
   const cleanup = useCallback(
     (reason = "MANUAL") => {
@@ -147,7 +208,25 @@ export const useChatRoom = () => {
           socketRef.current.off("aiMessageChunk");
           socketRef.current.off("aiMessageComplete");
           socketRef.current.off("aiMessageError");
+          socketRef.current.off("aiMessageActionError");
           socketRef.current.off("messageReactionUpdate");
+          socketRef.current.off("messageEdited");
+          socketRef.current.off("messageEditError");
+          socketRef.current.off("messageDeleted");
+          socketRef.current.off("messageDeleteError");
+          socketRef.current.off("threadMessage");
+          socketRef.current.off("threadMessagesLoaded");
+          socketRef.current.off("threadMessagesError");
+          socketRef.current.off("messagesAroundLoaded");
+          socketRef.current.off("messagesAroundError");
+          socketRef.current.off("newerMessagesLoaded");
+          socketRef.current.off("newerMessagesError");
+          socketRef.current.off("memberRoleUpdated");
+          socketRef.current.off("memberRemoved");
+          socketRef.current.off("removedFromRoom");
+          socketRef.current.off("roomUpdated");
+          socketRef.current.off("roomDeleted");
+          socketRef.current.off("typingUpdate");
           socketRef.current.off("session_ended");
           socketRef.current.off("error");
         }
@@ -212,6 +291,46 @@ export const useChatRoom = () => {
   const { handleReactionAdd, handleReactionRemove, handleReactionUpdate } =
     useReactionHandling(socketRef, currentUser, messages, setMessages);
 
+  // Thread handling hook
+  const {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    setThreadMessages,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleThreadMessagesLoaded,
+    handleThreadMessage,
+    handleThreadMessageDeleted,
+    handleThreadMessagesError,
+  } = useThreadHandling(socketRef, router.query.room, messages, setMessages);
+
+  // Message edit handling hook
+  const { handleMessageEdit, handleMessageEdited, handleMessageEditError } =
+    useMessageEditHandling(socketRef, setMessages, setThreadMessages);
+
+  // Message delete handling hook
+  const {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError,
+  } = useMessageDeleteHandling(socketRef, setMessages, setThreadMessages);
+
+  // Room moderation handling hook
+  const {
+    handleMemberRoleUpdated,
+    handleMemberRemoved,
+    handleRemovedFromRoom,
+    handleRoomUpdated,
+    handleRoomDeleted,
+  } = useRoomModerationHandling(router, setRoom);
+
+  // Direct message hook
+  const { openDirectMessage } = useDirectMessage();
+
   // 메시지 처리 유틸리티 함수
   const processMessages = useCallback(
     (loadedMessages, hasMore, isInitialLoad = false) => {
@@ -323,6 +442,167 @@ export const useChatRoom = () => {
     setHasMoreMessages,
   ]);
 
+  // 현재 메시지 목록을 새로 불러온 구간으로 교체
+  const replaceMessages = useCallback(
+    (loadedMessages) => {
+      const sortedMessages = loadedMessages
+        .filter((msg) => msg?._id)
+        .sort(byTimestamp);
+
+      processedMessageIds.current.clear();
+      sortedMessages.forEach((msg) => processedMessageIds.current.add(msg._id));
+      setMessages(sortedMessages);
+    },
+    [setMessages]
+  );
+
+  // 특정 메시지 주변 구간 로드 (최신 메시지가 아니면 화면을 최신 메시지에서 분리)
+  const loadMessagesAround = useCallback(
+    async (messageId) => {
+      if (!socketRef.current?.connected) {
+        throw new Error("Socket not connected");
+      }
+
+      const response = await requestSocketEvent(
+        socketRef.current,
+        "fetchMessagesAround",
+        { roomId: router?.query?.room, messageId },
+        { successEvent: "messagesAroundLoaded", errorEvent: "messagesAroundError" }
+      );
+
+      replaceMessages(response.messages || []);
+      setHasMoreMessages(response.hasOlder);
+      setHasNewerMessages(response.hasNewer);
+      setIsDetached(response.hasNewer);
+    },
+    [
+      socketRef,
+      router?.query?.room,
+      replaceMessages,
+      setHasMoreMessages,
+      setHasNewerMessages,
+      setIsDetached,
+    ]
+  );
+
+  // 분리된 화면에서 이후 메시지 로드 (끝까지 불러오면 최신 메시지에 다시 고정)
+  const loadNewerMessages = useCallback(async () => {
+    const lastMessage = messages[messages.length - 1];
+    if (
+      !socketRef.current?.connected ||
+      !hasNewerMessages ||
+      loadingNewerMessages ||
+      !lastMessage
+    ) {
+      return;
+    }
+
+    try {
+      setLoadingNewerMessages(true);
+
+      const response = await requestSocketEvent(
+        socketRef.current,
+        "fetchNewerMessages",
+        {
+          roomId: router?.query?.room,
+          after: {
+            timestamp: new Date(lastMessage.timestamp).getTime(),
+            _id: lastMessage._id,
+          },
+        },
+        { successEvent: "newerMessagesLoaded", errorEvent: "newerMessagesError" }
+      );
+
+      const newerMessages = (response.messages || []).filter(
+        (msg) => msg?._id && !processedMessageIds.current.has(msg._id)
+      );
+      newerMessages.forEach((msg) => processedMessageIds.current.add(msg._id));
+
+      setMessages((prev) => {
+        const existingIds = new Set(prev.map((msg) => msg._id));
+        return [
+          ...prev,
+          ...newerMessages.filter((msg) => !existingIds.has(msg._id)),
+        ].sort(byTimestamp);
+      });
+      setHasNewerMessages(response.hasMore);
+      if (!response.hasMore) {
+        setIsDetached(false);
+      }
+    } catch (error) {
+      console.error("Load newer messages error:", error);
+      Toast.error("이후 메시지를 불러오는데 실패했습니다.");
+    } finally {
+      setLoadingNewerMessages(false);
+    }
+  }, [
+    socketRef,
+    router?.query?.room,
+    messages,
+    hasNewerMessages,
+    loadingNewerMessages,
+    setHasNewerMessages,
+    setIsDetached,
+    setLoadingNewerMessages,
+  ]);
+
+  // 최신 메시지로 돌아가기
+  const jumpToPresent = useCallback(async () => {
+    if (!socketRef.current?.connected || loadingNewerMessages) return;
+
+    try {
+      setLoadingNewerMessages(true);
+
+      const response = await requestSocketEvent(
+        socketRef.current,
+        "fetchPreviousMessages",
+        { roomId: router?.query?.room },
+        { successEvent: "previousMessagesLoaded", errorEvent: "error" }
+      );
+
+      replaceMessages(response.messages || []);
+      setHasMoreMessages(response.hasMore);
+      setHasNewerMessages(false);
+      setIsDetached(false);
+    } catch (error) {
+      console.error("Jump to present error:", error);
+      Toast.error("최신 메시지를 불러오는데 실패했습니다.");
+    } finally {
+      setLoadingNewerMessages(false);
+    }
+  }, [
+    socketRef,
+    router?.query?.room,
+    loadingNewerMessages,
+    replaceMessages,
+    setHasMoreMessages,
+    setHasNewerMessages,
+    setIsDetached,
+    setLoadingNewerMessages,
+  ]);
+
+  // 메시지로 이동 (인용 원본, 검색 결과 등)
+  const jumpToMessage = useCallback(
+    (messageId) => scrollToMessage(messageId, loadMessagesAround),
+    [scrollToMessage, loadMessagesAround]
+  );
+
+  // ?message= 로 지정된 메시지로 초기 로드 후 한 번 이동 (검색 결과 등)
+  useEffect(() => {
+    const targetId = router.query.message;
+    if (
+      !targetId ||
+      loading ||
+      messages.length === 0 ||
+      handledJumpTargetRef.current === targetId
+    ) {
+      return;
+    }
+
+    handledJumpTargetRef.current = targetId;
+    jumpToMessage(targetId);
+  }, [router.query.message, loading, messages.length, jumpToMessage]);
+
   // Event listeners setup
   const setupEventListeners = useCallback(() => {
     if (!socketRef.current || !mountedRef.current) return;
@@ -339,6 +619,9 @@ export const useChatRoom = () => {
       )
         return;
 
+      // 최신 메시지에서 벗어난 화면에서는 이후 메시지 로드 시 함께 불러옴
+      if (isDetachedRef.current) return;
+
       if (processedMessageIds.current.has(message._id)) {
         return;
       }
@@ -367,6 +650,7 @@ export const useChatRoom = () => {
         !newMessage._id
       )
         return;
+      if (isDetachedRef.current) return;
       if (processedMessageIds.current.has(newMessage._id)) {
         return;
       }
@@ -421,6 +705,78 @@ export const useChatRoom = () => {
       handleReactionUpdate(data);
     });
 
+    // 메시지 수정 이벤트
+    socketRef.current.on("messageEdited", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageEdited(data);
+    });
+
+    socketRef.current.on("messageEditError", (error) => {
+      if (!mountedRef.current) return;
+      handleMessageEditError(error);
+    });
+
+    // 메시지 삭제 이벤트
+    socketRef.current.on("messageDeleted", (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleted(data);
+      handleThreadMessageDeleted(data);
+      handleQuotedMessageDeleted(data.messageId);
+    });
+
+    socketRef.current.on("messageDeleteError", (error) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleteError(error);
+    });
+
+    // 스레드 이벤트
+    socketRef.current.on("threadMessage", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessage(data);
+    });
+
+    socketRef.current.on("threadMessagesLoaded", (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessagesLoaded(data);
+    });
+
+    socketRef.current.on("threadMessagesError", (error) => {
+      if (!mountedRef.current) return;
+      handleThreadMessagesError(error);
+    });
+
+    // 채팅방 관리 이벤트
+    socketRef.current.on("memberRoleUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handleMemberRoleUpdated(data);
+    });
+
+    socketRef.current.on("memberRemoved", (data) => {
+      if (!mountedRef.current) return;
+      handleMemberRemoved(data);
+    });
+
+    socketRef.current.on("removedFromRoom", (data) => {
+      if (!mountedRef.current) return;
+      handleRemovedFromRoom(data);
+    });
+
+    socketRef.current.on("roomUpdated", (data) => {
+      if (!mountedRef.current) return;
+      handleRoomUpdated(data);
+    });
+
+    socketRef.current.on("roomDeleted", (roomId) => {
+      if (!mountedRef.current) return;
+      handleRoomDeleted(roomId);
+    });
+
+    // 입력 중 표시
+    socketRef.current.on("typingUpdate", (data) => {
+      if (!mountedRef.current) return;
+      handleTypingUpdate(data);
+    });
+
     // 세션 이벤트
     socketRef.current.on("session_ended", () => {
       if (!mountedRef.current) return;
@@ -444,6 +800,21 @@ export const useChatRoom = () => {
     cleanup,
     router,
     handleReactionUpdate,
+    handleMessageEdited,
+    handleMessageEditError,
+    handleMessageDeleted,
+    handleMessageDeleteError,
+    handleThreadMessage,
+    handleThreadMessagesLoaded,
+    handleThreadMessageDeleted,
+    handleThreadMessagesError,
+    handleQuotedMessageDeleted,
+    handleMemberRoleUpdated,
+    handleMemberRemoved,
+    handleRemovedFromRoom,
+    handleRoomUpdated,
+    handleRoomDeleted,
+    handleTypingUpdate,
     setLoadingMessages,
     setError,
   ]);
@@ -473,7 +844,8 @@ export const useChatRoom = () => {
     initializingRef,
     setupCompleteRef,
     userRooms.current,
-    processMessages
+    processMessages,
+    setReadMarker
   );
 
   // Socket connection monitoring
@@ -509,7 +881,7 @@ export const useChatRoom = () => {
 
       // 새 메시지 이벤트 리스너
       socketRef.current.on("message", (newMessage) => {
-        if (!newMessage || !newMessage._id) return;
+        if (!newMessage || !newMessage._id || isDetachedRef.current) return;
 
         console.log("New message received:", newMessage);
 
@@ -713,12 +1085,22 @@ export const useChatRoom = () => {
     room,
     messages: filteredMessages,
     streamingMessages,
+    quoteTarget,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
     ...connectionInfo,
     currentUser,
     ...messageInputState,
     isNearBottom,
     hasMoreMessages,
     loadingMessages,
+    isDetached,
+    hasNewerMessages,
+    loadingNewerMessages,
+    readMarker,
+    typingUsers,
 
     // Refs
     fileInputRef,
@@ -733,6 +1115,8 @@ export const useChatRoom = () => {
     handleKeyDown,
     handleScroll,
     handleLoadMore: loadPreviousMessages,
+    handleLoadNewer: loadNewerMessages,
+    jumpToPresent,
     handleConnectionError,
     handleReconnect,
     getFilteredParticipants,
@@ -741,6 +1125,18 @@ export const useChatRoom = () => {
     removeFilePreview,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleQuoteReply,
+    cancelQuoteReply,
+    jumpToMessage,
+    openDirectMessage,
+    cancelAIMessage,
+    regenerateAIMessage,
     cleanup,
 
     // Setters
@@ -0,0 +1,42 @@
+// hooks/useDirectMessage.js
+
+import { useCallback, useState } from "react";
+import { useRouter } from "next/router";
+import axiosInstance from "../services/axios";
+import { Toast } from "../components/Toast";
+
+export const useDirectMessage = () => {
+  const router = useRouter();
+  const [opening, setOpening] = useState(false);
+
+  // 상대방과의 1:1 대화를 열고 이동 (이미 있으면 기존 대화로 이동)
+  const openDirectMessage = useCallback(
+    async (user) => {
+      const userId = user?._id || user?.id;
+      if (!userId || opening) return;
+
+      try {
+        setOpening(true);
+        const response = await axiosInstance.post("/api/rooms/direct", {
+          userId,
+        });
+        router.push(`/chat?room=${response.data.data._id}`);
+      } catch (error) {
+        console.error("Open direct message error:", error);
+        Toast.error(
+          error.response?.data?.message || "1:1 대화를 열지 못했습니다."
+        );
+      } finally {
+        setOpening(false);
+      }
+    },
+    [router, opening]
+  );
+
+  return {
+    opening,
+    openDirectMessage,
+  };
+};
+
+export default useDirectMessage;
@@ -0,0 +1,63 @@
+// hooks/useMessageDeleteHandling.js
+
+import { useCallback } from "react";
+import { Toast } from "../components/Toast";
+
+export const useMessageDeleteHandling = (
+  socketRef,
+  setMessages,
+  setThreadMessages
+) => {
+  const handleMessageDelete = useCallback(
+    async (messageId) => {
+      try {
+        if (!socketRef.current?.connected) {
+          throw new Error("Socket not connected");
+        }
+
+        // 서버에서 messageDeleted 이벤트로 삭제를 확정
+        socketRef.current.emit("deleteMessage", { messageId });
+      } catch (error) {
+        console.error("Delete message error:", error);
+        Toast.error("메시지 삭제에 실패했습니다.");
+      }
+    },
+    [socketRef]
+  );
+
+  // 삭제된 메시지는 목록에서 제거하지 않고 삭제 표시로 대체
+  const handleMessageDeleted = useCallback(
+    ({ messageId }) => {
+      const applyDelete = (prevMessages) =>
+        prevMessages.map((msg) =>
+          msg._id === messageId
+            ? {
+                ...msg,
+                isDeleted: true,
+                content: "",
+                file: null,
+                reactions: {},
+                revisions: [],
+              }
+            : msg
+        );
+
+      setMessages(applyDelete);
+      setThreadMessages?.(applyDelete);
+    },
+    [setMessages, setThreadMessages]
+  );
+
+  const handleMessageDeleteError = useCallback((error) => {
+    console.error("Message delete error:", error);
+    Toast.error(error?.message || "메시지 삭제에 실패했습니다.");
+  }, []);
+
+  return {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessageDeleteError,
+  };
+};
+
+export default useMessageDeleteHandling;
@@ -0,0 +1,67 @@
+// hooks/useMessageEditHandling.js
+
+import { useCallback } from "react";
+import { Toast } from "../components/Toast";
+
+export const useMessageEditHandling = (
+  socketRef,
+  setMessages,
+  setThreadMessages
+) => {
+  const handleMessageEdit = useCallback(
+    async (messageId, content) => {
+      try {
+        if (!socketRef.current?.connected) {
+          throw new Error("Socket not connected");
+        }
+
+        const trimmedContent = content?.trim();
+        if (!trimmedContent) {
+          Toast.error("메시지 내용을 입력해주세요.");
+          return false;
+        }
+
+        // 서버에서 messageEdited 이벤트로 확정된 내용을 반영
+        socketRef.current.emit("editMessage", {
+          messageId,
+          content: trimmedContent,
+        });
+        return true;
+      } catch (error) {
+        console.error("Edit message error:", error);
+        Toast.error("메시지 수정에 실패했습니다.");
+        return false;
+      }
+    },
+    [socketRef]
+  );
+
+  const handleMessageEdited = useCallback(
+    ({ messageId, content, editedAt, revisions }) => {
+      const applyEdit = (prevMessages) =>
+        prevMessages.map((msg) =>
+          msg._id === messageId
+            ? { ...msg, content, editedAt, revisions: revisions || [] }
+            : msg
+        );
+
+      // 스레드 답글도 같은 이벤트로 수정 내용을 반영
+      setMessages(applyEdit);
+      setThreadMessages?.(applyEdit);
+    },
+    [setMessages, setThreadMessages]
+  );
+
+  const handleMessageEditError = useCallback((error) => {
+    console.error("Message edit error:", error);
+    Toast.error(error?.message || "메시지 수정에 실패했습니다.");
+  }, []);
+
+  return {
+    handleMessageEdit,
+    handleMessageEdited,
+    handleMessageEditError,
+  };
+};
+
+export default useMessageEditHandling;
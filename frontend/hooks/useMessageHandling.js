@@ -1,6 +1,8 @@
 import { useState, useCallback, useMemo } from "react";
 import { Toast } from "../components/Toast";
 import fileService from "../services/fileService";
+import { useAIPersonas } from "./useAIPersonas";
+import { getAIPersonaInfo } from "../utils/aiPersonas";
 
 export const useMessageHandling = (
   socketRef,
@@ -19,6 +21,8 @@ export const useMessageHandling = (
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadError, setUploadError] = useState(null);
   const [loadingMessages, setLoadingMessages] = useState(false);
+  const [quoteTarget, setQuoteTarget] = useState(null);
+  const aiPersonas = useAIPersonas(router?.query?.room);
 
   const handleMessageChange = useCallback((e) => {
     const newValue = e.target.value;
@@ -108,6 +112,9 @@ export const useMessageHandling = (
         return;
       }
 
+      // 인용 답장 대상은 서버에서 스냅샷으로 저장
+      const quoteOf = quoteTarget?._id;
+
       try {
         console.log("[Chat] Sending message:", messageData);
 
@@ -138,6 +145,7 @@ export const useMessageHandling = (
               mimetype: uploadResponse.data.file.mimetype,
               size: uploadResponse.data.file.size,
             },
+            ...(quoteOf && { quoteOf }),
           });
 
           setFilePreview(null);
@@ -149,11 +157,14 @@ export const useMessageHandling = (
             room: roomId,
             type: "text",
             content: messageData.content.trim(),
+            ...(quoteOf && { quoteOf }),
           });
 
           setMessage("");
         }
 
+        setQuoteTarget(null);
+
         setShowEmojiPicker(false);
         setShowMentionList(false);
       } catch (error) {
@@ -175,9 +186,23 @@ export const useMessageHandling = (
         }
       }
     },
-    [currentUser, router, handleSessionError, socketRef]
+    [currentUser, router, handleSessionError, socketRef, quoteTarget]
   );
 
+  const handleQuoteReply = useCallback((targetMessage) => {
+    if (!targetMessage?._id) return;
+    setQuoteTarget(targetMessage);
+  }, []);
+
+  const cancelQuoteReply = useCallback(() => {
+    setQuoteTarget(null);
+  }, []);
+
+  // 인용 대상 메시지가 삭제되면 입력창의 인용도 해제
+  const handleQuotedMessageDeleted = useCallback((messageId) => {
+    setQuoteTarget((prev) => (prev?._id === messageId ? null : prev));
+  }, []);
+
   const handleEmojiToggle = useCallback(() => {
     setShowEmojiPicker((prev) => !prev);
   }, []);
@@ -186,29 +211,33 @@ export const useMessageHandling = (
     (room) => {
       if (!room?.participants) return [];
 
+      // AI 페르소나는 핸들(name)로 멘션하고 표시 이름(displayName)으로 보여줌
       const allParticipants = [
-        {
-          _id: "wayneAI",
-          name: "wayneAI",
-          email: "ai@wayne.ai",
-          isAI: true,
-        },
-        {
-          _id: "consultingAI",
-          name: "consultingAI",
-          email: "ai@consulting.ai",
-          isAI: true,
-        },
+        ...aiPersonas.map((persona) => {
+          const info = getAIPersonaInfo(persona.handle, {
+            aiName: persona.name,
+            aiAvatar: persona.avatar,
+          });
+          return {
+            _id: `ai-${persona.handle}`,
+            name: persona.handle,
+            displayName: info.name,
+            email: info.email,
+            avatar: info.avatar,
+            isAI: true,
+          };
+        }),
         ...room.participants,
       ];
 
       return allParticipants.filter(
         (user) =>
           user.name.toLowerCase().includes(mentionFilter) ||
-          user.email.toLowerCase().includes(mentionFilter)
+          user.email.toLowerCase().includes(mentionFilter) ||
+          user.displayName?.toLowerCase().includes(mentionFilter)
       );
     },
-    [mentionFilter]
+    [mentionFilter, aiPersonas]
   );
 
   const insertMention = useCallback(
@@ -255,6 +284,7 @@ export const useMessageHandling = (
       uploadProgress,
       uploadError,
       loadingMessages,
+      quoteTarget,
       setMessage,
       setShowEmojiPicker,
       setShowMentionList,
@@ -269,6 +299,9 @@ export const useMessageHandling = (
       getFilteredParticipants,
       insertMention,
       removeFilePreview,
+      handleQuoteReply,
+      cancelQuoteReply,
+      handleQuotedMessageDeleted,
     }),
     [
       message,
@@ -281,6 +314,7 @@ export const useMessageHandling = (
       uploadProgress,
       uploadError,
       loadingMessages,
+      quoteTarget,
       handleMessageChange,
       handleMessageSubmit,
       handleEmojiToggle,
@@ -288,6 +322,9 @@ export const useMessageHandling = (
       getFilteredParticipants,
       insertMention,
       removeFilePreview,
+      handleQuoteReply,
+      cancelQuoteReply,
+      handleQuotedMessageDeleted,
     ]
   );
 
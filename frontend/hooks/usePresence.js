@@ -0,0 +1,25 @@
+// hooks/usePresence.js
+
+import { useEffect, useCallback, useSyncExternalStore } from "react";
+import presenceService from "../services/presenceService";
+
+// 사용자의 접속 상태 구독 ({ status: 'online' | 'away' | 'offline', lastSeen } 또는 null)
+export const usePresence = (userId) => {
+  useEffect(() => {
+    presenceService.track(userId);
+  }, [userId]);
+
+  const subscribe = useCallback(
+    (onChange) =>
+      presenceService.subscribe((changedUserId) => {
+        if (changedUserId === userId) onChange();
+      }),
+    [userId]
+  );
+
+  const getSnapshot = useCallback(() => presenceService.get(userId), [userId]);
+
+  return useSyncExternalStore(subscribe, getSnapshot, () => null);
+};
+
+export default usePresence;
@@ -21,7 +21,8 @@ export const useRoomHandling = (
   initializingRef,
   setupCompleteRef,
   userRooms,
-  processMessages
+  processMessages,
+  setReadMarker
 ) => {
   const setupPromiseRef = useRef(null);
   const setupTimeoutRef = useRef(null);
@@ -206,7 +207,11 @@ export const useRoomHandling = (
             }
             throw new Error("인증이 만료되었습니다.");
           }
-          throw new Error("채팅방 정보를 불러오는데 실패했습니다.");
+          // 비공개 채팅방 접근 거부 등 서버 메시지 표시
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(
+            errorData.message || "채팅방 정보를 불러오는데 실패했습니다."
+          );
         }
 
         const data = await response.json();
@@ -396,7 +401,13 @@ export const useRoomHandling = (
         // 4. Join Room and Load Messages
         if (mountedRef.current && socketRef.current?.connected) {
           console.log("Joining room...");
-          await joinRoom(router.query.room);
+          const joinData = await joinRoom(router.query.room);
+          // 입장 전 마지막 읽음 위치 (새 메시지 구분선 기준)
+          setReadMarker?.(
+            joinData?.lastReadAt
+              ? { lastReadAt: joinData.lastReadAt, joinedAt: joinData.joinedAt }
+              : null
+          );
 
           console.log("Loading initial messages...");
           await loadInitialMessages(router.query.room);
@@ -455,6 +466,7 @@ export const useRoomHandling = (
     initializingRef,
     setupCompleteRef,
     clearAllTimeouts,
+    setReadMarker,
   ]);
 
   useEffect(() => {
@@ -0,0 +1,96 @@
+// hooks/useRoomModerationHandling.js
+
+import { useCallback } from "react";
+import { Toast } from "../components/Toast";
+
+const getId = (value) => (value?._id || value)?.toString();
+
+export const useRoomModerationHandling = (router, setRoom) => {
+  const handleMemberRoleUpdated = useCallback(
+    ({ userId, role }) => {
+      setRoom((prev) => {
+        if (!prev) return prev;
+
+        const roles = (prev.roles || []).filter(
+          (entry) => getId(entry.user) !== userId
+        );
+        return {
+          ...prev,
+          roles: role === "member" ? roles : [...roles, { user: userId, role }],
+        };
+      });
+    },
+    [setRoom]
+  );
+
+  const handleMemberRemoved = useCallback(
+    ({ userId }) => {
+      setRoom((prev) => {
+        if (!prev) return prev;
+
+        return {
+          ...prev,
+          participants: (prev.participants || []).filter(
+            (participant) => getId(participant) !== userId
+          ),
+          roles: (prev.roles || []).filter(
+            (entry) => getId(entry.user) !== userId
+          ),
+        };
+      });
+    },
+    [setRoom]
+  );
+
+  // 강퇴/차단된 경우 채팅방 목록으로 이동
+  const handleRemovedFromRoom = useCallback(
+    ({ roomId, message }) => {
+      if (roomId !== router.query.room) return;
+
+      Toast.error(message || "채팅방에서 내보내졌습니다.");
+      router.replace("/chat-rooms");
+    },
+    [router]
+  );
+
+  // 채팅방 설정 변경 반영 (다른 방의 업데이트는 무시)
+  const handleRoomUpdated = useCallback(
+    (updatedRoom) => {
+      if (!updatedRoom || updatedRoom._id !== router.query.room) return;
+
+      setRoom((prev) =>
+        prev
+          ? {
+              ...prev,
+              name: updatedRoom.name ?? prev.name,
+              description: updatedRoom.description ?? prev.description,
+              topic: updatedRoom.topic ?? prev.topic,
+              hasPassword: updatedRoom.hasPassword ?? prev.hasPassword,
+              visibility: updatedRoom.visibility ?? prev.visibility,
+            }
+          : prev
+      );
+    },
+    [router, setRoom]
+  );
+
+  const handleRoomDeleted = useCallback(
+    (roomId) => {
+      if (roomId !== router.query.room) return;
+
+      Toast.error("채팅방이 삭제되었습니다.");
+      router.replace("/chat-rooms");
+    },
+    [router]
+  );
+
+  return {
+    handleMemberRoleUpdated,
+    handleMemberRemoved,
+    handleRemovedFromRoom,
+    handleRoomUpdated,
+    handleRoomDeleted,
+  };
+};
+
+export default useRoomModerationHandling;
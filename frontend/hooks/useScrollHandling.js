@@ -1,4 +1,11 @@
 import { useState, useRef, useCallback, useEffect, useMemo } from "react";
+import { Toast } from "../components/Toast";
+
+// 다음 렌더링이 끝날 때까지 대기
+const waitForRender = () =>
+  new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve))
+  );
 
 export const useScrollHandling = (socketRef, router, messages = []) => {
   const [isNearBottom, setIsNearBottom] = useState(true);
@@ -7,6 +14,10 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
   const [initialScrollDone, setInitialScrollDone] = useState(false);
   const [isLoadingPreviousMessages, setIsLoadingPreviousMessages] =
     useState(false);
+  // 최신 메시지에서 벗어난 화면 (특정 메시지 주변을 보는 중)
+  const [isDetached, setIsDetached] = useState(false);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
+  const [loadingNewerMessages, setLoadingNewerMessages] = useState(false);
 
   const messagesEndRef = useRef(null);
   const previousScrollHeightRef = useRef(0);
@@ -18,6 +29,8 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
   const retryTimeoutRef = useRef(null);
   const scrollRestorationRef = useRef(null);
   const loadMoreTriggeredRef = useRef(false);
+  const isDetachedRef = useRef(false);
+  const highlightTimeoutRef = useRef(null);
 
   const logDebug = useCallback((action, data) => {
     console.debug(`[ScrollHandling] ${action}:`, {
@@ -32,6 +45,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
       SCROLL_TOP_THRESHOLD: 30,
       SCROLL_TIMEOUT: 150,
       SOCKET_TIMEOUT: 10000,
+      HIGHLIGHT_DURATION: 2000,
     }),
     []
   );
@@ -235,6 +249,63 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     );
   }, [handleScrollTimeout, constants]);
 
+  useEffect(() => {
+    isDetachedRef.current = isDetached;
+  }, [isDetached]);
+
+  // 렌더링된 메시지로 스크롤 후 잠시 강조 표시
+  const highlightMessage = useCallback(
+    (messageId) => {
+      const element = document.querySelector(
+        `.message-list [data-message-id="${messageId}"]`
+      );
+      if (!element) return false;
+
+      element.scrollIntoView({ behavior: "smooth", block: "center" });
+      element.classList.add("message-highlighted");
+
+      if (highlightTimeoutRef.current) {
+        clearTimeout(highlightTimeoutRef.current);
+      }
+      highlightTimeoutRef.current = setTimeout(() => {
+        element.classList.remove("message-highlighted");
+      }, constants.HIGHLIGHT_DURATION);
+
+      return true;
+    },
+    [constants]
+  );
+
+  // 메시지로 이동 (아직 불러오지 않았다면 해당 메시지 주변을 새로 로드)
+  const scrollToMessage = useCallback(
+    async (messageId, loadMessagesAround) => {
+      if (!messageId) return false;
+
+      if (highlightMessage(messageId)) {
+        logDebug("scrollToMessage", { messageId, loaded: true });
+        return true;
+      }
+
+      if (loadMessagesAround) {
+        try {
+          await loadMessagesAround(messageId);
+          await waitForRender();
+
+          if (highlightMessage(messageId)) {
+            logDebug("scrollToMessage", { messageId, loaded: false });
+            return true;
+          }
+        } catch (error) {
+          console.error("Scroll to message error:", error);
+        }
+      }
+
+      Toast.error("메시지를 찾을 수 없습니다.");
+      return false;
+    },
+    [highlightMessage, logDebug]
+  );
+
   // Handle new messages
   useEffect(() => {
     const currentMessageCount = messages?.length || 0;
@@ -242,12 +313,18 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
       currentMessageCount > lastMessageCountRef.current &&
       !isLoadingPreviousMessages
     ) {
-      if (isNearBottom) {
+      if (isNearBottom && !isDetached) {
         scrollToBottom();
       }
       lastMessageCountRef.current = currentMessageCount;
     }
-  }, [messages, isNearBottom, scrollToBottom, isLoadingPreviousMessages]);
+  }, [
+    messages,
+    isNearBottom,
+    isDetached,
+    scrollToBottom,
+    isLoadingPreviousMessages,
+  ]);
 
   // Initial scroll setup
   useEffect(() => {
@@ -336,6 +413,9 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
       if (scrollRestorationRef.current) {
         cancelAnimationFrame(scrollRestorationRef.current);
       }
+      if (highlightTimeoutRef.current) {
+        clearTimeout(highlightTimeoutRef.current);
+      }
       isLoadingRef.current = false;
       loadMoreTriggeredRef.current = false;
       setIsLoadingPreviousMessages(false);
@@ -349,6 +429,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     initialScrollDone,
     messagesEndRef,
     scrollToBottom,
+    scrollToMessage,
     handleScroll,
     tryLoadMoreMessages,
     checkScrollPosition,
@@ -357,6 +438,13 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     setInitialScrollDone,
     setIsNearBottom,
     isLoadingPreviousMessages,
+    isDetached,
+    isDetachedRef,
+    setIsDetached,
+    hasNewerMessages,
+    setHasNewerMessages,
+    loadingNewerMessages,
+    setLoadingNewerMessages,
   };
 };
 
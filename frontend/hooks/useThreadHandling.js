@@ -0,0 +1,181 @@
+// hooks/useThreadHandling.js
+
+import { useState, useCallback, useMemo, useRef } from "react";
+import { Toast } from "../components/Toast";
+
+const isSameId = (a, b) => a && b && String(a) === String(b);
+
+const mergeThreadMessages = (prevMessages, newMessages) => {
+  const messageMap = new Map(prevMessages.map((msg) => [String(msg._id), msg]));
+  newMessages.forEach((msg) => messageMap.set(String(msg._id), msg));
+
+  return Array.from(messageMap.values()).sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+};
+
+export const useThreadHandling = (socketRef, roomId, messages, setMessages) => {
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [threadParent, setThreadParent] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [threadHasMore, setThreadHasMore] = useState(false);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const activeThreadRef = useRef(null);
+
+  // 메인 타임라인에 있는 부모 메시지를 우선 사용하여 수정/리액션을 반영
+  const activeThread = useMemo(() => {
+    if (!activeThreadId) return null;
+    return (
+      messages.find((msg) => isSameId(msg._id, activeThreadId)) || threadParent
+    );
+  }, [activeThreadId, messages, threadParent]);
+
+  const fetchThreadMessages = useCallback(
+    (parentMessageId, before) => {
+      if (!socketRef.current?.connected) {
+        Toast.error("채팅 서버와 연결이 끊어졌습니다.");
+        return;
+      }
+
+      setThreadLoading(true);
+      socketRef.current.emit("fetchThreadMessages", {
+        roomId,
+        parentMessageId,
+        before,
+      });
+    },
+    [socketRef, roomId]
+  );
+
+  const openThread = useCallback(
+    (parentMessage) => {
+      if (!parentMessage?._id) return;
+
+      activeThreadRef.current = parentMessage._id;
+      setActiveThreadId(parentMessage._id);
+      setThreadParent(parentMessage);
+      setThreadMessages([]);
+      setThreadHasMore(false);
+      fetchThreadMessages(parentMessage._id);
+    },
+    [fetchThreadMessages]
+  );
+
+  const closeThread = useCallback(() => {
+    activeThreadRef.current = null;
+    setActiveThreadId(null);
+    setThreadParent(null);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    setThreadLoading(false);
+  }, []);
+
+  const loadMoreThreadMessages = useCallback(() => {
+    if (!activeThreadId || threadLoading || !threadHasMore) return;
+
+    const oldestMessage = threadMessages[0];
+    fetchThreadMessages(
+      activeThreadId,
+      oldestMessage ? new Date(oldestMessage.timestamp).getTime() : undefined
+    );
+  }, [activeThreadId, threadLoading, threadHasMore, threadMessages, fetchThreadMessages]);
+
+  const sendThreadReply = useCallback(
+    (content) => {
+      const trimmedContent = content?.trim();
+      if (!trimmedContent || !activeThreadId) return false;
+
+      if (!socketRef.current?.connected) {
+        Toast.error("채팅 서버와 연결이 끊어졌습니다.");
+        return false;
+      }
+
+      socketRef.current.emit("chatMessage", {
+        room: roomId,
+        type: "text",
+        content: trimmedContent,
+        replyTo: activeThreadId,
+      });
+      return true;
+    },
+    [socketRef, roomId, activeThreadId]
+  );
+
+  // 부모 메시지의 답글 수/마지막 답글 정보 갱신
+  const applyThreadSummary = useCallback(
+    (parentMessageId, thread) => {
+      if (!thread) return;
+
+      setMessages((prevMessages) =>
+        prevMessages.map((msg) =>
+          isSameId(msg._id, parentMessageId) ? { ...msg, thread } : msg
+        )
+      );
+      setThreadParent((prev) =>
+        prev && isSameId(prev._id, parentMessageId) ? { ...prev, thread } : prev
+      );
+    },
+    [setMessages]
+  );
+
+  const handleThreadMessagesLoaded = useCallback(
+    ({ parentMessageId, parent, messages: loadedMessages = [], hasMore }) => {
+      if (!isSameId(parentMessageId, activeThreadRef.current)) return;
+
+      if (parent) setThreadParent(parent);
+      setThreadMessages((prev) => mergeThreadMessages(prev, loadedMessages));
+      setThreadHasMore(Boolean(hasMore));
+      setThreadLoading(false);
+    },
+    []
+  );
+
+  const handleThreadMessage = useCallback(
+    ({ parentMessageId, message, thread }) => {
+      applyThreadSummary(parentMessageId, thread);
+
+      if (message && isSameId(parentMessageId, activeThreadRef.current)) {
+        setThreadMessages((prev) => mergeThreadMessages(prev, [message]));
+      }
+    },
+    [applyThreadSummary]
+  );
+
+  const handleThreadMessageDeleted = useCallback(
+    ({ messageId, parentMessageId, thread }) => {
+      if (parentMessageId) {
+        applyThreadSummary(parentMessageId, thread);
+      }
+
+      // 열려있는 스레드의 부모 메시지가 삭제되면 스레드를 닫음
+      if (isSameId(messageId, activeThreadRef.current)) {
+        closeThread();
+      }
+    },
+    [applyThreadSummary, closeThread]
+  );
+
+  const handleThreadMessagesError = useCallback((error) => {
+    console.error("Thread messages error:", error);
+    setThreadLoading(false);
+    Toast.error(error?.message || "스레드 메시지를 불러오지 못했습니다.");
+  }, []);
+
+  return {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    setThreadMessages,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleThreadMessagesLoaded,
+    handleThreadMessage,
+    handleThreadMessageDeleted,
+    handleThreadMessagesError,
+  };
+};
+
+export default useThreadHandling;
@@ -0,0 +1,108 @@
+// hooks/useTypingIndicator.js
+
+import { useState, useEffect, useRef, useCallback } from "react";
+
+const TYPING_THROTTLE = 3000; // typingStart 재전송 간격
+const TYPING_IDLE_TIMEOUT = 4000; // 입력이 멈춘 뒤 typingStop 전송까지 대기
+const DEFAULT_TYPING_TTL = 6000; // 서버가 만료 시간을 주지 않은 경우
+const PRUNE_INTERVAL = 1000;
+
+export const useTypingIndicator = (socketRef, roomId, message, currentUserId) => {
+  const [typingUsers, setTypingUsers] = useState([]);
+  const isTypingRef = useRef(false);
+  const lastStartRef = useRef(0);
+  const idleTimerRef = useRef(null);
+  // 소켓 리스너는 한 번만 등록되므로 최신 값을 ref로 참조
+  const roomIdRef = useRef(roomId);
+  const currentUserIdRef = useRef(currentUserId);
+  roomIdRef.current = roomId;
+  currentUserIdRef.current = currentUserId;
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    if (!isTypingRef.current) return;
+
+    isTypingRef.current = false;
+    lastStartRef.current = 0;
+    socketRef.current?.emit("typingStop", { roomId });
+  }, [socketRef, roomId]);
+
+  // 입력 내용이 바뀔 때마다 일정 간격으로 typingStart 전송
+  useEffect(() => {
+    if (!roomId || !socketRef.current?.connected) return;
+
+    if (!message?.trim()) {
+      stopTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastStartRef.current >= TYPING_THROTTLE) {
+      lastStartRef.current = now;
+      isTypingRef.current = true;
+      socketRef.current.emit("typingStart", { roomId });
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+  }, [message, roomId, socketRef, stopTyping]);
+
+  // 채팅방 이동/언마운트 시 입력 종료
+  useEffect(() => {
+    return () => stopTyping();
+  }, [stopTyping]);
+
+  useEffect(() => {
+    setTypingUsers([]);
+  }, [roomId]);
+
+  const handleTypingUpdate = useCallback(
+    ({ roomId: updatedRoomId, user, isTyping, expiresIn }) => {
+      if (
+        updatedRoomId !== roomIdRef.current ||
+        !user?._id ||
+        user._id === currentUserIdRef.current
+      ) {
+        return;
+      }
+
+      setTypingUsers((prev) => {
+        const others = prev.filter((typingUser) => typingUser._id !== user._id);
+        if (!isTyping) return others;
+
+        return [
+          ...others,
+          {
+            _id: user._id,
+            name: user.name,
+            expiresAt: Date.now() + (expiresIn || DEFAULT_TYPING_TTL),
+          },
+        ];
+      });
+    },
+    []
+  );
+
+  // 중지 이벤트를 받지 못한 경우에도 만료된 사용자 제거
+  useEffect(() => {
+    if (typingUsers.length === 0) return;
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      setTypingUsers((prev) => {
+        const active = prev.filter((typingUser) => typingUser.expiresAt > now);
+        return active.length === prev.length ? prev : active;
+      });
+    }, PRUNE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [typingUsers.length]);
+
+  return {
+    typingUsers,
+    handleTypingUpdate,
+    stopTyping,
+  };
+};
+
+export default useTypingIndicator;
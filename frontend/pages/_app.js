@@ -1,6 +1,7 @@
 import React, { useEffect, useState, Suspense } from "react";
 import { useRouter } from "next/router";
 import authService from "../services/authService";
+import socketService from "../services/socket";
 import "../styles/globals.css";
 import { Alert } from "@goorm-dev/vapor-components";
 import ToastContainer, { Toast } from "../components/Toast";
@@ -63,6 +64,7 @@ function MyApp({ Component, pageProps }) {
       setDuplicateLoginInfo({
         deviceInfo: detail.deviceInfo,
         ipAddress: detail.ipAddress,
+        canKeep: Boolean(detail.canKeep),
         timestamp: detail.timestamp,
       });
       setIsModalOpen(true);
@@ -141,6 +143,27 @@ function MyApp({ Component, pageProps }) {
     }
   };
 
+  // 기존 세션 유지 선택 (새 기기의 로그인 요청은 거절됨)
+  const handleKeepSession = async () => {
+    setIsModalOpen(false);
+    setDuplicateLoginInfo(null);
+    if (Toast.isActive("duplicate-login")) {
+      Toast.dismiss("duplicate-login");
+    }
+
+    try {
+      const kept = await socketService.keepExistingSession();
+      if (!kept) throw new Error("Session keep rejected");
+      Toast.info("현재 세션을 유지합니다.", {
+        toastId: "keep-session",
+        autoClose: 3000,
+      });
+    } catch (error) {
+      console.error("Keep session error:", error);
+      handleDuplicateLoginTimeout();
+    }
+  };
+
   const handleModalClose = () => {
     setIsModalOpen(false);
     handleDuplicateLoginTimeout();
@@ -169,7 +192,11 @@ function MyApp({ Component, pageProps }) {
 
       <main className="main-content">
         <Suspense fallback={<div>페이지 로딩 중...</div>}>
-          <Component {...pageProps} />
+          {/* 채팅방이 바뀌면 채팅 페이지를 새로 마운트하여 다시 초기화 */}
+          <Component
+            key={router.pathname === "/chat" ? router.query.room : undefined}
+            {...pageProps}
+          />
         </Suspense>
       </main>
 
@@ -180,6 +207,7 @@ function MyApp({ Component, pageProps }) {
           deviceInfo={duplicateLoginInfo?.deviceInfo}
           ipAddress={duplicateLoginInfo?.ipAddress}
           onTimeout={handleDuplicateLoginTimeout}
+          onKeep={duplicateLoginInfo?.canKeep ? handleKeepSession : undefined}
         />
       </Suspense>
     </div>
@@ -29,6 +29,9 @@ import authService from "../services/authService";
 import axiosInstance from "../services/axios";
 import { withAuth } from "../middleware/withAuth";
 import { Toast } from "../components/Toast";
+import DirectMessageList from "../components/DirectMessageList";
+import UnreadBadge from "../components/UnreadBadge";
+import { applyUnreadUpdate } from "../utils/unreadUtils";
 import Image from "next/image";
 import { useInView } from "react-intersection-observer";
 import { debounce } from "lodash";
@@ -169,6 +172,7 @@ function ChatRoomsComponent() {
   const [pageSize] = useState(INITIAL_PAGE_SIZE);
   const [hasMore, setHasMore] = useState(true);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
+  const [unreadUpdate, setUnreadUpdate] = useState(null);
 
   // Refs
   const socketRef = useRef(null);
@@ -543,13 +547,34 @@ function ChatRoomsComponent() {
             });
           },
           roomUpdated: (updatedRoom) => {
+            setRooms((prev) => {
+              // 비공개/링크 전용으로 변경된 채팅방은 목록에서 제거
+              const updatedRooms = prev
+                .map((room) =>
+                  room._id === updatedRoom._id
+                    ? {
+                        ...updatedRoom,
+                        unreadCount: room.unreadCount,
+                        mentionCount: room.mentionCount,
+                      }
+                    : room
+                )
+                .filter(
+                  (room) => !room.visibility || room.visibility === "public"
+                );
+              previousRoomsRef.current = updatedRooms;
+              return updatedRooms;
+            });
+          },
+          unreadUpdate: (update) => {
             setRooms((prev) => {
               const updatedRooms = prev.map((room) =>
-                room._id === updatedRoom._id ? updatedRoom : room
+                applyUnreadUpdate(room, update)
               );
               previousRoomsRef.current = updatedRooms;
               return updatedRooms;
             });
+            setUnreadUpdate(update);
           },
         };
 
@@ -690,6 +715,10 @@ function ChatRoomsComponent() {
             {rowData.hasPassword && (
               <Lock size={14} className="text-gray-500" />
             )}
+            <UnreadBadge
+              unreadCount={rowData.unreadCount}
+              mentionCount={rowData.mentionCount}
+            />
           </div>
         )),
         size: 200,
@@ -840,6 +869,8 @@ function ChatRoomsComponent() {
             </Alert>
           )}
 
+          <DirectMessageList unreadUpdate={unreadUpdate} />
+
           {loading ? (
             <LoadingIndicator text="채팅방 목록을 불러오는 중..." />
           ) : rooms.length > 0 ? (
@@ -13,12 +13,19 @@ import {
 import { AlertCircle } from 'lucide-react';
 import authService from '../../services/authService';
 
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: '공개 - 채팅방 목록에 표시됩니다' },
+  { value: 'unlisted', label: '링크 공개 - 링크를 아는 사용자만 입장할 수 있습니다' },
+  { value: 'private', label: '비공개 - 초대받은 사용자만 입장할 수 있습니다' }
+];
+
 function NewChatRoom() {
   const router = useRouter();
   const [formData, setFormData] = useState({
     name: '',
     hasPassword: false,
-    password: ''
+    password: '',
+    visibility: 'public'
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -90,7 +97,8 @@ function NewChatRoom() {
         },
         body: JSON.stringify({
           name: formData.name.trim(),
-          password: formData.hasPassword ? formData.password : undefined
+          password: formData.hasPassword ? formData.password : undefined,
+          visibility: formData.visibility
         })
       });
 
@@ -172,6 +180,25 @@ function NewChatRoom() {
               />
             </FormGroup>
 
+            <FormGroup>
+              <Label for="roomVisibility">공개 범위</Label>
+              <select
+                id="roomVisibility"
+                name="visibility"
+                className="form-control"
+                value={formData.visibility}
+                onChange={(e) => setFormData(prev => ({
+                  ...prev,
+                  visibility: e.target.value
+                }))}
+                disabled={loading}
+              >
+                {VISIBILITY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </FormGroup>
+
             <FormGroup>
               <div className="d-flex justify-content-between align-items-center">
                 <Label for="hasPassword" inline>
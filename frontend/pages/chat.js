@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Card } from '@goorm-dev/vapor-core';
 import { 
   Text,
@@ -12,12 +12,17 @@ import {
 } from '@goorm-dev/vapor-components';
 import { 
   AlertCircle, 
-  WifiOff 
+  WifiOff,
+  Users
 } from 'lucide-react';
 import { withAuth } from '../middleware/withAuth';
 import { useChatRoom } from '../hooks/useChatRoom';
 import ChatMessages from '../components/chat/ChatMessages';
 import ChatInput from '../components/chat/ChatInput';
+import ThreadPanel from '../components/chat/ThreadPanel';
+import MemberManagementModal from '../components/chat/MemberManagementModal';
+import TypingIndicator from '../components/chat/TypingIndicator';
+import PresenceDot from '../components/common/PresenceDot';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const ChatPage = () => {
@@ -25,6 +30,13 @@ const ChatPage = () => {
     room,
     messages,
     streamingMessages,
+    readMarker,
+    typingUsers,
+    quoteTarget,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
     connected,
     connectionStatus,
     messageLoadError,
@@ -56,10 +68,28 @@ const ChatPage = () => {
     error,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    handleQuoteReply,
+    cancelQuoteReply,
+    jumpToMessage,
     loadingMessages,
     hasMoreMessages,
-    handleLoadMore
+    handleLoadMore,
+    isDetached,
+    hasNewerMessages,
+    loadingNewerMessages,
+    handleLoadNewer,
+    jumpToPresent,
+    openDirectMessage,
+    cancelAIMessage,
+    regenerateAIMessage
   } = useChatRoom();
+  const [showMemberModal, setShowMemberModal] = useState(false);
 
   const renderParticipants = () => {
     if (!room?.participants) return null;
@@ -76,12 +106,14 @@ const ChatPage = () => {
             const color = getContrastTextColor(backgroundColor);
             
             return (
-              <Avatar 
-                key={participant._id} 
-                style={{ backgroundColor, color }}
-                className="participant-avatar"
-                name={participant.name}
-              />
+              <span key={participant._id} className="avatar-status-wrapper">
+                <Avatar 
+                  style={{ backgroundColor, color }}
+                  className="participant-avatar"
+                  name={participant.name}
+                />
+                <PresenceDot userId={participant._id} />
+              </span>
             );
           })}
           {remainingCount > 0 && (
@@ -184,9 +216,24 @@ const ChatPage = () => {
         messagesEndRef={messagesEndRef}
         onReactionAdd={handleReactionAdd}
         onReactionRemove={handleReactionRemove}
+        onMessageEdit={handleMessageEdit}
+        onMessageDelete={handleMessageDelete}
+        onOpenThread={openThread}
+        onQuoteReply={handleQuoteReply}
+        onJumpToMessage={jumpToMessage}
+        onDirectMessage={openDirectMessage}
+        onAICancel={cancelAIMessage}
+        onAIRegenerate={regenerateAIMessage}
         loadingMessages={loadingMessages}
         hasMoreMessages={hasMoreMessages}
         onLoadMore={handleLoadMore}
+        isDetached={isDetached}
+        hasNewerMessages={hasNewerMessages}
+        loadingNewerMessages={loadingNewerMessages}
+        onLoadNewer={handleLoadNewer}
+        onJumpToPresent={jumpToPresent}
+        readMarker={readMarker}
+        scrollToBottomOnNewMessage={!isDetached}
         socketRef={socketRef}
       />
     );
@@ -221,27 +268,46 @@ const ChatPage = () => {
 
   const status = getConnectionStatus();
 
+  // 1:1 대화는 상대방 이름을 제목으로 표시
+  const isDirectRoom = room.kind === 'direct';
+  const roomTitle = isDirectRoom
+    ? room.participants?.find(p => p._id !== currentUser?.id)?.name || room.name
+    : room.name;
+
   return (
     <div className="chat-container">
       <Card className="chat-room-card">
         <Card.Header className="chat-room-header">
           <div className="flex items-center gap-3">
             <Text size="xl" weight="bold" className="chat-room-title">
-              {room.name}
+              {roomTitle}
             </Text>
             {renderParticipants()}
           </div>
-          <Status
-            label={status.label}
-            color={status.color}
-            title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
-          />
+          <div className="flex items-center gap-2">
+            {!isDirectRoom && (
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => setShowMemberModal(true)}
+                title="멤버 관리"
+              >
+                <Users className="w-4 h-4" />
+              </Button>
+            )}
+            <Status
+              label={status.label}
+              color={status.color}
+              title={connectionStatus === 'connecting' ? "재연결 시도 중..." : status.label}
+            />
+          </div>
         </Card.Header>
 
         <Card.Body className="chat-room-body">
           <div className="chat-messages">
             {renderContent()}
           </div>
+          <TypingIndicator typingUsers={typingUsers} />
         </Card.Body>
 
         <Card.Footer className="chat-room-footer">
@@ -271,9 +337,37 @@ const ChatPage = () => {
               setShowMentionList(false);
             }}
             onFileRemove={removeFilePreview}
+            quoteTarget={quoteTarget}
+            onQuoteCancel={cancelQuoteReply}
           />
         </Card.Footer>
       </Card>
+
+      {activeThread && (
+        <ThreadPanel
+          parent={activeThread}
+          messages={threadMessages}
+          hasMore={threadHasMore}
+          loading={threadLoading}
+          currentUser={currentUser}
+          room={room}
+          socketRef={socketRef}
+          onClose={closeThread}
+          onLoadMore={loadMoreThreadMessages}
+          onSend={sendThreadReply}
+          onReactionAdd={handleReactionAdd}
+          onReactionRemove={handleReactionRemove}
+          onMessageEdit={handleMessageEdit}
+          onMessageDelete={handleMessageDelete}
+        />
+      )}
+
+      <MemberManagementModal
+        isOpen={showMemberModal}
+        onClose={() => setShowMemberModal(false)}
+        room={room}
+        currentUser={currentUser}
+      />
     </div>
   );
 };
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { useRouter } from "next/router";
+import { Card } from "@goorm-dev/vapor-core";
+import { Button, Input, Text, Alert, Label } from "@goorm-dev/vapor-components";
+import { AlertCircle, MailCheck } from "lucide-react";
+import authService from "../services/authService";
+import { withoutAuth } from "../middleware/withAuth";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState(null);
+  const [sentMessage, setSentMessage] = useState("");
+  const [loading, setLoading] = useState(false);
+  const router = useRouter();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setError("올바른 이메일 형식이 아닙니다.");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const message = await authService.requestPasswordReset(email);
+      setSentMessage(message);
+    } catch (err) {
+      console.error("Password reset request error:", err);
+      setError(err.message || "비밀번호 재설정 요청 중 오류가 발생했습니다.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card">
+        <Card.Body className="auth-card-body">
+          <div className="auth-header">
+            <Text as="h5" typography="heading5">
+              비밀번호 찾기
+            </Text>
+          </div>
+
+          {error && (
+            <Alert color="danger" className="auth-alert">
+              <div className="alert-wrapper">
+                <AlertCircle className="w-5 h-5" />
+                <div>{error}</div>
+              </div>
+            </Alert>
+          )}
+
+          {sentMessage ? (
+            <Alert color="success" className="auth-alert">
+              <div className="alert-wrapper">
+                <MailCheck className="w-5 h-5" />
+                <div>{sentMessage}</div>
+              </div>
+            </Alert>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form" noValidate>
+              <Text typography="body2" color="text-muted">
+                가입한 이메일을 입력하면 비밀번호 재설정 링크를 보내드립니다.
+              </Text>
+
+              <div className="form-item">
+                <Label htmlFor="email" weight="medium">
+                  이메일
+                </Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="이메일을 입력하세요"
+                  disabled={loading}
+                  autoComplete="email"
+                  required
+                  aria-required="true"
+                />
+              </div>
+
+              <Button
+                type="submit"
+                variant="primary"
+                size="lg"
+                disabled={loading}
+                className="auth-submit-button"
+              >
+                {loading ? "요청 중..." : "재설정 링크 받기"}
+              </Button>
+            </form>
+          )}
+
+          <div className="auth-footer">
+            <Button variant="text" size="sm" onClick={() => router.push("/")}>
+              로그인으로 돌아가기
+            </Button>
+          </div>
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default withoutAuth(ForgotPassword);
@@ -8,6 +8,7 @@ import {
   Clock,
   LockKeyhole,
   Mail,
+  ShieldCheck,
   WifiOff,
 } from "lucide-react";
 import authService from "../services/authService";
@@ -17,6 +18,9 @@ const Login = () => {
   const [formData, setFormData] = useState({ email: "", password: "" });
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  // 2단계 인증 단계: 비밀번호 확인 후 발급된 사전 인증 토큰
+  const [preAuthToken, setPreAuthToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
   const [serverStatus, setServerStatus] = useState({
     checking: true,
     connected: false,
@@ -111,7 +115,12 @@ const Login = () => {
         timestamp: new Date().toISOString(),
       });
 
-      await authService.login(loginCredentials);
+      const result = await authService.login(loginCredentials);
+      if (result?.twoFactorRequired) {
+        setPreAuthToken(result.preAuthToken);
+        setTwoFactorCode("");
+        return;
+      }
       router.push(redirect || "/chat-rooms");
     } catch (err) {
       console.error("Login error:", err);
@@ -133,6 +142,47 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!twoFactorCode.trim()) {
+      setError({
+        type: "warning",
+        title: "입력 오류",
+        message: "인증 코드를 입력해주세요.",
+        field: "twoFactorCode",
+      });
+      return;
+    }
+
+    try {
+      setLoading(true);
+      await authService.verifyTwoFactorLogin(preAuthToken, twoFactorCode);
+      router.push(redirect || "/chat-rooms");
+    } catch (err) {
+      console.error("Two-factor login error:", err);
+      if (err.code === "INVALID_PRE_AUTH_TOKEN") {
+        setPreAuthToken(null);
+      }
+      setError({
+        type: "error",
+        title: "2단계 인증 실패",
+        message: err.message || "2단계 인증 중 오류가 발생했습니다.",
+        field: "twoFactorCode",
+        Icon: AlertCircle,
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setPreAuthToken(null);
+    setTwoFactorCode("");
+    setError(null);
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -178,69 +228,139 @@ const Login = () => {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit} className="auth-form" noValidate>
-            <div className="form-item">
-              <Label htmlFor="email" weight="medium">
-                이메일
-              </Label>
-              <Input
-                id="email"
-                name="email"
-                type="email"
-                value={formData.email}
-                onChange={handleInputChange}
-                placeholder="이메일을 입력하세요"
-                disabled={loading}
-                state={error?.field === "email" ? "error" : undefined}
-                autoComplete="email"
-                required
-                aria-required="true"
-              />
-            </div>
+          {preAuthToken ? (
+            <form
+              onSubmit={handleTwoFactorSubmit}
+              className="auth-form two-factor-login-form"
+              noValidate
+            >
+              <div className="two-factor-login-guide">
+                <ShieldCheck className="w-5 h-5" />
+                <Text size="sm">
+                  인증 앱에 표시된 6자리 코드 또는 복구 코드를 입력하세요.
+                </Text>
+              </div>
+
+              <div className="form-item">
+                <Label htmlFor="twoFactorCode" weight="medium">
+                  인증 코드
+                </Label>
+                <Input
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    if (error?.field === "twoFactorCode") setError(null);
+                  }}
+                  placeholder="123456"
+                  disabled={loading}
+                  state={error?.field === "twoFactorCode" ? "error" : undefined}
+                  autoComplete="one-time-code"
+                  inputMode="text"
+                  autoFocus
+                  required
+                  aria-required="true"
+                />
+              </div>
 
-            <div className="form-item">
-              <Label htmlFor="password" weight="medium">
-                비밀번호
-              </Label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                value={formData.password}
-                onChange={handleInputChange}
-                placeholder="비밀번호를 입력하세요"
+              <Button
+                type="submit"
+                variant="primary"
+                size="lg"
                 disabled={loading}
-                state={error?.field === "password" ? "error" : undefined}
-                autoComplete="current-password"
-                required
-                aria-required="true"
-              />
-            </div>
+                className="auth-submit-button"
+              >
+                {loading ? "확인 중..." : "확인"}
+              </Button>
 
-            <Button
-              type="submit"
-              variant="primary"
-              size="lg"
-              disabled={loading || !serverStatus.connected}
-              className="auth-submit-button"
-            >
-              {loading ? "로그인 중..." : "로그인"}
-            </Button>
+              <div className="auth-footer">
+                <Button
+                  variant="text"
+                  size="sm"
+                  onClick={handleCancelTwoFactor}
+                  disabled={loading}
+                >
+                  다른 계정으로 로그인
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form" noValidate>
+              <div className="form-item">
+                <Label htmlFor="email" weight="medium">
+                  이메일
+                </Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  placeholder="이메일을 입력하세요"
+                  disabled={loading}
+                  state={error?.field === "email" ? "error" : undefined}
+                  autoComplete="email"
+                  required
+                  aria-required="true"
+                />
+              </div>
+
+              <div className="form-item">
+                <Label htmlFor="password" weight="medium">
+                  비밀번호
+                </Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  placeholder="비밀번호를 입력하세요"
+                  disabled={loading}
+                  state={error?.field === "password" ? "error" : undefined}
+                  autoComplete="current-password"
+                  required
+                  aria-required="true"
+                />
+              </div>
 
-            <div className="auth-footer">
-              <Text size="sm">계정이 없으신가요?</Text>
-              <br />
-              <br />
               <Button
-                variant="text"
-                size="sm"
-                onClick={() => router.push("/register")}
+                type="submit"
+                variant="primary"
+                size="lg"
                 disabled={loading || !serverStatus.connected}
+                className="auth-submit-button"
               >
-                회원가입
+                {loading ? "로그인 중..." : "로그인"}
               </Button>
-            </div>
-          </form>
+
+              <div className="auth-footer">
+                <Button
+                  variant="text"
+                  size="sm"
+                  onClick={() => router.push("/forgot-password")}
+                  disabled={loading}
+                >
+                  비밀번호를 잊으셨나요?
+                </Button>
+                <br />
+                <br />
+                <Text size="sm">계정이 없으신가요?</Text>
+                <br />
+                <br />
+                <Button
+                  variant="text"
+                  size="sm"
+                  onClick={() => router.push("/register")}
+                  disabled={loading || !serverStatus.connected}
+                >
+                  회원가입
+                </Button>
+              </div>
+            </form>
+          )}
         </Card.Body>
       </Card>
     </div>
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Card } from '@goorm-dev/vapor-core';
+import { Button, Text, Alert, Spinner } from '@goorm-dev/vapor-components';
+import { AlertCircle, Users } from 'lucide-react';
+import axiosInstance from '../../services/axios';
+import { withAuth } from '../../middleware/withAuth';
+
+function InvitePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const fetchInvite = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await axiosInstance.get(`/api/rooms/invites/${encodeURIComponent(token)}`);
+        setInvite(response.data.data);
+      } catch (error) {
+        console.error('Invite fetch error:', error);
+        setError(error.response?.data?.message || '초대 정보를 불러오는데 실패했습니다.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvite();
+  }, [token]);
+
+  const handleAccept = useCallback(async () => {
+    try {
+      setJoining(true);
+      setError('');
+      const response = await axiosInstance.post(`/api/rooms/invites/${encodeURIComponent(token)}/accept`);
+      router.replace(`/chat?room=${response.data.data.roomId}`);
+    } catch (error) {
+      console.error('Invite accept error:', error);
+      setError(error.response?.data?.message || '초대를 수락하는 중 오류가 발생했습니다.');
+      setJoining(false);
+    }
+  }, [token, router]);
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="loading-messages">
+          <Spinner size="sm" className="text-primary" />
+          <Text size="sm" color="secondary">초대 정보를 확인하는 중...</Text>
+        </div>
+      );
+    }
+
+    if (!invite) {
+      return (
+        <Button variant="primary" size="lg" onClick={() => router.push('/chat-rooms')}>
+          채팅방 목록으로
+        </Button>
+      );
+    }
+
+    const { room, isMember, expiresAt } = invite;
+
+    return (
+      <div className="invite-room-info">
+        <Text as="h5" typography="heading5">{room.name}</Text>
+        {room.topic && (
+          <Text typography="body2" color="text-muted">{room.topic}</Text>
+        )}
+        {room.description && (
+          <Text typography="body2">{room.description}</Text>
+        )}
+        <Text typography="body3" color="text-muted" className="d-flex align-items-center gap-1">
+          <Users className="w-4 h-4" />
+          참여자 {room.participantsCount}명
+        </Text>
+        <Text typography="body3" color="text-muted">
+          초대 만료: {new Date(expiresAt).toLocaleString('ko-KR')}
+        </Text>
+
+        <Button
+          variant="primary"
+          size="lg"
+          onClick={handleAccept}
+          disabled={joining}
+        >
+          {joining ? '입장 중...' : isMember ? '채팅방으로 이동' : '초대 수락하고 입장하기'}
+        </Button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card">
+        <Card.Header>
+          <Text as="h5" typography="heading5">채팅방 초대</Text>
+        </Card.Header>
+        <Card.Body className="p-8">
+          {error && (
+            <Alert color="danger" className="mb-6">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </Alert>
+          )}
+          {renderBody()}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+}
+
+export default withAuth(InvitePage);
@@ -13,6 +13,9 @@ import { AlertCircle } from "lucide-react";
 import authService from "../services/authService";
 import { withAuth } from "../middleware/withAuth";
 import ProfileImageUpload from "../components/ProfileImageUpload";
+import DeviceSessionList from "../components/DeviceSessionList";
+import EmailVerificationStatus from "../components/EmailVerificationStatus";
+import TwoFactorSettings from "../components/TwoFactorSettings";
 import {
   generateColorFromEmail,
   getContrastTextColor,
@@ -198,6 +201,7 @@ const Profile = () => {
                 required
                 className="mt-1"
               />
+              <EmailVerificationStatus />
             </FormGroup>
 
             <FormGroup>
@@ -289,6 +293,10 @@ const Profile = () => {
               </Button>
             </div>
           </form>
+
+          <TwoFactorSettings />
+
+          <DeviceSessionList />
         </Card.Body>
       </Card>
     </div>
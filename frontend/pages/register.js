@@ -13,7 +13,7 @@ import {
   ModalBody,
   ModalFooter,
 } from "@goorm-dev/vapor-components";
-import { AlertCircle, PartyPopper } from "lucide-react";
+import { AlertCircle, MailCheck, PartyPopper } from "lucide-react";
 import ReactCanvasConfetti from "react-canvas-confetti";
 import authService from "../services/authService";
 
@@ -37,6 +37,7 @@ const Register = () => {
   const [errors, setErrors] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showSuccessModal, setShowSuccessModal] = useState(false);
+  const [registeredEmail, setRegisteredEmail] = useState("");
   const router = useRouter();
   const refAnimationInstance = useRef(null);
 
@@ -135,6 +136,7 @@ const Register = () => {
         const { name, email, password } = formData;
         await authService.register({ name, email, password });
         await authService.login({ email, password });
+        setRegisteredEmail(email);
         setShowSuccessModal(true);
         fireConfetti();
 
@@ -335,6 +337,13 @@ const Register = () => {
             <Text as="h4" typography="heading4" className="text-success">
               회원가입을 축하합니다!
             </Text>
+            <div className="flex items-center gap-2">
+              <MailCheck className="w-5 h-5" />
+              <Text size="md">
+                {registeredEmail}로 인증 메일을 보냈습니다. 메일의 링크를 눌러
+                인증을 완료해주세요.
+              </Text>
+            </div>
             <br />
             <Text size="md">10초 후 채팅방 목록으로 이동합니다.</Text>
           </div>
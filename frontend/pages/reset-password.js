@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { useRouter } from "next/router";
+import { Card } from "@goorm-dev/vapor-core";
+import { Button, Input, Text, Alert, Label } from "@goorm-dev/vapor-components";
+import { AlertCircle, CheckCircle2 } from "lucide-react";
+import authService from "../services/authService";
+
+// 메일의 재설정 링크로 접근 (로그인 여부와 관계없이 사용 가능)
+const ResetPassword = () => {
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const [error, setError] = useState(null);
+  const [completedMessage, setCompletedMessage] = useState("");
+  const [loading, setLoading] = useState(false);
+  const router = useRouter();
+  const { token } = router.query;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password.length < 6) {
+      setError("비밀번호는 6자 이상이어야 합니다.");
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("비밀번호가 일치하지 않습니다.");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const message = await authService.resetPassword(token, formData.password);
+      // 다른 기기와 함께 현재 브라우저의 세션도 종료됨
+      localStorage.removeItem("user");
+      window.dispatchEvent(new Event("authStateChange"));
+      setCompletedMessage(message);
+    } catch (err) {
+      console.error("Password reset error:", err);
+      setError(err.message || "비밀번호 재설정 중 오류가 발생했습니다.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (completedMessage) {
+      return (
+        <>
+          <Alert color="success" className="auth-alert">
+            <div className="alert-wrapper">
+              <CheckCircle2 className="w-5 h-5" />
+              <div>{completedMessage}</div>
+            </div>
+          </Alert>
+          <Button
+            variant="primary"
+            size="lg"
+            className="auth-submit-button"
+            onClick={() => router.push("/")}
+          >
+            로그인하기
+          </Button>
+        </>
+      );
+    }
+
+    if (router.isReady && !token) {
+      return (
+        <Alert color="danger" className="auth-alert">
+          <div className="alert-wrapper">
+            <AlertCircle className="w-5 h-5" />
+            <div>유효하지 않은 링크입니다. 비밀번호 재설정을 다시 요청해주세요.</div>
+          </div>
+        </Alert>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="auth-form" noValidate>
+        <div className="form-item">
+          <Label htmlFor="password" weight="medium">
+            새 비밀번호
+          </Label>
+          <Input
+            id="password"
+            name="password"
+            type="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            placeholder="새 비밀번호를 입력하세요"
+            disabled={loading}
+            autoComplete="new-password"
+            required
+            aria-required="true"
+          />
+        </div>
+
+        <div className="form-item">
+          <Label htmlFor="confirmPassword" weight="medium">
+            새 비밀번호 확인
+          </Label>
+          <Input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            value={formData.confirmPassword}
+            onChange={handleInputChange}
+            placeholder="새 비밀번호를 다시 입력하세요"
+            disabled={loading}
+            autoComplete="new-password"
+            required
+            aria-required="true"
+          />
+        </div>
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="lg"
+          disabled={loading}
+          className="auth-submit-button"
+        >
+          {loading ? "변경 중..." : "비밀번호 변경"}
+        </Button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card">
+        <Card.Body className="auth-card-body">
+          <div className="auth-header">
+            <Text as="h5" typography="heading5">
+              비밀번호 재설정
+            </Text>
+          </div>
+
+          {error && (
+            <Alert color="danger" className="auth-alert">
+              <div className="alert-wrapper">
+                <AlertCircle className="w-5 h-5" />
+                <div>{error}</div>
+              </div>
+            </Alert>
+          )}
+
+          {renderContent()}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useRouter } from "next/router";
+import { Card } from "@goorm-dev/vapor-core";
+import { Button, Text, Alert } from "@goorm-dev/vapor-components";
+import { AlertCircle, CheckCircle2 } from "lucide-react";
+import authService from "../services/authService";
+
+// 인증 메일의 링크로 접근 (로그인 여부와 관계없이 사용 가능)
+const VerifyEmail = () => {
+  const [status, setStatus] = useState({ state: "loading", message: "" });
+  const requestedRef = useRef(false);
+  const router = useRouter();
+  const { token } = router.query;
+
+  useEffect(() => {
+    if (!router.isReady || requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!token) {
+      setStatus({ state: "error", message: "유효하지 않은 인증 링크입니다." });
+      return;
+    }
+
+    authService
+      .verifyEmail(token)
+      .then((message) => setStatus({ state: "success", message }))
+      .catch((error) =>
+        setStatus({
+          state: "error",
+          message: error.message || "이메일 인증 중 오류가 발생했습니다.",
+        })
+      );
+  }, [router.isReady, token]);
+
+  const loggedIn = Boolean(authService.getCurrentUser());
+
+  return (
+    <div className="auth-container">
+      <Card className="auth-card">
+        <Card.Body className="auth-card-body">
+          <div className="auth-header">
+            <Text as="h5" typography="heading5">
+              이메일 인증
+            </Text>
+          </div>
+
+          {status.state === "loading" && (
+            <div className="text-center">
+              <Text size="lg">인증 확인 중...</Text>
+            </div>
+          )}
+
+          {status.state !== "loading" && (
+            <>
+              <Alert
+                color={status.state === "success" ? "success" : "danger"}
+                className="auth-alert"
+              >
+                <div className="alert-wrapper">
+                  {status.state === "success" ? (
+                    <CheckCircle2 className="w-5 h-5" />
+                  ) : (
+                    <AlertCircle className="w-5 h-5" />
+                  )}
+                  <div>{status.message}</div>
+                </div>
+              </Alert>
+              <Button
+                variant="primary"
+                size="lg"
+                className="auth-submit-button"
+                onClick={() => router.push(loggedIn ? "/chat-rooms" : "/")}
+              >
+                {loggedIn ? "채팅방 목록으로 이동" : "로그인하기"}
+              </Button>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </div>
+  );
+};
+
+export default VerifyEmail;
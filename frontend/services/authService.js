@@ -27,6 +27,20 @@ const RETRY_CONFIG = {
   retryableErrors: ['ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH', 'ERR_NETWORK']
 };
 
+// 다른 탭에서 방금 갱신했는지 판단할 때 사용할 남은 유효 시간
+const TOKEN_FRESHNESS_MARGIN = 60 * 1000;
+const REFRESH_LOCK_NAME = 'auth-token-refresh';
+
+// JWT payload의 만료 시간(ms) 추출 (서명 검증은 서버에서 수행)
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(window.atob(payload)).exp * 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
 // 유효성 검증 함수
 const validateCredentials = (credentials) => {
   if (!credentials || typeof credentials !== 'object') {
@@ -106,26 +120,42 @@ class AuthService {
     if (!API_URL) {
       console.warn('API_URL is not defined in environment variables');
     }
+    this.refreshPromise = null;
+  }
+
+  // 로그인 응답(토큰, 세션, 사용자 정보) 저장
+  saveLoginSession(data) {
+    const userData = {
+      id: data.user._id,
+      name: data.user.name,
+      email: data.user.email,
+      profileImage: data.user.profileImage,
+      token: data.token,
+      sessionId: data.sessionId,
+      refreshToken: data.refreshToken,
+      emailVerified: data.user?.emailVerified,
+      lastActivity: Date.now()
+    };
+
+    localStorage.setItem('user', JSON.stringify(userData));
+    window.dispatchEvent(new Event('authStateChange'));
+    return userData;
   }
 
+  // 2단계 인증 사용자는 { twoFactorRequired, preAuthToken } 반환 후 verifyTwoFactorLogin으로 로그인 완료
   async login(credentials) {
     try {
       const response = await axios.post(`${API_URL}/api/auth/login`, credentials);
 
-      if (response.data?.success && response.data?.token) {
-        const userData = {
-          id: response.data.user._id,
-          name: response.data.user.name,
-          email: response.data.user.email,
-          profileImage: response.data.user.profileImage,
-          token: response.data.token,
-          sessionId: response.data.sessionId,
-          lastActivity: Date.now()
+      if (response.data?.success && response.data?.twoFactorRequired) {
+        return {
+          twoFactorRequired: true,
+          preAuthToken: response.data.preAuthToken
         };
+      }
 
-        localStorage.setItem('user', JSON.stringify(userData));
-        window.dispatchEvent(new Event('authStateChange'));
-        return userData;
+      if (response.data?.success && response.data?.token) {
+        return this.saveLoginSession(response.data);
       }
 
       throw new Error(response.data?.message || '로그인에 실패했습니다.');
@@ -155,12 +185,39 @@ class AuthService {
   }
 
 
+  async verifyTwoFactorLogin(preAuthToken, code) {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/login/2fa`, {
+        preAuthToken,
+        code: code.trim()
+      });
+
+      if (response.data?.success && response.data?.token) {
+        return this.saveLoginSession(response.data);
+      }
+
+      throw new Error(response.data?.message || '2단계 인증에 실패했습니다.');
+
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+
+      if (!error.response) {
+        throw new Error(error.message || '서버와 통신할 수 없습니다.');
+      }
+
+      // 사전 인증 토큰이 만료되었거나 시도 횟수를 초과하면 처음부터 다시 로그인
+      const authError = new Error(error.response.data?.message || '2단계 인증 중 오류가 발생했습니다.');
+      authError.code = error.response.data?.code;
+      throw authError;
+    }
+  }
+
   // logout 메소드 수정
   async logout() {
     try {
       const user = this.getCurrentUser();
       if (user?.token) {
-        await api.post('/api/auth/logout');
+        await api.post('/api/auth/logout', { refreshToken: user.refreshToken });
       }
     } catch (error) {
       console.error('Logout error:', error);
@@ -187,6 +244,8 @@ class AuthService {
           profileImage: response.data.user.profileImage,
           token: response.data.token,
           sessionId: response.data.sessionId,
+          refreshToken: response.data.refreshToken,
+          emailVerified: response.data.user?.emailVerified,
           lastActivity: Date.now()
         };
         localStorage.setItem('user', JSON.stringify(userInfo));
@@ -267,7 +326,7 @@ class AuthService {
       }
 
       const response = await axios.put(
-        `${API_URL}/api/users/profile`,
+        `${API_URL}/api/users/password`,
         {
           currentPassword,
           newPassword
@@ -309,6 +368,55 @@ class AuthService {
     }
   }  
 
+  // 가입 여부와 관계없이 같은 안내 메시지가 반환됨
+  async requestPasswordReset(email) {
+    try {
+      const response = await api.post('/api/auth/forgot-password', { email: email.trim() });
+      return response.data.message;
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      throw this._handleError(error);
+    }
+  }
+
+  async resetPassword(token, password) {
+    try {
+      const response = await api.post('/api/auth/reset-password', { token, password });
+      return response.data.message;
+    } catch (error) {
+      console.error('Password reset error:', error);
+      throw this._handleError(error);
+    }
+  }
+
+  async verifyEmail(token) {
+    try {
+      const response = await api.post('/api/auth/verify-email', { token });
+
+      // 로그인된 사용자 본인의 인증이면 저장된 상태도 갱신
+      const user = JSON.parse(localStorage.getItem('user') || 'null');
+      if (user && user.id === response.data.data?.userId) {
+        localStorage.setItem('user', JSON.stringify({ ...user, emailVerified: true }));
+        window.dispatchEvent(new Event('userProfileUpdate'));
+      }
+
+      return response.data.message;
+    } catch (error) {
+      console.error('Email verification error:', error);
+      throw this._handleError(error);
+    }
+  }
+
+  async resendVerification() {
+    try {
+      const response = await api.post('/api/auth/resend-verification');
+      return response.data.message;
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      throw this._handleError(error);
+    }
+  }
+
   getCurrentUser() {
     try {
       const userStr = localStorage.getItem('user');
@@ -377,17 +485,49 @@ class AuthService {
     }
   }
   
-  async refreshToken() {
+  // 동시에 여러 요청이 만료를 감지해도 한 번만 갱신
+  // (교체된 리프레시 토큰을 다시 보내면 서버가 재사용으로 판단해 세션을 종료함)
+  refreshToken(expiredToken) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._withRefreshLock(() => this._refreshToken(expiredToken))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  // 탭 간 갱신 요청 직렬화 (Web Locks 미지원 브라우저는 탭 내부에서만 직렬화)
+  _withRefreshLock(callback) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request(REFRESH_LOCK_NAME, callback);
+    }
+    return callback();
+  }
+
+  async _refreshToken(expiredToken) {
     try {
       const user = this.getCurrentUser();
       if (!user?.token) throw new Error('인증 정보가 없습니다.');
 
-      const response = await api.post('/api/auth/refresh-token');
+      // 다른 탭에서 이미 갱신한 경우 저장된 토큰 사용
+      if (expiredToken && user.token !== expiredToken &&
+        getTokenExpiry(user.token) - Date.now() > TOKEN_FRESHNESS_MARGIN) {
+        return user.token;
+      }
+
+      // 쿠키 모드에서는 refreshToken이 없고 httpOnly 쿠키로 전달됨
+      const response = await api.post('/api/auth/refresh-token', {
+        refreshToken: user.refreshToken
+      });
 
       if (response.data.success && response.data.token) {
         const updatedUser = {
           ...user,
           token: response.data.token,
+          sessionId: response.data.sessionId || user.sessionId,
+          refreshToken: response.data.refreshToken,
+          emailVerified: response.data.user?.emailVerified,
           lastActivity: Date.now()
         };
         localStorage.setItem('user', JSON.stringify(updatedUser));
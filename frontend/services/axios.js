@@ -119,9 +119,9 @@ axiosInstance.interceptors.response.use(
     if (status === 401 && errorData?.code === 'TOKEN_EXPIRED' && !originalRequest._retry) {
       originalRequest._retry = true;
       try {
-        const refreshed = await authService.refreshToken();
+        // 갱신된 토큰은 요청 인터셉터에서 다시 설정됨
+        const refreshed = await authService.refreshToken(originalRequest.headers['x-auth-token']);
         if (refreshed) {
-          originalRequest.headers['Authorization'] = `Bearer ${authService.getToken()}`;
           return axiosInstance(originalRequest);
         }
       } catch (refreshError) {
@@ -0,0 +1,83 @@
+// frontend/services/presenceService.js
+import axiosInstance from './axios';
+
+const FETCH_DELAY = 50; // 여러 아바타의 조회 요청을 한 번에 묶기 위한 대기 시간
+const FETCH_CHUNK_SIZE = 100;
+
+// 사용자별 접속 상태 저장소 (초기 상태는 API로 조회, 이후 presenceUpdate 이벤트로 갱신)
+class PresenceService {
+  constructor() {
+    this.presence = new Map();
+    this.listeners = new Set();
+    this.trackedIds = new Set();
+    this.pendingIds = new Set();
+    this.fetchTimer = null;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('presenceUpdate', (event) => this.setPresence(event.detail));
+      // 재연결 동안 놓친 변경 사항 반영
+      window.addEventListener('socketConnected', () => this.refreshAll());
+    }
+  }
+
+  get(userId) {
+    return this.presence.get(userId) || null;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  track(userId) {
+    if (!userId || this.trackedIds.has(userId)) return;
+
+    this.trackedIds.add(userId);
+    this.pendingIds.add(userId);
+    this.scheduleFetch();
+  }
+
+  refreshAll() {
+    this.trackedIds.forEach((userId) => this.pendingIds.add(userId));
+    this.scheduleFetch();
+  }
+
+  scheduleFetch() {
+    if (this.fetchTimer || this.pendingIds.size === 0) return;
+
+    this.fetchTimer = setTimeout(() => {
+      this.fetchTimer = null;
+      this.fetchPending();
+    }, FETCH_DELAY);
+  }
+
+  async fetchPending() {
+    const userIds = Array.from(this.pendingIds);
+    this.pendingIds.clear();
+
+    for (let i = 0; i < userIds.length; i += FETCH_CHUNK_SIZE) {
+      const chunk = userIds.slice(i, i + FETCH_CHUNK_SIZE);
+      try {
+        const response = await axiosInstance.get('/api/users/presence', {
+          params: { ids: chunk.join(',') }
+        });
+        (response.data?.data || []).forEach((presence) => this.setPresence(presence));
+      } catch (error) {
+        console.error('Presence fetch error:', error);
+        // 다음에 다시 조회할 수 있도록 추적 목록에서 제거
+        chunk.forEach((userId) => this.trackedIds.delete(userId));
+      }
+    }
+  }
+
+  setPresence({ userId, status, lastSeen } = {}) {
+    if (!userId || !status) return;
+
+    this.presence.set(userId, { status, lastSeen });
+    this.listeners.forEach((listener) => listener(userId));
+  }
+}
+
+const presenceService = new PresenceService();
+
+export default presenceService;
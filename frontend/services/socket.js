@@ -22,26 +22,35 @@ class SocketService {
     this.connectionPromise = null;
     this.retryDelay = 1000;
     this.duplicateLoginTimeout = 30000;
+    this.forceLoginTimer = null;
     this.reactionHandlers = new Set();
     this.connected = false;
+    this.lastInteractionAt = Date.now();
+    this.idleReportThreshold = 60000;
   }
 
   async handleDuplicateLogin(data) {
     try {
-      const { deviceInfo = "Unknown Device", ipAddress = "Unknown IP" } = data;
+      const {
+        deviceInfo = "Unknown Device",
+        ipAddress = "Unknown IP",
+        canKeep = false,
+      } = data;
 
       // 전역 이벤트 발생
       const duplicateLoginEvent = new CustomEvent("duplicateLogin", {
         detail: {
           deviceInfo,
           ipAddress,
+          canKeep,
           timestamp: Date.now(),
         },
       });
       window.dispatchEvent(duplicateLoginEvent);
 
-      // 10초 후에 강제 로그아웃 처리
-      setTimeout(async () => {
+      // 10초 후에 강제 로그아웃 처리 (기존 세션 유지를 선택하면 취소)
+      clearTimeout(this.forceLoginTimer);
+      this.forceLoginTimer = setTimeout(async () => {
         try {
           if (this.socket?.connected) {
             await this.emit("force_login", {
@@ -61,6 +70,14 @@ class SocketService {
     }
   }
 
+  // 중복 로그인 안내에서 기존 세션 유지 선택 (새 기기의 로그인은 거절됨)
+  async keepExistingSession() {
+    clearTimeout(this.forceLoginTimer);
+    this.forceLoginTimer = null;
+    const response = await this.emit("keep_existing_session");
+    return Boolean(response?.kept);
+  }
+
   async connect(options = {}) {
     if (this.connectionPromise) {
       return this.connectionPromise;
@@ -87,6 +104,8 @@ class SocketService {
 
         this.socket = io(socketUrl, {
           ...options,
+          // 재연결할 때마다 저장된 최신 토큰을 읽도록 함수로 전달 (토큰 갱신 후 재연결 대비)
+          auth: (callback) => callback(this.getAuthPayload(options.auth)),
           transports: ["websocket", "polling"],
           reconnection: true,
           reconnectionAttempts: this.maxReconnectAttempts,
@@ -109,6 +128,12 @@ class SocketService {
     return this.connectionPromise;
   }
 
+  getAuthPayload(fallback = {}) {
+    const user = authService.getCurrentUser();
+    if (!user?.token) return fallback;
+    return { token: user.token, sessionId: user.sessionId };
+  }
+
   setupEventHandlers(resolve, reject) {
     const connectionTimeout = setTimeout(() => {
       if (!this.socket?.connected) {
@@ -124,6 +149,7 @@ class SocketService {
       this.isReconnecting = false;
       clearTimeout(connectionTimeout);
       this.startHeartbeat();
+      window.dispatchEvent(new CustomEvent("socketConnected"));
       resolve(this.socket);
     });
 
@@ -136,6 +162,20 @@ class SocketService {
     this.socket.on("connect_error", (error) => {
       console.error("[Socket] Connection error:", error);
 
+      // 액세스 토큰 만료: 갱신 후 같은 소켓으로 다시 연결 (미들웨어 거부는 자동 재연결되지 않음)
+      if (error.message === "Token expired") {
+        const { token } = this.getAuthPayload();
+        authService
+          .refreshToken(token)
+          .then(() => this.socket?.connect())
+          .catch(() => {
+            clearTimeout(connectionTimeout);
+            authService.logout();
+            reject(error);
+          });
+        return;
+      }
+
       if (error.message === "Invalid session") {
         authService
           .refreshToken()
@@ -194,6 +234,11 @@ class SocketService {
       console.log("[Socket] Message reaction:", data);
       this.reactionHandlers.forEach((handler) => handler(data));
     });
+
+    // 접속 상태 변경은 전역 이벤트로 전달 (아바타 상태 표시용)
+    this.socket.on("presenceUpdate", (data) => {
+      window.dispatchEvent(new CustomEvent("presenceUpdate", { detail: data }));
+    });
   }
 
   cleanup(reason = CLEANUP_REASONS.MANUAL) {
@@ -290,20 +335,42 @@ class SocketService {
 
     this.heartbeatInterval = setInterval(() => {
       if (this.socket?.connected) {
-        this.socket.emit("ping", null, (error) => {
-          if (error) {
-            console.error("Heartbeat failed:", error);
-            this.cleanup(CLEANUP_REASONS.MANUAL);
-          } else {
-            console.debug("Heartbeat succeeded");
-          }
-        });
+        this.sendHeartbeat();
       } else {
         this.cleanup(CLEANUP_REASONS.MANUAL);
       }
     }, 25000);
   }
 
+  // 마지막 사용자 입력 이후 경과 시간을 함께 보내 서버가 자리 비움 여부를 판단
+  sendHeartbeat() {
+    if (!this.socket?.connected) return;
+
+    this.socket.emit(
+      "presenceHeartbeat",
+      { idleFor: Date.now() - this.lastInteractionAt },
+      (error) => {
+        if (error) {
+          console.error("Heartbeat failed:", error);
+          this.cleanup(CLEANUP_REASONS.MANUAL);
+        } else {
+          console.debug("Heartbeat succeeded");
+        }
+      }
+    );
+  }
+
+  recordInteraction() {
+    const now = Date.now();
+    const wasIdle = now - this.lastInteractionAt >= this.idleReportThreshold;
+    this.lastInteractionAt = now;
+
+    // 오래 입력이 없다가 돌아온 경우 바로 알려 자리 비움 해제
+    if (wasIdle) {
+      this.sendHeartbeat();
+    }
+  }
+
   getSocket() {
     return this.socket;
   }
@@ -525,6 +592,12 @@ if (typeof window !== "undefined") {
     console.log("Network is offline");
     socketService.disconnect();
   });
+
+  ["pointerdown", "keydown", "mousemove", "focus"].forEach((eventName) => {
+    window.addEventListener(eventName, () => socketService.recordInteraction(), {
+      passive: true,
+    });
+  });
 }
 
 export default socketService;
@@ -0,0 +1,35 @@
+// utils/aiPersonas.js
+// AI 페르소나 핸들 → 표시 정보 (기본 제공 + 현재 채팅방에서 불러온 사용자/채팅방 페르소나)
+
+export const BUILT_IN_PERSONAS = [
+  { handle: 'wayneAI', name: 'Wayne AI', email: 'ai@wayne.ai' },
+  { handle: 'consultingAI', name: 'Consulting AI', email: 'ai@consulting.ai' }
+];
+
+const personaRegistry = new Map(BUILT_IN_PERSONAS.map(persona => [persona.handle, persona]));
+
+export const isAIPersonaHandle = (handle) => personaRegistry.has(handle);
+
+export const isBuiltInAIPersona = (handle) => BUILT_IN_PERSONAS.some(persona => persona.handle === handle);
+
+// 서버의 /api/ai/personas 응답을 등록 (기본 제공 페르소나는 유지)
+export const registerAIPersonas = (personas = []) => {
+  personas.forEach(({ handle, name, avatar }) => {
+    if (!handle || isBuiltInAIPersona(handle)) return;
+    personaRegistry.set(handle, { handle, name, avatar, email: `${handle.toLowerCase()}@persona.ai` });
+  });
+};
+
+// 메시지에 저장된 이름/아바타를 우선 사용하고, 없으면 등록된 페르소나 정보 사용
+export const getAIPersonaInfo = (handle, { aiName, aiAvatar } = {}) => {
+  const persona = personaRegistry.get(handle);
+  const name = aiName || persona?.name || handle || 'AI';
+
+  return {
+    handle,
+    name,
+    email: persona?.email || `${String(handle || 'ai').toLowerCase()}@persona.ai`,
+    avatar: aiAvatar || persona?.avatar || null,
+    avatarInitial: name.charAt(0).toUpperCase()
+  };
+};
@@ -35,8 +35,12 @@ export const getAIAvatarStyles = (aiName) => {
     return AI_COLORS.consultingAI;
   }
   
-  // 알 수 없는 AI의 경우 기본값 반환
-  return AI_COLORS.wayneAI;
+  // 사용자/채팅방 정의 페르소나는 핸들 기반 고유 색상
+  const backgroundColor = generateColorFromEmail(`${formattedName}@persona.ai`);
+  return {
+    backgroundColor,
+    color: getContrastTextColor(backgroundColor)
+  };
 };
 
 // 이메일로부터 고유한 색상 생성
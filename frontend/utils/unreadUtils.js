@@ -0,0 +1,24 @@
+// utils/unreadUtils.js
+
+// unreadUpdate 이벤트를 채팅방 항목에 반영
+// - increment: 새 메시지 도착 시 증가분 (mentioned면 멘션 수도 증가)
+// - unreadCount/mentionCount: 읽음 처리 시 절대값
+export const applyUnreadUpdate = (room, update) => {
+  if (!room || room._id !== update?.roomId) return room;
+
+  if (update.increment) {
+    return {
+      ...room,
+      unreadCount: (room.unreadCount || 0) + update.increment,
+      mentionCount: (room.mentionCount || 0) + (update.mentioned ? 1 : 0)
+    };
+  }
+
+  return {
+    ...room,
+    unreadCount: update.unreadCount ?? 0,
+    mentionCount: update.mentionCount ?? 0
+  };
+};
+
+export const formatUnreadCount = (count) => (count > 99 ? '99+' : String(count));